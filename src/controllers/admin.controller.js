@@ -0,0 +1,455 @@
+// src/controllers/admin.controller.js
+import mongoose from 'mongoose';
+import User from '../models/user.model.js';
+import Lesson from '../models/lesson.model.js';
+import Session from '../models/session.model.js';
+import QuizAttempt from '../models/quiz.attempt.model.js';
+import ExerciseResult from '../models/exercise.result.model.js';
+import { getAccountLockStatus, unlockAccount } from '../lib/loginThrottle.js';
+import { sendPasswordResetEmail } from '../lib/emails.js';
+import { ROLES } from '../lib/permissions.js';
+import { LINK_BLOCK_TYPES, BROKEN_LINK_PREFIX, getBlockLink } from '../lib/linkChecker.js';
+import { requestLinkScan, getLinkScanStatus } from '../lib/linkScanner.js';
+
+// Helper function to escape user input used in a regex
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Fields the user list can be sorted by (never secrets, sorting on them leaks their order)
+const USER_SORT_FIELDS = ['createdAt', 'updatedAt', 'username', 'email', 'role', 'isDisabled', 'emailVerified'];
+
+// Helper function to check if a user is the only remaining active admin
+const isLastActiveAdmin = async (user) => {
+  if (user.role !== 'admin' || user.isDisabled) return false;
+
+  const activeAdmins = await User.countDocuments({ role: 'admin', isDisabled: { $ne: true } });
+  return activeAdmins <= 1;
+};
+
+// Helper function to write changes that may take an admin out of the active admins
+// The admins are counted again after the write, so concurrent requests cannot
+// remove the last ones together; the changes are undone if none is left.
+// Returns false if the changes were refused
+const updateKeepingAnAdmin = async (user, changes) => {
+  await User.updateOne({ _id: user._id }, { $set: changes });
+
+  if (user.role !== 'admin' || user.isDisabled) return true;
+
+  const activeAdmins = await User.countDocuments({ role: 'admin', isDisabled: { $ne: true } });
+  if (activeAdmins > 0) return true;
+
+  const $set = {};
+  const $unset = {};
+  Object.keys(changes).forEach(field => {
+    if (user[field] === undefined) {
+      $unset[field] = '';
+    } else {
+      $set[field] = user[field];
+    }
+  });
+  const undo = {};
+  if (Object.keys($set).length > 0) undo.$set = $set;
+  if (Object.keys($unset).length > 0) undo.$unset = $unset;
+  await User.updateOne({ _id: user._id }, undo);
+  return false;
+};
+
+// @desc    Get users with pagination and search
+// @route   GET /api/v1/admin/users
+// @access  Private/Admin
+export const getUsers = async (req, res) => {
+  try {
+    const { search, role, status, sort = '-createdAt' } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if (search !== undefined && typeof search !== 'string') {
+      return res.status(400).json({ message: 'Search must be a single value' });
+    }
+
+    const sortField = typeof sort === 'string' ? sort.replace(/^-/, '') : null;
+    if (!USER_SORT_FIELDS.includes(sortField)) {
+      return res.status(400).json({ message: `Invalid sort. Use one of: ${USER_SORT_FIELDS.join(', ')} (prefix with - for descending)` });
+    }
+
+    const query = {};
+
+    if (role) query.role = role;
+    if (status === 'disabled') query.isDisabled = true;
+    if (status === 'active') query.isDisabled = { $ne: true };
+
+    if (search) {
+      const pattern = escapeRegex(search);
+      query.$or = [
+        { username: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const total = await User.countDocuments(query);
+
+    const users = await User.find(query)
+      .select('-password -progress -bookmarks -lessonBookmarks')
+      .sort(sort)
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    res.json({
+      users,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error in getUsers:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get a single user
+// @route   GET /api/v1/admin/users/:id
+// @access  Private/Admin
+export const getUserById = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const activeSessions = await Session.countDocuments({
+      user: user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+
+    res.json({ ...user.toObject(), activeSessions });
+  } catch (error) {
+    console.error('Error in getUserById:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Change a user's role
+// @route   PUT /api/v1/admin/users/:id/role
+// @access  Private/Admin
+export const updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `Invalid role. Use one of: ${ROLES.join(', ')}` });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (role !== 'admin' && (await isLastActiveAdmin(user))) {
+      return res.status(400).json({ message: 'Cannot demote the last admin' });
+    }
+
+    if (!(await updateKeepingAnAdmin(user, { role }))) {
+      return res.status(400).json({ message: 'Cannot demote the last admin' });
+    }
+    user.role = role;
+
+    res.json({ message: `User ${user.username} is now ${role}`, _id: user._id, role: user.role });
+  } catch (error) {
+    console.error('Error in updateUserRole:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Disable a user account
+// @route   PUT /api/v1/admin/users/:id/disable
+// @access  Private/Admin
+export const disableUser = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot disable your own account' });
+    }
+
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({ message: 'Cannot disable the last admin' });
+    }
+
+    const changes = { isDisabled: true, disabledAt: new Date(), disabledReason: typeof reason === 'string' ? reason : '' };
+    if (!(await updateKeepingAnAdmin(user, changes))) {
+      return res.status(400).json({ message: 'Cannot disable the last admin' });
+    }
+
+    // Sign the user out everywhere
+    await Session.revokeAllForUser(user._id, 'user-disabled');
+
+    res.json({ message: `User ${user.username} disabled` });
+  } catch (error) {
+    console.error('Error in disableUser:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Re-enable a disabled user account
+// @route   PUT /api/v1/admin/users/:id/enable
+// @access  Private/Admin
+export const enableUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.isDisabled = false;
+    user.disabledAt = undefined;
+    user.disabledReason = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({ message: `User ${user.username} enabled` });
+  } catch (error) {
+    console.error('Error in enableUser:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Force a user to reset their password
+// @route   POST /api/v1/admin/users/:id/force-password-reset
+// @access  Private/Admin
+export const forcePasswordReset = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    user.passwordResetRequired = true;
+    await user.save({ validateBeforeSave: false });
+
+    await Session.revokeAllForUser(user._id, 'forced-password-reset');
+
+    let emailSent = true;
+    try {
+      await sendPasswordResetEmail(user, resetToken);
+    } catch (mailError) {
+      console.error('Error sending password reset email:', mailError);
+      emailSent = false;
+    }
+
+    res.json({
+      message: `Password reset required for ${user.username}`,
+      emailSent
+    });
+  } catch (error) {
+    console.error('Error in forcePasswordReset:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Delete a user and clean up their data
+// @route   DELETE /api/v1/admin/users/:id
+// @access  Private/Admin
+export const deleteUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot delete your own account' });
+    }
+
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({ message: 'Cannot delete the last admin' });
+    }
+
+    // Disabled first, so a concurrent request cannot remove the other admins meanwhile
+    if (!(await updateKeepingAnAdmin(user, { isDisabled: true }))) {
+      return res.status(400).json({ message: 'Cannot delete the last admin' });
+    }
+
+    // Lesson completion counters include this user's progress
+    const completedLessons = (user.progress || [])
+      .flatMap(entry => entry.completedLessons || []);
+
+    if (completedLessons.length > 0) {
+      await Lesson.updateMany(
+        { _id: { $in: completedLessons }, completions: { $gt: 0 } },
+        { $inc: { completions: -1 } }
+      );
+    }
+
+    await Session.deleteMany({ user: user._id });
+    await QuizAttempt.deleteMany({ user: user._id });
+    await ExerciseResult.deleteMany({ user: user._id });
+    await unlockAccount(user.email);
+    await User.deleteOne({ _id: user._id });
+
+    res.json({
+      message: `User ${user.username} removed`,
+      removed: {
+        progressEntries: (user.progress || []).length,
+        bookmarks: (user.bookmarks || []).length + (user.lessonBookmarks || []).length,
+        completedLessons: completedLessons.length
+      }
+    });
+  } catch (error) {
+    console.error('Error in deleteUser:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get login lockout status of a user
+// @route   GET /api/v1/admin/users/:id/lockout
+// @access  Private/Admin
+export const getUserLockStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('email username');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const status = await getAccountLockStatus(user.email);
+
+    res.json({ _id: user._id, username: user.username, email: user.email, ...status });
+  } catch (error) {
+    console.error('Error in getUserLockStatus:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Clear failed login attempts and unlock a user
+// @route   POST /api/v1/admin/users/:id/unlock
+// @access  Private/Admin
+export const unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('email username');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await unlockAccount(user.email);
+
+    res.json({ message: `User ${user.username} unlocked` });
+  } catch (error) {
+    console.error('Error in unlockUser:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Helper function to list the flagged media and link blocks of lesson content
+const getFlaggedLinks = (content, inDraft) => ((content && content.blocks) || [])
+  .filter(block => block && LINK_BLOCK_TYPES.includes(block.type) && block.data && block.data.invalid)
+  .map(block => ({
+    blockId: block.id,
+    type: block.type,
+    url: getBlockLink(block),
+    reason: block.data.invalidReason,
+    // Flagged by the link scanner, or by content validation when saved
+    source: String(block.data.invalidReason || '').startsWith(BROKEN_LINK_PREFIX) ? 'scan' : 'validation',
+    inDraft
+  }));
+
+// @desc    Get broken media and links in lesson content, grouped by tutorial
+// @route   GET /api/v1/admin/content/broken-links?tutorial=&source=scan|validation
+// @access  Private/Admin
+export const getBrokenLinks = async (req, res) => {
+  try {
+    const { tutorial, source } = req.query;
+
+    const flagged = { $elemMatch: { type: { $in: LINK_BLOCK_TYPES }, 'data.invalid': true } };
+    const query = { $or: [{ 'content.blocks': flagged }, { 'draft.content.blocks': flagged }] };
+
+    if (tutorial) {
+      if (!mongoose.Types.ObjectId.isValid(tutorial)) {
+        return res.status(400).json({ message: 'Invalid tutorial id' });
+      }
+      query.tutorial = tutorial;
+    }
+
+    const lessons = await Lesson.find(query)
+      .select('+draft')
+      .populate('tutorial', 'title slug')
+      .sort({ tutorial: 1, order: 1 });
+
+    const groups = new Map();
+    let total = 0;
+
+    lessons.forEach(lesson => {
+      const links = [
+        ...getFlaggedLinks(lesson.content, false),
+        ...(lesson.hasDraft && lesson.draft ? getFlaggedLinks(lesson.draft.content, true) : [])
+      ].filter(link => !source || link.source === source);
+
+      if (links.length === 0) return;
+
+      const key = lesson.tutorial ? lesson.tutorial._id.toString() : 'none';
+      if (!groups.has(key)) {
+        groups.set(key, {
+          tutorial: lesson.tutorial
+            ? { _id: lesson.tutorial._id, title: lesson.tutorial.title, slug: lesson.tutorial.slug }
+            : null,
+          brokenLinks: 0,
+          lessons: []
+        });
+      }
+
+      const group = groups.get(key);
+      group.lessons.push({
+        lesson: { _id: lesson._id, title: lesson.title, slug: lesson.slug, order: lesson.order, isPublished: lesson.isPublished },
+        links
+      });
+      group.brokenLinks += links.length;
+      total += links.length;
+    });
+
+    res.json({
+      total,
+      scan: getLinkScanStatus(),
+      tutorials: [...groups.values()].sort((a, b) => b.brokenLinks - a.brokenLinks)
+    });
+  } catch (error) {
+    console.error('Error in getBrokenLinks:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Scan the links of all lessons now
+// @route   POST /api/v1/admin/content/broken-links/scan?wait=true
+// @access  Private/Admin
+// Answers right away unless wait is set, the scan continues in the background
+export const scanBrokenLinks = async (req, res) => {
+  try {
+    const alreadyRunning = getLinkScanStatus().running;
+    const scan = requestLinkScan();
+
+    if (req.query.wait === 'true') {
+      const summary = await scan;
+      return res.json({ message: 'Link scan finished', summary });
+    }
+
+    res.status(202).json({
+      message: alreadyRunning ? 'A link scan is already running' : 'Link scan started',
+      scan: getLinkScanStatus()
+    });
+  } catch (error) {
+    console.error('Error in scanBrokenLinks:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
@@ -1,14 +1,45 @@
 // src/controllers/auth.controller.js - Simple JWT (No Cookies)
 import jwt from 'jsonwebtoken';
 import User from '../models/user.model.js';
+import Session from '../models/session.model.js';
+import { sendVerificationEmail, sendPasswordResetEmail } from '../lib/emails.js';
+import { reserveLoginAttempt, recordLoginFailure, recordLoginSuccess, releaseLoginAttempt } from '../lib/loginThrottle.js';
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d',
+// Generate short-lived JWT access token bound to a session
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
   });
 };
 
+// Respond with 429 and a Retry-After header for throttled logins
+const sendTooManyAttempts = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retryAfter));
+  return res.status(429).json({
+    message: throttle.reason === 'locked'
+      ? 'Too many failed login attempts, account temporarily locked'
+      : 'Too many failed login attempts, please wait before trying again',
+    retryAfter: throttle.retryAfter
+  });
+};
+
+// Client details stored with a session
+const getClientInfo = (req) => ({
+  userAgent: req.headers['user-agent'] || '',
+  ip: req.ip || ''
+});
+
+// Start a session and generate its access and refresh tokens
+const generateAuthTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.issue(user._id, getClientInfo(req));
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt
+  };
+};
+
 // @desc    Register a new user
 // @route   POST /api/v1/auth/register
 // @access  Public
@@ -36,16 +67,26 @@ export const registerUser = async (req, res) => {
     });
 
     if (user) {
-      // Generate token
-      const token = generateToken(user._id);
+      // Send verification email - registration succeeds even if mail fails
+      try {
+        const verificationToken = user.createEmailVerificationToken();
+        await user.save({ validateBeforeSave: false });
+        await sendVerificationEmail(user, verificationToken, req);
+      } catch (mailError) {
+        console.error('Error sending verification email:', mailError);
+      }
 
-      // Return user data WITH token
+      // Generate tokens
+      const tokens = await generateAuthTokens(user, req);
+
+      // Return user data WITH tokens
       res.status(201).json({
         _id: user._id,
         username: user.username,
         email: user.email,
         role: user.role,
-        token: token, // Include token in response
+        emailVerified: user.emailVerified,
+        ...tokens
       });
     } else {
       res.status(400).json({ message: 'Invalid user data' });
@@ -60,40 +101,199 @@ export const registerUser = async (req, res) => {
 // @route   POST /api/v1/auth/login
 // @access  Public
 export const loginUser = async (req, res) => {
+  const { email, password } = req.body;
+  let reserved = false;
+
   try {
-    const { email, password } = req.body;
+    // Reject attempts while the account or IP is backing off or locked,
+    // otherwise the attempt is reserved until the password has been checked
+    const throttle = await reserveLoginAttempt(email, req.ip);
+
+    if (!throttle.allowed) {
+      return sendTooManyAttempts(res, throttle);
+    }
+    reserved = true;
 
     // Find user by email
     const user = await User.findOne({ email });
 
     // Check if user exists and password matches
     if (user && (await user.matchPassword(password))) {
-      // Generate token
-      const token = generateToken(user._id);
+      reserved = false;
+      await recordLoginSuccess(email, req.ip);
 
-      // Return user data WITH token
+      if (user.isDisabled) {
+        return res.status(403).json({ message: 'Account has been disabled' });
+      }
+
+      if (user.passwordResetRequired) {
+        return res.status(403).json({
+          message: 'A password reset is required, please check your email for a reset link'
+        });
+      }
+
+      // Generate tokens
+      const tokens = await generateAuthTokens(user, req);
+
+      // Return user data WITH tokens
       res.json({
         _id: user._id,
         username: user.username,
         email: user.email,
         role: user.role,
-        token: token, // Include token in response
+        ...tokens
       });
     } else {
+      reserved = false;
+      await recordLoginFailure(email, req.ip);
       res.status(401).json({ message: 'Invalid email or password' });
     }
   } catch (error) {
     console.error(error);
+    if (reserved) {
+      await releaseLoginAttempt(email, req.ip).catch(releaseError => console.error('Error releasing login attempt:', releaseError));
+    }
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
-// @desc    Logout user (client-side only with JWT)
-// @route   POST /api/v1/auth/logout  
+// @desc    Exchange a refresh token for a new access token (rotates the refresh token)
+// @route   POST /api/v1/auth/refresh
 // @access  Public
-export const logoutUser = (req, res) => {
-  // With JWT, logout is handled client-side by removing the token
-  res.status(200).json({ message: 'Logged out successfully' });
+export const refreshAccessToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const tokenHash = Session.hashToken(refreshToken);
+    const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+    if (!session) {
+      // A token that was already rotated out is being replayed: assume it leaked
+      const reusedSession = await Session.findOne({ previousRefreshTokenHash: tokenHash });
+      if (reusedSession && !reusedSession.revokedAt) {
+        await reusedSession.revoke('refresh-token-reuse');
+      }
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    if (!session.isActive) {
+      return res.status(401).json({ message: 'Session expired or revoked' });
+    }
+
+    const user = await User.findById(session.user).select('-password');
+
+    if (!user) {
+      await session.revoke('user-not-found');
+      return res.status(401).json({ message: 'User not found' });
+    }
+
+    if (user.isDisabled) {
+      await session.revoke('user-disabled');
+      return res.status(403).json({ message: 'Account has been disabled' });
+    }
+
+    const newRefreshToken = await session.rotate(getClientInfo(req));
+
+    // Another refresh used the same token first: it was replayed
+    if (!newRefreshToken) {
+      await session.revoke('refresh-token-reuse');
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    res.json({
+      token: generateToken(user._id, session._id),
+      refreshToken: newRefreshToken,
+      refreshTokenExpiresAt: session.expiresAt
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Logout user (revokes the current session)
+// @route   POST /api/v1/auth/logout
+// @access  Private
+export const logoutUser = async (req, res) => {
+  try {
+    const session = await Session.findActive(req.sessionId, req.user._id);
+
+    if (session) {
+      await session.revoke('logout');
+    }
+
+    res.status(200).json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Logout user from every device
+// @route   POST /api/v1/auth/logout-all
+// @access  Private
+export const logoutAllSessions = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'logout-all');
+
+    res.json({
+      message: 'Logged out from all devices',
+      revokedSessions: result.modifiedCount
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    List active sessions of the current user
+// @route   GET /api/v1/auth/sessions
+// @access  Private
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map(session => ({
+      _id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.toString() === String(req.sessionId)
+    })));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/v1/auth/sessions/:id
+// @access  Private
+export const revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findActive(req.params.id, req.user._id);
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await session.revoke('revoked-by-user');
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
 };
 
 // @desc    Get user profile
@@ -109,6 +309,7 @@ export const getUserProfile = async (req, res) => {
         username: user.username,
         email: user.email,
         role: user.role,
+        emailVerified: user.emailVerified,
       });
     } else {
       res.status(404).json({ message: 'User not found' });
@@ -117,4 +318,137 @@ export const getUserProfile = async (req, res) => {
     console.error(error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Request a password reset email
+// @route   POST /api/v1/auth/forgot-password
+// @access  Public
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    // Same response whether or not the account exists, to avoid leaking emails
+    const genericResponse = { message: 'If an account exists for that email, a reset link has been sent' };
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    // A failure is only logged, answering differently would tell which emails have accounts
+    try {
+      await sendPasswordResetEmail(user, resetToken);
+    } catch (mailError) {
+      console.error('Error sending password reset email:', mailError);
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Reset password using an emailed token
+// @route   POST /api/v1/auth/reset-password/:token
+// @access  Public
+export const resetPassword = async (req, res) => {
+  try {
+    const { token } = req.params;
+    const { password } = req.body;
+
+    if (typeof password !== 'string' || password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters long' });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: User.hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Reset token is invalid or has expired' });
+    }
+
+    // Tokens are single-use
+    user.password = password; // Will be hashed by pre-save hook
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.passwordResetRequired = false;
+    await user.save();
+
+    // A password reset signs the user out everywhere
+    await Session.revokeAllForUser(user._id, 'password-reset');
+
+    res.json({ message: 'Password has been reset, please log in with your new password' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Verify email address using an emailed token
+// @route   GET /api/v1/auth/verify-email/:token
+// @access  Public
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Verification token is invalid or has expired' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Resend the email verification link
+// @route   POST /api/v1/auth/resend-verification
+// @access  Private
+export const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+    await sendVerificationEmail(user, verificationToken, req);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
@@ -0,0 +1,189 @@
+// src/controllers/embed.provider.controller.js
+import mongoose from 'mongoose';
+import EmbedProvider from '../models/embed.provider.model.js';
+import Lesson from '../models/lesson.model.js';
+import { loadEmbedProviders } from '../lib/embedProviders.js';
+import { hasRoleAtLeast } from '../lib/permissions.js';
+
+// Fields admins may set on a provider
+const PROVIDER_FIELDS = [
+  'name', 'label', 'urlPatterns', 'embedUrlTemplate', 'thumbnailUrlTemplate',
+  'width', 'height', 'enabled', 'priority'
+];
+
+// Helper function to copy the provider fields present in a request body
+const pickProviderFields = (body = {}) => PROVIDER_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+// Helper function to count the lessons with video or embed blocks of a provider
+const countLessonsUsing = (name) => {
+  const usesProvider = { $elemMatch: { type: { $in: ['video', 'embed'] }, 'data.service': name } };
+  return Lesson.countDocuments({ $or: [{ 'content.blocks': usesProvider }, { 'draft.content.blocks': usesProvider }] });
+};
+
+// Helper function to answer validation and duplicate name errors
+// Returns true if the error was answered
+const handleProviderError = (error, res) => {
+  if (error.name === 'ValidationError') {
+    res.status(400).json({
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+    return true;
+  }
+  if (error.code === 11000) {
+    res.status(400).json({ message: 'An embed provider with this name already exists' });
+    return true;
+  }
+  return false;
+};
+
+// @desc    Get embed providers (admins also see disabled ones)
+// @route   GET /api/v1/embed-providers
+// @access  Public
+export const getEmbedProviderList = async (req, res) => {
+  try {
+    const isAdmin = hasRoleAtLeast(req.user, 'admin');
+
+    const query = EmbedProvider.find(isAdmin ? {} : { enabled: true }).sort({ priority: 1, name: 1 });
+    if (!isAdmin) {
+      query.select('name label urlPatterns embedUrlTemplate width height');
+    }
+
+    const providers = await query;
+
+    res.json(providers);
+  } catch (error) {
+    console.error('Error in getEmbedProviderList:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get an embed provider with the number of lessons using it
+// @route   GET /api/v1/embed-providers/:id
+// @access  Private/Admin
+export const getEmbedProviderById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid embed provider id' });
+    }
+
+    const provider = await EmbedProvider.findById(req.params.id);
+
+    if (!provider) {
+      return res.status(404).json({ message: 'Embed provider not found' });
+    }
+
+    res.json({
+      ...provider.toObject(),
+      lessonCount: await countLessonsUsing(provider.name)
+    });
+  } catch (error) {
+    console.error('Error in getEmbedProviderById:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Create an embed provider
+// @route   POST /api/v1/embed-providers
+// @access  Private/Admin
+// Example: { name: 'loom', label: 'Loom',
+//   urlPatterns: ['loom\\.com\\/share\\/(?<id>[a-f0-9]+)'],
+//   embedUrlTemplate: 'https://www.loom.com/embed/{id}', width: 640, height: 360 }
+export const createEmbedProvider = async (req, res) => {
+  try {
+    const provider = await EmbedProvider.create({
+      ...pickProviderFields(req.body),
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    await loadEmbedProviders();
+
+    res.status(201).json(provider);
+  } catch (error) {
+    if (handleProviderError(error, res)) return;
+    console.error('Error in createEmbedProvider:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update an embed provider
+// @route   PUT /api/v1/embed-providers/:id
+// @access  Private/Admin
+// Renaming is refused while lessons use the provider, their blocks store the name
+export const updateEmbedProvider = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid embed provider id' });
+    }
+
+    const provider = await EmbedProvider.findById(req.params.id);
+
+    if (!provider) {
+      return res.status(404).json({ message: 'Embed provider not found' });
+    }
+
+    const changes = pickProviderFields(req.body);
+
+    if (changes.name !== undefined && changes.name !== provider.name) {
+      const lessonCount = await countLessonsUsing(provider.name);
+      if (lessonCount > 0) {
+        return res.status(409).json({
+          message: `Cannot rename, ${lessonCount} lessons use this provider`,
+          lessonCount
+        });
+      }
+    }
+
+    provider.set(changes);
+    provider.updatedBy = req.user._id;
+    const updatedProvider = await provider.save();
+
+    await loadEmbedProviders();
+
+    res.json(updatedProvider);
+  } catch (error) {
+    if (handleProviderError(error, res)) return;
+    console.error('Error in updateEmbedProvider:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Delete an embed provider
+// @route   DELETE /api/v1/embed-providers/:id?force=true
+// @access  Private/Admin
+// Embeds of a deleted provider are flagged invalid the next time their
+// lesson is validated, so deleting one that lessons use needs force
+// (disabling it with enabled: false is the reversible alternative)
+export const deleteEmbedProvider = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid embed provider id' });
+    }
+
+    const provider = await EmbedProvider.findById(req.params.id);
+
+    if (!provider) {
+      return res.status(404).json({ message: 'Embed provider not found' });
+    }
+
+    const lessonCount = await countLessonsUsing(provider.name);
+    if (lessonCount > 0 && req.query.force !== 'true') {
+      return res.status(409).json({
+        message: `${lessonCount} lessons use this provider, disable it or delete with force=true`,
+        lessonCount
+      });
+    }
+
+    await EmbedProvider.deleteOne({ _id: provider._id });
+    await loadEmbedProviders();
+
+    res.json({ message: `Embed provider ${provider.label} removed`, lessonCount });
+  } catch (error) {
+    console.error('Error in deleteEmbedProvider:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
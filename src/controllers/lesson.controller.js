@@ -1,334 +1,24 @@
 // src/controllers/lesson.controller.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
 import Lesson from '../models/lesson.model.js';
 import Tutorial from '../models/tutorial.model.js';
-
-// Helper function to validate and extract YouTube video ID
-const validateYouTubeUrl = (url) => {
-  if (!url || typeof url !== 'string') return null;
-  
-  const patterns = [
-    /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([a-zA-Z0-9_-]{11})/,
-    /youtube\.com\/v\/([a-zA-Z0-9_-]{11})/,
-    /youtube\.com\/watch\?.*v=([a-zA-Z0-9_-]{11})/
-  ];
-  
-  for (const pattern of patterns) {
-    const match = url.match(pattern);
-    if (match && match[1]) {
-      return {
-        videoId: match[1],
-        embedUrl: `https://www.youtube.com/embed/${match[1]}`,
-        thumbnailUrl: `https://img.youtube.com/vi/${match[1]}/maxresdefault.jpg`,
-        originalUrl: url
-      };
-    }
-  }
-  
-  return null;
-};
-
-// Helper function to validate image URLs
-const validateImageUrl = (url) => {
-  if (!url || typeof url !== 'string') return { isValid: false, message: 'URL is required' };
-  
-  try {
-    new URL(url);
-    
-    // Check for image file extensions
-    const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg', '.bmp', '.ico'];
-    const hasImageExtension = imageExtensions.some(ext => 
-      url.toLowerCase().includes(ext)
-    );
-    
-    // Check for known image hosting domains
-    const imageDomains = [
-      'imgur.com', 'i.imgur.com',
-      'unsplash.com', 'images.unsplash.com',
-      'pixabay.com', 'cdn.pixabay.com',
-      'pexels.com', 'images.pexels.com',
-      'githubusercontent.com', 'raw.githubusercontent.com',
-      'cloudinary.com', 'res.cloudinary.com',
-      'amazonaws.com', 's3.amazonaws.com',
-      'googleusercontent.com',
-      'cdn.jsdelivr.net',
-      'cdnjs.cloudflare.com',
-      'wikimedia.org',
-      'freepik.com',
-      'shutterstock.com'
-    ];
-    
-    const isFromImageDomain = imageDomains.some(domain => 
-      url.includes(domain)
-    );
-    
-    // Additional check for data URLs (base64 images)
-    const isDataUrl = url.startsWith('data:image/');
-    
-    return {
-      isValid: hasImageExtension || isFromImageDomain || isDataUrl,
-      hasExtension: hasImageExtension,
-      isFromTrustedDomain: isFromImageDomain,
-      isDataUrl: isDataUrl,
-      message: hasImageExtension || isFromImageDomain || isDataUrl
-        ? 'Valid image URL' 
-        : 'URL should point to an image file or be from a trusted image hosting service'
-    };
-  } catch (error) {
-    return {
-      isValid: false,
-      hasExtension: false,
-      isFromTrustedDomain: false,
-      isDataUrl: false,
-      message: 'Invalid URL format'
-    };
-  }
-};
-
-// Helper function to validate and process embed URLs
-const validateEmbedUrl = (url, service = null) => {
-  if (!url || typeof url !== 'string') return { isValid: false, message: 'URL is required' };
-  
-  try {
-    new URL(url);
-    
-    // YouTube
-    const youtubeData = validateYouTubeUrl(url);
-    if (youtubeData) {
-      return {
-        isValid: true,
-        service: 'youtube',
-        embedUrl: youtubeData.embedUrl,
-        thumbnailUrl: youtubeData.thumbnailUrl,
-        videoId: youtubeData.videoId,
-        originalUrl: url,
-        width: 560,
-        height: 315
-      };
-    }
-    
-    // Vimeo
-    const vimeoMatch = url.match(/vimeo\.com\/(?:video\/)?(\d+)/);
-    if (vimeoMatch) {
-      return {
-        isValid: true,
-        service: 'vimeo',
-        embedUrl: `https://player.vimeo.com/video/${vimeoMatch[1]}`,
-        videoId: vimeoMatch[1],
-        originalUrl: url,
-        width: 640,
-        height: 360
-      };
-    }
-    
-    // CodePen
-    const codepenMatch = url.match(/codepen\.io\/([^\/]+)\/pen\/([^\/\?]+)/);
-    if (codepenMatch) {
-      return {
-        isValid: true,
-        service: 'codepen',
-        embedUrl: `https://codepen.io/${codepenMatch[1]}/embed/${codepenMatch[2]}`,
-        originalUrl: url,
-        width: 800,
-        height: 400
-      };
-    }
-    
-    // Generic iframe support for other services
-    const trustedDomains = [
-      'codesandbox.io',
-      'stackblitz.com',
-      'replit.com',
-      'jsfiddle.net',
-      'slides.com',
-      'docs.google.com',
-      'figma.com'
-    ];
-    
-    const domain = new URL(url).hostname;
-    const isTrustedDomain = trustedDomains.some(trusted => domain.includes(trusted));
-    
-    if (isTrustedDomain) {
-      return {
-        isValid: true,
-        service: 'iframe',
-        embedUrl: url,
-        originalUrl: url,
-        width: 800,
-        height: 600
-      };
-    }
-    
-    return {
-      isValid: false,
-      message: 'URL is not from a supported embed service'
-    };
-    
-  } catch (error) {
-    return {
-      isValid: false,
-      message: 'Invalid URL format'
-    };
-  }
-};
-
-// Helper function to validate and clean lesson content structure for EditorJS
-const validateAndCleanLessonContent = (content) => {
-  if (!content || typeof content !== 'object') {
-    return { 
-      isValid: true, 
-      cleanContent: {
-        time: Date.now(),
-        blocks: [],
-        version: "2.28.2"
-      }
-    };
-  }
-  
-  if (!content.blocks || !Array.isArray(content.blocks)) {
-    return { 
-      isValid: true, 
-      cleanContent: {
-        time: content.time || Date.now(),
-        blocks: [],
-        version: content.version || "2.28.2"
-      }
-    };
-  }
-  
-  // Clean and validate each block
-  const cleanBlocks = [];
-  
-  for (let i = 0; i < content.blocks.length; i++) {
-    const block = content.blocks[i];
-    
-    // Skip undefined, null, or invalid blocks
-    if (!block || typeof block !== 'object') {
-      console.warn(`Skipping invalid block at index ${i}:`, block);
-      continue;
-    }
-    
-    // Check if block has required properties
-    if (!block.type || typeof block.type !== 'string') {
-      console.warn(`Block ${i + 1} has invalid or missing type, defaulting to 'paragraph':`, block);
-      block.type = 'paragraph';
-    }
-    
-    // Ensure block has data object
-    if (!block.data || typeof block.data !== 'object') {
-      block.data = {};
-    }
-    
-    // Process and validate specific block types
-    let processedBlock = {
-      id: block.id || `block_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      type: block.type,
-      data: { ...block.data }
-    };
-    
-    // Handle different block types with enhanced validation
-    switch (block.type) {
-      case 'header':
-        if (block.data.level && (block.data.level < 1 || block.data.level > 6)) {
-          processedBlock.data.level = 2; // Default to h2
-        }
-        break;
-        
-      case 'list':
-        const validStyles = ['ordered', 'unordered', 'checklist'];
-        if (!validStyles.includes(block.data.style)) {
-          processedBlock.data.style = 'unordered';
-        }
-        if (!Array.isArray(block.data.items)) {
-          processedBlock.data.items = [];
-        }
-        break;
-        
-      case 'image':
-        if (block.data.url) {
-          const imageValidation = validateImageUrl(block.data.url);
-          if (imageValidation.isValid) {
-            processedBlock.data.url = block.data.url;
-            processedBlock.data.alt = block.data.alt || block.data.caption || '';
-            processedBlock.data.caption = block.data.caption || '';
-            processedBlock.data.stretched = block.data.stretched || false;
-            processedBlock.data.withBorder = block.data.withBorder || false;
-            processedBlock.data.withBackground = block.data.withBackground || false;
-          } else {
-            console.warn(`Invalid image URL in block ${i + 1}:`, imageValidation.message);
-            // Keep the block but mark it as invalid
-            processedBlock.data.invalid = true;
-            processedBlock.data.invalidReason = imageValidation.message;
-          }
-        }
-        break;
-        
-      case 'video':
-      case 'embed':
-        if (block.data.url || block.data.source) {
-          const url = block.data.url || block.data.source;
-          const embedValidation = validateEmbedUrl(url, block.data.service);
-          
-          if (embedValidation.isValid) {
-            processedBlock.data = {
-              ...processedBlock.data,
-              service: embedValidation.service,
-              url: embedValidation.originalUrl,
-              embed: embedValidation.embedUrl,
-              width: embedValidation.width || block.data.width || 560,
-              height: embedValidation.height || block.data.height || 315,
-              caption: block.data.caption || ''
-            };
-            
-            // Add YouTube-specific data
-            if (embedValidation.service === 'youtube') {
-              processedBlock.data.videoId = embedValidation.videoId;
-              processedBlock.data.thumbnail = embedValidation.thumbnailUrl;
-            }
-          } else {
-            console.warn(`Invalid embed URL in block ${i + 1}:`, embedValidation.message);
-            processedBlock.data.invalid = true;
-            processedBlock.data.invalidReason = embedValidation.message;
-          }
-        }
-        break;
-        
-      case 'code':
-        // Ensure code blocks have proper structure
-        processedBlock.data.code = block.data.code || '';
-        processedBlock.data.language = block.data.language || 'javascript';
-        break;
-        
-      case 'quote':
-        processedBlock.data.text = block.data.text || '';
-        processedBlock.data.caption = block.data.caption || '';
-        processedBlock.data.alignment = block.data.alignment || 'left';
-        break;
-        
-      case 'table':
-        if (!Array.isArray(block.data.content)) {
-          processedBlock.data.content = [['']];
-        }
-        processedBlock.data.withHeadings = block.data.withHeadings || false;
-        break;
-        
-      case 'warning':
-        processedBlock.data.title = block.data.title || 'Warning';
-        processedBlock.data.message = block.data.message || '';
-        break;
-    }
-    
-    cleanBlocks.push(processedBlock);
-  }
-  
-  return { 
-    isValid: true, 
-    cleanContent: {
-      time: content.time || Date.now(),
-      blocks: cleanBlocks,
-      version: content.version || "2.28.2"
-    }
-  };
-};
+import User from '../models/user.model.js';
+import LessonRevision from '../models/lesson.revision.model.js';
+import ReviewComment from '../models/review.comment.model.js';
+import QuizAttempt from '../models/quiz.attempt.model.js';
+import ExerciseResult from '../models/exercise.result.model.js';
+import Asset from '../models/asset.model.js';
+import { addCompletedLesson, removeCompletedLesson, saveCompletion, recalculateCompletion } from '../lib/progress.js';
+import { canOnTutorial, getPermissionScope } from '../lib/permissions.js';
+import { parseSchedule } from '../lib/visibility.js';
+import { rescheduleNow } from '../lib/scheduler.js';
+import { canBypassReview, checkCanPublish } from '../lib/review.js';
+import { getQuizBlocks, hideQuizAnswers, hideAnswerKeys, gradeQuiz } from '../lib/quiz.js';
+import { redactExerciseData, runExercise } from '../lib/exercise.js';
+import { validateImageUrl, validateEmbedUrl, validateAndCleanLessonContent, sanitizeContent } from '../lib/lessonContent.js';
+import { lessonToMarkdown, markdownToLesson } from '../lib/markdown.js';
+import { EXPORT_FORMATS, getExportFilename, generateHTMLFromLesson, generateTextFromLesson } from '../lib/lessonExport.js';
 
 // Helper function to check for duplicate orders
 const checkDuplicateOrder = async (tutorialId, order, excludeLessonId = null) => {
@@ -345,15 +35,43 @@ const checkDuplicateOrder = async (tutorialId, order, excludeLessonId = null) =>
   return existingLesson;
 };
 
-// Helper function to sanitize EditorJS content
-const sanitizeContent = (content) => {
-  const validation = validateAndCleanLessonContent(content);
-  return validation.cleanContent;
+// Helper function to record a content revision without failing the request
+const recordRevision = async (lesson, user, source, { fromDraft = false } = {}) => {
+  try {
+    await LessonRevision.record(lesson, user && user._id, { source, fromDraft });
+  } catch (error) {
+    console.error('Error recording lesson revision:', error);
+  }
+};
+
+// Helper function to hide answers from learners: quiz answers until the quiz
+// was passed or the last attempt used, exercise solutions and hidden test cases always
+// Authors and editors of the tutorial always see the answers
+const hideAnswersFromLearners = async (lessonObjs, user, tutorial = null) => {
+  const learnerLessons = lessonObjs.filter(lessonObj =>
+    lessonObj.content && Array.isArray(lessonObj.content.blocks) &&
+    !canOnTutorial(user, 'lesson:update', tutorial || lessonObj.tutorial)
+  );
+  if (learnerLessons.length === 0) return;
+  
+  const quizLessons = learnerLessons.filter(lessonObj => getQuizBlocks(lessonObj.content).length > 0);
+  const revealed = await QuizAttempt.getRevealedLessons(user && user._id, quizLessons);
+  
+  learnerLessons.forEach(lessonObj => {
+    const content = revealed.has(lessonObj._id.toString()) ? lessonObj.content : hideQuizAnswers(lessonObj.content);
+    
+    lessonObj.content = {
+      ...content,
+      blocks: content.blocks.map(block => (block && block.type === 'exercise' && block.data
+        ? { ...block, data: redactExerciseData(block.data) }
+        : block))
+    };
+  });
 };
 
 // @desc    Validate media URL
 // @route   POST /api/v1/lessons/validate-media
-// @access  Private/Admin
+// @access  Private/Author
 export const validateMediaUrl = async (req, res) => {
   try {
     const { url, type } = req.body;
@@ -399,11 +117,11 @@ export const validateMediaUrl = async (req, res) => {
 
 // @desc    Create new lesson
 // @route   POST /api/v1/tutorials/:tutorialId/lessons
-// @access  Private/Admin
+// @access  Private/Author (own tutorial) or Editor
 export const createLesson = async (req, res) => {
   try {
     const { tutorialId } = req.params;
-    const { title, order, content, duration, isPublished } = req.body;
+    const { title, order, content, duration, isPublished, quizSettings } = req.body;
     
     // Validate required fields
     if (!title || !title.trim()) {
@@ -428,7 +146,7 @@ export const createLesson = async (req, res) => {
     }
     
     // Check if tutorial exists and populate basic info
-    const tutorial = await Tutorial.findById(tutorialId).select('title slug isPublished');
+    const tutorial = await Tutorial.findById(tutorialId).select('title slug isPublished author');
     
     if (!tutorial) {
       return res.status(404).json({ 
@@ -437,8 +155,24 @@ export const createLesson = async (req, res) => {
       });
     }
     
-    // Sanitize and validate content
-    const sanitizedContent = sanitizeContent(content);
+    // Authors can only add lessons to their own tutorials
+    if (!canOnTutorial(req.user, 'lesson:create', tutorial)) {
+      return res.status(403).json({ 
+        success: false,
+        message: 'Not authorized to add lessons to this tutorial' 
+      });
+    }
+    
+    // New lessons go through review unless created by an admin
+    if (isPublished && !canBypassReview(req.user)) {
+      return res.status(403).json({ 
+        success: false,
+        message: 'Not authorized to publish lessons' 
+      });
+    }
+    
+    // Sanitize and validate content, sanitized lists the markup removed from it
+    const { cleanContent: sanitizedContent, sanitized } = validateAndCleanLessonContent(content);
     
     // Check for duplicate order within the same tutorial
     const duplicateOrder = await checkDuplicateOrder(tutorialId, order);
@@ -459,12 +193,17 @@ export const createLesson = async (req, res) => {
       isPublished: isPublished || false
     };
     
+    if (quizSettings) {
+      lessonData.quizSettings = quizSettings;
+    }
+    
     // Set publishedAt if being published
     if (lessonData.isPublished) {
       lessonData.publishedAt = new Date();
     }
     
     const lesson = await Lesson.create(lessonData);
+    await recordRevision(lesson, req.user, 'create');
     
     // Populate tutorial information for response
     await lesson.populate('tutorial', 'title slug isPublished');
@@ -472,7 +211,8 @@ export const createLesson = async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Lesson created successfully',
-      data: lesson
+      data: lesson,
+      sanitized
     });
   } catch (error) {
     console.error('Error in createLesson:', error);
@@ -513,7 +253,7 @@ export const getLessonsByTutorial = async (req, res) => {
     const { tutorialId } = req.params;
     
     // Check if tutorial exists
-    const tutorial = await Tutorial.findById(tutorialId).select('title slug isPublished');
+    const tutorial = await Tutorial.findById(tutorialId).select('title slug isPublished author publishAt unpublishAt');
     
     if (!tutorial) {
       return res.status(404).json({ 
@@ -522,8 +262,10 @@ export const getLessonsByTutorial = async (req, res) => {
       });
     }
     
-    // Only allow admin to see unpublished tutorials
-    if (!tutorial.isPublished && (!req.user || req.user.role !== 'admin')) {
+    const canSeeDrafts = canOnTutorial(req.user, 'lesson:view-drafts', tutorial);
+    
+    // Only allow editors and the tutorial's author to see unpublished tutorials
+    if (!tutorial.isLive() && !canSeeDrafts) {
       return res.status(404).json({ 
         success: false,
         message: 'Tutorial not found' 
@@ -533,9 +275,9 @@ export const getLessonsByTutorial = async (req, res) => {
     // Get lessons
     const query = { tutorial: tutorialId };
     
-    // Only show published lessons for regular users
-    if (!req.user || req.user.role !== 'admin') {
-      query.isPublished = true;
+    // Only show live lessons for regular users
+    if (!canSeeDrafts) {
+      Object.assign(query, Lesson.liveQuery());
     }
     
     const lessons = await Lesson.find(query)
@@ -552,6 +294,8 @@ export const getLessonsByTutorial = async (req, res) => {
       return lessonObj;
     });
     
+    await hideAnswersFromLearners(cleanedLessons, req.user, tutorial);
+    
     res.json({
       success: true,
       message: 'Lessons retrieved successfully',
@@ -593,18 +337,21 @@ export const getLessonById = async (req, res) => {
     }
     
     // Populate tutorial
-    await lesson.populate('tutorial', 'title slug isPublished');
+    await lesson.populate('tutorial', 'title slug isPublished author publishAt unpublishAt');
+    
+    const canSeeDrafts = canOnTutorial(req.user, 'lesson:view-drafts', lesson.tutorial);
     
-    // Only allow admin to see unpublished lessons
-    if (!lesson.isPublished && (!req.user || req.user.role !== 'admin')) {
+    // Only allow editors and the tutorial's author to see unpublished lessons,
+    // scheduled times count even if the scheduler has not run yet
+    if (!lesson.isLive() && !canSeeDrafts) {
       return res.status(404).json({ 
         success: false,
         message: 'Lesson not found' 
       });
     }
     
-    // Only allow admin to see lessons from unpublished tutorials
-    if (!lesson.tutorial.isPublished && (!req.user || req.user.role !== 'admin')) {
+    // Only allow editors and the tutorial's author to see lessons from unpublished tutorials
+    if (!lesson.tutorial.isLive() && !canSeeDrafts) {
       return res.status(404).json({ 
         success: false,
         message: 'Lesson not found' 
@@ -618,6 +365,8 @@ export const getLessonById = async (req, res) => {
       lessonObj.content = validation.cleanContent;
     }
     
+    await hideAnswersFromLearners([lessonObj], req.user);
+    
     res.json({
       success: true,
       message: 'Lesson retrieved successfully',
@@ -635,13 +384,13 @@ export const getLessonById = async (req, res) => {
 
 // @desc    Update lesson
 // @route   PUT /api/v1/lessons/:id
-// @access  Private/Admin
+// @access  Private/Author (own tutorial) or Editor
 export const updateLesson = async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, order, content, duration, isPublished } = req.body;
+    const { title, order, content, duration, isPublished, quizSettings } = req.body;
     
-    const lesson = await Lesson.findById(id).populate('tutorial', 'title slug');
+    const lesson = await Lesson.findById(id).select('+draft').populate('tutorial', 'title slug author');
     
     if (!lesson) {
       return res.status(404).json({ 
@@ -650,6 +399,31 @@ export const updateLesson = async (req, res) => {
       });
     }
     
+    // Authors can only edit lessons of their own tutorials
+    if (!canOnTutorial(req.user, 'lesson:update', lesson.tutorial)) {
+      return res.status(403).json({ 
+        success: false,
+        message: 'Not authorized to edit this lesson' 
+      });
+    }
+    
+    if (isPublished !== undefined && isPublished !== lesson.isPublished &&
+        !canOnTutorial(req.user, 'lesson:publish', lesson.tutorial)) {
+      return res.status(403).json({ 
+        success: false,
+        message: 'Not authorized to publish lessons' 
+      });
+    }
+    
+    // Publishing requires an approved review (admins excepted)
+    const publishError = isPublished === true && !lesson.isPublished && checkCanPublish(req.user, lesson);
+    if (publishError) {
+      return res.status(400).json({ 
+        success: false,
+        message: publishError 
+      });
+    }
+    
     // Validate fields if they're being updated
     if (title !== undefined && (!title || !title.trim())) {
       return res.status(400).json({ 
@@ -672,12 +446,6 @@ export const updateLesson = async (req, res) => {
       });
     }
     
-    // Validate and sanitize content if being updated
-    if (content !== undefined) {
-      const sanitizedContent = sanitizeContent(content);
-      lesson.content = sanitizedContent;
-    }
-    
     // Check for duplicate order if order is being changed
     if (order !== undefined && order !== lesson.order) {
       const duplicateOrder = await checkDuplicateOrder(lesson.tutorial._id, order, lesson._id);
@@ -689,30 +457,70 @@ export const updateLesson = async (req, res) => {
       }
     }
     
-    // Update fields
-    if (title !== undefined) lesson.title = title.trim();
+    // Collect draftable changes (content is validated and sanitized)
+    const changes = {};
+    let sanitized = [];
+    if (title !== undefined) changes.title = title.trim();
+    if (duration !== undefined) changes.duration = parseInt(duration);
+    if (content !== undefined) {
+      ({ cleanContent: changes.content, sanitized } = validateAndCleanLessonContent(content));
+    }
+    
+    // Unpublishing merges the pending draft first, the changes below apply on top of it
+    if (lesson.isPublished && isPublished === false) {
+      lesson.publishDraft();
+    }
+    
+    // Edits to a lesson that stays published go to its draft,
+    // so learners keep seeing the published version
+    const savedAsDraft = lesson.isPublished && isPublished !== false && Object.keys(changes).length > 0;
+    
+    if (savedAsDraft) {
+      lesson.updateDraft(changes, req.user._id);
+    } else {
+      Object.assign(lesson, changes);
+    }
+    
     if (order !== undefined) lesson.order = parseInt(order);
-    if (duration !== undefined) lesson.duration = parseInt(duration);
+    
+    // Quiz settings apply right away, they are not part of the draft
+    if (quizSettings) {
+      if (quizSettings.passingScore !== undefined) {
+        lesson.quizSettings.passingScore = Number(quizSettings.passingScore);
+      }
+      if (quizSettings.requiredForCompletion !== undefined) {
+        lesson.quizSettings.requiredForCompletion = Boolean(quizSettings.requiredForCompletion);
+      }
+      if (quizSettings.maxAttempts !== undefined) {
+        lesson.quizSettings.maxAttempts = quizSettings.maxAttempts === null ? null : Number(quizSettings.maxAttempts);
+      }
+    }
     
     // Handle publishing status
     if (isPublished !== undefined && isPublished !== lesson.isPublished) {
-      lesson.isPublished = isPublished;
       if (isPublished) {
+        lesson.isPublished = isPublished;
+        lesson.publishDraft();
         lesson.publishedAt = new Date();
       } else {
-        lesson.publishedAt = undefined;
+        lesson.unpublishNow();
       }
     }
     
     const updatedLesson = await lesson.save();
     
+    if (content !== undefined) {
+      await recordRevision(updatedLesson, req.user, 'update', { fromDraft: savedAsDraft });
+    }
+    
     // Re-populate for response
     await updatedLesson.populate('tutorial', 'title slug isPublished');
     
     res.json({
       success: true,
       message: 'Lesson updated successfully',
-      data: updatedLesson
+      data: updatedLesson,
+      sanitized
     });
   } catch (error) {
     console.error('Error in updateLesson:', error);
@@ -747,12 +555,12 @@ export const updateLesson = async (req, res) => {
 
 // @desc    Delete lesson
 // @route   DELETE /api/v1/lessons/:id
-// @access  Private/Admin
+// @access  Private/Author (own tutorial) or Editor
 export const deleteLesson = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const lesson = await Lesson.findById(id).populate('tutorial', 'title');
+    const lesson = await Lesson.findById(id).populate('tutorial', 'title author');
     
     if (!lesson) {
       return res.status(404).json({ 
@@ -761,6 +569,13 @@ export const deleteLesson = async (req, res) => {
       });
     }
     
+    if (!canOnTutorial(req.user, 'lesson:delete', lesson.tutorial)) {
+      return res.status(403).json({ 
+        success: false,
+        message: 'Not authorized to delete this lesson' 
+      });
+    }
+    
     // Store lesson info for response
     const lessonInfo = {
       title: lesson.title,
@@ -768,6 +583,11 @@ export const deleteLesson = async (req, res) => {
     };
     
     await Lesson.deleteOne({ _id: id });
+    await LessonRevision.deleteMany({ lesson: id });
+    await ReviewComment.deleteMany({ targetModel: 'Lesson', target: id });
+    await QuizAttempt.deleteMany({ lesson: id });
+    await ExerciseResult.deleteMany({ lesson: id });
+    await Asset.removeLessonUsages([lesson._id]);
     
     res.json({ 
       success: true,
@@ -786,13 +606,13 @@ export const deleteLesson = async (req, res) => {
 
 // @desc    Update lesson content only
 // @route   PUT /api/v1/lessons/:id/content
-// @access  Private/Admin
+// @access  Private/Author (own tutorial) or Editor
 export const updateLessonContent = async (req, res) => {
   try {
     const { id } = req.params;
     const { content } = req.body;
     
-    const lesson = await Lesson.findById(id);
+    const lesson = await Lesson.findById(id).select('+draft').populate('tutorial', 'author');
     
     if (!lesson) {
       return res.status(404).json({ 
@@ -801,15 +621,35 @@ export const updateLessonContent = async (req, res) => {
       });
     }
     
-    // Sanitize and validate content
-    const sanitizedContent = sanitizeContent(content);
-    lesson.content = sanitizedContent;
+    if (!canOnTutorial(req.user, 'lesson:update', lesson.tutorial)) {
+      return res.status(403).json({ 
+        success: false,
+        message: 'Not authorized to edit this lesson' 
+      });
+    }
+    
+    // Sanitize and validate content, sanitized lists the markup removed from it
+    const { cleanContent: sanitizedContent, sanitized } = validateAndCleanLessonContent(content);
+    
+    // Published lessons are edited through their draft
+    const savedAsDraft = lesson.isPublished;
+    if (savedAsDraft) {
+      lesson.updateDraft({ content: sanitizedContent }, req.user._id);
+    } else {
+      lesson.content = sanitizedContent;
+    }
+    
     const updatedLesson = await lesson.save();
+    await recordRevision(updatedLesson, req.user, 'content', { fromDraft: savedAsDraft });
     
     res.json({
       success: true,
-      message: 'Lesson content updated successfully',
-      data: updatedLesson
+      message: savedAsDraft
+        ? 'Lesson draft saved successfully'
+        : 'Lesson content updated successfully',
+      savedAsDraft,
+      data: updatedLesson,
+      sanitized
     });
   } catch (error) {
     console.error('Error in updateLessonContent:', error);
@@ -823,7 +663,7 @@ export const updateLessonContent = async (req, res) => {
 
 // @desc    Duplicate lesson
 // @route   POST /api/v1/lessons/:id/duplicate
-// @access  Private/Admin
+// @access  Private/Author (own tutorial) or Editor
 export const duplicateLesson = async (req, res) => {
   try {
     const { id } = req.params;
@@ -837,6 +677,13 @@ export const duplicateLesson = async (req, res) => {
       });
     }
     
+    if (!canOnTutorial(req.user, 'lesson:create', originalLesson.tutorial)) {
+      return res.status(403).json({ 
+        success: false,
+        message: 'Not authorized to add lessons to this tutorial' 
+      });
+    }
+    
     // Find the next available order number in the same tutorial
     const lastLesson = await Lesson.findOne({ tutorial: originalLesson.tutorial._id })
       .sort({ order: -1 });
@@ -853,10 +700,12 @@ export const duplicateLesson = async (req, res) => {
       tutorial: originalLesson.tutorial._id,
       content: cleanContent,
       duration: originalLesson.duration,
+      quizSettings: originalLesson.quizSettings,
       isPublished: false // Always create copies as drafts
     };
     
     const duplicatedLesson = await Lesson.create(duplicateData);
+    await recordRevision(duplicatedLesson, req.user, 'duplicate');
     await duplicatedLesson.populate('tutorial', 'title slug isPublished');
     
     res.status(201).json({
@@ -884,11 +733,20 @@ export const getAllLessons = async (req, res) => {
     // Build query
     const query = {};
     
-    // Only show published lessons for regular users
-    if (!req.user || req.user.role !== 'admin') {
-      query.isPublished = true;
-    } else if (published !== undefined) {
-      query.isPublished = published === 'true';
+    // Only show published lessons for regular users,
+    // authors also see drafts of their own tutorials
+    const draftScope = getPermissionScope(req.user, 'lesson:view-drafts');
+    
+    if (!draftScope) {
+      query.$and = [Lesson.liveQuery()];
+    } else {
+      if (published !== undefined) {
+        query.isPublished = published === 'true';
+      }
+      if (draftScope === 'own') {
+        const ownTutorials = await Tutorial.find({ author: req.user._id }).distinct('_id');
+        query.$and = [{ $or: [Lesson.liveQuery(), { tutorial: { $in: ownTutorials } }] }];
+      }
     }
     
     if (tutorial) {
@@ -906,7 +764,7 @@ export const getAllLessons = async (req, res) => {
     
     // Get lessons with pagination
     const lessons = await Lesson.find(query)
-      .populate('tutorial', 'title slug isPublished')
+      .populate('tutorial', 'title slug isPublished author')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -921,6 +779,8 @@ export const getAllLessons = async (req, res) => {
       return lessonObj;
     });
     
+    await hideAnswersFromLearners(cleanedLessons, req.user);
+    
     res.json({
       success: true,
       message: 'Lessons retrieved successfully',
@@ -941,7 +801,7 @@ export const getAllLessons = async (req, res) => {
   }
 };
 
-// @desc    Toggle lesson publish status
+// @desc    Toggle lesson publish status, bypassing review
 // @route   PUT /api/v1/lessons/:id/toggle-publish
 // @access  Private/Admin
 export const togglePublishStatus = async (req, res) => {
@@ -949,7 +809,7 @@ export const togglePublishStatus = async (req, res) => {
     const { id } = req.params;
     const { isPublished } = req.body;
     
-    const lesson = await Lesson.findById(id);
+    const lesson = await Lesson.findById(id).select('+draft');
     
     if (!lesson) {
       return res.status(404).json({ 
@@ -958,11 +818,14 @@ export const togglePublishStatus = async (req, res) => {
       });
     }
     
-    lesson.isPublished = isPublished;
     if (isPublished) {
+      // Pending draft changes go live with the lesson
+      lesson.isPublished = isPublished;
+      lesson.publishDraft();
       lesson.publishedAt = new Date();
     } else {
-      lesson.publishedAt = undefined;
+      // Pending draft changes are kept in the live lesson
+      lesson.unpublishNow();
     }
     
     const updatedLesson = await lesson.save();
@@ -982,15 +845,12 @@ export const togglePublishStatus = async (req, res) => {
   }
 };
 
-// @desc    Export lesson in different formats
-// @route   GET /api/v1/lessons/:id/export
-// @access  Private/Admin
-export const exportLesson = async (req, res) => {
+// @desc    Schedule lesson publishing/unpublishing
+// @route   PUT /api/v1/lessons/:id/schedule
+// @access  Private/Editor
+export const scheduleLesson = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { format = 'json' } = req.query; // json, html, text
-    
-    const lesson = await Lesson.findById(id).populate('tutorial', 'title slug');
+    const lesson = await Lesson.findById(req.params.id);
     
     if (!lesson) {
       return res.status(404).json({ 
@@ -999,49 +859,36 @@ export const exportLesson = async (req, res) => {
       });
     }
     
-    // Clean content before export
-    const cleanContent = sanitizeContent(lesson.content);
-    
-    let exportData;
+    const schedule = parseSchedule(req.body, lesson);
+    if (schedule.error) {
+      return res.status(400).json({ 
+        success: false,
+        message: schedule.error 
+      });
+    }
     
-    switch (format) {
-      case 'json':
-        exportData = {
-          title: lesson.title,
-          order: lesson.order,
-          duration: lesson.duration,
-          content: cleanContent,
-          tutorial: lesson.tutorial.title,
-          isPublished: lesson.isPublished,
-          createdAt: lesson.createdAt,
-          updatedAt: lesson.updatedAt
-        };
-        break;
-        
-      case 'html':
-        const lessonWithCleanContent = { ...lesson.toObject(), content: cleanContent };
-        exportData = generateHTMLFromLesson(lessonWithCleanContent);
-        break;
-        
-      case 'text':
-        const lessonWithCleanContentText = { ...lesson.toObject(), content: cleanContent };
-        exportData = generateTextFromLesson(lessonWithCleanContentText);
-        break;
-        
-      default:
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid export format. Use json, html, or text.'
-        });
+    // Only approved content can be scheduled to go live
+    const publishError = schedule.publishAt && req.body.publishAt !== undefined && checkCanPublish(req.user, lesson);
+    if (publishError) {
+      return res.status(400).json({ 
+        success: false,
+        message: publishError 
+      });
     }
     
+    lesson.publishAt = schedule.publishAt || undefined;
+    lesson.unpublishAt = schedule.unpublishAt || undefined;
+    
+    const updatedLesson = await lesson.save();
+    rescheduleNow();
+    
     res.json({
       success: true,
-      message: 'Lesson exported successfully',
-      data: exportData
+      message: 'Lesson schedule updated successfully',
+      data: updatedLesson
     });
   } catch (error) {
-    console.error('Error in exportLesson:', error);
+    console.error('Error in scheduleLesson:', error);
     res.status(500).json({ 
       success: false,
       message: 'Server error', 
@@ -1050,204 +897,791 @@ export const exportLesson = async (req, res) => {
   }
 };
 
-// Helper function to generate HTML from lesson content
-const generateHTMLFromLesson = (lesson) => {
-  let html = `<!DOCTYPE html>
-<html>
-<head>
-    <title>${lesson.title}</title>
-    <meta charset="UTF-8">
-    <style>
-        body { font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; }
-        h1, h2, h3, h4, h5, h6 { color: #333; }
-        code { background: #f4f4f4; padding: 2px 4px; border-radius: 3px; }
-        pre { background: #f4f4f4; padding: 10px; border-radius: 5px; overflow-x: auto; }
-        blockquote { border-left: 4px solid #ddd; margin-left: 0; padding-left: 20px; }
-        table { border-collapse: collapse; width: 100%; }
-        th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
-        th { background-color: #f2f2f2; }
-        .embed-container { position: relative; padding-bottom: 56.25%; height: 0; overflow: hidden; max-width: 100%; }
-        .embed-container iframe { position: absolute; top: 0; left: 0; width: 100%; height: 100%; }
-        img { max-width: 100%; height: auto; }
-    </style>
-</head>
-<body>
-    <h1>${lesson.title}</h1>
-    <p><strong>Duration:</strong> ${lesson.duration} minutes</p>
-    <p><strong>Tutorial:</strong> ${lesson.tutorial.title}</p>
-    <hr>
-`;
-
-  if (lesson.content && lesson.content.blocks) {
-    lesson.content.blocks.forEach(block => {
-      if (!block || !block.type) return; // Skip invalid blocks
-      
-      switch (block.type) {
-        case 'header':
-          html += `<h${block.data?.level || 2}>${block.data?.text || ''}</h${block.data?.level || 2}>`;
-          break;
-        case 'paragraph':
-          html += `<p>${block.data?.text || ''}</p>`;
-          break;
-        case 'list':
-          const tag = block.data?.style === 'ordered' ? 'ol' : 'ul';
-          html += `<${tag}>`;
-          if (block.data?.items) {
-            block.data.items.forEach(item => {
-              const content = typeof item === 'string' ? item : item?.content || '';
-              html += `<li>${content}</li>`;
-            });
-          }
-          html += `</${tag}>`;
-          break;
-        case 'code':
-          html += `<pre><code class="language-${block.data?.language || 'javascript'}">${block.data?.code || ''}</code></pre>`;
-          break;
-        case 'quote':
-          html += `<blockquote><p>${block.data?.text || ''}</p>`;
-          if (block.data?.caption) {
-            html += `<cite>— ${block.data.caption}</cite>`;
-          }
-          html += `</blockquote>`;
-          break;
-        case 'image':
-          if (block.data?.url && !block.data?.invalid) {
-            html += `<figure>`;
-            html += `<img src="${block.data.url}" alt="${block.data?.alt || ''}" />`;
-            if (block.data?.caption) {
-              html += `<figcaption>${block.data.caption}</figcaption>`;
-            }
-            html += `</figure>`;
-          }
-          break;
-        case 'video':
-        case 'embed':
-          if (block.data?.embed && !block.data?.invalid) {
-            html += `<div class="embed-container">`;
-            html += `<iframe src="${block.data.embed}" frameborder="0" allowfullscreen></iframe>`;
-            html += `</div>`;
-            if (block.data?.caption) {
-              html += `<p><em>${block.data.caption}</em></p>`;
-            }
-          }
-          break;
-        case 'delimiter':
-          html += `<hr>`;
-          break;
-        case 'table':
-          if (block.data?.content) {
-            html += `<table>`;
-            block.data.content.forEach((row, index) => {
-              html += `<tr>`;
-              row.forEach(cell => {
-                const tag = block.data?.withHeadings && index === 0 ? 'th' : 'td';
-                html += `<${tag}>${cell}</${tag}>`;
-              });
-              html += `</tr>`;
-            });
-            html += `</table>`;
-          }
-          break;
-        default:
-          // Handle other block types or skip
-          break;
-      }
-    });
-  }
-
-  html += `
-</body>
-</html>`;
+// Helper function to load a lesson the current user is allowed to see
+const findVisibleLesson = async (id, user) => {
+  const lesson = await Lesson.findById(id).populate('tutorial', 'title slug isPublished author publishAt unpublishAt');
 
-  return html;
-};
-
-// Helper function to generate plain text from lesson content
-const generateTextFromLesson = (lesson) => {
-  let text = `${lesson.title}\n`;
-  text += `${'='.repeat(lesson.title.length)}\n\n`;
-  text += `Duration: ${lesson.duration} minutes\n`;
-  text += `Tutorial: ${lesson.tutorial.title}\n\n`;
+  if (!lesson || !lesson.tutorial) return null;
 
-  if (lesson.content && lesson.content.blocks) {
-    lesson.content.blocks.forEach(block => {
-      if (!block || !block.type) return; // Skip invalid blocks
-      
-      switch (block.type) {
-        case 'header':
-          const level = block.data?.level || 2;
-          text += `\n${'#'.repeat(level)} ${block.data?.text || ''}\n\n`;
-          break;
-        case 'paragraph':
-          text += `${block.data?.text || ''}\n\n`;
-          break;
-        case 'list':
-          if (block.data?.items) {
-            block.data.items.forEach((item, index) => {
-              const content = typeof item === 'string' ? item : item?.content || '';
-              const prefix = block.data?.style === 'ordered' ? `${index + 1}. ` : '• ';
-              text += `${prefix}${content}\n`;
-            });
-          }
-          text += `\n`;
-          break;
-        case 'code':
-          text += `\`\`\`${block.data?.language || ''}\n${block.data?.code || ''}\n\`\`\`\n\n`;
-          break;
-        case 'quote':
-          text += `> ${block.data?.text || ''}\n`;
-          if (block.data?.caption) {
-            text += `> — ${block.data.caption}\n`;
-          }
-          text += `\n`;
-          break;
-        case 'image':
-          if (block.data?.url && !block.data?.invalid) {
-            text += `[Image: ${block.data?.alt || block.data?.caption || 'Image'}]\n`;
-            text += `URL: ${block.data.url}\n\n`;
-          }
-          break;
-        case 'video':
-        case 'embed':
-          if (block.data?.url && !block.data?.invalid) {
-            text += `[${block.data?.service || 'Video'}: ${block.data?.caption || 'Embedded content'}]\n`;
-            text += `URL: ${block.data.url}\n\n`;
-          }
-          break;
-        case 'delimiter':
-          text += `\n---\n\n`;
-          break;
-        default:
-          // Handle other block types or skip
-          break;
-      }
-    });
+  const canSeeDrafts = canOnTutorial(user, 'lesson:view-drafts', lesson.tutorial);
+  if (!canSeeDrafts && (!lesson.isLive() || !lesson.tutorial.isLive())) {
+    return null;
   }
 
-  return text;
+  return lesson;
 };
 
-// @desc    Reorder lessons within a tutorial
-// @route   PUT /api/v1/tutorials/:tutorialId/lessons/reorder
-// @access  Private/Admin
-export const reorderLessons = async (req, res) => {
+// @desc    Mark lesson as completed for the current user
+// @route   POST /api/v1/lessons/:id/complete
+// @access  Private
+export const markLessonComplete = async (req, res) => {
   try {
-    const { tutorialId } = req.params;
-    const { lessonOrders } = req.body; // Array of {lessonId, order}
-    
-    if (!Array.isArray(lessonOrders)) {
-      return res.status(400).json({ 
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
         success: false,
-        message: 'Lesson orders must be an array' 
+        message: 'Invalid lesson id'
       });
     }
-    
-    // Check if tutorial exists
-    const tutorial = await Tutorial.findById(tutorialId);
-    if (!tutorial) {
-      return res.status(404).json({ 
+
+    const lesson = await findVisibleLesson(id, req.user);
+
+    if (!lesson) {
+      return res.status(404).json({
         success: false,
-        message: 'Tutorial not found' 
+        message: 'Lesson not found'
+      });
+    }
+
+    // Some lessons require a passing quiz score first
+    if (lesson.quizSettings.requiredForCompletion && getQuizBlocks(lesson.content).length > 0 &&
+        !(await QuizAttempt.hasPassed(req.user._id, lesson._id))) {
+      return res.status(400).json({
+        success: false,
+        message: `Pass the lesson quiz with at least ${lesson.quizSettings.passingScore}% to complete this lesson`
+      });
+    }
+
+    const { added, entry } = await addCompletedLesson(req.user._id, lesson.tutorial._id, lesson._id);
+    const progress = await saveCompletion(req.user._id, entry);
+
+    // Only count the first completion per user
+    if (added) {
+      await lesson.incrementCompletions();
+    }
+
+    res.json({
+      success: true,
+      message: added ? 'Lesson marked as completed' : 'Lesson already completed',
+      data: progress
+    });
+  } catch (error) {
+    console.error('Error in markLessonComplete:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove lesson completion for the current user
+// @route   DELETE /api/v1/lessons/:id/complete
+// @access  Private
+export const markLessonIncomplete = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid lesson id'
+      });
+    }
+
+    const lesson = await findVisibleLesson(id, req.user);
+
+    if (!lesson) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lesson not found'
+      });
+    }
+
+    const { removed, entry } = await removeCompletedLesson(req.user._id, lesson.tutorial._id, lesson._id);
+
+    // Tutorials that were never started keep no progress entry
+    const progress = entry
+      ? await saveCompletion(req.user._id, entry)
+      : await recalculateCompletion({ tutorial: lesson.tutorial._id, completedLessons: [], lastAccessed: null });
+
+    if (removed) {
+      await lesson.decrementCompletions();
+    }
+
+    res.json({
+      success: true,
+      message: removed ? 'Lesson marked as not completed' : 'Lesson was not completed',
+      data: progress
+    });
+  } catch (error) {
+    console.error('Error in markLessonIncomplete:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Submit answers to the lesson quiz and get them graded
+// @route   POST /api/v1/lessons/:id/quiz/attempts
+// @access  Private
+export const submitQuizAttempt = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { answers } = req.body;
+
+    const lesson = await findVisibleLesson(id, req.user);
+
+    if (!lesson) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lesson not found'
+      });
+    }
+
+    const { passingScore, maxAttempts } = lesson.quizSettings;
+    const [previousAttempts, passedBefore] = await Promise.all([
+      QuizAttempt.countDocuments({ user: req.user._id, lesson: lesson._id }),
+      QuizAttempt.hasPassed(req.user._id, lesson._id)
+    ]);
+
+    if (maxAttempts && previousAttempts >= maxAttempts) {
+      return res.status(403).json({
+        success: false,
+        message: 'No quiz attempts left'
+      });
+    }
+
+    // Learners answer the published content
+    const grade = gradeQuiz(lesson.toObject().content, answers);
+
+    if (grade.error) {
+      return res.status(400).json({
+        success: false,
+        message: grade.error
+      });
+    }
+
+    const passed = grade.percentage >= passingScore;
+    const attemptNumber = previousAttempts + 1;
+
+    let attempt;
+    try {
+      attempt = await QuizAttempt.create({
+        user: req.user._id,
+        lesson: lesson._id,
+        attemptNumber,
+        answers: hideAnswerKeys(grade.results),
+        score: grade.score,
+        total: grade.total,
+        percentage: grade.percentage,
+        passed
+      });
+    } catch (error) {
+      // Attempt numbers are unique per learner and lesson
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'Another attempt was submitted at the same time, please try again'
+        });
+      }
+      throw error;
+    }
+
+    // The answers are shown once the quiz is passed or the last attempt used
+    const answersRevealed = passed || passedBefore || Boolean(maxAttempts && attemptNumber >= maxAttempts);
+
+    res.status(201).json({
+      success: true,
+      message: passed ? 'Quiz passed' : 'Quiz not passed',
+      data: {
+        attemptId: attempt._id,
+        attemptNumber,
+        attemptsLeft: maxAttempts ? Math.max(maxAttempts - attemptNumber, 0) : null,
+        score: attempt.score,
+        total: attempt.total,
+        percentage: attempt.percentage,
+        passed,
+        passingScore,
+        answersRevealed,
+        results: answersRevealed ? grade.results : hideAnswerKeys(grade.results)
+      }
+    });
+  } catch (error) {
+    console.error('Error in submitQuizAttempt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the current user's quiz attempts for a lesson
+// @route   GET /api/v1/lessons/:id/quiz/attempts
+// @access  Private
+export const getQuizAttempts = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const lesson = await findVisibleLesson(id, req.user);
+
+    if (!lesson) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lesson not found'
+      });
+    }
+
+    const attempts = await QuizAttempt.find({ user: req.user._id, lesson: lesson._id })
+      .sort({ createdAt: -1 });
+
+    const bestPercentage = attempts.reduce((best, attempt) => Math.max(best, attempt.percentage), 0);
+    const { passingScore, requiredForCompletion, maxAttempts } = lesson.quizSettings;
+
+    res.json({
+      success: true,
+      message: 'Quiz attempts retrieved successfully',
+      data: {
+        attempts,
+        bestPercentage,
+        passed: attempts.some(attempt => attempt.passed),
+        passingScore,
+        requiredForCompletion,
+        maxAttempts,
+        attemptsLeft: maxAttempts ? Math.max(maxAttempts - attempts.length, 0) : null
+      }
+    });
+  } catch (error) {
+    console.error('Error in getQuizAttempts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Run learner code against an exercise block's test cases
+// @route   POST /api/v1/lessons/:id/exercises/:blockId/submit
+// @access  Private
+export const submitExercise = async (req, res) => {
+  try {
+    const { id, blockId } = req.params;
+    const { code } = req.body;
+
+    const lesson = await findVisibleLesson(id, req.user);
+
+    if (!lesson) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lesson not found'
+      });
+    }
+
+    // Learners work on the published content
+    const blocks = (lesson.toObject().content || {}).blocks || [];
+    const block = blocks.find(contentBlock => contentBlock.type === 'exercise' && contentBlock.id === blockId);
+
+    if (!block || block.data.invalid) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exercise not found'
+      });
+    }
+
+    const run = await runExercise(block.data, code);
+
+    if (run.error) {
+      return res.status(400).json({
+        success: false,
+        message: run.error
+      });
+    }
+
+    const result = await ExerciseResult.recordSubmission(req.user._id, lesson._id, blockId, {
+      passed: run.passed,
+      total: run.total,
+      code
+    });
+
+    res.json({
+      success: true,
+      message: run.passed === run.total ? 'All tests passed' : `${run.passed} of ${run.total} tests passed`,
+      data: {
+        ...run,
+        best: {
+          passed: result.bestPassed,
+          total: result.total,
+          solved: result.solved,
+          attempts: result.attempts
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error in submitExercise:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the current user's best exercise results for a lesson
+// @route   GET /api/v1/lessons/:id/exercises/results
+// @access  Private
+export const getExerciseResults = async (req, res) => {
+  try {
+    const lesson = await findVisibleLesson(req.params.id, req.user);
+
+    if (!lesson) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lesson not found'
+      });
+    }
+
+    const results = await ExerciseResult.find({ user: req.user._id, lesson: lesson._id })
+      .select('-user -lesson');
+
+    res.json({
+      success: true,
+      message: 'Exercise results retrieved successfully',
+      data: results
+    });
+  } catch (error) {
+    console.error('Error in getExerciseResults:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Preview lesson draft
+// @route   GET /api/v1/lessons/:id/draft
+// @access  Private/Author (own tutorial) or Editor
+export const getLessonDraft = async (req, res) => {
+  try {
+    const lesson = await Lesson.findById(req.params.id)
+      .select('+draft')
+      .populate('tutorial', 'title slug isPublished author');
+    
+    if (!lesson) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Lesson not found' 
+      });
+    }
+    
+    if (!canOnTutorial(req.user, 'lesson:update', lesson.tutorial)) {
+      return res.status(403).json({ 
+        success: false,
+        message: 'Not authorized to view this draft' 
+      });
+    }
+    
+    const preview = { ...lesson.toObject(), ...lesson.getWorkingCopy(), isDraftPreview: true };
+    preview.draftUpdatedAt = lesson.draft ? lesson.draft.updatedAt : null;
+    delete preview.draft;
+    preview.content = validateAndCleanLessonContent(preview.content).cleanContent;
+    
+    res.json({
+      success: true,
+      message: 'Lesson draft retrieved successfully',
+      data: preview
+    });
+  } catch (error) {
+    console.error('Error in getLessonDraft:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Publish lesson draft
+// @route   POST /api/v1/lessons/:id/draft/publish
+// @access  Private/Editor
+export const publishLessonDraft = async (req, res) => {
+  try {
+    const lesson = await Lesson.findById(req.params.id).select('+draft');
+    
+    if (!lesson) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Lesson not found' 
+      });
+    }
+    
+    if (!lesson.hasDraft) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Lesson has no draft to publish' 
+      });
+    }
+    
+    const publishError = checkCanPublish(req.user, lesson);
+    if (publishError) {
+      return res.status(400).json({ 
+        success: false,
+        message: publishError 
+      });
+    }
+    
+    lesson.publishDraft();
+    const updatedLesson = await lesson.save();
+    await recordRevision(updatedLesson, req.user, 'publish');
+    
+    res.json({
+      success: true,
+      message: 'Lesson draft published successfully',
+      data: updatedLesson
+    });
+  } catch (error) {
+    console.error('Error in publishLessonDraft:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Discard lesson draft
+// @route   DELETE /api/v1/lessons/:id/draft
+// @access  Private/Author (own tutorial) or Editor
+export const discardLessonDraft = async (req, res) => {
+  try {
+    const lesson = await Lesson.findById(req.params.id)
+      .select('+draft')
+      .populate('tutorial', 'author');
+    
+    if (!lesson) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Lesson not found' 
+      });
+    }
+    
+    if (!canOnTutorial(req.user, 'lesson:update', lesson.tutorial)) {
+      return res.status(403).json({ 
+        success: false,
+        message: 'Not authorized to edit this lesson' 
+      });
+    }
+    
+    lesson.discardDraft();
+    const updatedLesson = await lesson.save();
+    
+    res.json({
+      success: true,
+      message: 'Lesson draft discarded successfully',
+      data: updatedLesson
+    });
+  } catch (error) {
+    console.error('Error in discardLessonDraft:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+};
+
+// Content types that pick an export format through the Accept header
+const ACCEPTED_EXPORT_TYPES = {
+  'application/json': 'json',
+  'text/html': 'html',
+  'text/markdown': 'markdown',
+  'text/plain': 'text'
+};
+
+// Helper function to pick the export format from ?format= or the Accept header.
+// Asking for a file type in the Accept header, or ?download=1, returns the file itself
+const negotiateExport = (req) => {
+  const download = ['1', 'true'].includes(req.query.download);
+  if (req.query.format) return { format: req.query.format, download };
+  
+  const format = ACCEPTED_EXPORT_TYPES[req.accepts(Object.keys(ACCEPTED_EXPORT_TYPES))] || 'json';
+  return { format, download: download || format !== 'json' };
+};
+
+// @desc    Export lesson in different formats
+// @route   GET /api/v1/lessons/:id/export
+// @access  Private/Author (own tutorial) or Editor
+export const exportLesson = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format, download } = negotiateExport(req); // json, html, text, markdown
+    
+    const lesson = await Lesson.findById(id).populate('tutorial', 'title slug author');
+    
+    if (!lesson) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Lesson not found' 
+      });
+    }
+    
+    if (!canOnTutorial(req.user, 'lesson:update', lesson.tutorial)) {
+      return res.status(403).json({ 
+        success: false,
+        message: 'Not authorized to export this lesson' 
+      });
+    }
+    
+    // Clean content before export
+    const cleanContent = sanitizeContent(lesson.content);
+    
+    let exportData;
+    
+    switch (format) {
+      case 'json':
+        exportData = {
+          title: lesson.title,
+          order: lesson.order,
+          duration: lesson.duration,
+          content: cleanContent,
+          tutorial: lesson.tutorial.title,
+          isPublished: lesson.isPublished,
+          createdAt: lesson.createdAt,
+          updatedAt: lesson.updatedAt
+        };
+        break;
+        
+      case 'html':
+        const lessonWithCleanContent = { ...lesson.toObject(), content: cleanContent };
+        // The other lessons of the tutorial, for the page's navigation
+        const tutorialLessons = await Lesson.find({ tutorial: lesson.tutorial._id })
+          .select('title slug order')
+          .sort({ order: 1 });
+        exportData = generateHTMLFromLesson(lessonWithCleanContent, { lessons: tutorialLessons });
+        break;
+        
+      case 'text':
+        const lessonWithCleanContentText = { ...lesson.toObject(), content: cleanContent };
+        exportData = generateTextFromLesson(lessonWithCleanContentText);
+        break;
+        
+      case 'markdown':
+        exportData = lessonToMarkdown({ ...lesson.toObject(), content: cleanContent });
+        break;
+        
+      default:
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid export format. Use json, html, text, or markdown.'
+        });
+    }
+    
+    // Send the file itself, named after the lesson
+    if (download) {
+      const file = typeof exportData === 'string' ? exportData : JSON.stringify(exportData, null, 2);
+      
+      res.set({
+        'Content-Type': `${EXPORT_FORMATS[format].contentType}; charset=utf-8`,
+        'Content-Disposition': `attachment; filename="${getExportFilename(lesson, format)}"`,
+        // Strong validator, so clients download the file again only when it changed
+        ETag: `"${crypto.createHash('sha1').update(file).digest('hex')}"`,
+        'Cache-Control': 'private, no-cache'
+      });
+      return res.send(file);
+    }
+    
+    res.json({
+      success: true,
+      message: 'Lesson exported successfully',
+      data: exportData
+    });
+  } catch (error) {
+    console.error('Error in exportLesson:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Import lesson from Markdown
+// @route   POST /api/v1/tutorials/:tutorialId/lessons/import
+// @access  Private/Author (own tutorial) or Editor
+export const importLesson = async (req, res) => {
+  try {
+    const { tutorialId } = req.params;
+    
+    // Markdown comes as a text/markdown body or as { markdown, order } JSON
+    const isText = typeof req.body === 'string';
+    const body = isText ? {} : (req.body || {});
+    const markdown = isText ? req.body : body.markdown;
+    const order = body.order ?? req.query.order;
+    
+    if (typeof markdown !== 'string' || !markdown.trim()) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Markdown is required' 
+      });
+    }
+    
+    const tutorial = await Tutorial.findById(tutorialId).select('title slug isPublished author');
+    
+    if (!tutorial) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Tutorial not found' 
+      });
+    }
+    
+    if (!canOnTutorial(req.user, 'lesson:create', tutorial)) {
+      return res.status(403).json({ 
+        success: false,
+        message: 'Not authorized to add lessons to this tutorial' 
+      });
+    }
+    
+    const { attributes, content, warnings } = markdownToLesson(markdown);
+    
+    // Without a title in the front matter, a leading top-level header is the title
+    let title = typeof attributes.title === 'string' ? attributes.title.trim() : '';
+    const firstBlock = content.blocks[0];
+    if (!title && firstBlock && firstBlock.type === 'header' && firstBlock.data.level === 1) {
+      title = firstBlock.data.text.replace(/<[^>]*>/g, '').trim();
+      content.blocks.shift();
+    }
+    
+    if (!title) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Lesson title is required. Set it in the front matter or start with a "# Title" header.' 
+      });
+    }
+    
+    const lessonData = {
+      title,
+      tutorial: tutorialId,
+      isPublished: false // Imported lessons start as drafts
+    };
+    
+    if (attributes.duration !== undefined) {
+      const duration = parseInt(attributes.duration);
+      if (!duration || duration < 1) {
+        return res.status(400).json({ 
+          success: false,
+          message: 'Duration must be a positive number' 
+        });
+      }
+      lessonData.duration = duration;
+    }
+    
+    if (attributes.difficulty !== undefined) {
+      const difficulties = Lesson.schema.path('difficulty').enumValues;
+      if (!difficulties.includes(attributes.difficulty)) {
+        return res.status(400).json({ 
+          success: false,
+          message: `Difficulty must be one of: ${difficulties.join(', ')}` 
+        });
+      }
+      lessonData.difficulty = attributes.difficulty;
+    }
+    
+    if (attributes.keywords !== undefined) {
+      const keywords = Array.isArray(attributes.keywords) ? attributes.keywords : String(attributes.keywords).split(',');
+      lessonData.keywords = keywords.map(keyword => String(keyword).trim()).filter(Boolean);
+    }
+    
+    if (order !== undefined && order !== null && order !== '') {
+      lessonData.order = parseInt(order);
+      if (!lessonData.order || lessonData.order < 1) {
+        return res.status(400).json({ 
+          success: false,
+          message: 'Order must be a positive number' 
+        });
+      }
+      
+      const duplicateOrder = await checkDuplicateOrder(tutorialId, lessonData.order);
+      if (duplicateOrder) {
+        return res.status(400).json({ 
+          success: false,
+          message: `A lesson with order ${lessonData.order} already exists in this tutorial. Please choose a different order.` 
+        });
+      }
+    } else {
+      // Append after the last lesson of the tutorial
+      const lastLesson = await Lesson.findOne({ tutorial: tutorialId }).sort({ order: -1 });
+      lessonData.order = lastLesson ? lastLesson.order + 1 : 1;
+    }
+    
+    // Imported blocks go through the same validation as the editor's
+    lessonData.content = sanitizeContent(content);
+    
+    lessonData.content.blocks.forEach((block, index) => {
+      if (block.data.invalid) {
+        warnings.push(`Block ${index + 1} (${block.type}): ${block.data.invalidReason}`);
+      }
+    });
+    
+    const lesson = await Lesson.create(lessonData);
+    await recordRevision(lesson, req.user, 'import');
+    await lesson.populate('tutorial', 'title slug isPublished');
+    
+    res.status(201).json({
+      success: true,
+      message: 'Lesson imported successfully',
+      data: lesson,
+      warnings
+    });
+  } catch (error) {
+    console.error('Error in importLesson:', error);
+    
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ 
+        success: false,
+        message: 'Validation failed',
+        errors: validationErrors
+      });
+    }
+    
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A lesson with this order already exists in the tutorial'
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Reorder lessons within a tutorial
+// @route   PUT /api/v1/tutorials/:tutorialId/lessons/reorder
+// @access  Private/Author (own tutorial) or Editor
+export const reorderLessons = async (req, res) => {
+  try {
+    const { tutorialId } = req.params;
+    const { lessonOrders } = req.body; // Array of {lessonId, order}
+    
+    if (!Array.isArray(lessonOrders)) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Lesson orders must be an array' 
+      });
+    }
+    
+    // Check if tutorial exists
+    const tutorial = await Tutorial.findById(tutorialId);
+    if (!tutorial) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Tutorial not found' 
+      });
+    }
+    
+    if (!canOnTutorial(req.user, 'lesson:update', tutorial)) {
+      return res.status(403).json({ 
+        success: false,
+        message: 'Not authorized to reorder lessons in this tutorial' 
       });
     }
     
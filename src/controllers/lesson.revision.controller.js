@@ -0,0 +1,248 @@
+// src/controllers/lesson.revision.controller.js
+import Lesson from '../models/lesson.model.js';
+import LessonRevision from '../models/lesson.revision.model.js';
+import { canOnTutorial } from '../lib/permissions.js';
+import { diffBlocks } from '../lib/blockDiff.js';
+import { validateAndCleanLessonContent } from '../lib/lessonContent.js';
+
+// Helper function to read a revision number, null if not a positive integer
+const parseRevisionNumber = (value) => (/^\d+$/.test(String(value)) && Number(value) > 0 ? Number(value) : null);
+
+// Helper function to load a lesson the current user may edit
+// Sends the error response and returns null if not allowed
+const findEditableLesson = async (req, res) => {
+  const lesson = await Lesson.findById(req.params.id)
+    .select('+draft')
+    .populate('tutorial', 'title slug author');
+
+  if (!lesson) {
+    res.status(404).json({
+      success: false,
+      message: 'Lesson not found'
+    });
+    return null;
+  }
+
+  if (!canOnTutorial(req.user, 'lesson:update', lesson.tutorial)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to view the history of this lesson'
+    });
+    return null;
+  }
+
+  return lesson;
+};
+
+// Helper function to get the blocks being edited (draft if any), without Mongoose ids
+const currentBlocks = (lesson) => {
+  const content = lesson.getWorkingCopy().content || {};
+  return (content.blocks || []).map(({ _id, ...block }) => block);
+};
+
+// @desc    List revisions of a lesson
+// @route   GET /api/v1/lessons/:id/revisions
+// @access  Private/Author (own tutorial) or Editor
+export const getLessonRevisions = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const lesson = await findEditableLesson(req, res);
+    if (!lesson) return;
+
+    const total = await LessonRevision.countDocuments({ lesson: lesson._id });
+
+    const revisions = await LessonRevision.find({ lesson: lesson._id })
+      .select('-blocks')
+      .populate('author', 'username')
+      .sort({ revision: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    res.json({
+      success: true,
+      message: 'Revisions retrieved successfully',
+      data: revisions,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error in getLessonRevisions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a single revision with its block snapshot
+// @route   GET /api/v1/lessons/:id/revisions/:rev
+// @access  Private/Author (own tutorial) or Editor
+export const getLessonRevision = async (req, res) => {
+  try {
+    const revisionNumber = parseRevisionNumber(req.params.rev);
+    if (!revisionNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid revision number'
+      });
+    }
+
+    const lesson = await findEditableLesson(req, res);
+    if (!lesson) return;
+
+    const revision = await LessonRevision.findOne({ lesson: lesson._id, revision: revisionNumber })
+      .populate('author', 'username');
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Revision retrieved successfully',
+      data: revision
+    });
+  } catch (error) {
+    console.error('Error in getLessonRevision:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Block-level diff between two revisions (or a revision and the current content)
+// @route   GET /api/v1/lessons/:id/revisions/diff?from=&to=
+// @access  Private/Author (own tutorial) or Editor
+export const diffLessonRevisions = async (req, res) => {
+  try {
+    const { from, to = 'current' } = req.query;
+
+    if (!from) {
+      return res.status(400).json({
+        success: false,
+        message: 'The "from" revision is required'
+      });
+    }
+
+    if ([from, to].some(rev => rev !== 'current' && !parseRevisionNumber(rev))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Revisions must be revision numbers or "current"'
+      });
+    }
+
+    const lesson = await findEditableLesson(req, res);
+    if (!lesson) return;
+
+    const loadBlocks = async (rev) => {
+      if (rev === 'current') return currentBlocks(lesson);
+      const revision = await LessonRevision.findOne({ lesson: lesson._id, revision: parseRevisionNumber(rev) }).select('blocks');
+      return revision ? revision.blocks : null;
+    };
+
+    const [fromBlocks, toBlocks] = await Promise.all([loadBlocks(from), loadBlocks(to)]);
+
+    if (!fromBlocks || !toBlocks) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Diff generated successfully',
+      data: {
+        from,
+        to,
+        ...diffBlocks(fromBlocks, toBlocks)
+      }
+    });
+  } catch (error) {
+    console.error('Error in diffLessonRevisions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Restore lesson content from a revision
+// @route   POST /api/v1/lessons/:id/revisions/:rev/restore
+// @access  Private/Author (own tutorial) or Editor
+export const restoreLessonRevision = async (req, res) => {
+  try {
+    const revisionNumber = parseRevisionNumber(req.params.rev);
+    if (!revisionNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid revision number'
+      });
+    }
+
+    const lesson = await findEditableLesson(req, res);
+    if (!lesson) return;
+
+    const revision = await LessonRevision.findOne({ lesson: lesson._id, revision: revisionNumber });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    // Revisions may predate the current sanitizer, so the blocks are cleaned like an edit
+    const { cleanContent: restoredContent, sanitized } = validateAndCleanLessonContent({
+      time: Date.now(),
+      blocks: revision.toObject().blocks,
+      version: revision.editorVersion || lesson.content.version
+    });
+
+    // Published lessons are restored into their draft
+    const savedAsDraft = lesson.isPublished;
+    if (savedAsDraft) {
+      lesson.updateDraft({ content: restoredContent }, req.user._id);
+    } else {
+      lesson.content = restoredContent;
+    }
+
+    const updatedLesson = await lesson.save();
+
+    // Restoring is itself recorded, so it can be undone
+    const newRevision = await LessonRevision.record(updatedLesson, req.user._id, {
+      source: 'restore',
+      restoredFrom: revisionNumber,
+      fromDraft: savedAsDraft
+    });
+
+    res.json({
+      success: true,
+      message: `Lesson restored to revision ${revisionNumber}`,
+      savedAsDraft,
+      data: {
+        lesson: updatedLesson,
+        revision: newRevision.revision
+      },
+      sanitized
+    });
+  } catch (error) {
+    console.error('Error in restoreLessonRevision:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
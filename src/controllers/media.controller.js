@@ -0,0 +1,577 @@
+// src/controllers/media.controller.js
+import path from 'path';
+import mongoose from 'mongoose';
+import Asset, { ASSET_KINDS } from '../models/asset.model.js';
+import Lesson from '../models/lesson.model.js';
+import Tutorial from '../models/tutorial.model.js';
+import LessonRevision from '../models/lesson.revision.model.js';
+import { checkUpload, cleanFileName } from '../lib/media.js';
+import { getStorageDriver } from '../lib/mediaStorage.js';
+import { rebuildAssetUsages, checkReplacementUrl, replaceAssetInBlocks } from '../lib/assets.js';
+import { canViewDrafts } from '../lib/permissions.js';
+import { UPLOAD_FIELDS } from '../middleware/upload.middleware.js';
+
+// Orphans younger than this are left out of the report, they may be
+// uploads whose lesson has not been saved yet
+const ORPHAN_MIN_AGE_HOURS = 24;
+
+// Helper function to escape user input used in a regex
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper function to find the uploaded file and its kind
+const getUploadedFile = (files = {}) => {
+  const field = Object.keys(UPLOAD_FIELDS).find(name => files[name] && files[name][0]);
+  return field ? { file: files[field][0], kind: UPLOAD_FIELDS[field] } : null;
+};
+
+// Helper function to load an asset by id
+// Sends the error response and returns null if not found
+const findAsset = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: 'Invalid asset id' });
+    return null;
+  }
+
+  const asset = await Asset.findById(id);
+  if (!asset) {
+    res.status(404).json({ success: false, message: 'Asset not found' });
+    return null;
+  }
+
+  return asset;
+};
+
+// Helper function to list the lessons using an asset, leaving out lessons
+// of tutorials whose drafts the user may not see
+const describeUsages = async (asset, user) => {
+  const lessonIds = [...new Set(asset.usages.map(usage => usage.lesson.toString()))];
+  const lessons = await Lesson.find({ _id: { $in: lessonIds } })
+    .select('title slug isPublished publishAt unpublishAt tutorial')
+    .populate('tutorial', 'title slug isPublished author');
+
+  return lessons
+    .filter(lesson => lesson.isLive() || canViewDrafts(user, lesson.tutorial))
+    .map(lesson => {
+      const usages = asset.usages.filter(usage => usage.lesson.toString() === lesson._id.toString());
+      return {
+        lesson: { _id: lesson._id, title: lesson.title, slug: lesson.slug, isPublished: lesson.isPublished },
+        tutorial: lesson.tutorial && { _id: lesson.tutorial._id, title: lesson.tutorial.title, slug: lesson.tutorial.slug },
+        inLive: usages.some(usage => !usage.draft),
+        inDraft: usages.some(usage => usage.draft),
+        blockIds: [...new Set(usages.flatMap(usage => usage.blockIds))]
+      };
+    });
+};
+
+// Helper function to find which asset URLs are still referenced outside of
+// lesson content: as a tutorial image or by old lesson revisions (which could
+// be restored). Returns { inTutorials, inRevisions } as Sets of URLs
+const findOtherReferences = async (urls) => {
+  const [tutorialImages, revisionUrls, revisionFileUrls] = await Promise.all([
+    Tutorial.distinct('image', { image: { $in: urls } }),
+    LessonRevision.distinct('blocks.data.url', { 'blocks.data.url': { $in: urls } }),
+    LessonRevision.distinct('blocks.data.file.url', { 'blocks.data.file.url': { $in: urls } })
+  ]);
+
+  return {
+    inTutorials: new Set(tutorialImages),
+    inRevisions: new Set([...revisionUrls, ...revisionFileUrls])
+  };
+};
+
+// Helper function to shape an asset for list responses
+const summarizeAsset = (asset) => {
+  const { usages, ...rest } = asset.toObject();
+  return rest;
+};
+
+// @desc    Upload an image or attachment for lesson content
+// @route   POST /api/v1/media/upload
+// @access  Private/Author or Editor
+// Send multipart form data with an "image" field (image block) or a "file"
+// field (attaches block), and optionally "alt" as the default alt text of an
+// image. The response is what those EditorJS tools expect.
+export const uploadMedia = async (req, res) => {
+  try {
+    const upload = getUploadedFile(req.files);
+
+    if (!upload) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded, send multipart form data with an "image" or "file" field'
+      });
+    }
+
+    const { file, kind } = upload;
+    const check = checkUpload(file, kind);
+
+    if (check.status) {
+      return res.status(check.status).json({
+        success: false,
+        message: check.message
+      });
+    }
+
+    const driver = getStorageDriver();
+    const stored = await driver.save({
+      buffer: file.buffer,
+      kind,
+      extension: check.extension,
+      contentType: check.contentType,
+      baseUrl: `${req.protocol}://${req.get('host')}`
+    });
+
+    const name = cleanFileName(file.originalname);
+    const alt = req.body && typeof req.body.alt === 'string' ? req.body.alt.trim().slice(0, 300) : '';
+
+    const asset = await Asset.create({
+      url: stored.url,
+      kind,
+      source: 'upload',
+      name,
+      defaultAlt: kind === 'image' ? alt : '',
+      contentType: check.contentType,
+      size: stored.size,
+      width: stored.width,
+      height: stored.height,
+      storage: driver.name,
+      storageKey: stored.key,
+      uploadedBy: req.user._id
+    });
+
+    console.log(`📎 ${kind} uploaded by ${req.user.username} to ${driver.name} storage: ${stored.key}`);
+
+    const details = kind === 'image'
+      ? {
+          url: stored.url,
+          name,
+          alt: asset.defaultAlt,
+          size: stored.size,
+          contentType: check.contentType,
+          width: stored.width,
+          height: stored.height
+        }
+      : {
+          url: stored.url,
+          name,
+          title: name,
+          size: stored.size,
+          extension: path.extname(name).slice(1).toLowerCase() || check.extension.slice(1),
+          contentType: check.contentType
+        };
+
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully',
+      file: { ...details, assetId: asset._id, key: stored.key, storage: driver.name }
+    });
+  } catch (error) {
+    console.error('Error in uploadMedia:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading file'
+    });
+  }
+};
+
+// @desc    Browse and search the media library
+// @route   GET /api/v1/media?q=&kind=&source=&used=&page=&limit=
+// @access  Private/Author or Editor
+export const getAssets = async (req, res) => {
+  try {
+    const { q, kind, source, used } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 24, 1), 100);
+
+    const query = {};
+
+    if (kind) {
+      if (!ASSET_KINDS.includes(kind)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid kind, use one of: ${ASSET_KINDS.join(', ')}`
+        });
+      }
+      query.kind = kind;
+    }
+
+    if (source === 'upload' || source === 'reference') {
+      query.source = source;
+    }
+
+    if (used === 'true') {
+      query['usages.0'] = { $exists: true };
+    } else if (used === 'false') {
+      query.usages = { $size: 0 };
+    }
+
+    if (q && typeof q === 'string' && q.trim()) {
+      const pattern = escapeRegex(q.trim());
+      query.$or = ['url', 'name', 'defaultAlt'].map(field => ({ [field]: { $regex: pattern, $options: 'i' } }));
+    }
+
+    const total = await Asset.countDocuments(query);
+    const assets = await Asset.find(query)
+      .populate('uploadedBy', 'username')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    res.json({
+      success: true,
+      message: 'Assets retrieved successfully',
+      data: assets.map(summarizeAsset),
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error in getAssets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get an asset with the lessons using it
+// @route   GET /api/v1/media/:id
+// @access  Private/Author or Editor
+export const getAsset = async (req, res) => {
+  try {
+    const asset = await findAsset(req, res);
+    if (!asset) return;
+
+    await asset.populate('uploadedBy', 'username');
+
+    res.json({
+      success: true,
+      message: 'Asset retrieved successfully',
+      data: {
+        ...summarizeAsset(asset),
+        usedIn: await describeUsages(asset, req.user)
+      }
+    });
+  } catch (error) {
+    console.error('Error in getAsset:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update the name or default alt text of an asset
+// @route   PATCH /api/v1/media/:id
+// @access  Private/Editor
+export const updateAsset = async (req, res) => {
+  try {
+    const asset = await findAsset(req, res);
+    if (!asset) return;
+
+    const { name, defaultAlt } = req.body;
+
+    if (name !== undefined) asset.name = name;
+    if (defaultAlt !== undefined) {
+      if (asset.kind !== 'image') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only images have alt text'
+        });
+      }
+      asset.defaultAlt = defaultAlt;
+    }
+
+    const updatedAsset = await asset.save();
+
+    res.json({
+      success: true,
+      message: 'Asset updated successfully',
+      data: summarizeAsset(updatedAsset)
+    });
+  } catch (error) {
+    console.error('Error in updateAsset:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Replace an asset everywhere it is used
+// @route   POST /api/v1/media/:id/replace
+// @access  Private/Editor
+// Send { url } or { assetId } of the replacement, with dryRun to only list
+// the lessons that would change. Live content and drafts are both updated.
+export const replaceAsset = async (req, res) => {
+  try {
+    const asset = await findAsset(req, res);
+    if (!asset) return;
+
+    const { url, assetId } = req.body;
+    const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+
+    let replacement;
+    if (assetId) {
+      if (!mongoose.Types.ObjectId.isValid(assetId)) {
+        return res.status(400).json({ success: false, message: 'Invalid replacement asset id' });
+      }
+      replacement = await Asset.findById(assetId);
+      if (!replacement) {
+        return res.status(404).json({ success: false, message: 'Replacement asset not found' });
+      }
+      if (replacement.kind !== asset.kind) {
+        return res.status(400).json({
+          success: false,
+          message: `Replacement must be of kind ${asset.kind}, not ${replacement.kind}`
+        });
+      }
+    } else if (typeof url === 'string' && url.trim()) {
+      replacement = { url: url.trim(), defaultAlt: asset.defaultAlt };
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Replacement url or assetId is required'
+      });
+    }
+
+    if (replacement.url === asset.url) {
+      return res.status(400).json({
+        success: false,
+        message: 'The replacement is the same as the asset'
+      });
+    }
+
+    const check = checkReplacementUrl(asset.kind, replacement.url);
+    if (check.error) {
+      return res.status(400).json({
+        success: false,
+        message: check.error
+      });
+    }
+
+    const details = {
+      url: check.embed ? check.embed.originalUrl : replacement.url,
+      defaultAlt: replacement.defaultAlt,
+      name: replacement.name,
+      size: replacement.size,
+      embed: check.embed
+    };
+
+    const lessonIds = [...new Set(asset.usages.map(usage => usage.lesson.toString()))];
+    const lessons = await Lesson.find({ _id: { $in: lessonIds } }).select('+draft');
+    const report = [];
+
+    for (const lesson of lessons) {
+      const liveBlocks = replaceAssetInBlocks(lesson.content && lesson.content.blocks, asset.url, details);
+      const draftBlocks = lesson.hasDraft && lesson.draft && lesson.draft.content
+        ? replaceAssetInBlocks(lesson.draft.content.blocks, asset.url, details)
+        : [];
+
+      if (liveBlocks.length === 0 && draftBlocks.length === 0) continue;
+
+      report.push({
+        lesson: { _id: lesson._id, title: lesson.title, slug: lesson.slug },
+        liveBlocks,
+        draftBlocks
+      });
+
+      if (dryRun) continue;
+
+      if (liveBlocks.length > 0) lesson.markModified('content');
+      if (draftBlocks.length > 0) lesson.markModified('draft');
+      await lesson.save();
+
+      try {
+        if (liveBlocks.length > 0) {
+          await LessonRevision.record(lesson, req.user._id, { source: 'replace-media' });
+        }
+        if (draftBlocks.length > 0) {
+          await LessonRevision.record(lesson, req.user._id, { source: 'replace-media', fromDraft: true });
+        }
+      } catch (error) {
+        console.error('Error recording lesson revision:', error);
+      }
+    }
+
+    if (!dryRun) {
+      console.log(`🔁 Asset ${asset.url} replaced with ${details.url} in ${report.length} lessons by ${req.user.username}`);
+    }
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `Replacing would change ${report.length} lessons`
+        : `Asset replaced in ${report.length} lessons`,
+      data: {
+        dryRun,
+        from: asset.url,
+        to: details.url,
+        lessons: report
+      }
+    });
+  } catch (error) {
+    console.error('Error in replaceAsset:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Report assets no lesson uses
+// @route   GET /api/v1/media/orphans?minAgeHours=
+// @access  Private/Editor
+// Orphans still referenced as a tutorial image or by old lesson revisions
+// (which could be restored) are reported but not marked safe to delete.
+export const getOrphanedAssets = async (req, res) => {
+  try {
+    const minAgeHours = Math.max(parseFloat(req.query.minAgeHours) || ORPHAN_MIN_AGE_HOURS, 0);
+    const cutoff = new Date(Date.now() - minAgeHours * 60 * 60 * 1000);
+
+    const assets = await Asset.find({ usages: { $size: 0 }, updatedAt: { $lte: cutoff } })
+      .populate('uploadedBy', 'username')
+      .sort({ createdAt: 1 });
+    const { inTutorials, inRevisions } = await findOtherReferences(assets.map(asset => asset.url));
+
+    const orphans = assets.map(asset => {
+      const usedByTutorial = inTutorials.has(asset.url);
+      const usedByRevision = inRevisions.has(asset.url);
+      return {
+        ...summarizeAsset(asset),
+        usedByTutorial,
+        usedByRevision,
+        safeToDelete: !usedByTutorial && !usedByRevision
+      };
+    });
+
+    const safe = orphans.filter(orphan => orphan.safeToDelete);
+
+    res.json({
+      success: true,
+      message: `${orphans.length} orphaned assets, ${safe.length} safe to delete`,
+      data: {
+        minAgeHours,
+        total: orphans.length,
+        safeToDelete: safe.length,
+        reclaimableBytes: safe
+          .filter(orphan => orphan.source === 'upload')
+          .reduce((total, orphan) => total + (orphan.size || 0), 0),
+        assets: orphans
+      }
+    });
+  } catch (error) {
+    console.error('Error in getOrphanedAssets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete an unused asset, and its file if it was uploaded
+// @route   DELETE /api/v1/media/:id
+// @access  Private/Editor
+// Only assets the orphan report marks safe to delete can be deleted
+export const deleteAsset = async (req, res) => {
+  try {
+    const asset = await findAsset(req, res);
+    if (!asset) return;
+
+    if (asset.usages.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Asset is used by ${asset.usageCount} lessons, replace it first`
+      });
+    }
+
+    const { inTutorials, inRevisions } = await findOtherReferences([asset.url]);
+
+    if (inTutorials.has(asset.url)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Asset is used as a tutorial image, replace it first'
+      });
+    }
+
+    if (inRevisions.has(asset.url)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Asset is used by lesson revisions that could be restored'
+      });
+    }
+
+    // A lesson saved in the meantime may have started using the asset
+    const { deletedCount } = await Asset.deleteOne({ _id: asset._id, usages: { $size: 0 } });
+
+    if (deletedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Asset is used by a lesson, replace it first'
+      });
+    }
+
+    if (asset.source === 'upload' && asset.storage && asset.storageKey) {
+      await getStorageDriver(asset.storage).remove(asset.storageKey, asset.kind);
+    }
+
+    res.json({
+      success: true,
+      message: 'Asset deleted successfully',
+      data: { _id: asset._id, url: asset.url }
+    });
+  } catch (error) {
+    console.error('Error in deleteAsset:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Rebuild the lesson usages of all assets from lesson content
+// @route   POST /api/v1/media/rescan
+// @access  Private/Editor
+// Also records media of lessons written before the library existed
+export const rescanAssets = async (req, res) => {
+  try {
+    const lessons = await rebuildAssetUsages(Lesson.find().select('+draft').cursor());
+
+    const [total, unused] = await Promise.all([
+      Asset.countDocuments(),
+      Asset.countDocuments({ usages: { $size: 0 } })
+    ]);
+
+    res.json({
+      success: true,
+      message: `Scanned ${lessons} lessons`,
+      data: { lessons, assets: total, unused }
+    });
+  } catch (error) {
+    console.error('Error in rescanAssets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
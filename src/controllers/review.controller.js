@@ -0,0 +1,494 @@
+// src/controllers/review.controller.js
+import mongoose from 'mongoose';
+import Lesson from '../models/lesson.model.js';
+import Tutorial from '../models/tutorial.model.js';
+import User from '../models/user.model.js';
+import LessonRevision from '../models/lesson.revision.model.js';
+import ReviewComment from '../models/review.comment.model.js';
+import { canOnTutorial, getPermissionScope } from '../lib/permissions.js';
+import {
+  REVIEW_STATUSES,
+  REVIEW_ACTION_NAMES,
+  getReviewStatus,
+  getActionPermission,
+  checkReviewAction
+} from '../lib/review.js';
+
+// Reviewable content types, keyed by the :type route parameter
+const REVIEW_TYPES = {
+  lessons: { Model: Lesson, modelName: 'Lesson', resource: 'lesson' },
+  tutorials: { Model: Tutorial, modelName: 'Tutorial', resource: 'tutorial' }
+};
+
+// Helper function to get the tutorial that owns a review item
+const getOwningTutorial = (type, doc) => (type === 'lessons' ? doc.tutorial : doc);
+
+// Helper function to check if a user may review a content type in general
+const canReviewType = (user, type) => getPermissionScope(user, `${REVIEW_TYPES[type].resource}:review`) === 'any';
+
+// Helper function to load the lesson or tutorial under review
+// Sends the error response and returns null if not found or not allowed
+const findReviewItem = async (req, res) => {
+  const { type, id } = req.params;
+  const config = REVIEW_TYPES[type];
+
+  if (!config) {
+    res.status(404).json({ message: 'Unknown content type' });
+    return null;
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(404).json({ message: `${config.modelName} not found` });
+    return null;
+  }
+
+  let query = config.Model.findById(id).select('+draft');
+  if (type === 'lessons') {
+    query = query.populate('tutorial', 'title slug author isPublished');
+  }
+
+  const doc = await query;
+
+  if (!doc || (type === 'lessons' && !doc.tutorial)) {
+    res.status(404).json({ message: `${config.modelName} not found` });
+    return null;
+  }
+
+  const tutorial = getOwningTutorial(type, doc);
+  const canReview = canOnTutorial(req.user, `${config.resource}:review`, tutorial);
+  const canEdit = canOnTutorial(req.user, `${config.resource}:update`, tutorial);
+
+  if (!canReview && !canEdit) {
+    res.status(403).json({ message: `Not authorized to review this ${config.resource}` });
+    return null;
+  }
+
+  return { doc, config, tutorial, canReview, canEdit };
+};
+
+// Helper function to validate a reviewer assignment
+// Returns null if valid, or an error message
+const validateReviewer = async (reviewerId, type) => {
+  if (!mongoose.Types.ObjectId.isValid(reviewerId)) return 'Reviewer not found';
+
+  const reviewer = await User.findById(reviewerId).select('role isDisabled');
+
+  if (!reviewer || reviewer.isDisabled) return 'Reviewer not found';
+  if (!canReviewType(reviewer, type)) return 'Assigned reviewer must be an editor or admin';
+
+  return null;
+};
+
+// Helper function to get the EditorJS block ids a lesson comment may refer to
+const getBlockIds = (lesson) => {
+  const content = lesson.getWorkingCopy().content || {};
+  return new Set((content.blocks || []).map(block => block.id).filter(Boolean));
+};
+
+// Helper function to build the summary of an item in a review list
+const toQueueItem = (type, doc, openComments) => ({
+  type: type === 'lessons' ? 'lesson' : 'tutorial',
+  _id: doc._id,
+  title: doc.title,
+  slug: doc.slug,
+  tutorial: type === 'lessons' ? doc.tutorial : undefined,
+  author: type === 'tutorials' ? doc.author : undefined,
+  reviewStatus: getReviewStatus(doc),
+  reviewer: doc.reviewer,
+  reviewRequestedAt: doc.reviewRequestedAt,
+  isPublished: doc.isPublished,
+  hasDraft: doc.hasDraft,
+  openComments: openComments.get(doc._id.toString()) || 0
+});
+
+// Helper function to load review items of every requested type, oldest request first
+const findQueueItems = async (types, buildQuery, fetchLimit) => {
+  const results = await Promise.all(types.map(async (type) => {
+    const { Model, modelName } = REVIEW_TYPES[type];
+    const query = await buildQuery(type);
+
+    let find = Model.find(query)
+      .select('title slug tutorial author reviewStatus reviewer reviewRequestedAt isPublished hasDraft')
+      .populate('reviewer', 'username')
+      .sort({ reviewRequestedAt: 1, updatedAt: 1 })
+      .limit(fetchLimit);
+
+    find = type === 'lessons'
+      ? find.populate('tutorial', 'title slug')
+      : find.populate('author', 'username');
+
+    const [total, docs] = await Promise.all([Model.countDocuments(query), find]);
+    const openComments = await ReviewComment.countOpen(modelName, docs.map(doc => doc._id));
+
+    return { total, items: docs.map(doc => toQueueItem(type, doc, openComments)) };
+  }));
+
+  const items = results
+    .flatMap(result => result.items)
+    .sort((a, b) => (a.reviewRequestedAt || 0) - (b.reviewRequestedAt || 0));
+
+  return { total: results.reduce((sum, result) => sum + result.total, 0), items };
+};
+
+// Helper function to parse list pagination and type filters
+const parseListQuery = (query) => {
+  const { type = 'all', page = 1, limit = 20 } = query;
+
+  if (type !== 'all' && !REVIEW_TYPES[type]) {
+    return { error: 'Invalid type. Use "lessons", "tutorials" or "all"' };
+  }
+
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const limitNumber = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  return {
+    types: type === 'all' ? Object.keys(REVIEW_TYPES) : [type],
+    pageNumber,
+    limitNumber
+  };
+};
+
+// @desc    List items awaiting review
+// @route   GET /api/v1/reviews?type=&status=&reviewer=
+// @access  Private/Editor
+export const getReviewQueue = async (req, res) => {
+  try {
+    const { status = 'in_review', reviewer } = req.query;
+
+    const list = parseListQuery(req.query);
+    if (list.error) {
+      return res.status(400).json({ message: list.error });
+    }
+
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Invalid status. Use one of: ${REVIEW_STATUSES.join(', ')}` });
+    }
+
+    const types = list.types.filter(type => canReviewType(req.user, type));
+    if (types.length === 0) {
+      return res.status(403).json({ message: 'Not authorized to review content' });
+    }
+
+    const filter = { reviewStatus: status };
+    if (reviewer === 'me') {
+      filter.reviewer = req.user._id;
+    } else if (reviewer === 'unassigned') {
+      filter.reviewer = null;
+    } else if (reviewer) {
+      if (!mongoose.Types.ObjectId.isValid(reviewer)) {
+        return res.status(400).json({ message: 'Invalid reviewer' });
+      }
+      filter.reviewer = reviewer;
+    }
+
+    const { pageNumber, limitNumber } = list;
+    const { total, items } = await findQueueItems(types, () => filter, pageNumber * limitNumber);
+
+    res.json({
+      items: items.slice((pageNumber - 1) * limitNumber, pageNumber * limitNumber),
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / limitNumber)
+      }
+    });
+  } catch (error) {
+    console.error('Error in getReviewQueue:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    List the current user's own content that is in review
+// @route   GET /api/v1/reviews/mine?type=
+// @access  Private/Author
+export const getMyReviewItems = async (req, res) => {
+  try {
+    const list = parseListQuery(req.query);
+    if (list.error) {
+      return res.status(400).json({ message: list.error });
+    }
+
+    const ownTutorials = await Tutorial.find({ author: req.user._id }).distinct('_id');
+    const reviewStatus = { $in: ['in_review', 'changes_requested', 'approved'] };
+
+    const { pageNumber, limitNumber } = list;
+    const { total, items } = await findQueueItems(
+      list.types,
+      (type) => (type === 'lessons'
+        ? { tutorial: { $in: ownTutorials }, reviewStatus }
+        : { _id: { $in: ownTutorials }, reviewStatus }),
+      pageNumber * limitNumber
+    );
+
+    res.json({
+      items: items.slice((pageNumber - 1) * limitNumber, pageNumber * limitNumber),
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / limitNumber)
+      }
+    });
+  } catch (error) {
+    console.error('Error in getMyReviewItems:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get the review state and comments of a lesson or tutorial
+// @route   GET /api/v1/reviews/:type/:id
+// @access  Private/Author (own tutorial) or Editor
+export const getReview = async (req, res) => {
+  try {
+    const item = await findReviewItem(req, res);
+    if (!item) return;
+
+    const { doc, config } = item;
+
+    await doc.populate([
+      { path: 'reviewer', select: 'username' },
+      { path: 'reviewedBy', select: 'username' }
+    ]);
+
+    const comments = await ReviewComment.find({ targetModel: config.modelName, target: doc._id })
+      .populate('author', 'username')
+      .populate('resolvedBy', 'username')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      _id: doc._id,
+      title: doc.title,
+      reviewStatus: getReviewStatus(doc),
+      reviewer: doc.reviewer,
+      reviewRequestedAt: doc.reviewRequestedAt,
+      reviewedBy: doc.reviewedBy,
+      reviewedAt: doc.reviewedAt,
+      isPublished: doc.isPublished,
+      hasDraft: doc.hasDraft,
+      comments
+    });
+  } catch (error) {
+    console.error('Error in getReview:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Move a lesson or tutorial through the review workflow
+// @route   POST /api/v1/reviews/:type/:id/:action
+//          (submit, request-changes, approve, publish, unpublish)
+// @access  Private/Author (submit own) or Editor
+export const performReviewAction = async (req, res) => {
+  try {
+    const { action } = req.params;
+
+    if (!REVIEW_ACTION_NAMES.includes(action)) {
+      return res.status(404).json({ message: 'Unknown review action' });
+    }
+
+    const item = await findReviewItem(req, res);
+    if (!item) return;
+
+    const { doc, config, tutorial } = item;
+
+    if (!canOnTutorial(req.user, getActionPermission(config.resource, action), tutorial)) {
+      return res.status(403).json({ message: `Not authorized to ${action.replace('-', ' ')} this ${config.resource}` });
+    }
+
+    const actionError = checkReviewAction(doc, action);
+    if (actionError) {
+      return res.status(400).json({ message: actionError });
+    }
+
+    const { message, reviewer } = req.body || {};
+
+    if (action === 'submit' && reviewer) {
+      const reviewerError = await validateReviewer(reviewer, req.params.type);
+      if (reviewerError) {
+        return res.status(400).json({ message: reviewerError });
+      }
+      doc.reviewer = reviewer;
+    }
+
+    switch (action) {
+      case 'submit':
+        doc.reviewStatus = 'in_review';
+        doc.reviewRequestedAt = new Date();
+        break;
+      case 'request-changes':
+        doc.reviewStatus = 'changes_requested';
+        doc.reviewedBy = req.user._id;
+        doc.reviewedAt = new Date();
+        break;
+      case 'approve':
+        doc.reviewStatus = 'approved';
+        doc.reviewedBy = req.user._id;
+        doc.reviewedAt = new Date();
+        break;
+      case 'publish':
+        // Published items only had their draft under review
+        if (doc.isPublished) {
+          doc.publishDraft();
+          doc.reviewStatus = 'published';
+        } else {
+          doc.publishNow();
+        }
+        break;
+      case 'unpublish':
+        doc.unpublishNow();
+        break;
+    }
+
+    const updatedDoc = await doc.save();
+
+    // The review message is kept with the other comments
+    if (message && String(message).trim()) {
+      await ReviewComment.create({
+        targetModel: config.modelName,
+        target: doc._id,
+        author: req.user._id,
+        body: message,
+        isChangeRequest: action === 'request-changes'
+      });
+    }
+
+    if (action === 'publish' && req.params.type === 'lessons') {
+      await LessonRevision.record(updatedDoc, req.user._id, { source: 'publish' });
+    }
+
+    res.json(updatedDoc);
+  } catch (error) {
+    console.error('Error in performReviewAction:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Assign or clear the reviewer of a lesson or tutorial
+// @route   PUT /api/v1/reviews/:type/:id/reviewer
+// @access  Private/Editor
+export const assignReviewer = async (req, res) => {
+  try {
+    const item = await findReviewItem(req, res);
+    if (!item) return;
+
+    const { doc, config, canReview } = item;
+
+    if (!canReview) {
+      return res.status(403).json({ message: `Not authorized to assign reviewers for this ${config.resource}` });
+    }
+
+    const { reviewer } = req.body;
+
+    if (reviewer) {
+      const reviewerError = await validateReviewer(reviewer, req.params.type);
+      if (reviewerError) {
+        return res.status(400).json({ message: reviewerError });
+      }
+      doc.reviewer = reviewer;
+    } else {
+      doc.reviewer = undefined;
+    }
+
+    await doc.save();
+    await doc.populate('reviewer', 'username');
+
+    res.json({
+      _id: doc._id,
+      reviewStatus: getReviewStatus(doc),
+      reviewer: doc.reviewer
+    });
+  } catch (error) {
+    console.error('Error in assignReviewer:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Comment on a lesson or tutorial, optionally on a single content block
+// @route   POST /api/v1/reviews/:type/:id/comments
+// @access  Private/Author (own tutorial) or Editor
+export const addReviewComment = async (req, res) => {
+  try {
+    const item = await findReviewItem(req, res);
+    if (!item) return;
+
+    const { doc, config } = item;
+    const { body, blockId } = req.body;
+
+    if (blockId) {
+      if (req.params.type !== 'lessons') {
+        return res.status(400).json({ message: 'Block comments are only supported on lessons' });
+      }
+      if (!getBlockIds(doc).has(blockId)) {
+        return res.status(400).json({ message: `Content block "${blockId}" not found in this lesson` });
+      }
+    }
+
+    const comment = await ReviewComment.create({
+      targetModel: config.modelName,
+      target: doc._id,
+      blockId,
+      author: req.user._id,
+      body
+    });
+
+    await comment.populate('author', 'username');
+
+    res.status(201).json(comment);
+  } catch (error) {
+    console.error('Error in addReviewComment:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Edit, resolve or reopen a review comment
+// @route   PATCH /api/v1/reviews/:type/:id/comments/:commentId
+// @access  Private/Author (own tutorial) or Editor
+export const updateReviewComment = async (req, res) => {
+  try {
+    const item = await findReviewItem(req, res);
+    if (!item) return;
+
+    const { doc, config } = item;
+    const { body, resolved } = req.body;
+
+    const comment = mongoose.Types.ObjectId.isValid(req.params.commentId)
+      ? await ReviewComment.findOne({ _id: req.params.commentId, targetModel: config.modelName, target: doc._id })
+      : null;
+
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    // Only the comment's author can change its text
+    if (body !== undefined) {
+      if (comment.author.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ message: 'Not authorized to edit this comment' });
+      }
+      comment.body = body;
+    }
+
+    if (resolved !== undefined && Boolean(resolved) !== comment.resolved) {
+      comment.resolved = Boolean(resolved);
+      comment.resolvedBy = comment.resolved ? req.user._id : undefined;
+      comment.resolvedAt = comment.resolved ? new Date() : undefined;
+    }
+
+    const updatedComment = await comment.save();
+    await updatedComment.populate([
+      { path: 'author', select: 'username' },
+      { path: 'resolvedBy', select: 'username' }
+    ]);
+
+    res.json(updatedComment);
+  } catch (error) {
+    console.error('Error in updateReviewComment:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
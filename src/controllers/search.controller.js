@@ -0,0 +1,226 @@
+// src/controllers/search.controller.js
+import mongoose from 'mongoose';
+import Tutorial from '../models/tutorial.model.js';
+import Lesson from '../models/lesson.model.js';
+import { getPermissionScope } from '../lib/permissions.js';
+
+const SNIPPET_RADIUS = 80;
+
+// Helper function to escape HTML in snippets before adding highlight marks
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Helper function to escape user input used in a regex
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper function to get the words of a query that should be highlighted
+// (skips negated terms, keeps the words of quoted phrases)
+const getQueryTerms = (q) => q
+  .split(/\s+/)
+  .filter(term => term && !term.startsWith('-'))
+  .map(term => term.replace(/["']/g, ''))
+  .filter(term => term.length > 1);
+
+// Helper function to build a highlighted snippet around the first match
+const buildSnippet = (text, terms) => {
+  if (!text) return '';
+
+  const clean = text.replace(/\s+/g, ' ').trim();
+  if (terms.length === 0) return escapeHtml(clean.slice(0, SNIPPET_RADIUS * 2));
+
+  // Match word prefixes so stemmed matches ("routing" for "route") still highlight
+  const termPattern = terms.map(term => escapeRegex(term.slice(0, Math.max(term.length - 1, 3)))).join('|');
+  const findPattern = new RegExp(`(${termPattern})`, 'i');
+  const match = clean.match(findPattern);
+
+  const matchIndex = match ? match.index : 0;
+  const start = Math.max(matchIndex - SNIPPET_RADIUS, 0);
+  const end = Math.min(matchIndex + SNIPPET_RADIUS, clean.length);
+
+  let snippet = escapeHtml(clean.slice(start, end));
+  snippet = snippet.replace(new RegExp(`\\b((?:${termPattern})\\w*)`, 'gi'), '<mark>$1</mark>');
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < clean.length ? '…' : ''}`;
+};
+
+// @desc    Search tutorials and lesson content
+// @route   GET /api/v1/search?q=
+// @access  Public
+export const search = async (req, res) => {
+  try {
+    const { q, type = 'all', domain, technology, difficulty, page = 1, limit = 10 } = req.query;
+
+    if (!q || typeof q !== 'string' || !q.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query "q" is required'
+      });
+    }
+
+    if (!['all', 'tutorials', 'lessons'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid type. Use "all", "tutorials", or "lessons"'
+      });
+    }
+
+    // Malformed ids would fail as a cast error in the queries below
+    for (const [name, id] of Object.entries({ domain, technology })) {
+      if (id && !mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${name} id`
+        });
+      }
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const limitNumber = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+    // Both collections are ranked separately, so fetch enough of each to fill the page
+    const fetchLimit = pageNumber * limitNumber;
+
+    // Tutorial filters shared by tutorial and lesson results
+    const tutorialFilter = {};
+    if (domain) tutorialFilter.domain = domain;
+    if (technology) tutorialFilter.technology = technology;
+    if (difficulty) tutorialFilter.difficulty = difficulty;
+
+    // Publish visibility: editors see everything, authors also see their own drafts
+    const draftScope = getPermissionScope(req.user, 'tutorial:view-drafts');
+    if (draftScope === 'own') {
+      tutorialFilter.$or = [Tutorial.liveQuery(), { author: req.user._id }];
+    } else if (draftScope !== 'any') {
+      Object.assign(tutorialFilter, Tutorial.liveQuery());
+    }
+
+    const terms = getQueryTerms(q);
+    const results = [];
+    let total = 0;
+
+    if (type === 'all' || type === 'tutorials') {
+      const tutorialQuery = { ...tutorialFilter, $text: { $search: q } };
+
+      const [tutorialCount, tutorials] = await Promise.all([
+        Tutorial.countDocuments(tutorialQuery),
+        Tutorial.find(tutorialQuery, { score: { $meta: 'textScore' } })
+          .select('title slug description difficulty tags domain technology isPublished')
+          .populate('domain', 'name slug')
+          .populate('technology', 'name slug')
+          .sort({ score: { $meta: 'textScore' } })
+          .limit(fetchLimit)
+          .lean()
+      ]);
+
+      total += tutorialCount;
+
+      tutorials.forEach(tutorial => {
+        results.push({
+          type: 'tutorial',
+          score: tutorial.score,
+          _id: tutorial._id,
+          title: tutorial.title,
+          slug: tutorial.slug,
+          difficulty: tutorial.difficulty,
+          domain: tutorial.domain,
+          technology: tutorial.technology,
+          snippet: buildSnippet(tutorial.description, terms)
+        });
+      });
+    }
+
+    if (type === 'all' || type === 'lessons') {
+      const visibleTutorialIds = await Tutorial.find(tutorialFilter).distinct('_id');
+
+      const lessonQuery = {
+        tutorial: { $in: visibleTutorialIds },
+        $text: { $search: q }
+      };
+      if (draftScope === 'own') {
+        const ownTutorialIds = await Tutorial.find({ author: req.user._id }).distinct('_id');
+        lessonQuery.$or = [Lesson.liveQuery(), { tutorial: { $in: ownTutorialIds } }];
+      } else if (draftScope !== 'any') {
+        Object.assign(lessonQuery, Lesson.liveQuery());
+      }
+
+      const [lessonCount, lessons] = await Promise.all([
+        Lesson.countDocuments(lessonQuery),
+        Lesson.find(lessonQuery, { score: { $meta: 'textScore' } })
+          .select('title slug order duration difficulty tutorial +searchText')
+          .populate({
+            path: 'tutorial',
+            select: 'title slug difficulty domain technology',
+            populate: [
+              { path: 'domain', select: 'name slug' },
+              { path: 'technology', select: 'name slug' }
+            ]
+          })
+          .sort({ score: { $meta: 'textScore' } })
+          .limit(fetchLimit)
+          .lean()
+      ]);
+
+      total += lessonCount;
+
+      lessons.forEach(lesson => {
+        results.push({
+          type: 'lesson',
+          score: lesson.score,
+          _id: lesson._id,
+          title: lesson.title,
+          slug: lesson.slug,
+          order: lesson.order,
+          duration: lesson.duration,
+          tutorial: lesson.tutorial,
+          snippet: buildSnippet(lesson.searchText, terms)
+        });
+      });
+    }
+
+    // Merge both result sets by relevance
+    results.sort((a, b) => b.score - a.score);
+    const pageResults = results.slice((pageNumber - 1) * limitNumber, pageNumber * limitNumber);
+
+    res.json({
+      success: true,
+      message: 'Search completed successfully',
+      data: pageResults,
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / limitNumber)
+      }
+    });
+  } catch (error) {
+    console.error('Error in search:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Rebuild lesson search text (after upgrading existing data)
+// @route   POST /api/v1/search/reindex
+// @access  Private/Admin
+export const rebuildSearchIndex = async (req, res) => {
+  try {
+    const result = await Lesson.rebuildSearchIndex();
+
+    res.json({
+      success: true,
+      message: 'Search index rebuilt successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error in rebuildSearchIndex:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
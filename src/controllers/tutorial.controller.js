@@ -1,9 +1,36 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
 import Tutorial from '../models/tutorial.model.js';
 import Lesson from '../models/lesson.model.js';
+import Domain from '../models/domain.model.js';
+import Technology from '../models/technology.model.js';
+import LessonRevision from '../models/lesson.revision.model.js';
+import ReviewComment from '../models/review.comment.model.js';
+import QuizAttempt from '../models/quiz.attempt.model.js';
+import ExerciseResult from '../models/exercise.result.model.js';
+import Asset from '../models/asset.model.js';
+import { canOnTutorial, canViewDrafts, canViewAllDrafts, getPermissionScope } from '../lib/permissions.js';
+import { isLive, parseSchedule } from '../lib/visibility.js';
+import { rescheduleNow } from '../lib/scheduler.js';
+import { checkCanPublish } from '../lib/review.js';
+import { sanitizeContent } from '../lib/lessonContent.js';
+import { buildTutorialBundle, parseTutorialBundle } from '../lib/tutorialBundle.js';
+import { generatePrintHTMLFromTutorial, generateEpubFromTutorial } from '../lib/tutorialExport.js';
+
+const IMPORT_MODES = ['auto', 'create', 'update'];
+
+// bundle moves a tutorial between environments, epub and html are offline copies for learners
+const EXPORT_FORMATS = ['bundle', 'epub', 'html'];
+
+// Helper function to read a dry-run flag from the body or query string
+const isDryRun = (value) => value === true || value === 'true' || value === '1';
+
+// Helper function to collect the messages of a Mongoose validation error
+const getValidationMessages = (error) => (error ? Object.values(error.errors).map(err => err.message) : []);
 
 // @desc    Create new tutorial
 // @route   POST /api/v1/tutorials
-// @access  Private/Admin
+// @access  Private/Author
 export const createTutorial = async (req, res) => {
   try {
     const { title, description, domain, technology, difficulty, tags } = req.body;
@@ -37,9 +64,14 @@ export const getTutorials = async (req, res) => {
     // Build query
     const query = {};
     
-    // Only show published tutorials for regular users
-    if (!req.user || req.user.role !== 'admin') {
-      query.isPublished = true;
+    // Only show live tutorials for regular users,
+    // authors also see their own drafts
+    if (!canViewAllDrafts(req.user)) {
+      if (getPermissionScope(req.user, 'tutorial:view-drafts') === 'own') {
+        query.$and = [{ $or: [Tutorial.liveQuery(), { author: req.user._id }] }];
+      } else {
+        query.$and = [Tutorial.liveQuery()];
+      }
     }
     
     if (domain) query.domain = domain;
@@ -102,8 +134,8 @@ export const getTutorialById = async (req, res) => {
       return res.status(404).json({ message: 'Tutorial not found' });
     }
     
-    // Only allow admin to see unpublished tutorials
-    if (!tutorial.isPublished && (!req.user || req.user.role !== 'admin')) {
+    // Only allow editors and the tutorial's author to see unpublished tutorials
+    if (!tutorial.isLive() && !canViewDrafts(req.user, tutorial)) {
       return res.status(404).json({ message: 'Tutorial not found' });
     }
     
@@ -124,33 +156,71 @@ export const getTutorialById = async (req, res) => {
 
 // @desc    Update tutorial
 // @route   PUT /api/v1/tutorials/:id
-// @access  Private/Admin
+// @access  Private/Author (own) or Editor
 export const updateTutorial = async (req, res) => {
   try {
     const { id } = req.params;
     const { title, description, domain, technology, difficulty, tags, isPublished } = req.body;
     
-    const tutorial = await Tutorial.findById(id);
+    const tutorial = await Tutorial.findById(id).select('+draft');
     
     if (!tutorial) {
       return res.status(404).json({ message: 'Tutorial not found' });
     }
     
-    // Update fields
-    if (title !== undefined) tutorial.title = title;
-    if (description !== undefined) tutorial.description = description;
-    if (domain !== undefined) tutorial.domain = domain;
-    if (technology !== undefined) tutorial.technology = technology;
-    if (difficulty !== undefined) tutorial.difficulty = difficulty;
+    // Authors can only edit their own tutorials
+    if (!canOnTutorial(req.user, 'tutorial:update', tutorial)) {
+      return res.status(403).json({ message: 'Not authorized to edit this tutorial' });
+    }
+    
+    // Only editors and admins can change the publish status
+    if (isPublished !== undefined && isPublished !== tutorial.isPublished &&
+        !canOnTutorial(req.user, 'tutorial:publish', tutorial)) {
+      return res.status(403).json({ message: 'Not authorized to publish this tutorial' });
+    }
+    
+    // Publishing requires an approved review (admins excepted)
+    const publishError = isPublished === true && !tutorial.isPublished && checkCanPublish(req.user, tutorial);
+    if (publishError) {
+      return res.status(400).json({ message: publishError });
+    }
+    
+    // Collect field changes
+    const changes = {};
+    if (title !== undefined) changes.title = title;
+    if (description !== undefined) changes.description = description;
+    if (domain !== undefined) changes.domain = domain;
+    if (technology !== undefined) changes.technology = technology;
+    if (difficulty !== undefined) changes.difficulty = difficulty;
     if (tags !== undefined) {
-      tutorial.tags = tags.split(',').map(tag => tag.trim());
+      changes.tags = tags.split(',').map(tag => tag.trim());
+    }
+    
+    // Unpublishing merges the pending draft first, the changes below apply on top of it
+    if (tutorial.isPublished && isPublished === false) {
+      tutorial.publishDraft();
+    }
+    
+    // Edits to a tutorial that stays published go to its draft,
+    // so learners keep seeing the published version
+    const staysPublished = tutorial.isPublished && isPublished !== false;
+    
+    if (staysPublished) {
+      if (Object.keys(changes).length > 0) {
+        tutorial.updateDraft(changes);
+      }
+    } else {
+      Object.assign(tutorial, changes);
     }
     
     // Handle publishing
     if (isPublished !== undefined && isPublished !== tutorial.isPublished) {
-      tutorial.isPublished = isPublished;
       if (isPublished) {
+        tutorial.isPublished = isPublished;
+        tutorial.publishDraft();
         tutorial.publishedAt = Date.now();
+      } else {
+        tutorial.unpublishNow();
       }
     }
     
@@ -163,6 +233,45 @@ export const updateTutorial = async (req, res) => {
   }
 };
 
+// @desc    Schedule tutorial publishing/unpublishing
+// @route   PUT /api/v1/tutorials/:id/schedule
+// @access  Private/Editor
+export const scheduleTutorial = async (req, res) => {
+  try {
+    const tutorial = await Tutorial.findById(req.params.id);
+    
+    if (!tutorial) {
+      return res.status(404).json({ message: 'Tutorial not found' });
+    }
+    
+    if (!canOnTutorial(req.user, 'tutorial:publish', tutorial)) {
+      return res.status(403).json({ message: 'Not authorized to publish this tutorial' });
+    }
+    
+    const schedule = parseSchedule(req.body, tutorial);
+    if (schedule.error) {
+      return res.status(400).json({ message: schedule.error });
+    }
+    
+    // Only approved content can be scheduled to go live
+    const publishError = schedule.publishAt && req.body.publishAt !== undefined && checkCanPublish(req.user, tutorial);
+    if (publishError) {
+      return res.status(400).json({ message: publishError });
+    }
+    
+    tutorial.publishAt = schedule.publishAt || undefined;
+    tutorial.unpublishAt = schedule.unpublishAt || undefined;
+    
+    const updatedTutorial = await tutorial.save();
+    rescheduleNow();
+    
+    res.json(updatedTutorial);
+  } catch (error) {
+    console.error('Error in scheduleTutorial:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
 // @desc    Delete tutorial
 // @route   DELETE /api/v1/tutorials/:id
 // @access  Private/Admin
@@ -176,7 +285,18 @@ export const deleteTutorial = async (req, res) => {
       return res.status(404).json({ message: 'Tutorial not found' });
     }
     
-    // Delete associated lessons
+    // Delete associated lessons with their revisions, learner results and review comments
+    const lessonIds = await Lesson.find({ tutorial: id }).distinct('_id');
+    await LessonRevision.deleteMany({ lesson: { $in: lessonIds } });
+    await QuizAttempt.deleteMany({ lesson: { $in: lessonIds } });
+    await ExerciseResult.deleteMany({ lesson: { $in: lessonIds } });
+    await ReviewComment.deleteMany({
+      $or: [
+        { targetModel: 'Lesson', target: { $in: lessonIds } },
+        { targetModel: 'Tutorial', target: id }
+      ]
+    });
+    await Asset.removeLessonUsages(lessonIds);
     await Lesson.deleteMany({ tutorial: id });
     
     // Delete tutorial - replace remove() with deleteOne()
@@ -187,4 +307,404 @@ export const deleteTutorial = async (req, res) => {
     console.error('Error in deleteTutorial:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Preview tutorial draft
+// @route   GET /api/v1/tutorials/:id/draft
+// @access  Private/Author (own) or Editor
+export const getTutorialDraft = async (req, res) => {
+  try {
+    const tutorial = await Tutorial.findById(req.params.id).select('+draft');
+    
+    if (!tutorial) {
+      return res.status(404).json({ message: 'Tutorial not found' });
+    }
+    
+    if (!canOnTutorial(req.user, 'tutorial:update', tutorial)) {
+      return res.status(403).json({ message: 'Not authorized to view this draft' });
+    }
+    
+    const preview = { ...tutorial.toObject(), ...tutorial.getWorkingCopy(), isDraftPreview: true };
+    delete preview.draft;
+    
+    await Tutorial.populate(preview, [
+      { path: 'domain', select: 'name slug' },
+      { path: 'technology', select: 'name slug' },
+      { path: 'author', select: 'username' }
+    ]);
+    
+    res.json(preview);
+  } catch (error) {
+    console.error('Error in getTutorialDraft:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Publish tutorial draft
+// @route   POST /api/v1/tutorials/:id/draft/publish
+// @access  Private/Editor
+export const publishTutorialDraft = async (req, res) => {
+  try {
+    const tutorial = await Tutorial.findById(req.params.id).select('+draft');
+    
+    if (!tutorial) {
+      return res.status(404).json({ message: 'Tutorial not found' });
+    }
+    
+    if (!canOnTutorial(req.user, 'tutorial:publish', tutorial)) {
+      return res.status(403).json({ message: 'Not authorized to publish this tutorial' });
+    }
+    
+    if (!tutorial.hasDraft) {
+      return res.status(400).json({ message: 'Tutorial has no draft to publish' });
+    }
+    
+    const publishError = checkCanPublish(req.user, tutorial);
+    if (publishError) {
+      return res.status(400).json({ message: publishError });
+    }
+    
+    tutorial.publishDraft();
+    const updatedTutorial = await tutorial.save();
+    
+    res.json(updatedTutorial);
+  } catch (error) {
+    console.error('Error in publishTutorialDraft:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Discard tutorial draft
+// @route   DELETE /api/v1/tutorials/:id/draft
+// @access  Private/Author (own) or Editor
+export const discardTutorialDraft = async (req, res) => {
+  try {
+    const tutorial = await Tutorial.findById(req.params.id).select('+draft');
+    
+    if (!tutorial) {
+      return res.status(404).json({ message: 'Tutorial not found' });
+    }
+    
+    if (!canOnTutorial(req.user, 'tutorial:update', tutorial)) {
+      return res.status(403).json({ message: 'Not authorized to edit this tutorial' });
+    }
+    
+    tutorial.discardDraft();
+    const updatedTutorial = await tutorial.save();
+    
+    res.json(updatedTutorial);
+  } catch (error) {
+    console.error('Error in discardTutorialDraft:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Export tutorial as a bundle, an EPUB book or a print-ready HTML document
+// @route   GET /api/v1/tutorials/:id/export?format=bundle|epub|html
+// @access  Public (epub, html) or Private/Author (own) or Editor (bundle)
+export const exportTutorial = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format = 'bundle', download } = req.query;
+    
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Invalid export format. Use ${EXPORT_FORMATS.join(', ')}.` });
+    }
+    
+    const query = id.match(/^[0-9a-fA-F]{24}$/) ? { _id: id } : { slug: id };
+    const tutorial = await Tutorial.findOne(query)
+      .populate('domain', 'slug')
+      .populate('technology', 'slug')
+      .populate('author', 'username')
+      .lean();
+    
+    if (!tutorial) {
+      return res.status(404).json({ message: 'Tutorial not found' });
+    }
+    
+    if (format === 'bundle') {
+      if (!canOnTutorial(req.user, 'tutorial:update', tutorial)) {
+        return res.status(403).json({ message: 'Not authorized to export this tutorial' });
+      }
+      
+      const lessons = await Lesson.find({ tutorial: tutorial._id }).sort({ order: 1 }).lean();
+      
+      return res.json(buildTutorialBundle(tutorial, lessons));
+    }
+    
+    // Offline copies hold the published lessons of tutorials learners can see
+    if (!isLive(tutorial) && !canViewDrafts(req.user, tutorial)) {
+      return res.status(404).json({ message: 'Tutorial not found' });
+    }
+    
+    const lessons = await Lesson.find({ tutorial: tutorial._id, ...Lesson.liveQuery() })
+      .select('title slug order duration content updatedAt')
+      .sort({ order: 1 })
+      .lean();
+    
+    if (lessons.length === 0) {
+      return res.status(404).json({ message: 'Tutorial has no published lessons' });
+    }
+    
+    lessons.forEach(lesson => {
+      lesson.content = sanitizeContent(lesson.content);
+    });
+    
+    const modifiedAt = new Date(Math.max(
+      new Date(tutorial.updatedAt).getTime(),
+      ...lessons.map(lesson => new Date(lesson.updatedAt).getTime())
+    ));
+    
+    let file;
+    let contentType;
+    let disposition;
+    
+    if (format === 'epub') {
+      file = generateEpubFromTutorial(tutorial, lessons, modifiedAt);
+      contentType = 'application/epub+zip';
+      disposition = `attachment; filename="${tutorial.slug}.epub"`;
+    } else {
+      // Opened in the browser for printing, unless downloaded
+      file = generatePrintHTMLFromTutorial(tutorial, lessons);
+      contentType = 'text/html; charset=utf-8';
+      disposition = `${['1', 'true'].includes(download) ? 'attachment' : 'inline'}; filename="${tutorial.slug}.html"`;
+    }
+    
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': disposition,
+      ETag: `"${crypto.createHash('sha1').update(file).digest('hex')}"`,
+      'Cache-Control': 'private, no-cache'
+    });
+    res.send(file);
+  } catch (error) {
+    console.error('Error in exportTutorial:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Import tutorial bundle, creating the tutorial or updating the one with the same slug
+// @route   POST /api/v1/tutorials/import
+// @access  Private/Author
+export const importTutorial = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { mode = 'auto' } = body;
+    const dryRun = isDryRun(body.dryRun ?? req.query.dryRun);
+    
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ message: `Invalid import mode. Use ${IMPORT_MODES.join(', ')}.` });
+    }
+    
+    const parsed = parseTutorialBundle(body.bundle);
+    if (parsed.errors) {
+      return res.status(400).json({ message: 'Invalid tutorial bundle', errors: parsed.errors });
+    }
+    const { tutorial: tutorialData, lessons: lessonsData } = parsed.bundle;
+    
+    const report = {
+      dryRun,
+      tutorial: { slug: tutorialData.slug, title: tutorialData.title },
+      lessons: [],
+      untouchedLessons: [],
+      conflicts: [],
+      errors: [],
+      warnings: []
+    };
+    
+    // Resolve references by slug
+    const [domain, technology, existing] = await Promise.all([
+      Domain.findOne({ slug: tutorialData.domain }),
+      Technology.findOne({ slug: tutorialData.technology }),
+      Tutorial.findOne({ slug: tutorialData.slug }).select('+draft')
+    ]);
+    
+    if (!domain) report.conflicts.push(`Domain "${tutorialData.domain}" does not exist`);
+    if (!technology) report.conflicts.push(`Technology "${tutorialData.technology}" does not exist`);
+    if (domain && technology && technology.domain.toString() !== domain._id.toString()) {
+      report.warnings.push(`Technology "${tutorialData.technology}" belongs to another domain than "${tutorialData.domain}"`);
+    }
+    
+    if (existing && mode === 'create') {
+      report.conflicts.push(`A tutorial with slug "${tutorialData.slug}" already exists`);
+    }
+    if (!existing && mode === 'update') {
+      report.conflicts.push(`There is no tutorial with slug "${tutorialData.slug}" to update`);
+    }
+    report.tutorial.action = existing ? 'update' : 'create';
+    
+    // Authors can only update their own tutorials
+    if (existing && (!canOnTutorial(req.user, 'tutorial:update', existing) ||
+        !canOnTutorial(req.user, 'lesson:update', existing) || !canOnTutorial(req.user, 'lesson:create', existing))) {
+      return res.status(403).json({ message: 'Not authorized to update this tutorial' });
+    }
+    
+    // Match lessons by slug within the tutorial
+    const existingLessons = existing ? await Lesson.find({ tutorial: existing._id }).select('+draft') : [];
+    const existingBySlug = new Map(existingLessons.map(lesson => [lesson.slug, lesson]));
+    const bundleSlugs = new Set(lessonsData.map(lesson => lesson.slug));
+    const untouched = existingLessons.filter(lesson => !bundleSlugs.has(lesson.slug));
+    
+    report.untouchedLessons = untouched.map(lesson => ({ slug: lesson.slug, title: lesson.title, order: lesson.order }));
+    
+    // Lessons left out of the bundle keep their order, which the bundle cannot reuse
+    const untouchedByOrder = new Map(untouched.map(lesson => [lesson.order, lesson]));
+    lessonsData.forEach(lessonData => {
+      const holder = untouchedByOrder.get(lessonData.order);
+      if (holder) {
+        report.conflicts.push(`Order ${lessonData.order} of lesson "${lessonData.slug}" is taken by "${holder.slug}", which is not in the bundle`);
+      }
+    });
+    
+    // Lesson slugs are unique across tutorials
+    const newSlugs = lessonsData.filter(lesson => !existingBySlug.has(lesson.slug)).map(lesson => lesson.slug);
+    if (newSlugs.length > 0) {
+      const taken = await Lesson.find({
+        slug: { $in: newSlugs },
+        ...(existing ? { tutorial: { $ne: existing._id } } : {})
+      }).select('slug');
+      taken.forEach(lesson => report.conflicts.push(`Lesson slug "${lesson.slug}" is used by a lesson of another tutorial`));
+    }
+    
+    if (report.conflicts.length > 0) {
+      return res.status(409).json({ message: 'The bundle conflicts with existing content', report });
+    }
+    
+    // Apply the bundle to (unsaved) documents
+    const tutorialChanges = {
+      title: tutorialData.title,
+      description: tutorialData.description,
+      domain: domain._id,
+      technology: technology._id
+    };
+    ['image', 'difficulty', 'estimatedTime', 'tags'].forEach(field => {
+      if (tutorialData[field] !== undefined) tutorialChanges[field] = tutorialData[field];
+    });
+    
+    // The bundle's slugs are kept, they are what the next import matches on
+    // (otherwise the models would generate new ones from the titles)
+    const keepSlug = (doc, slug) => {
+      doc.slug = slug;
+      doc.markModified('slug');
+    };
+    
+    let tutorial;
+    if (existing) {
+      tutorial = existing;
+      // Edits to a published tutorial go to its draft, like edits made in the editor
+      if (tutorial.isPublished) {
+        tutorial.updateDraft(tutorialChanges);
+        report.tutorial.savedAsDraft = true;
+      } else {
+        Object.assign(tutorial, tutorialChanges);
+        keepSlug(tutorial, tutorialData.slug);
+      }
+    } else {
+      tutorial = new Tutorial({ ...tutorialChanges, author: req.user._id, isPublished: false });
+      keepSlug(tutorial, tutorialData.slug);
+    }
+    
+    const lessons = lessonsData.map(lessonData => {
+      const changes = { title: lessonData.title };
+      if (lessonData.duration !== undefined) changes.duration = lessonData.duration;
+      
+      // Content goes through the same validation as the editor's
+      if (lessonData.content !== undefined) {
+        changes.content = sanitizeContent(lessonData.content);
+        changes.content.blocks.forEach((block, index) => {
+          if (block.data.invalid) {
+            report.warnings.push(`Lesson "${lessonData.slug}", block ${index + 1} (${block.type}): ${block.data.invalidReason}`);
+          }
+        });
+      }
+      
+      const settings = { order: lessonData.order };
+      ['difficulty', 'keywords', 'metaDescription', 'quizSettings'].forEach(field => {
+        if (lessonData[field] !== undefined) settings[field] = lessonData[field];
+      });
+      
+      let lesson = existingBySlug.get(lessonData.slug);
+      const entry = { slug: lessonData.slug, title: lessonData.title, order: lessonData.order };
+      
+      if (lesson) {
+        entry.action = 'update';
+        entry.previousOrder = lesson.order;
+        if (lesson.isPublished) {
+          lesson.updateDraft(changes, req.user._id);
+          entry.savedAsDraft = true;
+        } else {
+          Object.assign(lesson, changes);
+          keepSlug(lesson, lessonData.slug);
+        }
+        Object.assign(lesson, settings);
+      } else {
+        entry.action = 'create';
+        lesson = new Lesson({ ...changes, ...settings, tutorial: tutorial._id, isPublished: false });
+        keepSlug(lesson, lessonData.slug);
+      }
+      
+      report.lessons.push(entry);
+      return { lesson, entry };
+    });
+    
+    // Check everything before anything is written
+    getValidationMessages(tutorial.validateSync()).forEach(message => report.errors.push(`Tutorial: ${message}`));
+    lessons.forEach(({ lesson, entry }) => {
+      getValidationMessages(lesson.validateSync()).forEach(message => report.errors.push(`Lesson "${entry.slug}": ${message}`));
+    });
+    
+    if (report.errors.length > 0) {
+      return res.status(400).json({ message: 'The bundle has invalid content', report });
+    }
+    
+    if (dryRun) {
+      return res.json({ message: 'Dry run completed, nothing was changed', report });
+    }
+    
+    // Everything is written in one transaction, a failure leaves the tutorial as it was
+    // (connection.transaction() also resets the documents if it is retried)
+    const reordered = lessons.filter(({ entry }) => entry.action === 'update' && entry.previousOrder !== entry.order);
+    const maxOrder = Math.max(0, ...existingLessons.map(lesson => lesson.order), ...lessonsData.map(lesson => lesson.order));
+    let savedTutorial;
+    
+    await mongoose.connection.transaction(async (session) => {
+      savedTutorial = await tutorial.save({ session });
+      
+      // Move reordered lessons out of the way first, orders are unique within a tutorial
+      for (const [index, { lesson }] of reordered.entries()) {
+        await Lesson.updateOne({ _id: lesson._id }, { order: maxOrder + index + 1 }, { session });
+      }
+      
+      for (const { lesson } of lessons) {
+        await lesson.save({ session });
+      }
+    });
+    
+    report.tutorial.id = savedTutorial._id;
+    
+    for (const { lesson, entry } of lessons) {
+      entry.id = lesson._id;
+      delete entry.previousOrder;
+      
+      try {
+        await LessonRevision.record(lesson, req.user._id, { source: 'import', fromDraft: Boolean(entry.savedAsDraft) });
+      } catch (error) {
+        console.error('Error recording lesson revision:', error);
+      }
+    }
+    
+    res.status(existing ? 200 : 201).json({
+      message: existing ? 'Tutorial updated from bundle' : 'Tutorial created from bundle',
+      report,
+      tutorial: savedTutorial
+    });
+  } catch (error) {
+    console.error('Error in importTutorial:', error);
+    
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'The bundle conflicts with existing content', error: error.message });
+    }
+    
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
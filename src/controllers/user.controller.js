@@ -1,5 +1,11 @@
 // src/controllers/user.controller.js
 import User from '../models/user.model.js';
+import Session from '../models/session.model.js';
+import Tutorial from '../models/tutorial.model.js';
+import Lesson from '../models/lesson.model.js';
+import { buildProgressSummaries } from '../lib/progress.js';
+import { sendVerificationEmail } from '../lib/emails.js';
+import { canViewDrafts, canOnTutorial } from '../lib/permissions.js';
 
 // @desc    Get user profile
 // @route   GET /api/v1/users/profile
@@ -17,6 +23,7 @@ export const getUserProfile = async (req, res) => {
       _id: user._id,
       username: user.username,
       email: user.email,
+      emailVerified: user.emailVerified,
       role: user.role,
       bio: user.bio || '',
       location: user.location || '',
@@ -52,6 +59,8 @@ export const updateUserProfile = async (req, res) => {
       user.username = username;
     }
     
+    let verificationToken;
+    
     // Check if email already exists (if being changed)
     if (email && email !== user.email) {
       const emailExists = await User.findOne({ email });
@@ -59,6 +68,9 @@ export const updateUserProfile = async (req, res) => {
         return res.status(400).json({ message: 'Email already in use' });
       }
       user.email = email;
+      user.emailVerified = false;
+      user.emailVerifiedAt = undefined;
+      verificationToken = user.createEmailVerificationToken();
     }
     
     // Update optional fields if provided
@@ -73,10 +85,25 @@ export const updateUserProfile = async (req, res) => {
     
     const updatedUser = await user.save();
     
+    // Sign out everywhere else after a password change, like a password reset does
+    if (password) {
+      await Session.revokeAllForUser(updatedUser._id, 'password-change', { except: req.sessionId });
+    }
+    
+    // Ask the user to confirm a changed email address
+    if (verificationToken) {
+      try {
+        await sendVerificationEmail(updatedUser, verificationToken, req);
+      } catch (mailError) {
+        console.error('Error sending verification email:', mailError);
+      }
+    }
+    
     res.json({
       _id: updatedUser._id,
       username: updatedUser.username,
       email: updatedUser.email,
+      emailVerified: updatedUser.emailVerified,
       role: updatedUser.role,
       bio: updatedUser.bio || '',
       location: updatedUser.location || '',
@@ -94,39 +121,228 @@ export const updateUserProfile = async (req, res) => {
 // @access  Private
 export const getUserProgress = async (req, res) => {
   try {
-    // Since Tutorial model might not exist yet, safely handle this
-    const user = await User.findById(req.user._id).select('progress');
+    const { status, sort = 'recent' } = req.query;
+
+    if (status && !['in-progress', 'completed'].includes(status)) {
+      return res.status(400).json({ message: 'Invalid status. Use "in-progress" or "completed"' });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select('progress')
+      .populate({
+        path: 'progress.tutorial',
+        select: 'title slug difficulty technology domain isPublished publishAt unpublishAt author',
+        populate: [
+          { path: 'technology', select: 'name slug' },
+          { path: 'domain', select: 'name slug' }
+        ]
+      });
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
+
+    // Hide progress for tutorials that were deleted or unpublished
+    const visibleEntries = (user.progress || []).filter(entry =>
+      entry.tutorial && (entry.tutorial.isLive() || canViewDrafts(req.user, entry.tutorial))
+    );
+
+    let progress = await buildProgressSummaries(visibleEntries);
+
+    if (status) {
+      progress = progress.filter(item => item.status === status);
+    }
+
+    switch (sort) {
+      case 'oldest':
+        progress.sort((a, b) => new Date(a.lastAccessed) - new Date(b.lastAccessed));
+        break;
+      case 'completion':
+        progress.sort((a, b) => b.completion - a.completion);
+        break;
+      default:
+        progress.sort((a, b) => new Date(b.lastAccessed) - new Date(a.lastAccessed));
+    }
     
-    // Return empty array if no progress or populate would fail
-    // In a real app, you would populate this with 'progress.tutorial'
-    res.json(user.progress || []);
+    res.json(progress);
   } catch (error) {
     console.error('Error in getUserProgress:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
-// @desc    Get user bookmarks
+// Helper function to keep the order in which items were bookmarked, most recent first
+const byBookmarkOrder = (ids, docs) => {
+  const docsById = new Map(docs.map(doc => [doc._id.toString(), doc]));
+  return ids
+    .map(id => docsById.get(id.toString()))
+    .filter(Boolean)
+    .reverse();
+};
+
+// @desc    Get user bookmarks (tutorials, see getLessonBookmarks for lessons)
 // @route   GET /api/v1/users/bookmarks
 // @access  Private
 export const getUserBookmarks = async (req, res) => {
   try {
-    // Since Tutorial model might not exist yet, safely handle this
     const user = await User.findById(req.user._id).select('bookmarks');
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
+
+    // Hide bookmarked tutorials that are no longer live
+    const tutorials = (await Tutorial.find({ _id: { $in: user.bookmarks || [] } })
+      .select('title slug description difficulty technology isPublished publishAt unpublishAt author')
+      .populate('technology', 'name slug'))
+      .filter(tutorial => tutorial.isLive() || canViewDrafts(req.user, tutorial));
     
-    // Return empty array if no bookmarks or populate would fail
-    // In a real app, you would populate this with 'bookmarks'
-    res.json(user.bookmarks || []);
+    res.json(byBookmarkOrder(user.bookmarks || [], tutorials));
   } catch (error) {
     console.error('Error in getUserBookmarks:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Get user lesson bookmarks
+// @route   GET /api/v1/users/bookmarks/lessons
+// @access  Private
+export const getLessonBookmarks = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('lessonBookmarks');
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Hide bookmarked lessons that are no longer live, or whose tutorial is not
+    const lessons = (await Lesson.find({ _id: { $in: user.lessonBookmarks || [] } })
+      .select('title slug order duration tutorial isPublished publishAt unpublishAt')
+      .populate('tutorial', 'title slug isPublished publishAt unpublishAt author'))
+      .filter(lesson => lesson.tutorial && (
+        (lesson.isLive() && lesson.tutorial.isLive()) ||
+        canOnTutorial(req.user, 'lesson:view-drafts', lesson.tutorial)
+      ));
+    
+    res.json(byBookmarkOrder(user.lessonBookmarks || [], lessons));
+  } catch (error) {
+    console.error('Error in getLessonBookmarks:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Bookmark a tutorial
+// @route   POST /api/v1/users/bookmarks/:tutorialId
+// @access  Private
+export const addTutorialBookmark = async (req, res) => {
+  try {
+    const { tutorialId } = req.params;
+
+    if (!tutorialId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid tutorial id' });
+    }
+
+    const tutorial = await Tutorial.findById(tutorialId).select('isPublished publishAt unpublishAt author');
+
+    if (!tutorial || (!tutorial.isLive() && !canViewDrafts(req.user, tutorial))) {
+      return res.status(404).json({ message: 'Tutorial not found' });
+    }
+
+    // $addToSet keeps the operation idempotent
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $addToSet: { bookmarks: tutorial._id } },
+      { new: true }
+    ).select('bookmarks');
+
+    res.json({ message: 'Tutorial bookmarked', bookmarks: user.bookmarks });
+  } catch (error) {
+    console.error('Error in addTutorialBookmark:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Remove a tutorial bookmark
+// @route   DELETE /api/v1/users/bookmarks/:tutorialId
+// @access  Private
+export const removeTutorialBookmark = async (req, res) => {
+  try {
+    const { tutorialId } = req.params;
+
+    if (!tutorialId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid tutorial id' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $pull: { bookmarks: tutorialId } },
+      { new: true }
+    ).select('bookmarks');
+
+    res.json({ message: 'Tutorial bookmark removed', bookmarks: user.bookmarks });
+  } catch (error) {
+    console.error('Error in removeTutorialBookmark:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Bookmark a lesson
+// @route   POST /api/v1/users/bookmarks/lessons/:lessonId
+// @access  Private
+export const addLessonBookmark = async (req, res) => {
+  try {
+    const { lessonId } = req.params;
+
+    if (!lessonId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid lesson id' });
+    }
+
+    const lesson = await Lesson.findById(lessonId)
+      .select('isPublished publishAt unpublishAt tutorial')
+      .populate('tutorial', 'isPublished publishAt unpublishAt author');
+
+    const isVisible = lesson && lesson.tutorial && (
+      (lesson.isLive() && lesson.tutorial.isLive()) ||
+      canOnTutorial(req.user, 'lesson:view-drafts', lesson.tutorial)
+    );
+
+    if (!isVisible) {
+      return res.status(404).json({ message: 'Lesson not found' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $addToSet: { lessonBookmarks: lesson._id } },
+      { new: true }
+    ).select('lessonBookmarks');
+
+    res.json({ message: 'Lesson bookmarked', lessonBookmarks: user.lessonBookmarks });
+  } catch (error) {
+    console.error('Error in addLessonBookmark:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Remove a lesson bookmark
+// @route   DELETE /api/v1/users/bookmarks/lessons/:lessonId
+// @access  Private
+export const removeLessonBookmark = async (req, res) => {
+  try {
+    const { lessonId } = req.params;
+
+    if (!lessonId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid lesson id' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $pull: { lessonBookmarks: lessonId } },
+      { new: true }
+    ).select('lessonBookmarks');
+
+    res.json({ message: 'Lesson bookmark removed', lessonBookmarks: user.lessonBookmarks });
+  } catch (error) {
+    console.error('Error in removeLessonBookmark:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
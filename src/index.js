@@ -1,8 +1,15 @@
 // src/index.js - Updated CORS Configuration
 import express from 'express';
+import path from 'path';
 import dotenv from 'dotenv';
 import cors from 'cors';
 import connectDB from './lib/db.js';
+import { startScheduler } from './lib/scheduler.js';
+import { startLinkScanner } from './lib/linkScanner.js';
+import { loadEmbedProviders } from './lib/embedProviders.js';
+import { getLocalUploadDir } from './lib/mediaStorage.js';
+import { IMAGE_TYPES } from './lib/media.js';
+import Lesson from './models/lesson.model.js';
 
 // Import routes
 import authRoutes from './routes/auth.route.js';
@@ -12,6 +19,11 @@ import technologyRoutes from './routes/technology.route.js';
 import tutorialRoutes from './routes/tutorial.route.js';
 import lessonRoutes from './routes/lesson.route.js';
 import tutorialLessonRoutes from './routes/tutorial.lesson.route.js';
+import adminRoutes from './routes/admin.route.js';
+import searchRoutes from './routes/search.route.js';
+import reviewRoutes from './routes/review.route.js';
+import mediaRoutes from './routes/media.route.js';
+import embedProviderRoutes from './routes/embed.provider.route.js';
 
 // Load environment variables
 dotenv.config();
@@ -19,10 +31,37 @@ dotenv.config();
 // Connect to database
 connectDB();
 
+// Load the embed providers (adds the defaults on first start)
+loadEmbedProviders({ seed: true });
+
+// Fill in the search text of lessons that were saved before it existed
+Lesson.rebuildSearchIndex({ onlyMissing: true })
+  .then(({ updatedCount }) => {
+    if (updatedCount > 0) console.log(`Built search text for ${updatedCount} lessons`);
+  })
+  .catch(error => console.error('Error building lesson search text:', error));
+
+// Start scheduled publishing (catches up on jobs missed while stopped)
+startScheduler();
+
+// Start the periodic check of lesson links
+startLinkScanner();
+
 const app = express();
 
+// Behind a reverse proxy req.ip has to come from X-Forwarded-For, or every
+// client shares the proxy's address (and its failed login counter).
+// TRUST_PROXY is the number of proxies in front of the API, the addresses
+// to trust (e.g. "loopback, 10.0.0.0/8"), or true to trust any
+if (process.env.TRUST_PROXY) {
+  const setting = process.env.TRUST_PROXY.trim();
+  const hops = Number(setting);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : ['true', 'false'].includes(setting) ? setting === 'true' : setting);
+}
+
 // Middleware
-app.use(express.json());
+// Tutorial bundles and lesson imports carry whole lessons, hence the larger limit
+app.use(express.json({ limit: '5mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // CORS configuration
@@ -60,8 +99,9 @@ const corsOptions = {
     }
   },
   credentials: false, // No cookies needed for JWT
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['Retry-After'],
   optionsSuccessStatus: 200 // For legacy browser support
 };
 
@@ -75,6 +115,24 @@ app.use('/api/v1/technologies', technologyRoutes);
 app.use('/api/v1/tutorials', tutorialRoutes);
 app.use('/api/v1/lessons', lessonRoutes);
 app.use('/api/v1/tutorials/:tutorialId/lessons', tutorialLessonRoutes);
+app.use('/api/v1/admin', adminRoutes);
+app.use('/api/v1/search', searchRoutes);
+app.use('/api/v1/reviews', reviewRoutes);
+app.use('/api/v1/media', mediaRoutes);
+app.use('/api/v1/embed-providers', embedProviderRoutes);
+
+// Media uploaded to the local disk storage
+// Only images are shown inline, everything else is downloaded
+app.use('/uploads', express.static(getLocalUploadDir(), {
+  index: false,
+  dotfiles: 'deny',
+  setHeaders: (res, filePath) => {
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    if (!Object.values(IMAGE_TYPES).includes(path.extname(filePath).toLowerCase())) {
+      res.setHeader('Content-Disposition', 'attachment');
+    }
+  }
+}));
 
 // Health check route
 app.get('/', (req, res) => {
@@ -0,0 +1,249 @@
+// src/lib/assets.js
+import Asset from '../models/asset.model.js';
+import { validateImageUrl, validateEmbedUrl } from './lessonContent.js';
+import { isSafeUrl } from './sanitize.js';
+
+// Keeps the media library in step with lesson content. Every image, video,
+// embed and attachment block is recorded as an asset with the lessons using
+// it, so assets can be reused, replaced everywhere at once and cleaned up once
+// nothing uses them. Lessons sync their usages after every content save.
+
+// Helper function to get the asset a content block points to
+export const getBlockAssetRef = (block) => {
+  if (!block || !block.data) return null;
+  const data = block.data;
+
+  switch (block.type) {
+    case 'image':
+      return data.url ? { url: data.url, kind: 'image', alt: data.alt || '' } : null;
+    case 'video':
+    case 'embed':
+      return data.url ? { url: data.url, kind: block.type, service: data.service } : null;
+    case 'attaches':
+      return data.file && data.file.url
+        ? { url: data.file.url, kind: 'attachment', name: data.title || data.file.name }
+        : null;
+    default:
+      return null;
+  }
+};
+
+// Helper function to list the assets used by content blocks, one entry per URL
+// Inline data URLs are part of the content and not tracked
+export const extractAssetRefs = (blocks) => {
+  const refs = new Map();
+
+  (Array.isArray(blocks) ? blocks : []).forEach(block => {
+    const ref = getBlockAssetRef(block);
+    if (!ref || typeof ref.url !== 'string' || ref.url.startsWith('data:')) return;
+
+    const existing = refs.get(ref.url);
+    if (existing) {
+      existing.blockIds.push(block.id);
+      if (!existing.alt && ref.alt) existing.alt = ref.alt;
+    } else {
+      refs.set(ref.url, { ...ref, blockIds: [block.id] });
+    }
+  });
+
+  return [...refs.values()];
+};
+
+// Helper function to get the blocks of lesson content
+const getBlocks = (content) => (content && Array.isArray(content.blocks) ? content.blocks : []);
+
+// Helper function to get the blocks of a lesson's pending draft (requires +draft)
+const getDraftBlocks = (lesson) => (lesson.hasDraft && lesson.draft ? getBlocks(lesson.draft.content) : []);
+
+// Helper function to get the tutorial id of a lesson, populated or not
+const getTutorialId = (lesson) => (lesson.tutorial && lesson.tutorial._id ? lesson.tutorial._id : lesson.tutorial);
+
+// Helper function to get the fields a newly recorded asset starts with
+const getNewAssetFields = (ref) => ({ kind: ref.kind, service: ref.service, name: ref.name, defaultAlt: ref.alt || '' });
+
+// Helper function to record the assets used by the live content or the draft of a lesson
+const syncUsages = async (lessonId, tutorialId, draft, blocks) => {
+  const refs = extractAssetRefs(blocks);
+
+  const operations = [
+    // Assets the lesson no longer uses
+    {
+      updateMany: {
+        filter: { url: { $nin: refs.map(ref => ref.url) }, usages: { $elemMatch: { lesson: lessonId, draft } } },
+        update: { $pull: { usages: { lesson: lessonId, draft } } }
+      }
+    },
+    ...refs.flatMap(ref => [
+      {
+        updateOne: {
+          filter: { url: ref.url },
+          update: { $pull: { usages: { lesson: lessonId, draft } } }
+        }
+      },
+      {
+        updateOne: {
+          filter: { url: ref.url },
+          update: {
+            $push: { usages: { lesson: lessonId, tutorial: tutorialId, draft, blockIds: ref.blockIds.filter(Boolean) } },
+            $setOnInsert: getNewAssetFields(ref)
+          },
+          upsert: true
+        }
+      }
+    ])
+  ];
+
+  await Asset.bulkWrite(operations);
+};
+
+// Record which assets a lesson uses
+// scopes limits the sync to the live content or the draft (requires +draft)
+export const syncLessonAssets = async (lesson, { live = true, draft = true } = {}) => {
+  const tutorialId = getTutorialId(lesson);
+
+  if (live) {
+    await syncUsages(lesson._id, tutorialId, false, getBlocks(lesson.content));
+  }
+  if (draft) {
+    await syncUsages(lesson._id, tutorialId, true, getDraftBlocks(lesson));
+  }
+};
+
+// Rebuild the usages of every asset from lessons (any iterable or cursor,
+// documents need +draft)
+// The usages are collected first and then swapped in one asset at a time, so
+// no asset looks unused while the scan runs. Returns the number of lessons
+export const rebuildAssetUsages = async (lessons) => {
+  const usagesByUrl = new Map();
+  let lessonCount = 0;
+
+  for await (const lesson of lessons) {
+    const tutorialId = getTutorialId(lesson);
+
+    [[false, getBlocks(lesson.content)], [true, getDraftBlocks(lesson)]].forEach(([draft, blocks]) => {
+      extractAssetRefs(blocks).forEach(ref => {
+        if (!usagesByUrl.has(ref.url)) usagesByUrl.set(ref.url, { ref, usages: [] });
+        usagesByUrl.get(ref.url).usages.push({
+          lesson: lesson._id,
+          tutorial: tutorialId,
+          draft,
+          blockIds: ref.blockIds.filter(Boolean)
+        });
+      });
+    });
+    lessonCount++;
+  }
+
+  const operations = [
+    // Assets no lesson uses any more
+    {
+      updateMany: {
+        filter: { url: { $nin: [...usagesByUrl.keys()] }, 'usages.0': { $exists: true } },
+        update: { $set: { usages: [] } }
+      }
+    },
+    ...[...usagesByUrl.values()].map(({ ref, usages }) => ({
+      updateOne: {
+        filter: { url: ref.url },
+        update: { $set: { usages }, $setOnInsert: getNewAssetFields(ref) },
+        upsert: true
+      }
+    }))
+  ];
+
+  await Asset.bulkWrite(operations);
+
+  return lessonCount;
+};
+
+// Fill in the default alt text of library images for image blocks without one
+// Returns the number of blocks changed
+export const applyDefaultAltText = async (blocks) => {
+  const missing = (Array.isArray(blocks) ? blocks : []).filter(block =>
+    block && block.type === 'image' && block.data && block.data.url && !block.data.alt);
+  if (missing.length === 0) return 0;
+
+  const assets = await Asset.find({
+    url: { $in: missing.map(block => block.data.url) },
+    defaultAlt: { $nin: ['', null] }
+  }).select('url defaultAlt');
+  const altByUrl = new Map(assets.map(asset => [asset.url, asset.defaultAlt]));
+
+  let changed = 0;
+  missing.forEach(block => {
+    if (altByUrl.has(block.data.url)) {
+      block.data.alt = altByUrl.get(block.data.url);
+      changed++;
+    }
+  });
+
+  return changed;
+};
+
+// Check that a URL can replace an asset of a given kind
+// Returns {} (with the embed details for videos and embeds) or { error }
+export const checkReplacementUrl = (kind, url) => {
+  if (kind === 'image') {
+    const validation = validateImageUrl(url);
+    return validation.isValid ? {} : { error: validation.message };
+  }
+
+  if (kind === 'video' || kind === 'embed') {
+    const validation = validateEmbedUrl(url);
+    return validation.isValid ? { embed: validation } : { error: validation.message };
+  }
+
+  try {
+    new URL(url);
+  } catch (error) {
+    return { error: 'Invalid URL format' };
+  }
+
+  // Attachments are downloaded from their URL, only web links are allowed
+  if (!isSafeUrl(url, 'src')) {
+    return { error: 'Attachment URLs must start with http:// or https://' };
+  }
+  return {};
+};
+
+// Point every block using an asset at a replacement
+// replacement is { url, defaultAlt, name, size, embed } (embed from checkReplacementUrl)
+// Returns the ids of the blocks changed
+export const replaceAssetInBlocks = (blocks, fromUrl, replacement) => {
+  const changed = [];
+
+  (Array.isArray(blocks) ? blocks : []).forEach(block => {
+    const ref = getBlockAssetRef(block);
+    if (!ref || ref.url !== fromUrl) return;
+
+    const data = block.data;
+
+    if (block.type === 'image') {
+      data.url = replacement.url;
+      if (!data.alt && replacement.defaultAlt) data.alt = replacement.defaultAlt;
+    } else if (block.type === 'attaches') {
+      data.file = {
+        ...data.file,
+        url: replacement.url,
+        ...(replacement.name ? { name: replacement.name } : {}),
+        ...(replacement.size ? { size: replacement.size } : {})
+      };
+    } else {
+      const { embed } = replacement;
+      data.url = embed.originalUrl;
+      data.service = embed.service;
+      data.embed = embed.embedUrl;
+      data.width = embed.width || data.width;
+      data.height = embed.height || data.height;
+      data.videoId = embed.videoId;
+      data.thumbnail = embed.thumbnailUrl;
+    }
+
+    // The old URL may have been flagged, the replacement was checked
+    data.invalid = false;
+    data.invalidReason = undefined;
+    changed.push(block.id);
+  });
+
+  return changed;
+};
@@ -0,0 +1,89 @@
+// src/lib/blockDiff.js
+
+// Block-level diff between two EditorJS block lists. Blocks are matched by
+// their EditorJS id; blocks without an id are matched by position.
+
+// Stable JSON representation so key order does not count as a change
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => key !== '_id')
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const blockKey = (block, index) => (block && block.id ? `id:${block.id}` : `index:${index}`);
+
+// Names of the data fields that differ between two versions of a block
+const changedFields = (before, after) => {
+  const beforeData = (before && before.data) || {};
+  const afterData = (after && after.data) || {};
+  const keys = new Set([...Object.keys(beforeData), ...Object.keys(afterData)]);
+
+  return [...keys].filter(key => stableStringify(beforeData[key]) !== stableStringify(afterData[key]));
+};
+
+// Compare two block lists, returns { changes, summary }
+// Each change is { status, id, type, fromIndex, toIndex, before, after, fields }
+// where status is added, removed, modified, moved or unchanged.
+export const diffBlocks = (fromBlocks = [], toBlocks = []) => {
+  const fromByKey = new Map();
+  fromBlocks.forEach((block, index) => fromByKey.set(blockKey(block, index), { block, index }));
+
+  const changes = [];
+  const seen = new Set();
+
+  toBlocks.forEach((block, toIndex) => {
+    const key = blockKey(block, toIndex);
+    const previous = fromByKey.get(key);
+
+    if (!previous) {
+      changes.push({ status: 'added', id: block.id, type: block.type, toIndex, after: block });
+      return;
+    }
+
+    seen.add(key);
+    const fields = changedFields(previous.block, block);
+    const typeChanged = previous.block.type !== block.type;
+
+    let status = 'unchanged';
+    if (typeChanged || fields.length > 0) {
+      status = 'modified';
+    } else if (previous.index !== toIndex) {
+      status = 'moved';
+    }
+
+    const change = {
+      status,
+      id: block.id,
+      type: block.type,
+      fromIndex: previous.index,
+      toIndex
+    };
+
+    if (status === 'modified') {
+      change.before = previous.block;
+      change.after = block;
+      change.fields = typeChanged ? ['type', ...fields] : fields;
+    }
+
+    changes.push(change);
+  });
+
+  fromByKey.forEach(({ block, index }, key) => {
+    if (!seen.has(key)) {
+      changes.push({ status: 'removed', id: block.id, type: block.type, fromIndex: index, before: block });
+    }
+  });
+
+  const summary = { added: 0, removed: 0, modified: 0, moved: 0, unchanged: 0 };
+  changes.forEach(change => { summary[change.status]++; });
+
+  return { changes, summary };
+};
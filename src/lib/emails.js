@@ -0,0 +1,41 @@
+// src/lib/emails.js
+import { sendMail } from './mailer.js';
+
+// Escape user-provided values placed in HTML emails
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Base URL of this API, used for links the API handles itself
+const getApiUrl = (req) => process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+
+// Send the email address verification link
+export const sendVerificationEmail = async (user, token, req) => {
+  const link = `${getApiUrl(req)}/api/v1/auth/verify-email/${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your CodeCraft email address',
+    text: `Hi ${user.username},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nThis link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>Please confirm your email address by opening the link below:</p><p><a href="${link}">${link}</a></p><p>This link expires in 24 hours.</p>`
+  });
+};
+
+// Send the password reset link, pointing at the frontend reset form
+// (the API only accepts the new password by POST, it has no page to link to)
+export const sendPasswordResetEmail = async (user, token) => {
+  if (!process.env.FRONTEND_URL) {
+    throw new Error('FRONTEND_URL must be set to send password reset links');
+  }
+
+  const link = `${process.env.FRONTEND_URL.replace(/\/+$/, '')}/reset-password/${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your CodeCraft password',
+    text: `Hi ${user.username},\n\nSomeone requested a password reset for your account. Use the link below to choose a new password:\n\n${link}\n\nThis link expires in 1 hour. If you did not request a reset you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>Someone requested a password reset for your account. Use the link below to choose a new password:</p><p><a href="${link}">${link}</a></p><p>This link expires in 1 hour. If you did not request a reset you can ignore this email.</p>`
+  });
+};
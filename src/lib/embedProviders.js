@@ -0,0 +1,149 @@
+// src/lib/embedProviders.js
+import EmbedProvider from '../models/embed.provider.model.js';
+import { isSafeRegex, compileSafeRegex } from './safeRegex.js';
+
+// Registry of the services video and embed blocks accept. Providers are
+// managed by admins in the EmbedProvider collection and kept compiled in
+// memory, because embed URLs are checked synchronously while content is
+// validated. The cache is reloaded whenever a provider changes; other API
+// instances pick changes up on their next start or reload.
+
+// Providers the API ships with, written to the collection on first start
+export const DEFAULT_EMBED_PROVIDERS = [
+  {
+    name: 'youtube',
+    label: 'YouTube',
+    urlPatterns: [
+      '(?:youtube\\.com\\/watch\\?v=|youtu\\.be\\/|youtube\\.com\\/embed\\/)(?<id>[a-zA-Z0-9_-]{11})',
+      'youtube\\.com\\/v\\/(?<id>[a-zA-Z0-9_-]{11})',
+      'youtube\\.com\\/watch\\?.*v=(?<id>[a-zA-Z0-9_-]{11})'
+    ],
+    embedUrlTemplate: 'https://www.youtube.com/embed/{id}',
+    thumbnailUrlTemplate: 'https://img.youtube.com/vi/{id}/maxresdefault.jpg',
+    width: 560,
+    height: 315,
+    priority: 10
+  },
+  {
+    name: 'vimeo',
+    label: 'Vimeo',
+    urlPatterns: ['vimeo\\.com\\/(?:video\\/)?(?<id>\\d+)'],
+    embedUrlTemplate: 'https://player.vimeo.com/video/{id}',
+    width: 640,
+    height: 360,
+    priority: 20
+  },
+  {
+    name: 'codepen',
+    label: 'CodePen',
+    urlPatterns: ['codepen\\.io\\/(?<user>[^\\/]+)\\/pen\\/(?<pen>[^\\/?]+)'],
+    embedUrlTemplate: 'https://codepen.io/{user}/embed/{pen}',
+    width: 800,
+    height: 400,
+    priority: 30
+  },
+  {
+    name: 'iframe',
+    label: 'Trusted sites',
+    urlPatterns: [
+      '^https:\\/\\/([^\\/?#]+\\.)?(codesandbox\\.io|stackblitz\\.com|replit\\.com|jsfiddle\\.net|slides\\.com|docs\\.google\\.com|figma\\.com)(?=[\\/?#:]|$)'
+    ],
+    embedUrlTemplate: '{url}',
+    width: 800,
+    height: 600,
+    priority: 1000
+  }
+];
+
+// Helper function to compile a provider definition for matching
+// Patterns run on the linear-time matcher of safeRegex.js, the ones it does
+// not support (saved before they were refused) are left out
+const compileProvider = (provider) => ({
+  name: provider.name,
+  label: provider.label,
+  patterns: (provider.urlPatterns || []).filter(isSafeRegex).map(pattern => compileSafeRegex(pattern)),
+  embedUrlTemplate: provider.embedUrlTemplate,
+  thumbnailUrlTemplate: provider.thumbnailUrlTemplate,
+  width: provider.width,
+  height: provider.height
+});
+
+// Helper function to sort providers by priority, then name
+const byPriority = (a, b) => (a.priority ?? 100) - (b.priority ?? 100) || a.name.localeCompare(b.name);
+
+let providers = [...DEFAULT_EMBED_PROVIDERS].sort(byPriority).map(compileProvider);
+
+// Load the enabled providers from the database into the registry
+// With seed, the defaults are written first if there are no providers at all
+export const loadEmbedProviders = async ({ seed = false } = {}) => {
+  try {
+    if (seed && await EmbedProvider.countDocuments() === 0) {
+      await EmbedProvider.insertMany(DEFAULT_EMBED_PROVIDERS.map(provider => ({ ...provider, builtIn: true })));
+      console.log(`🧩 Added ${DEFAULT_EMBED_PROVIDERS.length} default embed providers`);
+    }
+
+    const docs = await EmbedProvider.find({ enabled: true }).lean();
+    providers = docs.sort(byPriority).map(compileProvider);
+  } catch (error) {
+    console.error('Could not load embed providers:', error.message);
+  }
+
+  return providers;
+};
+
+// Get the compiled providers in the order they are tried
+export const getEmbedProviders = () => providers;
+
+// Helper function to fill the {placeholders} of a template from a URL match
+// {url} is the pasted URL, {encodedUrl} the same URL encoded for a query
+// string, {1} or {name} a numbered or named group of the pattern
+const fillTemplate = (template, match, url) => template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+  if (key === 'url') return url;
+  if (key === 'encodedUrl') return encodeURIComponent(url);
+
+  const value = /^\d+$/.test(key) ? match[Number(key)] : match.groups && match.groups[key];
+  return value === undefined ? '' : encodeURIComponent(value);
+});
+
+// Helper function to check that a filled template is an https URL
+const isHttpsUrl = (value) => {
+  try {
+    return new URL(value).protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+// Find the provider of a URL and build its embed details
+// service (the block's current provider) is tried first
+// Returns { service, embedUrl, thumbnailUrl, videoId, width, height } or null
+export const matchEmbedUrl = (url, service = null) => {
+  const candidates = service
+    ? [...providers.filter(provider => provider.name === service), ...providers.filter(provider => provider.name !== service)]
+    : providers;
+
+  for (const provider of candidates) {
+    for (const pattern of provider.patterns) {
+      const match = pattern.exec(url);
+      if (!match) continue;
+
+      const embedUrl = fillTemplate(provider.embedUrlTemplate, match, url);
+      if (!isHttpsUrl(embedUrl)) continue;
+
+      const thumbnailUrl = provider.thumbnailUrlTemplate
+        ? fillTemplate(provider.thumbnailUrlTemplate, match, url)
+        : undefined;
+
+      return {
+        service: provider.name,
+        embedUrl,
+        thumbnailUrl: thumbnailUrl && isHttpsUrl(thumbnailUrl) ? thumbnailUrl : undefined,
+        videoId: match.groups && match.groups.id,
+        width: provider.width,
+        height: provider.height
+      };
+    }
+  }
+
+  return null;
+};
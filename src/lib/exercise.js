@@ -0,0 +1,317 @@
+// src/lib/exercise.js
+import { Worker } from 'worker_threads';
+
+// Exercise blocks hold starter code, test cases and a reference solution.
+// Learner submissions are JavaScript defining the function named by
+// entryPoint; each test case calls it with `args` and compares the result
+// with `expected`. Code runs in exercise.worker.js, one worker per run.
+
+const WORKER_URL = new URL('./exercise.worker.js', import.meta.url);
+
+const MAX_CODE_LENGTH = 20000;
+const MAX_TEST_CASES = 50;
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// Limits, read when a run starts so they can be set in .env
+const getLimits = () => ({
+  timeoutMs: parseInt(process.env.EXERCISE_TIMEOUT_MS, 10) || 2000,
+  memoryMb: parseInt(process.env.EXERCISE_MEMORY_MB, 10) || 64,
+  maxWorkers: parseInt(process.env.EXERCISE_MAX_WORKERS, 10) || 2
+});
+
+// Validate and normalize an exercise block's data
+// Returns { data } with the normalized fields, or { error }
+export const normalizeExerciseData = (data = {}) => {
+  const entryPoint = typeof data.entryPoint === 'string' ? data.entryPoint.trim() : '';
+  if (!IDENTIFIER.test(entryPoint)) {
+    return { error: 'Exercise needs the name of the function learners implement' };
+  }
+
+  if ((data.language || 'javascript') !== 'javascript') {
+    return { error: 'Only JavaScript exercises are supported' };
+  }
+
+  const testCases = Array.isArray(data.testCases) ? data.testCases : [];
+  if (testCases.length === 0) return { error: 'Exercise needs at least one test case' };
+  if (testCases.length > MAX_TEST_CASES) return { error: `Exercise cannot have more than ${MAX_TEST_CASES} test cases` };
+
+  const normalizedTests = [];
+  for (const [index, testCase] of testCases.entries()) {
+    if (!testCase || !Array.isArray(testCase.args) || !('expected' in testCase)) {
+      return { error: `Test case ${index + 1} needs args (a list) and an expected result` };
+    }
+    normalizedTests.push({
+      name: (typeof testCase.name === 'string' && testCase.name.trim()) || `Test ${index + 1}`,
+      args: testCase.args,
+      expected: testCase.expected,
+      // Test cases are hidden from learners unless marked otherwise
+      hidden: testCase.hidden !== false
+    });
+  }
+
+  return {
+    data: {
+      language: 'javascript',
+      entryPoint,
+      starterCode: typeof data.starterCode === 'string' ? data.starterCode : '',
+      solution: typeof data.solution === 'string' ? data.solution : '',
+      testCases: normalizedTests
+    }
+  };
+};
+
+// Return a copy of an exercise block's data without its solution and hidden tests
+export const redactExerciseData = (data) => {
+  const { solution, testCases, ...visible } = data;
+  const tests = Array.isArray(testCases) ? testCases : [];
+
+  return {
+    ...visible,
+    testCases: tests.filter(testCase => testCase.hidden === false),
+    hiddenTestCount: tests.filter(testCase => testCase.hidden !== false).length
+  };
+};
+
+// Installed in the exercise context before the learner code runs. It must
+// not reference anything outside itself: it is sent to the worker as source.
+// Built-ins are captured up front and results are serialized by hand, so
+// learner code that patches prototypes cannot forge the report.
+function exercisePrelude() {
+  'use strict';
+  const global = globalThis;
+  const stringify = JSON.stringify;
+  const parse = JSON.parse;
+  const objectKeys = Object.keys;
+  const isArray = Array.isArray;
+  const defineProperty = Object.defineProperty;
+  const freeze = Object.freeze;
+  const apply = Reflect.apply;
+  const logs = [];
+  let capturing = true;
+  const MAX_LOGS = 50;
+  const MAX_LOG_LENGTH = 1000;
+
+  function sortStrings(values) {
+    for (let i = 1; i < values.length; i++) {
+      const current = values[i];
+      let j = i - 1;
+      while (j >= 0 && values[j] > current) {
+        values[j + 1] = values[j];
+        j--;
+      }
+      values[j + 1] = current;
+    }
+    return values;
+  }
+
+  // Stable text form of a value, object keys sorted
+  function canonical(value, depth) {
+    if (depth > 20) return '"[Too deep]"';
+    if (value === undefined) return 'undefined';
+    if (typeof value === 'number' && value !== value) return 'NaN';
+    if (typeof value === 'function') return '"[Function]"';
+    if (typeof value === 'symbol' || typeof value === 'bigint') return stringify(String(value));
+    if (value === null || typeof value !== 'object') return stringify(value);
+
+    let text = '';
+    if (isArray(value)) {
+      for (let i = 0; i < value.length; i++) {
+        text += (i > 0 ? ',' : '') + canonical(value[i], depth + 1);
+      }
+      return '[' + text + ']';
+    }
+
+    const keys = sortStrings(objectKeys(value));
+    for (let k = 0; k < keys.length; k++) {
+      text += (k > 0 ? ',' : '') + stringify(keys[k]) + ':' + canonical(value[keys[k]], depth + 1);
+    }
+    return '{' + text + '}';
+  }
+
+  function describe(error) {
+    try {
+      if (error && typeof error.message === 'string') {
+        return (typeof error.name === 'string' ? error.name + ': ' : '') + error.message;
+      }
+      return String(error);
+    } catch (describeError) {
+      return 'Error';
+    }
+  }
+
+  function log() {
+    if (!capturing || logs.length >= MAX_LOGS) return;
+    let line = '';
+    for (let i = 0; i < arguments.length; i++) {
+      const arg = arguments[i];
+      line += (i > 0 ? ' ' : '') + (typeof arg === 'string' ? arg : canonical(arg, 0));
+    }
+    logs[logs.length] = line.length > MAX_LOG_LENGTH ? line.slice(0, MAX_LOG_LENGTH) + '…' : line;
+  }
+
+  function logsJson() {
+    let text = '';
+    for (let i = 0; i < logs.length; i++) {
+      text += (i > 0 ? ',' : '') + stringify(logs[i]);
+    }
+    return '[' + text + ']';
+  }
+
+  function runTests(fn, name, testsJson) {
+    if (typeof fn !== 'function') {
+      return '{"error":' + stringify('Function "' + name + '" is not defined') + ',"logs":' + logsJson() + '}';
+    }
+
+    const tests = parse(testsJson);
+    let text = '';
+
+    for (let i = 0; i < tests.length; i++) {
+      const test = tests[i];
+      const expected = canonical(test.expected, 0);
+      // Output of hidden tests would give their inputs away
+      capturing = !test.hidden;
+      let result = '{"passed":';
+
+      try {
+        const actual = canonical(apply(fn, undefined, test.args), 0);
+        result += (actual === expected) + ',"actual":' + stringify(actual);
+      } catch (error) {
+        result += 'false,"error":' + stringify(describe(error));
+      }
+
+      text += (i > 0 ? ',' : '') + result + ',"expected":' + stringify(expected) + '}';
+    }
+    capturing = true;
+
+    return '{"tests":[' + text + '],"logs":' + logsJson() + '}';
+  }
+
+  function reportFailure(message) {
+    return '{"error":' + stringify(String(message)) + ',"logs":' + logsJson() + '}';
+  }
+
+  const consoleObject = freeze({ log: log, info: log, warn: log, error: log, debug: log });
+
+  defineProperty(global, 'console', { value: consoleObject, writable: false, configurable: false });
+  defineProperty(global, '__runTests', { value: runTests, writable: false, configurable: false });
+  defineProperty(global, '__reportFailure', { value: reportFailure, writable: false, configurable: false });
+}
+
+// Run at most maxWorkers submissions at once, the rest wait their turn
+let activeRuns = 0;
+const waitingRuns = [];
+
+const acquireRunSlot = (maxWorkers) => new Promise(resolve => {
+  if (activeRuns < maxWorkers) {
+    activeRuns++;
+    resolve();
+  } else {
+    waitingRuns.push(resolve);
+  }
+});
+
+const releaseRunSlot = () => {
+  const next = waitingRuns.shift();
+  if (next) {
+    next();
+  } else {
+    activeRuns--;
+  }
+};
+
+// Helper function to run prepared sources in a new worker
+const runInWorker = (workerData, { timeoutMs, memoryMb }) => new Promise(resolve => {
+  const worker = new Worker(WORKER_URL, {
+    workerData: { ...workerData, timeoutMs },
+    // No access to the server's environment variables or output
+    env: {},
+    stdout: true,
+    stderr: true,
+    resourceLimits: {
+      maxOldGenerationSizeMb: memoryMb,
+      maxYoungGenerationSizeMb: Math.max(Math.floor(memoryMb / 4), 4),
+      codeRangeSizeMb: 16,
+      stackSizeMb: 4
+    }
+  });
+
+  let settled = false;
+  const finish = (result) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(timer);
+    worker.terminate();
+    resolve(result);
+  };
+
+  // Backstop for code that escapes the in-context timeout (worker start-up included)
+  const timer = setTimeout(() => finish({ error: 'Time limit exceeded' }), timeoutMs + 2000);
+
+  worker.once('message', (message) => {
+    try {
+      finish(JSON.parse(message));
+    } catch (error) {
+      finish({ error: 'Exercise could not be run' });
+    }
+  });
+  worker.once('error', (error) => {
+    finish({
+      error: error && error.code === 'ERR_WORKER_OUT_OF_MEMORY' ? 'Memory limit exceeded' : 'Exercise could not be run'
+    });
+  });
+  worker.once('exit', () => finish({ error: 'Exercise could not be run' }));
+});
+
+// Run learner code against an exercise block's test cases
+// Returns { passed, total, tests, logs, runError } or { error } for invalid submissions
+export const runExercise = async (data, code) => {
+  if (typeof code !== 'string' || !code.trim()) {
+    return { error: 'Code is required' };
+  }
+  if (code.length > MAX_CODE_LENGTH) {
+    return { error: `Code cannot exceed ${MAX_CODE_LENGTH} characters` };
+  }
+
+  const { data: exercise, error } = normalizeExerciseData(data);
+  if (error) return { error: `Exercise cannot be run: ${error}` };
+
+  const testsJson = JSON.stringify(exercise.testCases.map(({ args, expected, hidden }) => ({ args, expected, hidden })));
+  const limits = getLimits();
+
+  await acquireRunSlot(limits.maxWorkers);
+
+  let output;
+  try {
+    output = await runInWorker({
+      prelude: `(${exercisePrelude.toString()})();`,
+      code,
+      harness: `__runTests(typeof ${exercise.entryPoint} === 'function' ? ${exercise.entryPoint} : undefined, ` +
+        `${JSON.stringify(exercise.entryPoint)}, ${JSON.stringify(testsJson)});`
+    }, limits);
+  } finally {
+    releaseRunSlot();
+  }
+
+  const tests = exercise.testCases.map((testCase, index) => {
+    const result = (output.tests && output.tests[index]) || { passed: false };
+    const summary = { name: testCase.name, passed: Boolean(result.passed) };
+
+    // Hidden tests only report their name and result
+    if (!testCase.hidden) {
+      summary.args = testCase.args;
+      summary.expected = testCase.expected;
+      summary.actual = result.actual;
+      summary.error = result.error;
+    }
+
+    return summary;
+  });
+
+  return {
+    passed: tests.filter(test => test.passed).length,
+    total: tests.length,
+    tests,
+    logs: output.logs || [],
+    runError: output.error
+  };
+};
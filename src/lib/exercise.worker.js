@@ -0,0 +1,42 @@
+// src/lib/exercise.worker.js
+import { parentPort, workerData } from 'worker_threads';
+import vm from 'vm';
+
+// Runs one exercise submission inside a fresh V8 context. The context has no
+// require, process, timers or network APIs, cannot compile code from strings,
+// and only strings cross its boundary. The worker itself is memory-limited
+// and terminated by the parent if it runs too long.
+
+const { prelude, code, harness, timeoutMs } = workerData;
+
+const context = vm.createContext(Object.create(null), {
+  name: 'exercise',
+  codeGeneration: { strings: false, wasm: false },
+  microtaskMode: 'afterEvaluate'
+});
+
+const run = (source, filename) => vm.runInContext(source, context, {
+  filename,
+  timeout: timeoutMs,
+  breakOnSigint: false
+});
+
+let output;
+
+try {
+  run(prelude, 'prelude.js');
+
+  try {
+    run(code, 'solution.js');
+    output = run(harness, 'tests.js');
+  } catch (error) {
+    // Errors from the learner code are reported by the harness itself,
+    // anything reaching here is a syntax error or the time limit
+    const timedOut = error && error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+    output = run(`__reportFailure(${JSON.stringify(timedOut ? 'Time limit exceeded' : String(error))})`, 'report.js');
+  }
+} catch (error) {
+  output = JSON.stringify({ error: 'Exercise could not be run' });
+}
+
+parentPort.postMessage(typeof output === 'string' ? output : JSON.stringify({ error: 'Exercise could not be run' }));
@@ -0,0 +1,331 @@
+// src/lib/lessonContent.js
+import { normalizeQuizData } from './quizGrading.js';
+import { normalizeExerciseData } from './exercise.js';
+import { matchEmbedUrl } from './embedProviders.js';
+import { sanitizeBlockData, isSafeBlockUrl } from './sanitize.js';
+
+// Validation of EditorJS lesson content, shared by the lesson editor and the
+// Markdown and tutorial bundle imports. Blocks that cannot be used are kept
+// but flagged with data.invalid and data.invalidReason. The HTML of text
+// fields and raw blocks is sanitized (lib/sanitize.js), sanitized lists what
+// was removed from which block.
+
+// Helper function to validate image URLs
+export const validateImageUrl = (url) => {
+  if (!url || typeof url !== 'string') return { isValid: false, message: 'URL is required' };
+  
+  try {
+    new URL(url);
+    
+    // The extension and host checks below look anywhere in the URL
+    if (!isSafeBlockUrl(url, { allowDataImages: true })) {
+      return {
+        isValid: false,
+        hasExtension: false,
+        isFromTrustedDomain: false,
+        isDataUrl: false,
+        message: 'Image URLs must start with http:// or https://'
+      };
+    }
+    
+    // Check for image file extensions
+    const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg', '.bmp', '.ico'];
+    const hasImageExtension = imageExtensions.some(ext => 
+      url.toLowerCase().includes(ext)
+    );
+    
+    // Check for known image hosting domains
+    const imageDomains = [
+      'imgur.com', 'i.imgur.com',
+      'unsplash.com', 'images.unsplash.com',
+      'pixabay.com', 'cdn.pixabay.com',
+      'pexels.com', 'images.pexels.com',
+      'githubusercontent.com', 'raw.githubusercontent.com',
+      'cloudinary.com', 'res.cloudinary.com',
+      'amazonaws.com', 's3.amazonaws.com',
+      'googleusercontent.com',
+      'cdn.jsdelivr.net',
+      'cdnjs.cloudflare.com',
+      'wikimedia.org',
+      'freepik.com',
+      'shutterstock.com'
+    ];
+    
+    const isFromImageDomain = imageDomains.some(domain => 
+      url.includes(domain)
+    );
+    
+    // Additional check for data URLs (base64 images)
+    const isDataUrl = url.startsWith('data:image/');
+    
+    return {
+      isValid: hasImageExtension || isFromImageDomain || isDataUrl,
+      hasExtension: hasImageExtension,
+      isFromTrustedDomain: isFromImageDomain,
+      isDataUrl: isDataUrl,
+      message: hasImageExtension || isFromImageDomain || isDataUrl
+        ? 'Valid image URL' 
+        : 'URL should point to an image file or be from a trusted image hosting service'
+    };
+  } catch (error) {
+    return {
+      isValid: false,
+      hasExtension: false,
+      isFromTrustedDomain: false,
+      isDataUrl: false,
+      message: 'Invalid URL format'
+    };
+  }
+};
+
+// Helper function to validate and process embed URLs
+// Supported services come from the embed provider registry (lib/embedProviders.js)
+export const validateEmbedUrl = (url, service = null) => {
+  if (!url || typeof url !== 'string') return { isValid: false, message: 'URL is required' };
+  
+  try {
+    new URL(url);
+    
+    if (!isSafeBlockUrl(url)) {
+      return {
+        isValid: false,
+        message: 'Embed URLs must start with http:// or https://'
+      };
+    }
+    
+    const embed = matchEmbedUrl(url, service);
+    if (embed) {
+      return {
+        isValid: true,
+        service: embed.service,
+        embedUrl: embed.embedUrl,
+        thumbnailUrl: embed.thumbnailUrl,
+        videoId: embed.videoId,
+        originalUrl: url,
+        width: embed.width,
+        height: embed.height
+      };
+    }
+    
+    return {
+      isValid: false,
+      message: 'URL is not from a supported embed service'
+    };
+    
+  } catch (error) {
+    return {
+      isValid: false,
+      message: 'Invalid URL format'
+    };
+  }
+};
+
+// Helper function to validate and clean lesson content structure for EditorJS
+export const validateAndCleanLessonContent = (content) => {
+  if (!content || typeof content !== 'object') {
+    return { 
+      isValid: true, 
+      cleanContent: {
+        time: Date.now(),
+        blocks: [],
+        version: "2.28.2"
+      },
+      sanitized: []
+    };
+  }
+  
+  if (!content.blocks || !Array.isArray(content.blocks)) {
+    return { 
+      isValid: true, 
+      cleanContent: {
+        time: content.time || Date.now(),
+        blocks: [],
+        version: content.version || "2.28.2"
+      },
+      sanitized: []
+    };
+  }
+  
+  // Clean and validate each block
+  const cleanBlocks = [];
+  const sanitized = [];
+  
+  for (let i = 0; i < content.blocks.length; i++) {
+    const block = content.blocks[i];
+    
+    // Skip undefined, null, or invalid blocks
+    if (!block || typeof block !== 'object') {
+      console.warn(`Skipping invalid block at index ${i}:`, block);
+      continue;
+    }
+    
+    // Check if block has required properties
+    if (!block.type || typeof block.type !== 'string') {
+      console.warn(`Block ${i + 1} has invalid or missing type, defaulting to 'paragraph':`, block);
+      block.type = 'paragraph';
+    }
+    
+    // Ensure block has data object
+    if (!block.data || typeof block.data !== 'object') {
+      block.data = {};
+    }
+    
+    // Process and validate specific block types
+    let processedBlock = {
+      id: block.id || `block_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      type: block.type,
+      data: { ...block.data }
+    };
+    
+    // Handle different block types with enhanced validation
+    switch (block.type) {
+      case 'header':
+        if (block.data.level && (block.data.level < 1 || block.data.level > 6)) {
+          processedBlock.data.level = 2; // Default to h2
+        }
+        break;
+        
+      case 'list':
+        const validStyles = ['ordered', 'unordered', 'checklist'];
+        if (!validStyles.includes(block.data.style)) {
+          processedBlock.data.style = 'unordered';
+        }
+        if (!Array.isArray(block.data.items)) {
+          processedBlock.data.items = [];
+        }
+        break;
+        
+      case 'image':
+        if (block.data.url) {
+          const imageValidation = validateImageUrl(block.data.url);
+          if (imageValidation.isValid) {
+            processedBlock.data.url = block.data.url;
+            processedBlock.data.alt = block.data.alt || block.data.caption || '';
+            processedBlock.data.caption = block.data.caption || '';
+            processedBlock.data.stretched = block.data.stretched || false;
+            processedBlock.data.withBorder = block.data.withBorder || false;
+            processedBlock.data.withBackground = block.data.withBackground || false;
+          } else {
+            console.warn(`Invalid image URL in block ${i + 1}:`, imageValidation.message);
+            // Keep the block but mark it as invalid
+            processedBlock.data.invalid = true;
+            processedBlock.data.invalidReason = imageValidation.message;
+          }
+        }
+        break;
+        
+      case 'video':
+      case 'embed':
+        if (block.data.url || block.data.source) {
+          const url = block.data.url || block.data.source;
+          const embedValidation = validateEmbedUrl(url, block.data.service);
+          
+          if (embedValidation.isValid) {
+            processedBlock.data = {
+              ...processedBlock.data,
+              service: embedValidation.service,
+              url: embedValidation.originalUrl,
+              embed: embedValidation.embedUrl,
+              width: embedValidation.width || block.data.width || 560,
+              height: embedValidation.height || block.data.height || 315,
+              caption: block.data.caption || ''
+            };
+            
+            // Add the video id and thumbnail of providers that have them
+            if (embedValidation.videoId) {
+              processedBlock.data.videoId = embedValidation.videoId;
+            }
+            if (embedValidation.thumbnailUrl) {
+              processedBlock.data.thumbnail = embedValidation.thumbnailUrl;
+            }
+          } else {
+            console.warn(`Invalid embed URL in block ${i + 1}:`, embedValidation.message);
+            processedBlock.data.invalid = true;
+            processedBlock.data.invalidReason = embedValidation.message;
+          }
+        }
+        break;
+        
+      case 'code':
+        // Ensure code blocks have proper structure
+        processedBlock.data.code = block.data.code || '';
+        processedBlock.data.language = block.data.language || 'javascript';
+        break;
+        
+      case 'quote':
+        processedBlock.data.text = block.data.text || '';
+        processedBlock.data.caption = block.data.caption || '';
+        processedBlock.data.alignment = block.data.alignment || 'left';
+        break;
+        
+      case 'table':
+        if (!Array.isArray(block.data.content)) {
+          processedBlock.data.content = [['']];
+        }
+        processedBlock.data.withHeadings = block.data.withHeadings || false;
+        break;
+        
+      case 'warning':
+        processedBlock.data.title = block.data.title || 'Warning';
+        processedBlock.data.message = block.data.message || '';
+        break;
+        
+      case 'quiz':
+        const quizValidation = normalizeQuizData(block.data);
+        if (quizValidation.error) {
+          console.warn(`Invalid quiz in block ${i + 1}:`, quizValidation.error);
+          // Keep the block but mark it as invalid, it is left out of grading
+          processedBlock.data.invalid = true;
+          processedBlock.data.invalidReason = quizValidation.error;
+        } else {
+          processedBlock.data = { ...processedBlock.data, ...quizValidation.data };
+          delete processedBlock.data.invalid;
+          delete processedBlock.data.invalidReason;
+        }
+        break;
+        
+      case 'exercise':
+        const exerciseValidation = normalizeExerciseData(block.data);
+        if (exerciseValidation.error) {
+          console.warn(`Invalid exercise in block ${i + 1}:`, exerciseValidation.error);
+          processedBlock.data.invalid = true;
+          processedBlock.data.invalidReason = exerciseValidation.error;
+        } else {
+          processedBlock.data = { ...processedBlock.data, ...exerciseValidation.data };
+          delete processedBlock.data.invalid;
+          delete processedBlock.data.invalidReason;
+        }
+        break;
+    }
+    
+    // Remove markup that is not allowed from the block's HTML
+    const sanitization = sanitizeBlockData(processedBlock.type, processedBlock.data);
+    processedBlock.data = sanitization.data;
+    if (sanitization.removed.length > 0) {
+      sanitized.push({
+        block: i + 1,
+        id: processedBlock.id,
+        type: processedBlock.type,
+        removed: sanitization.removed
+      });
+    }
+    
+    cleanBlocks.push(processedBlock);
+  }
+  
+  return { 
+    isValid: true, 
+    cleanContent: {
+      time: content.time || Date.now(),
+      blocks: cleanBlocks,
+      version: content.version || "2.28.2"
+    },
+    sanitized
+  };
+};
+
+// Helper function to sanitize EditorJS content
+export const sanitizeContent = (content) => {
+  const validation = validateAndCleanLessonContent(content);
+  return validation.cleanContent;
+};
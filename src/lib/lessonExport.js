@@ -0,0 +1,259 @@
+// src/lib/lessonExport.js
+import { isSafeUrl, sanitizeInlineHtml, sanitizeRawHtml } from './sanitize.js';
+
+// Renders lessons as standalone files: an HTML page with its CSS inlined and
+// links to the other lessons of the tutorial, or plain text. Block HTML is
+// sanitized again when rendered, content saved before sanitization existed
+// may still hold unsafe markup.
+
+// Export formats with the extension and content type of their downloads
+export const EXPORT_FORMATS = {
+  json: { extension: 'json', contentType: 'application/json' },
+  html: { extension: 'html', contentType: 'text/html' },
+  text: { extension: 'txt', contentType: 'text/plain' },
+  markdown: { extension: 'md', contentType: 'text/markdown' }
+};
+
+export const EXPORT_CSS = `
+  body { font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; line-height: 1.6; color: #222; }
+  h1, h2, h3, h4, h5, h6 { color: #333; }
+  code { background: #f4f4f4; padding: 2px 4px; border-radius: 3px; }
+  pre { background: #f4f4f4; padding: 10px; border-radius: 5px; overflow-x: auto; }
+  pre code { padding: 0; }
+  blockquote { border-left: 4px solid #ddd; margin-left: 0; padding-left: 20px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
+  th { background-color: #f2f2f2; }
+  .embed-container { position: relative; padding-bottom: 56.25%; height: 0; overflow: hidden; max-width: 100%; }
+  .embed-container iframe { position: absolute; top: 0; left: 0; width: 100%; height: 100%; }
+  img { max-width: 100%; height: auto; }
+  .lesson-meta { color: #666; }
+  .tutorial-nav { border: 1px solid #ddd; border-radius: 5px; padding: 10px 20px; margin: 20px 0; }
+  .tutorial-nav ol { padding-left: 20px; }
+  .tutorial-nav .current { font-weight: bold; }
+  .pager { display: flex; justify-content: space-between; gap: 20px; margin-top: 40px; padding-top: 20px; border-top: 1px solid #ddd; }
+  @media print { .tutorial-nav, .pager { display: none; } }
+`;
+
+// Helper function to escape text for HTML
+export const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Get the download file name of a lesson, from its slug
+export const getExportFilename = (lesson, format) => {
+  const name = (lesson.slug || `lesson-${lesson._id}`).replace(/[^\w.-]/g, '-');
+  return `${name}.${EXPORT_FORMATS[format].extension}`;
+};
+
+// Helper function to get a block URL for an attribute, or null if it is unsafe
+const safeUrl = (url, attribute) => (url && isSafeUrl(url, attribute, { allowDataImages: true }) ? url : null);
+
+// Generate the HTML of EditorJS content blocks
+// Offline formats (EPUB, print) can ask for images and embeds as plain links
+export const generateHTMLFromBlocks = (content, { imagesAsLinks = false, embedsAsLinks = false } = {}) => {
+  let html = '';
+
+  if (content && content.blocks) {
+    content.blocks.forEach(block => {
+      if (!block || !block.type) return; // Skip invalid blocks
+      
+      switch (block.type) {
+        case 'header':
+          const level = Math.min(Math.max(parseInt(block.data?.level, 10) || 2, 1), 6);
+          html += `<h${level}>${sanitizeInlineHtml(block.data?.text || '')}</h${level}>`;
+          break;
+        case 'paragraph':
+          html += `<p>${sanitizeInlineHtml(block.data?.text || '')}</p>`;
+          break;
+        case 'list':
+          const tag = block.data?.style === 'ordered' ? 'ol' : 'ul';
+          html += `<${tag}>`;
+          if (block.data?.items) {
+            block.data.items.forEach(item => {
+              const content = typeof item === 'string' ? item : item?.content || '';
+              html += `<li>${sanitizeInlineHtml(content)}</li>`;
+            });
+          }
+          html += `</${tag}>`;
+          break;
+        case 'code':
+          html += `<pre><code class="language-${escapeHtml(block.data?.language || 'javascript')}">${escapeHtml(block.data?.code || '')}</code></pre>`;
+          break;
+        case 'quote':
+          html += `<blockquote><p>${sanitizeInlineHtml(block.data?.text || '')}</p>`;
+          if (block.data?.caption) {
+            html += `<cite>— ${sanitizeInlineHtml(block.data.caption)}</cite>`;
+          }
+          html += `</blockquote>`;
+          break;
+        case 'image':
+          const imageUrl = safeUrl(block.data?.url, imagesAsLinks ? 'href' : 'src');
+          if (imageUrl && !block.data?.invalid && imagesAsLinks) {
+            html += `<p class="media-link"><a href="${escapeHtml(imageUrl)}">${escapeHtml(block.data?.alt || block.data?.caption || 'Image')}</a></p>`;
+          } else if (imageUrl && !block.data?.invalid) {
+            html += `<figure>`;
+            html += `<img src="${escapeHtml(imageUrl)}" alt="${escapeHtml(block.data?.alt || '')}" />`;
+            if (block.data?.caption) {
+              html += `<figcaption>${sanitizeInlineHtml(block.data.caption)}</figcaption>`;
+            }
+            html += `</figure>`;
+          }
+          break;
+        case 'video':
+        case 'embed':
+          const embedUrl = embedsAsLinks
+            ? safeUrl(block.data?.embed && (block.data.url || block.data.embed), 'href')
+            : safeUrl(block.data?.embed, 'src');
+          if (embedUrl && !block.data?.invalid && embedsAsLinks) {
+            const label = block.data?.caption || `${block.data?.service || 'Embedded'} content`;
+            html += `<p class="media-link"><a href="${escapeHtml(embedUrl)}">${escapeHtml(label)}</a></p>`;
+          } else if (embedUrl && !block.data?.invalid) {
+            html += `<div class="embed-container">`;
+            html += `<iframe src="${escapeHtml(embedUrl)}" frameborder="0" allowfullscreen></iframe>`;
+            html += `</div>`;
+            if (block.data?.caption) {
+              html += `<p><em>${sanitizeInlineHtml(block.data.caption)}</em></p>`;
+            }
+          }
+          break;
+        case 'raw':
+          html += sanitizeRawHtml(block.data?.html || '');
+          break;
+        case 'delimiter':
+          html += `<hr>`;
+          break;
+        case 'table':
+          if (block.data?.content) {
+            html += `<table>`;
+            block.data.content.forEach((row, index) => {
+              html += `<tr>`;
+              row.forEach(cell => {
+                const tag = block.data?.withHeadings && index === 0 ? 'th' : 'td';
+                html += `<${tag}>${sanitizeInlineHtml(cell)}</${tag}>`;
+              });
+              html += `</tr>`;
+            });
+            html += `</table>`;
+          }
+          break;
+        default:
+          // Handle other block types or skip
+          break;
+      }
+    });
+  }
+
+  return html;
+};
+
+// Helper function to generate the tutorial navigation of a lesson page.
+// Lessons link to each other by file name, so exports saved side by side work offline.
+const generateTutorialNavigation = (lesson, lessons) => {
+  const index = lessons.findIndex(item => item._id.toString() === lesson._id.toString());
+  const link = (item) => `<a href="${escapeHtml(getExportFilename(item, 'html'))}">${escapeHtml(item.title)}</a>`;
+
+  const items = lessons.map(item => (item._id.toString() === lesson._id.toString()
+    ? `<li class="current">${escapeHtml(item.title)}</li>`
+    : `<li>${link(item)}</li>`));
+
+  const previous = index > 0 ? lessons[index - 1] : null;
+  const next = index >= 0 && index < lessons.length - 1 ? lessons[index + 1] : null;
+
+  return {
+    contents: `<nav class="tutorial-nav"><strong>${escapeHtml(lesson.tutorial.title)}</strong><ol>${items.join('')}</ol></nav>`,
+    pager: `<nav class="pager"><span>${previous ? `&larr; ${link(previous)}` : ''}</span><span>${next ? `${link(next)} &rarr;` : ''}</span></nav>`
+  };
+};
+
+// Generate a standalone HTML page of a lesson
+// lessons (title, slug, order of the tutorial's lessons) adds the tutorial navigation
+export const generateHTMLFromLesson = (lesson, { lessons = [] } = {}) => {
+  const navigation = lessons.length > 1 ? generateTutorialNavigation(lesson, lessons) : { contents: '', pager: '' };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(lesson.title)} - ${escapeHtml(lesson.tutorial.title)}</title>
+    <style>${EXPORT_CSS}</style>
+</head>
+<body>
+    ${navigation.contents}
+    <h1>${escapeHtml(lesson.title)}</h1>
+    <p class="lesson-meta"><strong>Duration:</strong> ${escapeHtml(lesson.duration)} minutes &middot; <strong>Tutorial:</strong> ${escapeHtml(lesson.tutorial.title)}</p>
+    <hr>
+${generateHTMLFromBlocks(lesson.content)}
+    ${navigation.pager}
+</body>
+</html>`;
+};
+
+// Helper function to generate plain text from lesson content
+export const generateTextFromLesson = (lesson) => {
+  let text = `${lesson.title}\n`;
+  text += `${'='.repeat(lesson.title.length)}\n\n`;
+  text += `Duration: ${lesson.duration} minutes\n`;
+  text += `Tutorial: ${lesson.tutorial.title}\n\n`;
+
+  if (lesson.content && lesson.content.blocks) {
+    lesson.content.blocks.forEach(block => {
+      if (!block || !block.type) return; // Skip invalid blocks
+      
+      switch (block.type) {
+        case 'header':
+          const level = block.data?.level || 2;
+          text += `\n${'#'.repeat(level)} ${block.data?.text || ''}\n\n`;
+          break;
+        case 'paragraph':
+          text += `${block.data?.text || ''}\n\n`;
+          break;
+        case 'list':
+          if (block.data?.items) {
+            block.data.items.forEach((item, index) => {
+              const content = typeof item === 'string' ? item : item?.content || '';
+              const prefix = block.data?.style === 'ordered' ? `${index + 1}. ` : '• ';
+              text += `${prefix}${content}\n`;
+            });
+          }
+          text += `\n`;
+          break;
+        case 'code':
+          text += `\`\`\`${block.data?.language || ''}\n${block.data?.code || ''}\n\`\`\`\n\n`;
+          break;
+        case 'quote':
+          text += `> ${block.data?.text || ''}\n`;
+          if (block.data?.caption) {
+            text += `> — ${block.data.caption}\n`;
+          }
+          text += `\n`;
+          break;
+        case 'image':
+          if (block.data?.url && !block.data?.invalid) {
+            text += `[Image: ${block.data?.alt || block.data?.caption || 'Image'}]\n`;
+            text += `URL: ${block.data.url}\n\n`;
+          }
+          break;
+        case 'video':
+        case 'embed':
+          if (block.data?.url && !block.data?.invalid) {
+            text += `[${block.data?.service || 'Video'}: ${block.data?.caption || 'Embedded content'}]\n`;
+            text += `URL: ${block.data.url}\n\n`;
+          }
+          break;
+        case 'delimiter':
+          text += `\n---\n\n`;
+          break;
+        default:
+          // Handle other block types or skip
+          break;
+      }
+    });
+  }
+
+  return text;
+};
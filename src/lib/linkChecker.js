@@ -0,0 +1,277 @@
+// src/lib/linkChecker.js
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+// Checks whether the URL of a media or link block still answers. Requests go
+// through an HTTP client, any object with an async
+//   request(url, { method, timeout }) -> { status }
+// that throws when the server cannot be reached. Use setLinkCheckClient() to
+// plug in another one (e.g. a stand-in server in tests).
+
+// Block types whose URL is checked, and where the URL lives in their data
+export const LINK_BLOCK_TYPES = ['image', 'video', 'embed', 'linkTool', 'attaches'];
+
+// Prefix of invalidReason for links found broken, so a later check can clear
+// its own flags without touching blocks that failed content validation
+export const BROKEN_LINK_PREFIX = 'Broken link';
+
+// Redirects followed before a link counts as broken
+const MAX_REDIRECTS = 5;
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Helper function to read the link check timeout (LINK_CHECK_TIMEOUT_MS)
+const getTimeout = () => parseInt(process.env.LINK_CHECK_TIMEOUT_MS, 10) || 10 * 1000;
+
+// Helper function to check for host names on this machine or a private network
+const isPrivateHost = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+  return host === 'localhost' ||
+    host.endsWith('.localhost') ||
+    host.endsWith('.local') ||
+    host.endsWith('.internal');
+};
+
+// Helper function to read an IPv4 address as a number
+const ipv4ToNumber = (address) => address.split('.').reduce((value, part) => value * 256 + Number(part), 0);
+
+// IPv4 ranges that are not on the public internet: this network, private
+// networks, carrier-grade NAT, loopback, link-local, protocol assignments,
+// documentation, benchmarking, multicast and reserved
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 3]
+].map(([first, bits]) => ({ first: ipv4ToNumber(first), size: 2 ** (32 - bits) }));
+
+// Helper function to check an IPv4 address, given as a number
+const isPrivateIPv4 = (value) => PRIVATE_IPV4_RANGES.some(({ first, size }) => value >= first && value < first + size);
+
+// Helper function to split an IPv6 address into its eight 16-bit groups
+// A trailing IPv4 part (::ffff:127.0.0.1) is read as the last two groups
+const expandIPv6 = (address) => {
+  let text = address.toLowerCase().split('%')[0];
+  const ipv4 = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (ipv4) {
+    const value = ipv4ToNumber(ipv4[1]);
+    text = `${text.slice(0, -ipv4[1].length)}${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const zeros = tail === undefined ? 0 : 8 - headGroups.length - tailGroups.length;
+
+  return [...headGroups, ...Array(zeros).fill('0'), ...tailGroups].map(group => parseInt(group, 16));
+};
+
+// Helper function to check an IPv6 address, including the IPv4 addresses embedded in it
+const isPrivateIPv6 = (address) => {
+  const groups = expandIPv6(address);
+  const embeddedIPv4 = (high, low) => isPrivateIPv4(high * 0x10000 + low);
+
+  // IPv4-mapped (::ffff:a.b.c.d)
+  if (groups.slice(0, 5).every(group => group === 0) && groups[5] === 0xffff) {
+    return embeddedIPv4(groups[6], groups[7]);
+  }
+  // Unspecified, loopback and the deprecated IPv4-compatible addresses (::a.b.c.d)
+  if (groups.slice(0, 6).every(group => group === 0)) return true;
+  // NAT64 (64:ff9b::a.b.c.d)
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+    return embeddedIPv4(groups[6], groups[7]);
+  }
+  // 6to4 (2002:aabb:ccdd::)
+  if (groups[0] === 0x2002) return embeddedIPv4(groups[1], groups[2]);
+
+  return (groups[0] & 0xfe00) === 0xfc00 || // unique local
+    (groups[0] & 0xffc0) === 0xfe80 ||       // link-local
+    (groups[0] & 0xffc0) === 0xfec0 ||       // site-local
+    (groups[0] & 0xff00) === 0xff00;         // multicast
+};
+
+// Helper function to check whether an address is on this machine or a private network
+const isPrivateAddress = (address) => {
+  if (net.isIPv4(address)) return isPrivateIPv4(ipv4ToNumber(address));
+  if (net.isIPv6(address)) return isPrivateIPv6(address);
+  return true;
+};
+
+// Helper function to build the error for hosts the default client refuses
+const privateHostError = (hostname) => Object.assign(new Error(`${hostname} is a private host`), { name: 'PrivateHostError' });
+
+// Helper function to resolve host names for the default client's connections
+// Authors could point links at internal services, so every address a name
+// resolves to has to be public. This is the lookup of the connection itself:
+// checking a separate lookup first would let a name resolve to a public
+// address for the check and to a private one for the request (DNS rebinding)
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(privateHostError(hostname));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Helper function to refuse private host names and addresses before connecting
+// (addresses in the URL are connected to without a lookup)
+const assertPublicHost = (url) => {
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+
+  if (isPrivateHost(hostname) || (net.isIP(hostname) && isPrivateAddress(hostname))) {
+    throw privateHostError(url.hostname);
+  }
+};
+
+// Helper function to send one request and read its status and Location header
+// Only the status matters, the body is not downloaded
+const requestStatus = (url, { method, signal }) => new Promise((resolve, reject) => {
+  const transport = url.protocol === 'https:' ? https : http;
+
+  const request = transport.request(url, {
+    method,
+    signal,
+    lookup: publicLookup,
+    // No pooled connections, every request goes through the lookup
+    agent: false,
+    headers: { 'User-Agent': 'CodeCraft link checker' }
+  }, (response) => {
+    resolve({ status: response.statusCode, location: response.headers.location });
+    response.destroy();
+  });
+
+  request.on('error', reject);
+  request.end();
+});
+
+// Requests URLs with the built-in http and https modules - the default client
+// Redirects are followed here, one at a time, so each hop is checked before it is requested
+export const nodeHttpClient = {
+  name: 'http',
+  async request(url, { method = 'HEAD', timeout = getTimeout() } = {}) {
+    const signal = AbortSignal.timeout(timeout);
+    let current = new URL(url);
+
+    for (let redirects = 0; ; redirects++) {
+      assertPublicHost(current);
+
+      const response = await requestStatus(current, { method, signal });
+
+      const { location } = response;
+      if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+        return { status: response.status };
+      }
+      if (redirects === MAX_REDIRECTS) {
+        throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+      }
+
+      const next = new URL(location, current);
+      // A redirect to another kind of URL is not followed, the link still answers
+      if (!['http:', 'https:'].includes(next.protocol)) {
+        return { status: response.status };
+      }
+      current = next;
+    }
+  }
+};
+
+let customClient = null;
+
+// Replace the default HTTP client
+export const setLinkCheckClient = (client) => {
+  if (client && typeof client.request !== 'function') {
+    throw new Error('Link check client must implement request(url, options)');
+  }
+  customClient = client;
+};
+
+// Helper function to resolve the active HTTP client
+const getClient = () => customClient || nodeHttpClient;
+
+// Get the URL of a media or link block, or null
+export const getBlockLink = (block) => {
+  if (!block || !block.data || !LINK_BLOCK_TYPES.includes(block.type)) return null;
+  const data = block.data;
+
+  switch (block.type) {
+    case 'linkTool':
+      return data.link || null;
+    case 'attaches':
+      return (data.file && data.file.url) || null;
+    default:
+      return data.url || null;
+  }
+};
+
+// Helper function to get the URL that tells whether a video still exists
+// Video pages answer even for removed videos, their oEmbed endpoints do not
+const getProbeUrl = (url, service) => {
+  switch (service) {
+    case 'youtube':
+      return `https://www.youtube.com/oembed?format=json&url=${encodeURIComponent(url)}`;
+    case 'vimeo':
+      return `https://vimeo.com/api/oembed.json?url=${encodeURIComponent(url)}`;
+    default:
+      return url;
+  }
+};
+
+// Helper function to decide whether a status means the link is gone
+// Other errors (401, 403, 429...) usually mean the checker was turned away
+const isBrokenStatus = (status) => status === 404 || status === 410 || status >= 500;
+
+// Check a link
+// Returns { ok: true, status }, { ok: false, status, reason } or { skipped, reason }
+export const checkLink = async (url, { service } = {}) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return { ok: false, reason: `${BROKEN_LINK_PREFIX}: invalid URL` };
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return { skipped: true, reason: `${parsed.protocol} URLs are not checked` };
+  }
+
+  const client = getClient();
+
+  const probeUrl = getProbeUrl(url, service);
+  const timeout = getTimeout();
+
+  try {
+    let { status } = await client.request(probeUrl, { method: 'HEAD', timeout });
+
+    // Some servers do not answer HEAD requests properly
+    if (status === 405 || status === 501 || status === 403) {
+      ({ status } = await client.request(probeUrl, { method: 'GET', timeout }));
+    }
+
+    if (isBrokenStatus(status)) {
+      return { ok: false, status, reason: `${BROKEN_LINK_PREFIX}: HTTP ${status}` };
+    }
+
+    return { ok: true, status };
+  } catch (error) {
+    if (error.name === 'PrivateHostError') {
+      return { skipped: true, reason: 'Private hosts are not checked' };
+    }
+
+    const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+    const code = (error.cause && error.cause.code) || error.code;
+
+    return {
+      ok: false,
+      reason: timedOut
+        ? `${BROKEN_LINK_PREFIX}: no answer within ${timeout / 1000}s`
+        : `${BROKEN_LINK_PREFIX}: could not connect${code ? ` (${code})` : ''}`
+    };
+  }
+};
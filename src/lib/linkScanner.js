@@ -0,0 +1,192 @@
+// src/lib/linkScanner.js
+import Lesson from '../models/lesson.model.js';
+import { LINK_BLOCK_TYPES, BROKEN_LINK_PREFIX, getBlockLink, checkLink } from './linkChecker.js';
+
+// Background job checking the links of every lesson's media and link blocks,
+// in the live content and in drafts. Broken links are flagged with the
+// blocks' invalid/invalidReason fields, links that work again are cleared.
+// Runs every LINK_SCAN_INTERVAL_HOURS (default 24, 0 turns it off), the first
+// time one interval after startup, and whenever an admin asks for a scan.
+
+let timer = null;
+let stopped = true;
+let running = null;
+let runningSince = null;
+let lastRun = null;
+
+// Helper function to read the scan interval in hours
+const getIntervalHours = () => {
+  const hours = parseFloat(process.env.LINK_SCAN_INTERVAL_HOURS);
+  return Number.isFinite(hours) && hours >= 0 ? hours : 24;
+};
+
+// Helper function to read how many links are checked at the same time
+const getConcurrency = () => parseInt(process.env.LINK_SCAN_CONCURRENCY, 10) || 4;
+
+// Helper function to run an async worker over items, a few at a time
+const runPool = async (items, limit, worker) => {
+  let index = 0;
+  const next = async () => {
+    while (index < items.length) {
+      await worker(items[index++]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, next));
+};
+
+// Helper function to list the link blocks of a lesson with the path of their block list
+const getLinkBlocks = (lesson) => {
+  const sections = [{ path: 'content.blocks', blocks: lesson.content && lesson.content.blocks }];
+  if (lesson.hasDraft && lesson.draft && lesson.draft.content) {
+    sections.push({ path: 'draft.content.blocks', blocks: lesson.draft.content.blocks });
+  }
+
+  return sections.flatMap(({ path, blocks }) => (blocks || [])
+    .filter(block => block && block._id && getBlockLink(block))
+    .map(block => ({ path, block, url: getBlockLink(block) })));
+};
+
+// Helper function to get the provider of a video or embed block
+// (every block has a service default in the schema, only these use it)
+const getVideoService = (block) => (block.type === 'video' || block.type === 'embed' ? block.data.service : undefined);
+
+// Helper function to check whether a block was flagged by an earlier scan
+const isFlaggedByScan = (data) => Boolean(data.invalid) &&
+  typeof data.invalidReason === 'string' &&
+  data.invalidReason.startsWith(BROKEN_LINK_PREFIX);
+
+// Check the links of a lesson (loaded with +draft) and update the flags of its blocks
+// results caches checks by URL, pass the same map to share it between lessons
+export const scanLessonLinks = async (lesson, results = new Map()) => {
+  const entries = getLinkBlocks(lesson);
+  const pending = [...new Map(entries
+    .filter(entry => !results.has(entry.url))
+    .map(entry => [entry.url, getVideoService(entry.block)])).entries()];
+
+  await runPool(pending, getConcurrency(), async ([url, service]) => {
+    results.set(url, await checkLink(url, { service }));
+  });
+
+  const summary = { links: entries.length, broken: 0, fixed: 0, skipped: 0 };
+  const $set = {};
+  const $unset = {};
+  const arrayFilters = [];
+
+  entries.forEach(({ path, block, url }, index) => {
+    const result = results.get(url);
+    const data = block.data;
+    const target = `${path}.$[b${index}].data`;
+
+    if (result.skipped) {
+      summary.skipped++;
+      return;
+    }
+
+    if (!result.ok) {
+      summary.broken++;
+      // Blocks that failed content validation keep that reason
+      if (data.invalid && (!isFlaggedByScan(data) || data.invalidReason === result.reason)) return;
+      $set[`${target}.invalid`] = true;
+      $set[`${target}.invalidReason`] = result.reason;
+    } else if (isFlaggedByScan(data)) {
+      summary.fixed++;
+      $set[`${target}.invalid`] = false;
+      $unset[`${target}.invalidReason`] = '';
+    } else {
+      return;
+    }
+
+    arrayFilters.push({ [`b${index}._id`]: block._id });
+  });
+
+  // Update the flags in place, so the scan does not count as an edit of the lesson
+  if (arrayFilters.length > 0) {
+    const update = { $set };
+    if (Object.keys($unset).length > 0) update.$unset = $unset;
+
+    await Lesson.updateOne({ _id: lesson._id }, update, { arrayFilters, timestamps: false });
+  }
+
+  return summary;
+};
+
+// Check the links of all lessons, returns a summary of the run
+export const runLinkScan = async () => {
+  const summary = { startedAt: new Date(), lessons: 0, links: 0, urls: 0, broken: 0, fixed: 0, skipped: 0 };
+  const results = new Map();
+
+  const cursor = Lesson.find({
+    $or: [
+      { 'content.blocks.type': { $in: LINK_BLOCK_TYPES } },
+      { 'draft.content.blocks.type': { $in: LINK_BLOCK_TYPES } }
+    ]
+  }).select('+draft').cursor();
+
+  for (let lesson = await cursor.next(); lesson; lesson = await cursor.next()) {
+    const lessonSummary = await scanLessonLinks(lesson, results);
+    summary.lessons++;
+    ['links', 'broken', 'fixed', 'skipped'].forEach(field => {
+      summary[field] += lessonSummary[field];
+    });
+  }
+
+  summary.urls = results.size;
+  summary.finishedAt = new Date();
+  return summary;
+};
+
+// Start a scan unless one is running, returns the promise of the running scan
+export const requestLinkScan = () => {
+  if (running) return running;
+
+  runningSince = new Date();
+  running = runLinkScan()
+    .then(summary => {
+      lastRun = summary;
+      console.log(`🔗 Link scan: ${summary.links} links in ${summary.lessons} lessons, ${summary.broken} broken, ${summary.fixed} fixed`);
+      return summary;
+    })
+    .catch(error => {
+      console.error('Link scan failed:', error.message);
+      lastRun = { startedAt: runningSince, failedAt: new Date(), error: error.message };
+      return lastRun;
+    })
+    .finally(() => {
+      running = null;
+      runningSince = null;
+    });
+
+  return running;
+};
+
+// Get whether a scan is running and the summary of the last one
+export const getLinkScanStatus = () => ({
+  running: Boolean(running),
+  runningSince,
+  lastRun
+});
+
+const scheduleNextScan = () => {
+  if (stopped) return;
+
+  clearTimeout(timer);
+  timer = setTimeout(async () => {
+    await requestLinkScan();
+    scheduleNextScan();
+  }, getIntervalHours() * 60 * 60 * 1000);
+  timer.unref();
+};
+
+// Start the periodic scan
+export const startLinkScanner = () => {
+  if (!stopped || getIntervalHours() === 0) return;
+  stopped = false;
+  scheduleNextScan();
+};
+
+// Stop the periodic scan (a running scan still finishes)
+export const stopLinkScanner = () => {
+  stopped = true;
+  clearTimeout(timer);
+  timer = null;
+};
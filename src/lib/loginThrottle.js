@@ -0,0 +1,226 @@
+// src/lib/loginThrottle.js
+
+// Failed login tracking with exponential backoff and temporary lockout.
+// Counters live in a store with async get(key), update(key, change, ttlMs)
+// and delete(key) methods, where update applies change(record) to the stored
+// record atomically and stores what it returns. The default keeps them in
+// memory; use setLoginAttemptStore() to plug in a shared store (e.g. Redis
+// with a script) later.
+//
+// An attempt is reserved before the password is checked and counted once the
+// result is known, so parallel guesses cannot all pass the same check: past
+// the free attempts they go one at a time.
+
+const SETTINGS = {
+  account: {
+    freeAttempts: 3,   // failures allowed before any delay
+    maxFailures: 5,    // failures before a lockout
+  },
+  ip: {
+    freeAttempts: 10,
+    maxFailures: 30,
+  },
+  baseDelayMs: 1000,
+  maxDelayMs: 5 * 60 * 1000,
+  lockoutMs: 15 * 60 * 1000,
+  // Counters are forgotten after this long without a failure
+  windowMs: 60 * 60 * 1000
+};
+
+// In-memory store with per-key expiry
+export const createMemoryStore = () => {
+  const entries = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  };
+
+  return {
+    async get(key) {
+      return read(key);
+    },
+    // Nothing awaits between reading and writing, so updates cannot interleave
+    async update(key, change, ttlMs) {
+      const value = change(read(key));
+      if (value === null) {
+        entries.delete(key);
+      } else {
+        entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      }
+      return value;
+    },
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+};
+
+let store = createMemoryStore();
+
+// Replace the attempt store
+export const setLoginAttemptStore = (newStore) => {
+  ['get', 'update', 'delete'].forEach(method => {
+    if (!newStore || typeof newStore[method] !== 'function') {
+      throw new Error(`Login attempt store must implement ${method}()`);
+    }
+  });
+  store = newStore;
+};
+
+const accountKey = (email) => `login:account:${String(email || '').trim().toLowerCase()}`;
+const ipKey = (ip) => `login:ip:${ip || 'unknown'}`;
+
+// Counters are kept for the window, and at least as long as a lockout
+const RECORD_TTL_MS = Math.max(SETTINGS.windowMs, SETTINGS.lockoutMs);
+
+// Milliseconds until the next attempt is allowed for a record, 0 if allowed now
+const getWaitMs = (record, limits) => {
+  if (!record) return 0;
+
+  const now = Date.now();
+
+  if (record.lockedUntil && record.lockedUntil > now) {
+    return record.lockedUntil - now;
+  }
+
+  if (record.failures > limits.freeAttempts && record.failures < limits.maxFailures) {
+    const delay = Math.min(
+      SETTINGS.baseDelayMs * 2 ** (record.failures - limits.freeAttempts - 1),
+      SETTINGS.maxDelayMs
+    );
+    const nextAllowedAt = record.lastFailureAt + delay;
+    return Math.max(nextAllowedAt - now, 0);
+  }
+
+  return 0;
+};
+
+// Helper function to reserve an attempt on one counter
+// Attempts in progress are limited to the free attempts left, and to one at a
+// time once they are used up. Returns { waitMs, locked }, waitMs 0 if reserved
+const reserveOn = async (key, limits) => {
+  let outcome;
+
+  await store.update(key, (record) => {
+    const current = record || { failures: 0, pending: 0 };
+    const pending = current.pending || 0;
+    const waitMs = getWaitMs(current, limits);
+
+    if (waitMs > 0) {
+      outcome = { waitMs, locked: Boolean(current.lockedUntil && current.lockedUntil > Date.now()) };
+      return record;
+    }
+    if (pending >= Math.max(limits.freeAttempts - current.failures, 1)) {
+      outcome = { waitMs: SETTINGS.baseDelayMs, locked: false };
+      return record;
+    }
+
+    outcome = { waitMs: 0, locked: false };
+    return { ...current, pending: pending + 1 };
+  }, RECORD_TTL_MS);
+
+  return outcome;
+};
+
+// Helper function to settle a reserved attempt on one counter, counting it as a failure or not
+const settleOn = (key, limits, failed) => store.update(key, (record) => {
+  const settled = { failures: 0, ...record, pending: Math.max(((record && record.pending) || 0) - 1, 0) };
+  if (!failed) return record ? settled : null;
+
+  const now = Date.now();
+  settled.failures += 1;
+  settled.lastFailureAt = now;
+
+  if (settled.failures >= limits.maxFailures) {
+    settled.lockedUntil = now + SETTINGS.lockoutMs;
+    // Start counting again once the lockout ends
+    settled.failures = 0;
+  }
+
+  return settled;
+}, RECORD_TTL_MS);
+
+// Reserve a login attempt for the account and the IP before the password is checked
+// Every allowed attempt must be settled with recordLoginSuccess(),
+// recordLoginFailure() or releaseLoginAttempt()
+// Returns { allowed, retryAfter (seconds), reason }
+export const reserveLoginAttempt = async (email, ip) => {
+  const account = await reserveOn(accountKey(email), SETTINGS.account);
+  let refused = account.waitMs > 0 ? account : null;
+
+  if (!refused) {
+    const address = await reserveOn(ipKey(ip), SETTINGS.ip);
+    if (address.waitMs > 0) {
+      refused = address;
+      await settleOn(accountKey(email), SETTINGS.account, false);
+    }
+  }
+
+  if (!refused) {
+    return { allowed: true, retryAfter: 0 };
+  }
+
+  return {
+    allowed: false,
+    retryAfter: Math.ceil(refused.waitMs / 1000),
+    reason: refused.locked ? 'locked' : 'backoff'
+  };
+};
+
+// Record a failed login for both the account and the IP
+export const recordLoginFailure = async (email, ip) => {
+  const [accountRecord] = await Promise.all([
+    settleOn(accountKey(email), SETTINGS.account, true),
+    settleOn(ipKey(ip), SETTINGS.ip, true)
+  ]);
+
+  return { locked: Boolean(accountRecord.lockedUntil && accountRecord.lockedUntil > Date.now()) };
+};
+
+// Release a reserved attempt that could not be checked (e.g. a database error)
+export const releaseLoginAttempt = async (email, ip) => {
+  await Promise.all([
+    settleOn(accountKey(email), SETTINGS.account, false),
+    settleOn(ipKey(ip), SETTINGS.ip, false)
+  ]);
+};
+
+// Clear the account counters after a successful login. The IP counter is kept
+// so a valid account cannot be used to reset it, only the attempt is released.
+export const recordLoginSuccess = async (email, ip) => {
+  await Promise.all([
+    store.delete(accountKey(email)),
+    settleOn(ipKey(ip), SETTINGS.ip, false)
+  ]);
+};
+
+// Remove an account lockout (admin action)
+export const unlockAccount = async (email) => {
+  await store.delete(accountKey(email));
+};
+
+// Current lockout state of an account
+export const getAccountLockStatus = async (email) => {
+  const record = await store.get(accountKey(email));
+  const waitMs = getWaitMs(record, SETTINGS.account);
+
+  return {
+    failures: record ? record.failures : 0,
+    locked: Boolean(record && record.lockedUntil && record.lockedUntil > Date.now()),
+    retryAfter: Math.ceil(waitMs / 1000)
+  };
+};
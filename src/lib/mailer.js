@@ -0,0 +1,63 @@
+// src/lib/mailer.js
+import fs from 'fs/promises';
+import path from 'path';
+
+// A transport is any object with an async send(message) method, where message
+// is { from, to, subject, text, html }. Use setMailTransport() to plug in a real
+// provider (SMTP, SES, ...) at startup.
+
+// Logs messages to the console - default for development
+export const consoleTransport = {
+  name: 'console',
+  async send(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { accepted: [message.to] };
+  }
+};
+
+// Appends messages as JSON lines to a local file - useful for tests
+export const createFileTransport = (filePath) => ({
+  name: 'file',
+  async send(message) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const entry = { ...message, sentAt: new Date().toISOString() };
+    await fs.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+    return { accepted: [message.to] };
+  }
+});
+
+let customTransport = null;
+
+// Replace the transport chosen from the environment
+export const setMailTransport = (transport) => {
+  if (transport && typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  customTransport = transport;
+};
+
+// Resolve the active transport (read lazily so dotenv has loaded)
+const getTransport = () => {
+  if (customTransport) return customTransport;
+
+  switch (process.env.MAIL_TRANSPORT) {
+    case 'file':
+      return createFileTransport(process.env.MAIL_FILE || path.join('logs', 'mail.log'));
+    case 'console':
+    default:
+      return consoleTransport;
+  }
+};
+
+// Send an email through the active transport
+export const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'CodeCraft <no-reply@codecraft.local>',
+    to,
+    subject,
+    text,
+    html: html || text
+  };
+
+  return getTransport().send(message);
+};
@@ -0,0 +1,651 @@
+// src/lib/markdown.js
+
+// Converts lessons between EditorJS content and Markdown.
+//
+// Blocks with a Markdown equivalent use it: headers, paragraphs, lists and
+// checklists (GFM task items), fenced code, GFM tables, quotes, warnings (GFM
+// alerts, "> [!WARNING]"), images and delimiters. Everything else (quizzes,
+// exercises, embeds, raw HTML, ...) is written as a directive holding the
+// block's data as simple "key: value" lines:
+//
+//   ::: quiz
+//   quizType: single
+//   question: What does typeof null return?
+//   options:
+//     - object
+//     - "null"
+//   correctAnswer: 0
+//   :::
+//
+// Lessons start with front matter in the same format (title, duration,
+// difficulty, keywords). Inline HTML in block text (bold, italic, code,
+// links) is converted to and from Markdown; other inline tags are kept as-is.
+
+// Fields written for directive blocks, other types write all of their data
+const DIRECTIVE_FIELDS = {
+  quiz: [
+    'quizType', 'question', 'options', 'correctAnswer', 'correctAnswers', 'acceptedAnswers',
+    'acceptedPatterns', 'caseSensitive', 'orderItems', 'code', 'language', 'expectedOutput', 'explanation'
+  ],
+  exercise: ['language', 'entryPoint', 'starterCode', 'solution', 'testCases'],
+  embed: ['service', 'url', 'caption', 'width', 'height'],
+  video: ['service', 'url', 'caption', 'width', 'height'],
+  raw: ['html'],
+  linkTool: ['link', 'meta'],
+  attaches: ['file', 'title']
+};
+
+// Data added by validation, never written
+const SKIPPED_FIELDS = ['invalid', 'invalidReason', '_editorjs'];
+
+const FRONT_MATTER_FIELDS = ['title', 'duration', 'difficulty', 'keywords'];
+
+const ALERT_LINE = /^\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)\]\s*$/i;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TASK_ITEM = /^\[([ xX])\]\s+(.*)$/;
+const HEADER = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const FENCE = /^(`{3,}|~{3,})\s*([^`\s]*)\s*$/;
+const DIRECTIVE = /^:::\s*([A-Za-z][\w-]*)\s*$/;
+const DIRECTIVE_END = /^:::\s*$/;
+const DELIMITER = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const IMAGE_LINE = /^!\[((?:\\.|[^\]\\])*)\]\(\s*(\S+?)(?:\s+"((?:\\.|[^"\\])*)")?\s*\)$/;
+
+// ---------------------------------------------------------------------------
+// Simple "key: value" documents (front matter and directive bodies)
+// ---------------------------------------------------------------------------
+
+// Helper function to tell whether a string must be quoted to read back the same
+const needsQuotes = (value) => value === '' ||
+  /^[\s"'[{|>#-]|\s$|[\r\n]/.test(value) ||
+  /^(true|false|-?\d+(\.\d+)?)$/.test(value);
+
+// Helper function to write one value of a list or inline field
+const formatScalar = (value) => {
+  if (typeof value === 'string') return needsQuotes(value) ? JSON.stringify(value) : value;
+  return JSON.stringify(value);
+};
+
+// Helper function to read one value of a list or inline field
+const parseScalar = (text) => {
+  const value = text.trim();
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+
+  if (/^["[{]/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      // Inline lists without quotes, e.g. [css, layout]
+      if (value.startsWith('[') && value.endsWith(']')) {
+        return value.slice(1, -1).split(',').map(item => item.trim()).filter(Boolean).map(parseScalar);
+      }
+    }
+  }
+
+  return value;
+};
+
+// Write an object as "key: value" lines, skipping empty values
+export const formatFields = (fields) => {
+  const lines = [];
+
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    if (Array.isArray(value) && value.length === 0) return;
+
+    if (Array.isArray(value)) {
+      lines.push(`${key}:`);
+      value.forEach(item => lines.push(`  - ${formatScalar(item)}`));
+    } else if (typeof value === 'string' && value.includes('\n')) {
+      lines.push(`${key}: |`);
+      value.replace(/\r\n?/g, '\n').split('\n').forEach(line => lines.push(line ? `  ${line}` : ''));
+    } else {
+      lines.push(`${key}: ${formatScalar(value)}`);
+    }
+  });
+
+  return lines;
+};
+
+// Read "key: value" lines written by formatFields (or by hand)
+// Returns { fields, errors }
+export const parseFields = (lines) => {
+  const fields = {};
+  const errors = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+
+    const match = line.match(/^([A-Za-z_][\w-]*)\s*:(.*)$/);
+    if (!match) {
+      errors.push(`Could not read "${line.trim()}"`);
+      continue;
+    }
+
+    const [, key, rest] = match;
+    const value = rest.trim();
+
+    if (value === '|') {
+      // Block of text, indented by two spaces
+      const text = [];
+      while (i + 1 < lines.length && (lines[i + 1].startsWith('  ') || !lines[i + 1].trim())) {
+        text.push(lines[++i].slice(2));
+      }
+      while (text.length && !text[text.length - 1].trim()) text.pop();
+      fields[key] = text.join('\n');
+    } else if (value === '') {
+      // List of "- item" lines, or an empty value
+      const items = [];
+      while (i + 1 < lines.length && /^\s*-\s/.test(lines[i + 1])) {
+        items.push(parseScalar(lines[++i].replace(/^\s*-\s/, '')));
+      }
+      fields[key] = items.length ? items : '';
+    } else {
+      fields[key] = parseScalar(value);
+    }
+  }
+
+  return { fields, errors };
+};
+
+// ---------------------------------------------------------------------------
+// Inline text
+// ---------------------------------------------------------------------------
+
+const ENTITIES = { '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&nbsp;': ' ', '&amp;': '&' };
+
+// Helper function to decode the entities EditorJS writes
+const decodeEntities = (text) => text.replace(/&(lt|gt|quot|#39|nbsp|amp);/g, entity => ENTITIES[entity]);
+
+// Helper function to escape text for HTML
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Helper function to keep a URL in one piece inside Markdown link syntax
+const escapeUrl = (url) => String(url).replace(/[()\s]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+
+// Helper function to escape characters Markdown would read as formatting
+const escapeMarkdownText = (text) => text
+  .replace(/[\\`*[\]]/g, '\\$&')
+  .replace(/(^|\W)_|_(?=\W|$)/g, (match) => match.replace('_', '\\_'));
+
+// Helper function to read an attribute of an HTML tag
+const getAttribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? decodeEntities(match[2] ?? match[3] ?? match[4]) : null;
+};
+
+// Convert the inline HTML of a block's text to Markdown
+export const inlineHtmlToMarkdown = (html) => {
+  if (html === undefined || html === null) return '';
+
+  const parts = String(html).split(/(<[^>]+>)/);
+  const links = [];
+  let markdown = '';
+  let inCode = false;
+
+  parts.forEach(part => {
+    if (!part) return;
+
+    const tag = part.match(/^<(\/?)([a-zA-Z][\w-]*)[^>]*>$/);
+    if (!tag) {
+      markdown += inCode ? decodeEntities(part) : escapeMarkdownText(part);
+      return;
+    }
+
+    const [, closing, name] = tag;
+    switch (name.toLowerCase()) {
+      case 'b':
+      case 'strong':
+        markdown += '**';
+        break;
+      case 'i':
+      case 'em':
+        markdown += '*';
+        break;
+      case 'code':
+        inCode = !closing;
+        markdown += '`';
+        break;
+      case 'a':
+        if (closing) {
+          const href = links.pop();
+          markdown += href ? `](${escapeUrl(href)})` : '';
+        } else {
+          const href = getAttribute(part, 'href');
+          links.push(href);
+          markdown += href ? '[' : '';
+        }
+        break;
+      default:
+        // Other inline HTML (marker, underline, line breaks) is valid Markdown
+        markdown += part;
+    }
+  });
+
+  return markdown;
+};
+
+// Convert Markdown inline text to the inline HTML EditorJS uses
+export const markdownInlineToHtml = (markdown) => {
+  const protectedParts = [];
+  const protect = (html) => `\u0000${protectedParts.push(html) - 1}\u0000`;
+
+  let text = String(markdown || '')
+    // Escaped characters
+    .replace(/\\([!-/:-@[-`{-~])/g, (match, char) => protect(escapeHtml(char)))
+    // Code spans
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) =>
+      protect(`<code class="inline-code">${escapeHtml(code.trim())}</code>`))
+    // Autolinks
+    .replace(/<(https?:\/\/[^\s>]+)>/g, (match, url) => protect(`<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`))
+    // Inline HTML and entities are kept as-is
+    .replace(/<\/?[a-zA-Z][\w-]*(\s[^<>]*)?\/?>|&(#\d+|#x[\da-fA-F]+|[a-zA-Z]+);/g, match => protect(match));
+
+  text = escapeHtml(text)
+    .replace(/\[([^\]]*)\]\(\s*([^\s)]+)(?:\s+&quot;[^"]*?&quot;)?\s*\)/g, '<a href="$2">$1</a>')
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*(?!\*)/g, '<b>$1</b>')
+    .replace(/__(?=\S)([\s\S]*?\S)__(?!_)/g, '<b>$1</b>')
+    .replace(/\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, '<i>$1</i>')
+    .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?![\w])/g, '$1<i>$2</i>');
+
+  return text.replace(/\u0000(\d+)\u0000/g, (match, index) => protectedParts[index]);
+};
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+// Helper function to escape the start of a text that would read as another block
+const escapeBlockStart = (markdown) => markdown
+  .replace(/^(\s*)([#>+-]|\d+[.)]|:::|\|)/, '$1\\$2')
+  .replace(/^\\(\d+)([.)])/, '$1\\$2');
+
+// Helper function to pick a code fence longer than any backtick run in the code
+const getFence = (code) => {
+  const longest = (code.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+  return '`'.repeat(Math.max(3, longest + 1));
+};
+
+// Helper function to write list items, nested lists indented under their item
+const formatListItems = (items, style, depth = 0) => {
+  const lines = [];
+  const indent = '   '.repeat(depth);
+
+  (Array.isArray(items) ? items : []).forEach((item, index) => {
+    const entry = typeof item === 'string' ? { content: item } : (item || {});
+    const content = inlineHtmlToMarkdown(entry.content ?? entry.text ?? '');
+    let marker = style === 'ordered' ? `${index + 1}.` : '-';
+
+    if (style === 'checklist') {
+      const checked = entry.meta ? entry.meta.checked : entry.checked;
+      marker = `- [${checked ? 'x' : ' '}]`;
+    }
+
+    lines.push(`${indent}${marker} ${content}`);
+    lines.push(...formatListItems(entry.items, style, depth + 1));
+  });
+
+  return lines;
+};
+
+// Helper function to write a table cell
+const formatTableCell = (cell) => inlineHtmlToMarkdown(cell).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+
+// Helper function to write a block as a directive
+const formatDirective = (block) => {
+  const data = block.data || {};
+  const fields = DIRECTIVE_FIELDS[block.type] ||
+    Object.keys(data).filter(key => !SKIPPED_FIELDS.includes(key));
+
+  const values = fields.reduce((picked, field) => {
+    // Quiz language only matters for code output questions
+    if (block.type === 'quiz' && field === 'language' && data.quizType !== 'code-output') return picked;
+    picked[field] = data[field];
+    return picked;
+  }, {});
+
+  return [`::: ${block.type}`, ...formatFields(values), ':::'].join('\n');
+};
+
+// Convert one content block to Markdown, null for blocks with nothing to write
+const blockToMarkdown = (block) => {
+  const data = block.data || {};
+
+  switch (block.type) {
+    case 'header': {
+      const level = Math.min(Math.max(parseInt(data.level, 10) || 2, 1), 6);
+      return `${'#'.repeat(level)} ${inlineHtmlToMarkdown(data.text)}`;
+    }
+
+    case 'paragraph':
+    case 'text':
+      return data.text ? escapeBlockStart(inlineHtmlToMarkdown(data.text)) : null;
+
+    case 'list':
+      return formatListItems(data.items, data.style).join('\n') || null;
+
+    case 'checklist':
+      return formatListItems(data.items, 'checklist').join('\n') || null;
+
+    case 'code': {
+      const code = data.code || '';
+      const fence = getFence(code);
+      return `${fence}${data.language || ''}\n${code}\n${fence}`;
+    }
+
+    case 'quote': {
+      const lines = inlineHtmlToMarkdown(data.text).split(/<br\s*\/?>|\n/).map(line => `> ${line}`.trimEnd());
+      if (data.caption) lines.push('>', `> — ${inlineHtmlToMarkdown(data.caption)}`);
+      return lines.join('\n');
+    }
+
+    case 'warning': {
+      const lines = ['> [!WARNING]'];
+      if (data.title) lines.push(`> **${inlineHtmlToMarkdown(data.title)}**`);
+      inlineHtmlToMarkdown(data.message).split(/<br\s*\/?>|\n/).forEach(line => lines.push(`> ${line}`.trimEnd()));
+      return lines.join('\n');
+    }
+
+    case 'delimiter':
+      return '---';
+
+    case 'table': {
+      const rows = Array.isArray(data.content) ? data.content.filter(Array.isArray) : [];
+      if (rows.length === 0) return null;
+
+      const columns = Math.max(...rows.map(row => row.length), 1);
+      const formatRow = (row) => `| ${Array.from({ length: columns }, (_, i) => formatTableCell(row[i] ?? '')).join(' | ')} |`;
+
+      // Markdown tables always have a header row, left empty for tables without headings
+      const header = data.withHeadings ? rows[0] : [];
+      const body = data.withHeadings ? rows.slice(1) : rows;
+
+      return [
+        formatRow(header),
+        `|${' --- |'.repeat(columns)}`,
+        ...body.map(formatRow)
+      ].join('\n');
+    }
+
+    case 'image': {
+      if (!data.url) return null;
+      const alt = (data.alt || '').replace(/[\\\]]/g, '\\$&');
+      const caption = data.caption ? ` "${data.caption.replace(/["\\]/g, '\\$&')}"` : '';
+      return `![${alt}](${escapeUrl(data.url)}${caption})`;
+    }
+
+    default:
+      return formatDirective(block);
+  }
+};
+
+// Convert a lesson (title, duration, difficulty, keywords, content) to Markdown
+export const lessonToMarkdown = (lesson) => {
+  const frontMatter = FRONT_MATTER_FIELDS.reduce((fields, field) => {
+    fields[field] = lesson[field];
+    return fields;
+  }, {});
+
+  const blocks = (lesson.content && Array.isArray(lesson.content.blocks) ? lesson.content.blocks : [])
+    .filter(block => block && block.type)
+    .map(blockToMarkdown)
+    .filter(markdown => markdown !== null);
+
+  return ['---', ...formatFields(frontMatter), '---', '', blocks.join('\n\n'), ''].join('\n');
+};
+
+// ---------------------------------------------------------------------------
+// Import
+// ---------------------------------------------------------------------------
+
+// Helper function to split a table row into cells, keeping escaped pipes
+const splitTableRow = (line) => line.trim()
+  .replace(/^\|/, '')
+  .replace(/(^|[^\\])\|$/, '$1')
+  .split(/(?<!\\)\|/)
+  .map(cell => markdownInlineToHtml(cell.trim().replace(/\\\|/g, '|')));
+
+// Helper function to tell whether a line starts a block other than a paragraph
+const startsBlock = (line, nextLine) => HEADER.test(line) ||
+  FENCE.test(line) ||
+  DIRECTIVE.test(line) ||
+  DELIMITER.test(line) ||
+  /^\s{0,3}>/.test(line) ||
+  LIST_ITEM.test(line) ||
+  (line.includes('|') && nextLine !== undefined && TABLE_SEPARATOR.test(nextLine) && nextLine.includes('-'));
+
+// Helper function to build nested EditorJS list items from Markdown list lines
+const buildListItems = (entries, style) => {
+  const root = { items: [] };
+  const stack = [{ indent: -1, node: root }];
+
+  entries.forEach(({ indent, text }) => {
+    while (stack.length > 1 && indent <= stack[stack.length - 1].indent) stack.pop();
+
+    let content = text;
+    const meta = {};
+    const task = text.match(TASK_ITEM);
+    if (style === 'checklist' && task) {
+      meta.checked = task[1] !== ' ';
+      content = task[2];
+    }
+
+    const item = { content: markdownInlineToHtml(content), meta, items: [] };
+    stack[stack.length - 1].node.items.push(item);
+    stack.push({ indent, node: item });
+  });
+
+  return root.items;
+};
+
+// Helper function to read a blockquote as a quote or warning block
+const parseQuote = (lines) => {
+  const alert = lines.length && lines[0].match(ALERT_LINE);
+
+  if (alert) {
+    const rest = lines.slice(1);
+    const titleMatch = rest.length && rest[0].match(/^\*\*(.+)\*\*$/);
+    const title = titleMatch ? titleMatch[1] : alert[1].charAt(0).toUpperCase() + alert[1].slice(1).toLowerCase();
+    const message = (titleMatch ? rest.slice(1) : rest).filter(line => line.trim());
+
+    return {
+      type: 'warning',
+      data: {
+        title: markdownInlineToHtml(title),
+        message: message.map(markdownInlineToHtml).join('<br>')
+      }
+    };
+  }
+
+  const textLines = [...lines];
+  let caption = '';
+  const last = textLines.length && textLines[textLines.length - 1].match(/^(?:—|--)\s*(.+)$/);
+  if (last && textLines.length > 1) {
+    caption = last[1];
+    textLines.pop();
+  }
+  while (textLines.length && !textLines[textLines.length - 1].trim()) textLines.pop();
+
+  return {
+    type: 'quote',
+    data: {
+      text: textLines.map(markdownInlineToHtml).join('<br>'),
+      caption: markdownInlineToHtml(caption),
+      alignment: 'left'
+    }
+  };
+};
+
+// Convert Markdown to lesson fields and EditorJS content
+// Returns { attributes, content, warnings }; attributes hold the front matter
+export const markdownToLesson = (markdown) => {
+  const lines = String(markdown || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+  const warnings = [];
+  const blocks = [];
+  let attributes = {};
+  let i = 0;
+
+  // Front matter
+  if (lines[0] && lines[0].trim() === '---') {
+    const end = lines.findIndex((line, index) => index > 0 && /^(---|\.\.\.)\s*$/.test(line));
+    if (end > 0) {
+      const { fields, errors } = parseFields(lines.slice(1, end));
+      attributes = Object.keys(fields)
+        .filter(key => FRONT_MATTER_FIELDS.includes(key))
+        .reduce((picked, key) => ({ ...picked, [key]: fields[key] }), {});
+      errors.forEach(error => warnings.push(`Front matter: ${error}`));
+      i = end + 1;
+    }
+  }
+
+  const addBlock = (type, data) => blocks.push({ type, data });
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const lineNumber = i + 1;
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // Headers
+    const header = line.match(HEADER);
+    if (header) {
+      addBlock('header', { text: markdownInlineToHtml(header[2]), level: header[1].length });
+      i++;
+      continue;
+    }
+
+    // Fenced code
+    const fence = line.match(FENCE);
+    if (fence) {
+      const code = [];
+      i++;
+      const isClosingFence = (text) => {
+        const closing = text.match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+        return closing && closing[1].charAt(0) === fence[1].charAt(0) && closing[1].length >= fence[1].length;
+      };
+      while (i < lines.length && !isClosingFence(lines[i])) {
+        code.push(lines[i++]);
+      }
+      if (i >= lines.length) warnings.push(`Line ${lineNumber}: code block is not closed`);
+      i++;
+      addBlock('code', { code: code.join('\n'), language: fence[2] || 'plaintext' });
+      continue;
+    }
+
+    // Directives
+    const directive = line.match(DIRECTIVE);
+    if (directive) {
+      const body = [];
+      i++;
+      while (i < lines.length && !DIRECTIVE_END.test(lines[i])) body.push(lines[i++]);
+      if (i >= lines.length) warnings.push(`Line ${lineNumber}: "${directive[1]}" block is not closed`);
+      i++;
+
+      const { fields, errors } = parseFields(body);
+      errors.forEach(error => warnings.push(`Line ${lineNumber}: ${error}`));
+      addBlock(directive[1], fields);
+      continue;
+    }
+
+    // Delimiters
+    if (DELIMITER.test(line)) {
+      addBlock('delimiter', {});
+      i++;
+      continue;
+    }
+
+    // Quotes and warnings
+    if (/^\s{0,3}>/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && /^\s{0,3}>/.test(lines[i])) {
+        quoted.push(lines[i++].replace(/^\s{0,3}>\s?/, ''));
+      }
+      const quote = parseQuote(quoted);
+      addBlock(quote.type, quote.data);
+      continue;
+    }
+
+    // Lists and checklists
+    const listItem = line.match(LIST_ITEM);
+    if (listItem) {
+      const ordered = /\d/.test(listItem[2]);
+      const tasks = TASK_ITEM.test(listItem[3]);
+      const entries = [];
+
+      while (i < lines.length) {
+        const current = lines[i].match(LIST_ITEM);
+
+        if (current) {
+          // A top-level item of another kind starts a new list
+          const otherKind = /\d/.test(current[2]) !== ordered || TASK_ITEM.test(current[3]) !== tasks;
+          if (current[1].length === 0 && otherKind && entries.length) break;
+          entries.push({ indent: current[1].length, text: current[3] });
+          i++;
+        } else if (lines[i].trim() && /^\s+/.test(lines[i]) && entries.length) {
+          // Continuation of the previous item
+          entries[entries.length - 1].text += ` ${lines[i].trim()}`;
+          i++;
+        } else if (!lines[i].trim() && i + 1 < lines.length && LIST_ITEM.test(lines[i + 1])) {
+          i++;
+        } else {
+          break;
+        }
+      }
+
+      const isChecklist = !ordered && entries.filter(entry => entry.indent === entries[0].indent)
+        .every(entry => TASK_ITEM.test(entry.text));
+      const style = isChecklist ? 'checklist' : (ordered ? 'ordered' : 'unordered');
+
+      addBlock('list', { style, meta: {}, items: buildListItems(entries, style) });
+      continue;
+    }
+
+    // Tables
+    if (line.includes('|') && i + 1 < lines.length && TABLE_SEPARATOR.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+      const header = splitTableRow(line);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+        rows.push(splitTableRow(lines[i++]));
+      }
+
+      // An empty header row stands for a table without headings
+      const withHeadings = header.some(cell => cell.trim());
+      addBlock('table', { withHeadings, content: withHeadings ? [header, ...rows] : rows });
+      continue;
+    }
+
+    // Paragraphs, or an image on its own
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !startsBlock(lines[i], lines[i + 1]))) {
+      paragraph.push(lines[i++].trimStart());
+    }
+
+    const image = paragraph.length === 1 && paragraph[0].trim().match(IMAGE_LINE);
+    if (image) {
+      const unescape = (text) => (text || '').replace(/\\(.)/g, '$1');
+      addBlock('image', { url: image[2], alt: unescape(image[1]), caption: unescape(image[3]) });
+    } else {
+      addBlock('paragraph', { text: markdownInlineToHtml(paragraph.join('\n')).trim().replace(/ {2,}\n|\\\n/g, '<br>').replace(/\s*\n/g, ' ') });
+    }
+  }
+
+  return {
+    attributes,
+    content: {
+      time: Date.now(),
+      blocks,
+      version: '2.28.2'
+    },
+    warnings
+  };
+};
@@ -0,0 +1,107 @@
+// src/lib/media.js
+import path from 'path';
+
+// What may be uploaded for lesson content. Images are recognised by their
+// first bytes rather than the name or type the browser sent. SVG is left out
+// on purpose: it can carry scripts and would run them from our own origin.
+// Attachments are checked by extension and always downloaded, never shown.
+
+const MB = 1024 * 1024;
+
+export const IMAGE_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp'
+};
+
+export const ATTACHMENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+// Helper function to read a size limit in bytes from the environment
+const readLimit = (name, fallbackMb) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallbackMb * MB;
+};
+
+// Get the upload size limits in bytes (MEDIA_MAX_IMAGE_SIZE, MEDIA_MAX_FILE_SIZE)
+export const getMediaLimits = () => ({
+  image: readLimit('MEDIA_MAX_IMAGE_SIZE', 5),
+  attachment: readLimit('MEDIA_MAX_FILE_SIZE', 20)
+});
+
+// Helper function to format a byte count for error messages
+const formatSize = (bytes) => `${Math.round((bytes / MB) * 10) / 10} MB`;
+
+// Helper function to detect an image type from the file signature
+export const detectImageType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return 'image/png';
+  if (['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6))) return 'image/gif';
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+
+  return null;
+};
+
+// Helper function to clean an uploaded file name for display and downloads
+export const cleanFileName = (name) => {
+  const cleaned = path.basename(String(name || ''))
+    .replace(/[\u0000-\u001f\u007f"\\/]/g, '')
+    .trim();
+  return cleaned.slice(-200) || 'file';
+};
+
+// Check an uploaded file against the limits of its kind ('image' or 'attachment')
+// Returns { contentType, extension } or { status, message }
+export const checkUpload = (file, kind) => {
+  const limit = getMediaLimits()[kind];
+
+  if (!file || !file.buffer || file.size === 0) {
+    return { status: 400, message: 'The uploaded file is empty' };
+  }
+
+  if (file.size > limit) {
+    return { status: 413, message: `File is too large, the limit is ${formatSize(limit)}` };
+  }
+
+  if (kind === 'image') {
+    const contentType = detectImageType(file.buffer);
+    if (!contentType) {
+      return { status: 415, message: `Unsupported image type, use ${Object.values(IMAGE_TYPES).join(', ')}` };
+    }
+    return { contentType, extension: IMAGE_TYPES[contentType] };
+  }
+
+  const extension = path.extname(cleanFileName(file.originalname)).toLowerCase();
+  const contentType = ATTACHMENT_TYPES[extension];
+
+  if (!contentType) {
+    return { status: 415, message: `Unsupported file type, use ${Object.keys(ATTACHMENT_TYPES).join(', ')}` };
+  }
+
+  // Files named as images must really be images
+  if (contentType.startsWith('image/') && detectImageType(file.buffer) !== contentType) {
+    return { status: 415, message: 'File content does not match its extension' };
+  }
+
+  return { contentType, extension };
+};
@@ -0,0 +1,143 @@
+// src/lib/mediaStorage.js
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { v2 as cloudinary } from 'cloudinary';
+
+// Storage drivers for uploaded media. Every driver has the same interface:
+//   name
+//   save({ buffer, kind, extension, contentType, baseUrl }) -> { url, key, size }
+//   remove(key, kind)
+// MEDIA_STORAGE picks the driver ("local" or "cloudinary"). Without it,
+// Cloudinary is used once its credentials are set and the local disk otherwise,
+// so development works offline.
+
+// Helper function to get the folder of a kind of upload
+const getKindFolder = (kind) => (kind === 'image' ? 'images' : 'files');
+
+// Helper function to generate a unique file name
+const generateName = () => crypto.randomBytes(16).toString('hex');
+
+// Get the directory local uploads are written to and served from
+export const getLocalUploadDir = () => path.resolve(process.env.MEDIA_UPLOAD_DIR || 'uploads');
+
+// Helper function to resolve a storage key inside the upload directory
+const resolveLocalPath = (key) => {
+  const root = getLocalUploadDir();
+  const filePath = path.resolve(root, key);
+
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid media key ${key}`);
+  }
+  return filePath;
+};
+
+// Files on the local disk, served by the API under /uploads
+const localDriver = {
+  name: 'local',
+
+  save: async ({ buffer, kind, extension, baseUrl }) => {
+    const now = new Date();
+    const key = [
+      getKindFolder(kind),
+      String(now.getUTCFullYear()),
+      String(now.getUTCMonth() + 1).padStart(2, '0'),
+      `${generateName()}${extension}`
+    ].join('/');
+
+    const filePath = resolveLocalPath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+
+    const publicUrl = (process.env.MEDIA_PUBLIC_URL || baseUrl || '').replace(/\/+$/, '');
+
+    return { url: `${publicUrl}/uploads/${key}`, key, size: buffer.length };
+  },
+
+  remove: async (key) => {
+    try {
+      await fs.unlink(resolveLocalPath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+};
+
+// Helper function to check whether Cloudinary credentials are set
+const hasCloudinaryCredentials = () => Boolean(
+  process.env.CLOUDINARY_URL ||
+  (process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET)
+);
+
+// Helper function to configure the Cloudinary SDK from the environment
+// CLOUDINARY_URL is read by the SDK itself
+const configureCloudinary = () => {
+  if (process.env.CLOUDINARY_CLOUD_NAME) {
+    cloudinary.config({
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET
+    });
+  }
+  cloudinary.config({ secure: true });
+};
+
+// Helper function to get the Cloudinary resource type of a kind of upload
+// Attachments are stored as raw files so Cloudinary does not transform them
+const getResourceType = (kind) => (kind === 'image' ? 'image' : 'raw');
+
+// Files on Cloudinary, served from its CDN
+const cloudinaryDriver = {
+  name: 'cloudinary',
+
+  save: ({ buffer, kind, extension }) => new Promise((resolve, reject) => {
+    configureCloudinary();
+
+    const resourceType = getResourceType(kind);
+    const options = {
+      folder: `${process.env.CLOUDINARY_FOLDER || 'codecraft'}/${getKindFolder(kind)}`,
+      resource_type: resourceType,
+      // Raw files keep their extension in the public id, images get one from their format
+      public_id: resourceType === 'raw' ? `${generateName()}${extension}` : generateName(),
+      overwrite: false
+    };
+
+    const stream = cloudinary.uploader.upload_stream(options, (error, result) => {
+      if (error) return reject(new Error(error.message || 'Cloudinary upload failed'));
+
+      resolve({
+        url: result.secure_url,
+        key: result.public_id,
+        size: result.bytes,
+        width: result.width,
+        height: result.height
+      });
+    });
+
+    stream.end(buffer);
+  }),
+
+  remove: async (key, kind) => {
+    configureCloudinary();
+    await cloudinary.uploader.destroy(key, { resource_type: getResourceType(kind), invalidate: true });
+  }
+};
+
+const STORAGE_DRIVERS = {
+  [localDriver.name]: localDriver,
+  [cloudinaryDriver.name]: cloudinaryDriver
+};
+
+// Get a storage driver by name, the configured one by default
+export const getStorageDriver = (name = process.env.MEDIA_STORAGE || (hasCloudinaryCredentials() ? 'cloudinary' : 'local')) => {
+  const driver = STORAGE_DRIVERS[name];
+
+  if (!driver) {
+    throw new Error(`Unknown MEDIA_STORAGE "${name}", use ${Object.keys(STORAGE_DRIVERS).join(' or ')}`);
+  }
+  if (driver === cloudinaryDriver && !hasCloudinaryCredentials()) {
+    throw new Error('Cloudinary storage needs CLOUDINARY_URL or CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET');
+  }
+
+  return driver;
+};
@@ -0,0 +1,86 @@
+// src/lib/permissions.js
+
+// Roles from least to most privileged
+export const ROLES = ['user', 'author', 'editor', 'admin'];
+
+// Permissions granted to each role. A ":own" suffix limits the permission to
+// content the user authored (lessons belong to the author of their tutorial).
+// Each role also inherits everything granted to the roles below it.
+const ROLE_PERMISSIONS = {
+  user: [],
+  author: [
+    'tutorial:create',
+    'tutorial:update:own',
+    'tutorial:view-drafts:own',
+    'lesson:create:own',
+    'lesson:update:own',
+    'lesson:delete:own',
+    'lesson:view-drafts:own',
+    'media:upload',
+    'media:view'
+  ],
+  editor: [
+    'tutorial:update',
+    'tutorial:publish',
+    'tutorial:review',
+    'tutorial:view-drafts',
+    'lesson:create',
+    'lesson:update',
+    'lesson:delete',
+    'lesson:publish',
+    'lesson:review',
+    'lesson:view-drafts',
+    'media:manage'
+  ],
+  admin: ['*']
+};
+
+// Resolve the full permission set of a role, including inherited ones
+const permissionsForRole = (role) => {
+  const index = ROLES.indexOf(role);
+  if (index === -1) return new Set();
+
+  return new Set(ROLES.slice(0, index + 1).flatMap(r => ROLE_PERMISSIONS[r]));
+};
+
+const PERMISSIONS_BY_ROLE = Object.fromEntries(ROLES.map(role => [role, permissionsForRole(role)]));
+
+// Check whether a role is at least as privileged as another
+export const hasRoleAtLeast = (user, role) => {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+};
+
+// Get the scope in which a user holds a permission: 'any', 'own' or null
+export const getPermissionScope = (user, permission) => {
+  if (!user) return null;
+
+  const permissions = PERMISSIONS_BY_ROLE[user.role];
+  if (!permissions) return null;
+
+  if (permissions.has('*') || permissions.has(permission)) return 'any';
+  if (permissions.has(`${permission}:own`)) return 'own';
+
+  return null;
+};
+
+// Helper function to get the id of a tutorial's author, populated or not
+const getAuthorId = (tutorial) => {
+  if (!tutorial || !tutorial.author) return null;
+  return (tutorial.author._id || tutorial.author).toString();
+};
+
+// Check whether a user holds a permission for a specific tutorial
+export const canOnTutorial = (user, permission, tutorial) => {
+  const scope = getPermissionScope(user, permission);
+
+  if (scope === 'any') return true;
+  if (scope === 'own') return getAuthorId(tutorial) === user._id.toString();
+
+  return false;
+};
+
+// Check whether a user may see unpublished content of a tutorial
+export const canViewDrafts = (user, tutorial) => canOnTutorial(user, 'tutorial:view-drafts', tutorial);
+
+// Check whether a user may see every unpublished tutorial and lesson
+export const canViewAllDrafts = (user) => getPermissionScope(user, 'tutorial:view-drafts') === 'any';
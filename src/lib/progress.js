@@ -0,0 +1,146 @@
+// src/lib/progress.js
+import Lesson from '../models/lesson.model.js';
+import User from '../models/user.model.js';
+
+// Helper function to read a user's progress entry for a tutorial, null if there is none
+const findProgressEntry = async (userId, tutorialId) => {
+  const user = await User.findOne({ _id: userId }, { progress: { $elemMatch: { tutorial: tutorialId } } });
+  return (user && user.progress[0]) || null;
+};
+
+// Helper function to touch the lastAccessed date of a progress entry, if there is one
+const touchProgressEntry = (userId, tutorialId, now) => User.updateOne(
+  { _id: userId, 'progress.tutorial': tutorialId },
+  { $set: { 'progress.$.lastAccessed': now } }
+);
+
+// Add a lesson to the completed lessons of a user's progress for its tutorial
+// Every step is a conditional update, so concurrent calls neither create two
+// entries for a tutorial nor add the lesson twice; added is true for the one
+// call that added it. Returns { added, entry }
+export const addCompletedLesson = async (userId, tutorialId, lessonId, now = new Date()) => {
+  // Start tracking the tutorial unless it already is
+  await User.updateOne(
+    { _id: userId, 'progress.tutorial': { $ne: tutorialId } },
+    { $push: { progress: { tutorial: tutorialId, completion: 0, completedLessons: [], lastAccessed: now } } }
+  );
+
+  const result = await User.updateOne(
+    { _id: userId, progress: { $elemMatch: { tutorial: tutorialId, completedLessons: { $ne: lessonId } } } },
+    { $addToSet: { 'progress.$.completedLessons': lessonId }, $set: { 'progress.$.lastAccessed': now } }
+  );
+  const added = result.modifiedCount === 1;
+
+  if (!added) {
+    await touchProgressEntry(userId, tutorialId, now);
+  }
+
+  return { added, entry: await findProgressEntry(userId, tutorialId) };
+};
+
+// Remove a lesson from the completed lessons of a user's progress for its tutorial
+// Tutorials that were never started keep no progress entry (entry is null)
+// Returns { removed, entry }
+export const removeCompletedLesson = async (userId, tutorialId, lessonId, now = new Date()) => {
+  const result = await User.updateOne(
+    { _id: userId, progress: { $elemMatch: { tutorial: tutorialId, completedLessons: lessonId } } },
+    { $pull: { 'progress.$.completedLessons': lessonId }, $set: { 'progress.$.lastAccessed': now } }
+  );
+  const removed = result.modifiedCount === 1;
+
+  if (!removed) {
+    await touchProgressEntry(userId, tutorialId, now);
+  }
+
+  return { removed, entry: await findProgressEntry(userId, tutorialId) };
+};
+
+// Recalculate the completion of a user's progress entry and store it
+export const saveCompletion = async (userId, entry) => {
+  const progress = await recalculateCompletion(entry);
+
+  await User.updateOne(
+    { _id: userId, 'progress.tutorial': entry.tutorial },
+    { $set: { 'progress.$.completion': progress.completion } }
+  );
+
+  return progress;
+};
+
+// Recalculate the completion percentage of a progress entry from the
+// tutorial's currently published lessons
+export const recalculateCompletion = async (entry) => {
+  const publishedLessons = await Lesson.findByTutorial(entry.tutorial, { published: true }).select('_id');
+  const publishedIds = new Set(publishedLessons.map(lesson => lesson._id.toString()));
+
+  const completedCount = (entry.completedLessons || [])
+    .filter(lessonId => publishedIds.has(lessonId.toString()))
+    .length;
+
+  const totalLessons = publishedIds.size;
+  entry.completion = totalLessons > 0 ? Math.round((completedCount / totalLessons) * 100) : 0;
+
+  return {
+    tutorial: entry.tutorial,
+    completion: entry.completion,
+    completedLessons: entry.completedLessons,
+    completedCount,
+    totalLessons,
+    lastAccessed: entry.lastAccessed
+  };
+};
+
+// Build dashboard-ready summaries for populated progress entries, loading
+// the live lessons of every tutorial in a single query
+export const buildProgressSummaries = async (entries) => {
+  const validEntries = entries.filter(entry => entry.tutorial && entry.tutorial._id);
+  const tutorialIds = validEntries.map(entry => entry.tutorial._id);
+
+  const lessons = await Lesson.find({ tutorial: { $in: tutorialIds }, ...Lesson.liveQuery() })
+    .select('_id title slug order tutorial')
+    .sort({ order: 1 });
+
+  const lessonsByTutorial = new Map();
+  lessons.forEach(lesson => {
+    const key = lesson.tutorial.toString();
+    if (!lessonsByTutorial.has(key)) lessonsByTutorial.set(key, []);
+    lessonsByTutorial.get(key).push(lesson);
+  });
+
+  return validEntries.map(entry => {
+    const tutorial = entry.tutorial;
+    const tutorialLessons = lessonsByTutorial.get(tutorial._id.toString()) || [];
+    const completedIds = new Set((entry.completedLessons || []).map(lessonId => lessonId.toString()));
+
+    const completedLessons = tutorialLessons
+      .filter(lesson => completedIds.has(lesson._id.toString()))
+      .map(lesson => lesson._id);
+
+    const nextLesson = tutorialLessons.find(lesson => !completedIds.has(lesson._id.toString()));
+
+    const totalLessons = tutorialLessons.length;
+    const completion = totalLessons > 0
+      ? Math.round((completedLessons.length / totalLessons) * 100)
+      : 0;
+
+    return {
+      tutorial: {
+        _id: tutorial._id,
+        title: tutorial.title,
+        slug: tutorial.slug,
+        difficulty: tutorial.difficulty,
+        technology: tutorial.technology,
+        domain: tutorial.domain
+      },
+      completion,
+      status: totalLessons > 0 && completedLessons.length === totalLessons ? 'completed' : 'in-progress',
+      totalLessons,
+      completedCount: completedLessons.length,
+      completedLessons,
+      nextLesson: nextLesson
+        ? { _id: nextLesson._id, title: nextLesson.title, slug: nextLesson.slug, order: nextLesson.order }
+        : null,
+      lastAccessed: entry.lastAccessed
+    };
+  });
+};
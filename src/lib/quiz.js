@@ -0,0 +1,83 @@
+// src/lib/quiz.js
+import { gradeQuizAnswer, getAnswerKey, redactQuizData } from './quizGrading.js';
+
+// Quiz blocks carry their own answers (see quizGrading.js for the types).
+// Learners only see the answers once they passed the quiz or used their last
+// attempt; grading always happens here on the server.
+
+// Get the gradable quiz blocks of lesson content
+export const getQuizBlocks = (content) => {
+  const blocks = (content && Array.isArray(content.blocks)) ? content.blocks : [];
+  return blocks.filter(block => block && block.type === 'quiz' && block.id && block.data && !block.data.invalid);
+};
+
+// Return a copy of the content without the answers of its quiz blocks
+export const hideQuizAnswers = (content) => {
+  if (!content || !Array.isArray(content.blocks)) return content;
+
+  return {
+    ...content,
+    blocks: content.blocks.map(block => {
+      if (!block || block.type !== 'quiz' || !block.data) return block;
+      return { ...block, data: redactQuizData(block.data, block.id) };
+    })
+  };
+};
+
+// Return graded results without their answer keys
+export const hideAnswerKeys = (results) => results.map(({ blockId, answer, correct }) => ({ blockId, answer, correct }));
+
+// Grade submitted answers against the quiz blocks of lesson content.
+// answers is a list of { blockId, answer }; unanswered quizzes count as wrong.
+// Returns { results, score, total, percentage } or { error }.
+export const gradeQuiz = (content, answers) => {
+  const quizBlocks = getQuizBlocks(content);
+
+  if (quizBlocks.length === 0) {
+    return { error: 'This lesson has no quiz' };
+  }
+
+  if (!Array.isArray(answers) || answers.length === 0) {
+    return { error: 'Answers are required' };
+  }
+
+  const blocksById = new Map(quizBlocks.map(block => [block.id, block]));
+  const gradedById = new Map();
+
+  for (const entry of answers) {
+    if (!entry || !blocksById.has(entry.blockId)) {
+      return { error: `Unknown quiz block "${entry && entry.blockId}"` };
+    }
+
+    const graded = gradeQuizAnswer(blocksById.get(entry.blockId).data, entry.answer);
+    if (graded.error) {
+      return { error: `Answer for quiz block "${entry.blockId}" ${graded.error}` };
+    }
+    gradedById.set(entry.blockId, graded);
+  }
+
+  // Unanswered quizzes keep their answers hidden
+  const results = quizBlocks.map(block => {
+    if (!gradedById.has(block.id)) {
+      return { blockId: block.id, answer: null, correct: false };
+    }
+
+    const { value, correct } = gradedById.get(block.id);
+
+    return {
+      blockId: block.id,
+      answer: value,
+      correct,
+      ...getAnswerKey(block.data)
+    };
+  });
+
+  const score = results.filter(result => result.correct).length;
+
+  return {
+    results,
+    score,
+    total: results.length,
+    percentage: Math.round((score / results.length) * 100)
+  };
+};
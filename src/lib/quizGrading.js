@@ -0,0 +1,284 @@
+// src/lib/quizGrading.js
+import { isSafeRegex, compileSafeRegex } from './safeRegex.js';
+
+// Rules for every quiz block type. Each type normalizes the author's data
+// (or explains why the question cannot be graded), parses a learner's answer,
+// grades it, and names the fields that give the answer away.
+//
+//   single        options + correctAnswer (option index)
+//   multiple      options + correctAnswers (option indexes, all must be picked)
+//   short-answer  acceptedAnswers (exact text) and/or acceptedPatterns (regex)
+//   ordering      orderItems in the correct order, answered as the reordered texts
+//   code-output   code + expectedOutput, answered with the predicted output
+
+export const DEFAULT_QUIZ_TYPE = 'single';
+
+// Limits on answers and author regexes (patterns run on the linear-time
+// matcher of safeRegex.js, they are checked against learner input on the event loop)
+const MAX_PATTERN_LENGTH = 200;
+const MAX_TEXT_ANSWER_LENGTH = 500;
+const MAX_OUTPUT_ANSWER_LENGTH = 5000;
+
+// Helper function to read an option index, null if not a non-negative integer
+const toIndex = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const index = Number(value);
+  return Number.isInteger(index) && index >= 0 ? index : null;
+};
+
+// Helper function to keep the non-empty strings of a list
+const toStringList = (values) => (Array.isArray(values) ? values : [])
+  .filter(value => typeof value === 'string' || typeof value === 'number')
+  .map(value => String(value).trim())
+  .filter(Boolean);
+
+// Helper function to compare short answers loosely
+const normalizeText = (value, caseSensitive) => {
+  const text = String(value).trim().replace(/\s+/g, ' ');
+  return caseSensitive ? text : text.toLowerCase();
+};
+
+// Helper function to compare program output, ignoring line endings and trailing whitespace
+const normalizeOutput = (value) => String(value)
+  .replace(/\r\n?/g, '\n')
+  .split('\n')
+  .map(line => line.replace(/\s+$/, ''))
+  .join('\n')
+  .replace(/\n+$/, '');
+
+// Helper function to shuffle items the same way on every request
+const stableShuffle = (items, seed) => {
+  let state = [...String(seed)].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7);
+  const random = () => {
+    state = (state * 1103515245 + 12345) >>> 0;
+    return state / 2 ** 32;
+  };
+
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  // Never hand out the answer itself
+  if (shuffled.every((item, index) => item === items[index])) {
+    shuffled.push(shuffled.shift());
+  }
+
+  return shuffled;
+};
+
+const QUIZ_TYPES = {
+  single: {
+    hiddenFields: ['correctAnswer'],
+    normalize(data) {
+      const options = toStringList(data.options);
+      if (options.length < 2) return { error: 'Quiz needs at least two options' };
+
+      const correctAnswer = toIndex(data.correctAnswer);
+      if (correctAnswer === null || correctAnswer >= options.length) {
+        return { error: 'Quiz needs a correct answer that matches one of its options' };
+      }
+
+      return { data: { options, correctAnswer } };
+    },
+    parseAnswer(data, answer) {
+      const index = toIndex(answer);
+      return index === null ? { error: 'must be an option index' } : { value: index };
+    },
+    grade(data, value) {
+      return value === data.correctAnswer;
+    }
+  },
+
+  multiple: {
+    hiddenFields: ['correctAnswers'],
+    normalize(data) {
+      const options = toStringList(data.options);
+      if (options.length < 2) return { error: 'Quiz needs at least two options' };
+
+      const indexes = (Array.isArray(data.correctAnswers) ? data.correctAnswers : []).map(toIndex);
+      if (indexes.length === 0 || indexes.some(index => index === null || index >= options.length)) {
+        return { error: 'Quiz needs correct answers that match its options' };
+      }
+
+      return { data: { options, correctAnswers: [...new Set(indexes)].sort((a, b) => a - b) } };
+    },
+    parseAnswer(data, answer) {
+      const indexes = (Array.isArray(answer) ? answer : []).map(toIndex);
+      if (!Array.isArray(answer) || indexes.some(index => index === null)) {
+        return { error: 'must be a list of option indexes' };
+      }
+      return { value: [...new Set(indexes)].sort((a, b) => a - b) };
+    },
+    grade(data, value) {
+      const correct = [...new Set((data.correctAnswers || []).map(Number))].sort((a, b) => a - b);
+      return value.length === correct.length && value.every((index, i) => index === correct[i]);
+    }
+  },
+
+  'short-answer': {
+    hiddenFields: ['acceptedAnswers', 'acceptedPatterns'],
+    normalize(data) {
+      const acceptedAnswers = toStringList(data.acceptedAnswers);
+      const acceptedPatterns = toStringList(data.acceptedPatterns);
+
+      if (acceptedAnswers.length === 0 && acceptedPatterns.length === 0) {
+        return { error: 'Quiz needs at least one accepted answer or pattern' };
+      }
+
+      for (const pattern of acceptedPatterns) {
+        if (pattern.length > MAX_PATTERN_LENGTH) {
+          return { error: `Accepted patterns cannot exceed ${MAX_PATTERN_LENGTH} characters` };
+        }
+        try {
+          new RegExp(pattern);
+        } catch (error) {
+          return { error: `Invalid accepted pattern "${pattern}"` };
+        }
+        if (!isSafeRegex(pattern)) {
+          return { error: `Accepted pattern "${pattern}" uses a backreference or a lookbehind, which answers cannot be checked against` };
+        }
+      }
+
+      return { data: { acceptedAnswers, acceptedPatterns, caseSensitive: Boolean(data.caseSensitive) } };
+    },
+    parseAnswer(data, answer) {
+      if (typeof answer !== 'string' || !answer.trim()) return { error: 'must be a non-empty text' };
+      if (answer.length > MAX_TEXT_ANSWER_LENGTH) {
+        return { error: `cannot exceed ${MAX_TEXT_ANSWER_LENGTH} characters` };
+      }
+      return { value: answer.trim() };
+    },
+    grade(data, value) {
+      const text = normalizeText(value, data.caseSensitive);
+
+      if ((data.acceptedAnswers || []).some(accepted => normalizeText(accepted, data.caseSensitive) === text)) {
+        return true;
+      }
+
+      // Patterns must match the whole answer
+      // Patterns the matcher does not support, saved before they were refused, never match
+      const flags = data.caseSensitive ? '' : 'i';
+      return (data.acceptedPatterns || []).some(pattern => {
+        try {
+          return compileSafeRegex(`^(?:${pattern})$`, flags).test(value);
+        } catch (error) {
+          return false;
+        }
+      });
+    }
+  },
+
+  ordering: {
+    hiddenFields: ['orderItems'],
+    normalize(data) {
+      const orderItems = toStringList(data.orderItems);
+      if (orderItems.length < 2) return { error: 'Ordering quiz needs at least two items' };
+      if (new Set(orderItems).size !== orderItems.length) {
+        return { error: 'Ordering quiz items must be unique' };
+      }
+      return { data: { orderItems } };
+    },
+    // Learners get the items shuffled instead of in the correct order
+    redact(data, blockId) {
+      return { ...data, shuffledItems: stableShuffle(data.orderItems || [], blockId) };
+    },
+    parseAnswer(data, answer) {
+      const items = toStringList(answer);
+      if (!Array.isArray(answer) || items.length !== answer.length) {
+        return { error: 'must be the list of items in order' };
+      }
+      return { value: items };
+    },
+    grade(data, value) {
+      const correct = data.orderItems || [];
+      return value.length === correct.length && value.every((item, i) => item === correct[i]);
+    }
+  },
+
+  'code-output': {
+    hiddenFields: ['expectedOutput'],
+    normalize(data) {
+      if (typeof data.code !== 'string' || !data.code.trim()) {
+        return { error: 'Code output quiz needs the code to run' };
+      }
+      if (typeof data.expectedOutput !== 'string') {
+        return { error: 'Code output quiz needs the expected output' };
+      }
+      return { data: { code: data.code, language: data.language || 'javascript', expectedOutput: data.expectedOutput } };
+    },
+    parseAnswer(data, answer) {
+      if (typeof answer !== 'string') return { error: 'must be the predicted output' };
+      if (answer.length > MAX_OUTPUT_ANSWER_LENGTH) {
+        return { error: `cannot exceed ${MAX_OUTPUT_ANSWER_LENGTH} characters` };
+      }
+      return { value: answer };
+    },
+    grade(data, value) {
+      return normalizeOutput(value) === normalizeOutput(data.expectedOutput);
+    }
+  }
+};
+
+export const QUIZ_TYPE_NAMES = Object.keys(QUIZ_TYPES);
+
+// Get the type of a quiz block's data, older blocks are single-choice
+export const getQuizType = (data) => (data && data.quizType) || DEFAULT_QUIZ_TYPE;
+
+// Validate and normalize a quiz block's data
+// Returns { data } with the normalized fields, or { error }
+export const normalizeQuizData = (data = {}) => {
+  const quizType = getQuizType(data);
+  const definition = QUIZ_TYPES[quizType];
+
+  if (!definition) {
+    return { error: `Unknown quiz type "${quizType}". Use one of: ${QUIZ_TYPE_NAMES.join(', ')}` };
+  }
+
+  if (typeof data.question !== 'string' || !data.question.trim()) {
+    return { error: 'Quiz needs a question' };
+  }
+
+  const result = definition.normalize(data);
+  if (result.error) return result;
+
+  return { data: { ...result.data, quizType, question: data.question.trim() } };
+};
+
+// Grade one answer against a quiz block's data
+// Returns { value, correct } or { error }
+export const gradeQuizAnswer = (data, answer) => {
+  const definition = QUIZ_TYPES[getQuizType(data)];
+  if (!definition) return { error: 'cannot be graded' };
+
+  const parsed = definition.parseAnswer(data, answer);
+  if (parsed.error) return parsed;
+
+  return { value: parsed.value, correct: definition.grade(data, parsed.value) };
+};
+
+// Get the fields that reveal the answer of a quiz block, plus its explanation
+export const getAnswerKey = (data) => {
+  const definition = QUIZ_TYPES[getQuizType(data)];
+  const fields = [...(definition ? definition.hiddenFields : []), 'explanation'];
+
+  return fields.reduce((key, field) => {
+    if (data[field] !== undefined) key[field] = data[field];
+    return key;
+  }, {});
+};
+
+// Return a copy of a quiz block's data without its answer
+export const redactQuizData = (data, blockId) => {
+  const definition = QUIZ_TYPES[getQuizType(data)];
+  const redacted = definition && definition.redact ? definition.redact(data, blockId) : { ...data };
+
+  // Hide the fields of every type, in case a block changed type
+  Object.values(QUIZ_TYPES)
+    .flatMap(type => type.hiddenFields)
+    .concat('explanation')
+    .forEach(field => delete redacted[field]);
+
+  return redacted;
+};
@@ -0,0 +1,80 @@
+// src/lib/review.js
+import { hasRoleAtLeast } from './permissions.js';
+
+// Editorial review workflow shared by lessons and tutorials:
+// draft → in_review → changes_requested → approved → published
+export const REVIEW_STATUSES = ['draft', 'in_review', 'changes_requested', 'approved', 'published'];
+
+// Actions move an item between statuses. `permission` is the action suffix
+// checked against the item's tutorial, e.g. 'lesson:review'.
+const REVIEW_ACTIONS = {
+  submit: { from: ['draft', 'changes_requested', 'published'], to: 'in_review', permission: 'update' },
+  'request-changes': { from: ['in_review', 'approved'], to: 'changes_requested', permission: 'review' },
+  approve: { from: ['in_review'], to: 'approved', permission: 'review' },
+  publish: { from: ['approved'], to: 'published', permission: 'publish' },
+  unpublish: { from: ['published'], to: 'draft', permission: 'publish' }
+};
+
+export const REVIEW_ACTION_NAMES = Object.keys(REVIEW_ACTIONS);
+
+// Get the review status of a document, falling back to its publish state
+// for content created before the workflow existed
+export const getReviewStatus = (doc) => doc.reviewStatus || (doc.isPublished ? 'published' : 'draft');
+
+// Get the permission needed to perform an action, e.g. 'lesson:approve' → 'lesson:review'
+export const getActionPermission = (resource, action) => {
+  const definition = REVIEW_ACTIONS[action];
+  return definition ? `${resource}:${definition.permission}` : null;
+};
+
+// Check whether an action is allowed from the document's current status
+// Returns null if allowed, or an error message
+export const checkReviewAction = (doc, action) => {
+  const definition = REVIEW_ACTIONS[action];
+  if (!definition) return `Unknown review action "${action}"`;
+
+  const status = getReviewStatus(doc);
+  if (!definition.from.includes(status)) {
+    return `Cannot ${action.replace('-', ' ')} an item that is ${status.replace('_', ' ')}`;
+  }
+
+  // A published item only goes back to review with pending draft changes
+  if (action === 'submit' && status === 'published' && !doc.hasDraft) {
+    return 'Published item has no draft changes to review';
+  }
+
+  return null;
+};
+
+// Keep the review status in step with the document on save: publishing and
+// unpublishing outside the workflow (scheduler, admin toggle) update it, and
+// editing approved content sends it back to review. Editing also cancels a
+// pending publishAt, it was set for the content as it was approved.
+export const syncReviewStatus = (doc, contentPaths) => {
+  const edited = contentPaths.some(path => doc.isModified(path));
+
+  if (doc.publishAt && edited && !doc.isModified('publishAt') && !doc.isModified('isPublished')) {
+    doc.publishAt = undefined;
+  }
+
+  if (doc.isModified('reviewStatus')) return;
+
+  if (!doc.reviewStatus || doc.isModified('isPublished')) {
+    doc.reviewStatus = doc.isPublished ? 'published' : 'draft';
+    return;
+  }
+
+  if (doc.reviewStatus === 'approved' && edited) {
+    doc.reviewStatus = 'in_review';
+  }
+};
+
+// Admins may publish directly, everyone else goes through review
+export const canBypassReview = (user) => hasRoleAtLeast(user, 'admin');
+
+// Check whether a user may publish a document right now
+// Returns null if allowed, or an error message
+export const checkCanPublish = (user, doc) => {
+  if (canBypassReview(user) || getReviewStatus(doc) === 'approved') return null;
+  return 'Content must be approved in review before it can be published';
+};
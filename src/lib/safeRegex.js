@@ -0,0 +1,472 @@
+// src/lib/safeRegex.js
+
+// Matcher for the regular expressions authors and admins write (accepted quiz
+// patterns, embed provider URL patterns), which run against user input on the
+// event loop. The built-in engine backtracks, so patterns such as "(a+)+" or
+// "a*a*a*a*b" take exponential or steep polynomial time on crafted input.
+// Patterns are compiled here instead and run on a Pike VM, which steps through
+// the input once with every possible thread at the same time: matching takes
+// time proportional to the input length times the pattern size, whatever the
+// pattern. Characters, escapes and classes are still tested by the built-in
+// engine (one character at a time), so they keep JavaScript's meaning.
+//
+// Supported: literals, escapes, classes, ., ^ and $, \b and \B, groups
+// (capturing, named and non-capturing), alternatives, greedy and lazy
+// quantifiers and lookaheads. Refused: backreferences and lookbehinds, which
+// a linear-time matcher cannot run. Groups inside lookaheads are not captured.
+
+// Largest compiled program, counted quantifiers copy their body ("a{1000}")
+const MAX_PROGRAM_SIZE = 10000;
+
+const SUPPORTED_FLAGS = /^[imsu]*$/;
+
+// Characters written with a backslash when a literal becomes a built-in pattern
+const SYNTAX_CHARACTERS = /[\\^$.*+?()[\]{}|/]/g;
+
+// Helper function to build the error for a pattern that cannot be compiled
+const unsupported = (pattern, reason) => new SyntaxError(`Pattern "${pattern}" ${reason}`);
+
+// Helper function to read the quantifier at a position, if any
+// Returns { min, max, greedy, end } or null
+const readQuantifier = (pattern, position) => {
+  const char = pattern[position];
+  let quantifier = null;
+
+  if (char === '*') {
+    quantifier = { min: 0, max: Infinity, end: position + 1 };
+  } else if (char === '+') {
+    quantifier = { min: 1, max: Infinity, end: position + 1 };
+  } else if (char === '?') {
+    quantifier = { min: 0, max: 1, end: position + 1 };
+  } else if (char === '{') {
+    const braces = pattern.slice(position).match(/^\{(\d+)(?:(,)(\d*))?\}/);
+    if (braces) {
+      const min = Number(braces[1]);
+      const max = braces[2] ? (braces[3] === '' ? Infinity : Number(braces[3])) : min;
+      quantifier = { min, max, end: position + braces[0].length };
+    }
+  }
+
+  if (!quantifier) return null;
+  quantifier.greedy = pattern[quantifier.end] !== '?';
+  if (!quantifier.greedy) quantifier.end++;
+  return quantifier;
+};
+
+// Helper function to find where an escape sequence ends
+// Returns the position after it, or a { kind } for escapes that are not characters
+const readEscape = (pattern, position, unicode) => {
+  const next = pattern[position + 1];
+
+  if (next === 'b' || next === 'B') return { kind: next === 'b' ? 'wordBoundary' : 'notWordBoundary' };
+  if (next === 'k' || /[1-9]/.test(next)) throw unsupported(pattern, 'uses a backreference');
+  if (next === '0' && /\d/.test(pattern[position + 2] || '')) throw unsupported(pattern, 'uses an octal escape');
+
+  const sequences = [
+    /^\\x[\da-fA-F]{2}/,
+    /^\\u[\da-fA-F]{4}/,
+    /^\\c[a-zA-Z]/,
+    ...(unicode ? [/^\\u\{[\da-fA-F]+\}/, /^\\[pP]\{[^}]*\}/] : [])
+  ];
+  for (const sequence of sequences) {
+    const match = pattern.slice(position).match(sequence);
+    if (match) return position + match[0].length;
+  }
+
+  // Surrogate pairs count as one character in unicode patterns
+  const width = unicode && pattern.codePointAt(position + 1) > 0xffff ? 2 : 1;
+  return position + 1 + width;
+};
+
+// Helper function to find where a character class ends
+// (in JavaScript "[]" matches nothing and "[^]" anything)
+const readClass = (pattern, position) => {
+  let end = position + 1;
+  if (pattern[end] === '^') end++;
+  while (end < pattern.length && pattern[end] !== ']') {
+    end += pattern[end] === '\\' ? 2 : 1;
+  }
+  return end + 1;
+};
+
+// Helper function to build the test of a single-character atom
+// The atom's source runs in the built-in engine against one character at a time
+const characterTest = (source, flags, literal) => {
+  if (literal !== undefined && !flags.includes('i')) {
+    return (char) => char === literal;
+  }
+  const regex = new RegExp(`^(?:${source})$`, flags.replace('m', ''));
+  return (char) => regex.test(char);
+};
+
+// Parse a pattern into a tree of nodes:
+//   { type: 'char', test }                 one character
+//   { type: 'sequence', items }
+//   { type: 'alternatives', options }
+//   { type: 'group', index, body }         capturing group
+//   { type: 'repeat', body, min, max, greedy }
+//   { type: 'assert', kind }               ^ $ \b \B
+//   { type: 'lookahead', negate, body }
+const parse = (pattern, flags) => {
+  const unicode = flags.includes('u');
+  const names = [];
+  let groupCount = 0;
+  let position = 0;
+
+  const parseAlternatives = (depth) => {
+    const options = [parseSequence(depth)];
+    while (pattern[position] === '|') {
+      position++;
+      options.push(parseSequence(depth));
+    }
+    return options.length === 1 ? options[0] : { type: 'alternatives', options };
+  };
+
+  const parseSequence = (depth) => {
+    const items = [];
+
+    while (position < pattern.length && pattern[position] !== '|' && pattern[position] !== ')') {
+      const start = position;
+      const char = pattern[position];
+      let node;
+
+      if (char === '(') {
+        const prefix = pattern.slice(position + 1).match(/^\?(?::|=|!|<=|<!|<([^>]*)>)?/);
+        const marker = prefix ? prefix[0] : '';
+
+        if (marker === '?<=' || marker === '?<!') throw unsupported(pattern, 'uses a lookbehind');
+        if (marker === '?') throw unsupported(pattern, 'uses an unsupported group');
+        position += 1 + marker.length;
+
+        if (marker === '?=' || marker === '?!') {
+          node = { type: 'lookahead', negate: marker === '?!', body: parseAlternatives(depth + 1) };
+        } else if (marker === '?:') {
+          node = parseAlternatives(depth + 1);
+        } else {
+          const index = ++groupCount;
+          if (prefix && prefix[1] !== undefined) names.push({ name: prefix[1], index });
+          node = { type: 'group', index, body: parseAlternatives(depth + 1) };
+        }
+
+        if (pattern[position] !== ')') throw unsupported(pattern, 'has an unclosed group');
+        position++;
+      } else if (char === '^' || char === '$') {
+        node = { type: 'assert', kind: char === '^' ? 'start' : 'end' };
+        position++;
+      } else if (char === '\\') {
+        const end = readEscape(pattern, position, unicode);
+        if (typeof end === 'object') {
+          node = { type: 'assert', kind: end.kind };
+          position += 2;
+        } else {
+          node = { type: 'char', test: characterTest(pattern.slice(start, end), flags) };
+          position = end;
+        }
+      } else if (char === '[') {
+        position = readClass(pattern, position);
+        node = { type: 'char', test: characterTest(pattern.slice(start, position), flags) };
+      } else if (char === '.') {
+        position++;
+        node = { type: 'char', test: characterTest('.', flags) };
+      } else {
+        const literal = unicode ? String.fromCodePoint(pattern.codePointAt(position)) : char;
+        position += literal.length;
+        node = { type: 'char', test: characterTest(literal.replace(SYNTAX_CHARACTERS, '\\$&'), flags, literal) };
+      }
+
+      const quantifier = readQuantifier(pattern, position);
+      if (quantifier) {
+        if (node.type === 'assert' || node.type === 'lookahead') {
+          throw unsupported(pattern, 'repeats an assertion');
+        }
+        node = { type: 'repeat', body: node, min: quantifier.min, max: quantifier.max, greedy: quantifier.greedy };
+        position = quantifier.end;
+      }
+
+      items.push(node);
+    }
+
+    if (depth === 0 && pattern[position] === ')') throw unsupported(pattern, 'has an unmatched )');
+    return items.length === 1 ? items[0] : { type: 'sequence', items };
+  };
+
+  const tree = parseAlternatives(0);
+  return { tree, groupCount, names };
+};
+
+// Helper function to list the capture slots of the groups inside a node
+const captureSlots = (node) => {
+  switch (node.type) {
+    case 'group':
+      return [node.index * 2, node.index * 2 + 1, ...captureSlots(node.body)];
+    case 'sequence':
+      return node.items.flatMap(captureSlots);
+    case 'alternatives':
+      return node.options.flatMap(captureSlots);
+    case 'repeat':
+      return captureSlots(node.body);
+    default:
+      return [];
+  }
+};
+
+// Compile a tree into a program of instructions:
+//   char (test), split (x preferred over y), jump (x), save (slot),
+//   reset (slots), assert (kind), lookahead (negate, program), match
+const compileProgram = (pattern, tree) => {
+  const program = [];
+
+  const emit = (instruction) => {
+    if (program.length >= MAX_PROGRAM_SIZE) throw unsupported(pattern, 'is too large once its repeats are expanded');
+    program.push(instruction);
+    return program.length - 1;
+  };
+
+  const compile = (node) => {
+    switch (node.type) {
+      case 'char':
+        emit({ op: 'char', test: node.test });
+        break;
+      case 'sequence':
+        node.items.forEach(compile);
+        break;
+      case 'alternatives': {
+        const jumps = [];
+        node.options.forEach((option, index) => {
+          if (index === node.options.length - 1) {
+            compile(option);
+            return;
+          }
+          const split = emit({ op: 'split' });
+          program[split].x = program.length;
+          compile(option);
+          jumps.push(emit({ op: 'jump' }));
+          program[split].y = program.length;
+        });
+        jumps.forEach(jump => { program[jump].x = program.length; });
+        break;
+      }
+      case 'group':
+        emit({ op: 'save', slot: node.index * 2 });
+        compile(node.body);
+        emit({ op: 'save', slot: node.index * 2 + 1 });
+        break;
+      case 'repeat': {
+        // Captures from an earlier iteration are cleared, as in JavaScript
+        const slots = captureSlots(node.body);
+        const compileBody = () => {
+          if (slots.length > 0) emit({ op: 'reset', slots });
+          compile(node.body);
+        };
+        const branch = (split, body, exit) => {
+          program[split].x = node.greedy ? body : exit;
+          program[split].y = node.greedy ? exit : body;
+        };
+
+        for (let i = 0; i < node.min; i++) compileBody();
+
+        if (node.max === Infinity) {
+          const split = emit({ op: 'split' });
+          compileBody();
+          emit({ op: 'jump', x: split });
+          branch(split, split + 1, program.length);
+        } else {
+          const splits = [];
+          for (let i = node.min; i < node.max; i++) {
+            const split = emit({ op: 'split' });
+            splits.push(split);
+            compileBody();
+          }
+          splits.forEach(split => branch(split, split + 1, program.length));
+        }
+        break;
+      }
+      case 'assert':
+        emit({ op: 'assert', kind: node.kind });
+        break;
+      case 'lookahead':
+        emit({ op: 'lookahead', negate: node.negate, program: compileProgram(pattern, node.body) });
+        break;
+    }
+  };
+
+  emit({ op: 'save', slot: 0 });
+  compile(tree);
+  emit({ op: 'save', slot: 1 });
+  emit({ op: 'match' });
+  return program;
+};
+
+// Helper function to read the character at a position
+// Unicode patterns read whole code points, others UTF-16 code units
+const charAt = (input, position, unicode) => (unicode
+  ? String.fromCodePoint(input.codePointAt(position))
+  : input[position]);
+
+const LINE_TERMINATOR = /[\n\r\u2028\u2029]/;
+
+// Run a program over the input
+// Returns the capture slots of the match, or null
+// anchored only tries a match at start (used for lookaheads)
+const run = (program, input, start, { flags, anchored, cache }) => {
+  const unicode = flags.includes('u');
+  const multiline = flags.includes('m');
+  const isWord = cache.isWord;
+  const seen = new Uint32Array(program.length);
+  let generation = 0;
+
+  const holds = (instruction, position) => {
+    switch (instruction.kind) {
+      case 'start':
+        return position === 0 || (multiline && LINE_TERMINATOR.test(input[position - 1]));
+      case 'end':
+        return position === input.length || (multiline && LINE_TERMINATOR.test(input[position]));
+      default: {
+        const boundary = isWord(input[position - 1]) !== isWord(input[position]);
+        return instruction.kind === 'wordBoundary' ? boundary : !boundary;
+      }
+    }
+  };
+
+  const lookahead = (instruction, position) => {
+    let results = cache.lookaheads.get(instruction);
+    if (!results) {
+      results = new Map();
+      cache.lookaheads.set(instruction, results);
+    }
+    if (!results.has(position)) {
+      results.set(position, run(instruction.program, input, position, { flags, anchored: true, cache }) !== null);
+    }
+    return results.get(position) !== instruction.negate;
+  };
+
+  // Follow the instructions that do not read a character, in priority order,
+  // and add the threads waiting on a character (or matching) to the list
+  const addThread = (list, pc, captures, position) => {
+    const stack = [{ pc, captures }];
+
+    while (stack.length > 0) {
+      const thread = stack.pop();
+      if (seen[thread.pc] === generation) continue;
+      seen[thread.pc] = generation;
+
+      const instruction = program[thread.pc];
+      switch (instruction.op) {
+        case 'jump':
+          stack.push({ pc: instruction.x, captures: thread.captures });
+          break;
+        case 'split':
+          stack.push({ pc: instruction.y, captures: thread.captures });
+          stack.push({ pc: instruction.x, captures: thread.captures });
+          break;
+        case 'save': {
+          const captures = thread.captures.slice();
+          captures[instruction.slot] = position;
+          stack.push({ pc: thread.pc + 1, captures });
+          break;
+        }
+        case 'reset': {
+          const captures = thread.captures.slice();
+          instruction.slots.forEach(slot => { captures[slot] = -1; });
+          stack.push({ pc: thread.pc + 1, captures });
+          break;
+        }
+        case 'assert':
+          if (holds(instruction, position)) stack.push({ pc: thread.pc + 1, captures: thread.captures });
+          break;
+        case 'lookahead':
+          if (lookahead(instruction, position)) stack.push({ pc: thread.pc + 1, captures: thread.captures });
+          break;
+        default:
+          list.push(thread);
+      }
+    }
+  };
+
+  const emptyCaptures = new Array(cache.slotCount).fill(-1);
+  let position = start;
+  let threads = [];
+  let matched = null;
+
+  generation++;
+  addThread(threads, 0, emptyCaptures, position);
+
+  while (threads.length > 0 || (!anchored && matched === null && position < input.length)) {
+    const char = position < input.length ? charAt(input, position, unicode) : null;
+    const next = position + (char ? char.length : 0);
+    const nextThreads = [];
+    generation++;
+
+    for (const thread of threads) {
+      const instruction = program[thread.pc];
+      if (instruction.op === 'match') {
+        // Threads after this one have a lower priority
+        matched = thread.captures;
+        break;
+      }
+      if (char !== null && instruction.test(char)) {
+        addThread(nextThreads, thread.pc + 1, thread.captures, next);
+      }
+    }
+
+    if (char === null) break;
+    if (!anchored && matched === null) addThread(nextThreads, 0, emptyCaptures, next);
+
+    threads = nextThreads;
+    position = next;
+  }
+
+  return matched;
+};
+
+// Compile a pattern for linear-time matching
+// Returns an object with test(input) and exec(input), exec returns the same
+// match array as RegExp.prototype.exec (with index and groups) or null
+// Throws a SyntaxError for invalid or unsupported patterns
+export const compileSafeRegex = (pattern, flags = '') => {
+  if (typeof pattern !== 'string') throw new TypeError('Pattern must be a string');
+  if (!SUPPORTED_FLAGS.test(flags)) throw new SyntaxError(`Unsupported flags "${flags}"`);
+
+  // Let the built-in engine report syntax errors first
+  new RegExp(pattern, flags);
+
+  const { tree, groupCount, names } = parse(pattern, flags);
+  const program = compileProgram(pattern, tree);
+  const wordTest = new RegExp('\\w', flags.replace(/[ms]/g, ''));
+
+  const exec = (input) => {
+    const text = String(input);
+    const cache = {
+      slotCount: (groupCount + 1) * 2,
+      lookaheads: new Map(),
+      isWord: (char) => char !== undefined && wordTest.test(char)
+    };
+
+    const captures = run(program, text, 0, { flags, anchored: false, cache });
+    if (!captures) return null;
+
+    const match = [];
+    for (let group = 0; group <= groupCount; group++) {
+      const [from, to] = [captures[group * 2], captures[group * 2 + 1]];
+      match.push(from === -1 || to === -1 ? undefined : text.slice(from, to));
+    }
+    match.index = captures[0];
+    match.input = text;
+    match.groups = names.length > 0
+      ? Object.fromEntries(names.map(({ name, index }) => [name, match[index]]))
+      : undefined;
+    return match;
+  };
+
+  return { source: pattern, flags, exec, test: (input) => exec(input) !== null };
+};
+
+// Check whether a pattern can be compiled for linear-time matching
+export const isSafeRegex = (pattern) => {
+  try {
+    compileSafeRegex(pattern);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
@@ -0,0 +1,352 @@
+// src/lib/sanitize.js
+
+// Allowlist sanitizer for the HTML stored in lesson blocks: the inline markup
+// EditorJS writes in text fields (bold, italic, links, marker...) and the
+// markup of raw HTML blocks. The HTML is parsed and written again, keeping
+// only allowed tags and attributes and links with safe URL schemes, so
+// whatever reaches a page is either escaped text or markup written here.
+// The URL fields of media, link and file blocks only keep http(s) URLs.
+// Each call reports what it removed, so authors can be told.
+
+// Inline markup of EditorJS text fields
+export const INLINE_RULES = {
+  tags: {
+    a: ['href', 'title', 'target', 'rel'],
+    b: [], strong: [], i: [], em: [], u: [], s: [], del: [], ins: [],
+    mark: [], code: [], kbd: [], sub: [], sup: [], small: [], span: [], br: []
+  },
+  globalAttributes: ['class']
+};
+
+// Markup of raw HTML blocks: inline markup plus text layout, lists, tables and images
+export const RAW_RULES = {
+  tags: {
+    ...INLINE_RULES.tags,
+    p: [], div: [], section: [], article: [], aside: [], header: [], footer: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    ul: [], ol: ['start', 'type', 'reversed'], li: ['value'], dl: [], dt: [], dd: [],
+    blockquote: ['cite'], q: ['cite'], cite: [], abbr: ['title'], pre: [], hr: [],
+    table: [], caption: [], thead: [], tbody: [], tfoot: [], tr: [],
+    th: ['colspan', 'rowspan', 'scope'], td: ['colspan', 'rowspan'],
+    figure: [], figcaption: [], img: ['src', 'alt', 'title', 'width', 'height', 'loading'],
+    details: ['open'], summary: []
+  },
+  globalAttributes: ['class', 'title', 'lang', 'dir']
+};
+
+// Tags removed with everything inside them, their content is never text
+const DROPPED_WITH_CONTENT = [
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript',
+  'template', 'textarea', 'select', 'option', 'svg', 'math', 'title', 'head', 'xmp', 'noembed'
+];
+
+// Tags without a closing tag
+const VOID_TAGS = ['br', 'hr', 'img', 'wbr'];
+
+// Attributes holding URLs, with the schemes they accept
+// URLs without a scheme (relative links, #anchors) are always accepted
+const URL_ATTRIBUTES = {
+  href: ['http', 'https', 'mailto', 'tel'],
+  src: ['http', 'https'],
+  cite: ['http', 'https']
+};
+
+// Images of raw blocks may also be inlined as data URLs of these types
+const DATA_IMAGE_URL = /^data:image\/(png|jpeg|gif|webp);/i;
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Helper function to escape an attribute value
+const escapeAttribute = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Helper function to escape text, keeping the character references already in it
+const escapeText = (text) => text
+  .replace(/&(?!#\d+;|#x[\da-fA-F]+;|[a-zA-Z][a-zA-Z\d]*;)/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// Helper function to decode the character references of an attribute value
+// Unknown named references are left as they are and escaped on output, so
+// they stay literal text and cannot hide a URL scheme
+const decodeAttribute = (value) => value.replace(/&(#x[\da-fA-F]+|#\d+|[a-zA-Z]+);?/g, (reference, name) => {
+  if (name[0] === '#') {
+    const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : '';
+  }
+  return NAMED_ENTITIES[name.toLowerCase()] ?? reference;
+});
+
+// Check whether a URL can be used in an attribute
+// Browsers ignore whitespace and control characters in the scheme, so they are ignored here too
+export const isSafeUrl = (url, attribute = 'href', { allowDataImages = false } = {}) => {
+  const normalized = String(url).replace(/[\u0000- \u007f-\u009f]/g, '').toLowerCase();
+  const scheme = normalized.match(/^([a-z][a-z\d+.-]*):/);
+
+  if (!scheme) return true;
+  if (allowDataImages && attribute === 'src' && DATA_IMAGE_URL.test(normalized)) return true;
+  return (URL_ATTRIBUTES[attribute] || []).includes(scheme[1]);
+};
+
+// Check a URL stored in block data (media, links, files): http(s) or relative
+// Image blocks may also inline data URLs of images
+export const isSafeBlockUrl = (url, { allowDataImages = false } = {}) => (
+  typeof url === 'string' && isSafeUrl(url, 'src', { allowDataImages })
+);
+
+// Helper function to write the allowed attributes of a tag
+const writeAttributes = (tag, attributes, rules, removed) => {
+  const allowed = [...(rules.tags[tag] || []), ...rules.globalAttributes];
+  const written = {};
+
+  attributes.forEach(({ name, value }) => {
+    if (!allowed.includes(name)) {
+      removed.add(`${name} attribute on <${tag}>`);
+      return;
+    }
+    if (value !== undefined && URL_ATTRIBUTES[name] &&
+        !isSafeUrl(value, name, { allowDataImages: rules === RAW_RULES })) {
+      removed.add(`unsafe URL in ${name} of <${tag}>`);
+      return;
+    }
+    written[name] = value;
+  });
+
+  // Links opening a new tab do not get access to the page that opened them
+  if (tag === 'a' && written.target !== undefined) {
+    if (written.target === '_blank') {
+      written.rel = 'noopener noreferrer';
+    } else {
+      delete written.target;
+    }
+  }
+
+  // Attributes without a value are written as name="" to keep the output well-formed XML (EPUB)
+  return Object.entries(written)
+    .map(([name, value]) => ` ${name}="${escapeAttribute(value ?? '')}"`)
+    .join('');
+};
+
+// Helper function to read the attributes of a tag, starting after its name
+// Returns { attributes, end } with the position after the tag, or null if the tag is not closed
+const readAttributes = (html, start) => {
+  const attributePattern = /[\s/]*([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/y;
+  const endPattern = /[\s/]*>/y;
+  const attributes = [];
+  let position = start;
+
+  while (position < html.length) {
+    endPattern.lastIndex = position;
+    if (endPattern.test(html)) {
+      return { attributes, end: endPattern.lastIndex };
+    }
+
+    attributePattern.lastIndex = position;
+    const match = attributePattern.exec(html);
+    if (!match) return null;
+
+    const raw = match[2] ?? match[3] ?? match[4];
+    attributes.push({ name: match[1].toLowerCase(), value: raw === undefined ? undefined : decodeAttribute(raw) });
+    position = attributePattern.lastIndex;
+  }
+
+  return null;
+};
+
+// Sanitize HTML with a set of rules (INLINE_RULES or RAW_RULES)
+// Returns { html, removed } with a description of each kind of markup removed
+export const sanitizeHtml = (html, rules = INLINE_RULES) => {
+  const input = typeof html === 'string' ? html : String(html ?? '');
+  const removed = new Set();
+  const open = [];
+  let output = '';
+  let position = 0;
+
+  while (position < input.length) {
+    const next = input.indexOf('<', position);
+    if (next === -1) {
+      output += escapeText(input.slice(position));
+      break;
+    }
+
+    output += escapeText(input.slice(position, next));
+    position = next;
+
+    // Comments, doctypes and processing instructions
+    if (input.startsWith('<!--', position)) {
+      const end = input.indexOf('-->', position + 4);
+      removed.add('HTML comment');
+      position = end === -1 ? input.length : end + 3;
+      continue;
+    }
+    if (input[position + 1] === '!' || input[position + 1] === '?') {
+      const end = input.indexOf('>', position);
+      removed.add('HTML declaration');
+      position = end === -1 ? input.length : end + 1;
+      continue;
+    }
+
+    const tagPattern = /<(\/?)([a-zA-Z][a-zA-Z\d-]*)/y;
+    tagPattern.lastIndex = position;
+    const tagStart = tagPattern.exec(input);
+    const tagEnd = tagStart && readAttributes(input, tagPattern.lastIndex);
+
+    // Not a tag, the < is text
+    if (!tagEnd) {
+      output += '&lt;';
+      position++;
+      continue;
+    }
+
+    const [, closing, name] = tagStart;
+    const tag = name.toLowerCase();
+    position = tagEnd.end;
+
+    if (DROPPED_WITH_CONTENT.includes(tag)) {
+      removed.add(`<${tag}> element`);
+      if (!closing) {
+        const close = input.slice(position).search(new RegExp(`</${tag}[\\s/>]`, 'i'));
+        const closeEnd = close === -1 ? -1 : input.indexOf('>', position + close);
+        position = closeEnd === -1 ? input.length : closeEnd + 1;
+      }
+      continue;
+    }
+
+    if (!rules.tags[tag]) {
+      if (!closing) removed.add(`<${tag}> tag`);
+      continue;
+    }
+
+    if (closing) {
+      // Close the tag and the tags left open inside it, ignore stray closing tags
+      const index = open.lastIndexOf(tag);
+      if (index !== -1) {
+        output += open.splice(index).reverse().map(openTag => `</${openTag}>`).join('');
+      }
+      continue;
+    }
+
+    output += `<${tag}${writeAttributes(tag, tagEnd.attributes, rules, removed)}>`;
+    if (!VOID_TAGS.includes(tag)) open.push(tag);
+  }
+
+  output += open.reverse().map(tag => `</${tag}>`).join('');
+
+  return { html: output, removed: [...removed] };
+};
+
+// Sanitize the inline markup of a text field, returns the HTML only
+export const sanitizeInlineHtml = (html) => sanitizeHtml(html, INLINE_RULES).html;
+
+// Sanitize the markup of a raw HTML block, returns the HTML only
+export const sanitizeRawHtml = (html) => sanitizeHtml(html, RAW_RULES).html;
+
+// Helper function to sanitize the items of a list block, nested lists included
+const sanitizeListItems = (items, clean) => items.map(item => {
+  if (typeof item === 'string') return clean(item);
+  if (!item || typeof item !== 'object') return item;
+
+  const cleanItem = { ...item };
+  if (typeof item.content === 'string') cleanItem.content = clean(item.content);
+  if (typeof item.text === 'string') cleanItem.text = clean(item.text);
+  if (Array.isArray(item.items)) cleanItem.items = sanitizeListItems(item.items, clean);
+  return cleanItem;
+});
+
+// Text fields of each block type that may hold inline markup
+const INLINE_FIELDS = {
+  paragraph: ['text'],
+  text: ['text'],
+  header: ['text'],
+  quote: ['text', 'caption'],
+  warning: ['title', 'message'],
+  image: ['caption'],
+  video: ['caption'],
+  embed: ['caption'],
+  attaches: ['title'],
+  quiz: ['question', 'explanation']
+};
+
+// URL fields of each block type, as paths into the block data
+const URL_FIELDS = {
+  image: [['url']],
+  video: [['url'], ['embed'], ['thumbnail']],
+  embed: [['url'], ['embed'], ['thumbnail']],
+  linkTool: [['link'], ['meta', 'image', 'url']],
+  attaches: [['file', 'url']]
+};
+
+// Helper function to empty a URL field of block data that is not http(s)
+// Returns the data, copied where it changed
+const cleanUrlField = (data, [field, ...rest], clean) => {
+  if (!data || typeof data !== 'object' || data[field] === undefined || data[field] === null || data[field] === '') {
+    return data;
+  }
+
+  const value = rest.length > 0 ? cleanUrlField(data[field], rest, clean) : clean(data[field]);
+  return value === data[field] ? data : { ...data, [field]: value };
+};
+
+// Sanitize the HTML fields of a block's data
+// Returns { data, removed } with the removals of all fields together
+export const sanitizeBlockData = (type, data) => {
+  const removed = new Set();
+  const clean = (rules) => (html) => {
+    if (typeof html !== 'string') return html;
+    const result = sanitizeHtml(html, rules);
+    result.removed.forEach(item => removed.add(item));
+    return result.html;
+  };
+  const cleanInline = clean(INLINE_RULES);
+  const cleanData = { ...data };
+
+  (INLINE_FIELDS[type] || []).forEach(field => {
+    if (cleanData[field] !== undefined) cleanData[field] = cleanInline(cleanData[field]);
+  });
+
+  (URL_FIELDS[type] || []).forEach(path => {
+    const cleanUrl = (url) => {
+      if (isSafeBlockUrl(url, { allowDataImages: type === 'image' })) return url;
+      removed.add(`unsafe URL in ${path.join('.')}`);
+      return '';
+    };
+    Object.assign(cleanData, cleanUrlField(cleanData, path, cleanUrl));
+  });
+
+  switch (type) {
+    case 'list':
+    case 'checklist':
+      if (Array.isArray(cleanData.items)) cleanData.items = sanitizeListItems(cleanData.items, cleanInline);
+      break;
+    case 'table':
+      if (Array.isArray(cleanData.content)) {
+        cleanData.content = cleanData.content.map(row => (Array.isArray(row) ? row.map(cleanInline) : row));
+      }
+      break;
+    case 'quiz':
+      // Options and ordering items are shown as text like the question
+      ['options', 'orderItems'].forEach(field => {
+        if (Array.isArray(cleanData[field])) cleanData[field] = cleanData[field].map(cleanInline);
+      });
+      break;
+    case 'linkTool':
+      // Title and description are fetched from the linked page
+      if (cleanData.meta && typeof cleanData.meta === 'object') {
+        cleanData.meta = {
+          ...cleanData.meta,
+          title: cleanInline(cleanData.meta.title),
+          description: cleanInline(cleanData.meta.description)
+        };
+      }
+      break;
+    case 'raw':
+      if (cleanData.html !== undefined) cleanData.html = clean(RAW_RULES)(cleanData.html);
+      break;
+  }
+
+  return { data: cleanData, removed: [...removed] };
+};
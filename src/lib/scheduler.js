@@ -0,0 +1,142 @@
+// src/lib/scheduler.js
+import Lesson from '../models/lesson.model.js';
+import Tutorial from '../models/tutorial.model.js';
+
+// In-process scheduler for publishAt/unpublishAt. Pending jobs live in MongoDB
+// (the fields themselves), so a restart simply picks them up on the first run.
+// Visibility checks also honor the schedule, so a late run never exposes or
+// hides content at the wrong time.
+
+const MODELS = [Lesson, Tutorial];
+
+let timer = null;
+let running = false;
+let stopped = true;
+let lastRunFailed = false;
+
+// Helper function to apply a publish or unpublish to one document
+// A document that cannot be saved is logged and left due, so it does not hold up the others
+const applySchedule = async (doc, action) => {
+  try {
+    action(doc);
+    await doc.save();
+    return true;
+  } catch (error) {
+    console.error(`Scheduler could not update ${doc.constructor.modelName} ${doc._id}:`, error.message);
+    return false;
+  }
+};
+
+// Apply every publish/unpublish that is due, returns counts per model
+export const runDueSchedules = async (now = new Date()) => {
+  const result = {};
+
+  for (const Model of MODELS) {
+    let published = 0;
+    let unpublished = 0;
+    let failed = 0;
+
+    const toPublish = await Model.find({ publishAt: { $lte: now } }).select('+draft');
+    for (const doc of toPublish) {
+      if (await applySchedule(doc, item => item.publishNow(item.publishAt))) {
+        published++;
+      } else {
+        failed++;
+      }
+    }
+
+    // Loaded with their drafts, unpublishing merges them into the live fields
+    const toUnpublish = await Model.find({ unpublishAt: { $lte: now } }).select('+draft');
+    for (const doc of toUnpublish) {
+      if (await applySchedule(doc, item => item.unpublishNow())) {
+        unpublished++;
+      } else {
+        failed++;
+      }
+    }
+
+    result[Model.modelName] = { published, unpublished, failed };
+  }
+
+  return result;
+};
+
+// Find the next time a scheduled job is due
+const getNextDueDate = async () => {
+  const candidates = await Promise.all(MODELS.flatMap(Model => [
+    Model.findOne({ publishAt: { $ne: null } }).sort({ publishAt: 1 }).select('publishAt').lean(),
+    Model.findOne({ unpublishAt: { $ne: null } }).sort({ unpublishAt: 1 }).select('unpublishAt').lean()
+  ]));
+
+  const dates = candidates
+    .filter(Boolean)
+    .map(doc => doc.publishAt || doc.unpublishAt)
+    .filter(Boolean);
+
+  return dates.length > 0 ? new Date(Math.min(...dates.map(date => date.getTime()))) : null;
+};
+
+const scheduleNextRun = async () => {
+  if (stopped) return;
+
+  const pollInterval = parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 60 * 1000;
+  let delay = pollInterval;
+
+  try {
+    const nextDue = await getNextDueDate();
+    // Documents that failed stay due, retry them once per interval instead of right away
+    if (nextDue && !lastRunFailed) {
+      delay = Math.min(Math.max(nextDue.getTime() - Date.now(), 0), pollInterval);
+    }
+  } catch (error) {
+    console.error('Scheduler could not read pending jobs:', error.message);
+  }
+
+  if (stopped) return;
+
+  clearTimeout(timer);
+  timer = setTimeout(tick, delay);
+  timer.unref();
+};
+
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const result = await runDueSchedules();
+    const changed = Object.entries(result).filter(([, counts]) => counts.published || counts.unpublished || counts.failed);
+
+    changed.forEach(([modelName, counts]) => {
+      console.log(`⏰ Scheduler: ${modelName} published ${counts.published}, unpublished ${counts.unpublished}, failed ${counts.failed}`);
+    });
+    lastRunFailed = changed.some(([, counts]) => counts.failed > 0);
+  } catch (error) {
+    console.error('Scheduler run failed:', error.message);
+    lastRunFailed = true;
+  } finally {
+    running = false;
+    await scheduleNextRun();
+  }
+};
+
+// Start the scheduler (runs once immediately to catch up after a restart)
+export const startScheduler = () => {
+  if (!stopped) return;
+  stopped = false;
+  timer = setTimeout(tick, 0);
+  timer.unref();
+};
+
+// Re-check pending jobs now, e.g. after a schedule was changed
+export const rescheduleNow = () => {
+  if (stopped || running) return;
+  scheduleNextRun();
+};
+
+// Stop the scheduler
+export const stopScheduler = () => {
+  stopped = true;
+  clearTimeout(timer);
+  timer = null;
+};
@@ -0,0 +1,132 @@
+// src/lib/tutorialBundle.js
+
+// Tutorial bundles move a tutorial and all of its lessons between
+// environments. Database ids are left out: the domain and technology are
+// referenced by slug, and the tutorial and its lessons are matched by slug on
+// import, so importing a newer bundle updates what an earlier one created.
+
+export const BUNDLE_FORMAT = 'codecraft-tutorial';
+export const BUNDLE_VERSION = 1;
+
+const TUTORIAL_FIELDS = ['title', 'slug', 'description', 'image', 'difficulty', 'estimatedTime', 'tags'];
+const LESSON_FIELDS = ['title', 'slug', 'order', 'duration', 'difficulty', 'keywords', 'metaDescription', 'quizSettings'];
+
+// Slugs are written as they are on import, in the form the models generate them
+const SLUG_PATTERN = /^[a-z0-9]+(?:-+[a-z0-9]+)*$/;
+
+// Helper function to copy the fields that are set
+const pick = (source, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined && source[field] !== null) picked[field] = source[field];
+  return picked;
+}, {});
+
+// Helper function to copy lesson content without the database ids of its blocks
+const exportContent = (content) => ({
+  time: content && content.time,
+  version: content && content.version,
+  blocks: (content && Array.isArray(content.blocks) ? content.blocks : [])
+    .map(({ id, type, data }) => ({ id, type, data }))
+});
+
+// Build the bundle of a tutorial (with domain and technology populated) and its lessons
+export const buildTutorialBundle = (tutorial, lessons, now = new Date()) => ({
+  format: BUNDLE_FORMAT,
+  version: BUNDLE_VERSION,
+  exportedAt: now.toISOString(),
+  tutorial: {
+    ...pick(tutorial, TUTORIAL_FIELDS),
+    domain: tutorial.domain && tutorial.domain.slug,
+    technology: tutorial.technology && tutorial.technology.slug
+  },
+  lessons: [...lessons]
+    .sort((a, b) => a.order - b.order)
+    .map(lesson => ({
+      ...pick(lesson, LESSON_FIELDS),
+      content: exportContent(lesson.content)
+    }))
+});
+
+// Helper function to check for a non-empty string
+const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Check the structure of a bundle before it is imported
+// Returns { bundle } with trimmed slugs and titles, or { errors }
+export const parseTutorialBundle = (bundle) => {
+  if (!bundle || typeof bundle !== 'object') {
+    return { errors: ['Bundle is required'] };
+  }
+
+  if (bundle.format !== BUNDLE_FORMAT) {
+    return { errors: [`Not a tutorial bundle (format must be "${BUNDLE_FORMAT}")`] };
+  }
+
+  if (!Number.isInteger(bundle.version) || bundle.version < 1 || bundle.version > BUNDLE_VERSION) {
+    return { errors: [`Unsupported bundle version ${bundle.version}, this server reads versions up to ${BUNDLE_VERSION}`] };
+  }
+
+  const errors = [];
+  const tutorial = bundle.tutorial || {};
+
+  ['title', 'slug', 'description', 'domain', 'technology'].forEach(field => {
+    if (!isText(tutorial[field])) errors.push(`Tutorial ${field} is required`);
+  });
+  if (isText(tutorial.slug) && !SLUG_PATTERN.test(tutorial.slug.trim())) {
+    errors.push(`Tutorial slug "${tutorial.slug}" can only contain lowercase letters, numbers and dashes`);
+  }
+
+  if (!Array.isArray(bundle.lessons)) {
+    errors.push('Lessons must be a list');
+    return { errors };
+  }
+
+  const slugs = new Set();
+  const orders = new Set();
+
+  bundle.lessons.forEach((lesson, index) => {
+    const label = `Lesson ${index + 1}`;
+
+    if (!lesson || typeof lesson !== 'object') {
+      errors.push(`${label} is not an object`);
+      return;
+    }
+    if (!isText(lesson.title)) errors.push(`${label} needs a title`);
+
+    if (!isText(lesson.slug)) {
+      errors.push(`${label} needs a slug`);
+    } else if (!SLUG_PATTERN.test(lesson.slug.trim())) {
+      errors.push(`${label} slug "${lesson.slug}" can only contain lowercase letters, numbers and dashes`);
+    } else if (slugs.has(lesson.slug.trim())) {
+      errors.push(`${label} has the same slug as another lesson ("${lesson.slug}")`);
+    } else {
+      slugs.add(lesson.slug.trim());
+    }
+
+    if (!Number.isInteger(lesson.order) || lesson.order < 1) {
+      errors.push(`${label} needs a positive whole number as order`);
+    } else if (orders.has(lesson.order)) {
+      errors.push(`${label} has the same order as another lesson (${lesson.order})`);
+    } else {
+      orders.add(lesson.order);
+    }
+
+    if (lesson.content !== undefined && (typeof lesson.content !== 'object' || !Array.isArray(lesson.content.blocks))) {
+      errors.push(`${label} content must have a list of blocks`);
+    }
+  });
+
+  if (errors.length > 0) return { errors };
+
+  return {
+    bundle: {
+      ...bundle,
+      tutorial: {
+        ...tutorial,
+        title: tutorial.title.trim(),
+        slug: tutorial.slug.trim(),
+        domain: tutorial.domain.trim(),
+        technology: tutorial.technology.trim()
+      },
+      lessons: bundle.lessons.map(lesson => ({ ...lesson, title: lesson.title.trim(), slug: lesson.slug.trim() }))
+    }
+  };
+};
@@ -0,0 +1,201 @@
+// src/lib/tutorialExport.js
+import { createZip } from './zip.js';
+import { EXPORT_CSS, escapeHtml, generateHTMLFromBlocks } from './lessonExport.js';
+
+// Offline copies of a whole tutorial: one print-ready HTML document (for
+// "Save as PDF" in the browser) or an EPUB 3 book. Both are rendered from
+// the same lesson HTML as single lesson exports. EPUB only allows remote
+// audio and video, so images and embeds become links in both formats.
+
+const PRINT_CSS = `
+  @page { size: A4; margin: 2cm; }
+  .title-page { text-align: center; padding: 30vh 0 0; break-after: page; }
+  .toc { break-after: page; }
+  .toc ol { line-height: 2; }
+  .lesson { break-before: page; }
+  .lesson:first-of-type { break-before: auto; }
+  h1, h2, h3, h4, h5, h6 { break-after: avoid; }
+  pre, table, figure, blockquote { break-inside: avoid; }
+  pre { white-space: pre-wrap; }
+  @media print {
+    body { max-width: none; padding: 0; }
+    a { color: inherit; }
+    .media-link a::after { content: " (" attr(href) ")"; font-size: 0.8em; word-break: break-all; }
+  }
+`;
+
+const EPUB_CSS = `
+  body { font-family: serif; line-height: 1.5; }
+  h1, h2, h3, h4, h5, h6 { font-family: sans-serif; }
+  code, pre { font-family: monospace; }
+  pre { white-space: pre-wrap; background: #f4f4f4; padding: 0.5em; }
+  blockquote { border-left: 4px solid #ddd; margin-left: 0; padding-left: 1em; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #ddd; padding: 4px; text-align: left; }
+  .lesson-meta { color: #666; }
+`;
+
+const OFFLINE_OPTIONS = { imagesAsLinks: true, embedsAsLinks: true };
+
+// Entities XML knows, and the HTML ones EditorJS content commonly uses
+const XML_ENTITIES = ['amp', 'lt', 'gt', 'quot', 'apos'];
+const HTML_ENTITIES = {
+  nbsp: 160, copy: 169, reg: 174, laquo: 171, raquo: 187, middot: 183, times: 215,
+  ndash: 8211, mdash: 8212, lsquo: 8216, rsquo: 8217, ldquo: 8220, rdquo: 8221,
+  bull: 8226, hellip: 8230, larr: 8592, rarr: 8594
+};
+const VOID_ELEMENTS = /<(area|base|br|col|embed|hr|img|input|link|meta|source|track|wbr)\b([^>]*?)\s*\/?>/gi;
+
+// Helper function to turn HTML fragments into well-formed XHTML for EPUB readers
+const toXhtml = (html) => String(html || '')
+  .replace(/&(#\d+;|#x[\da-fA-F]+;|([a-zA-Z]+);)?/g, (match, entity, name) => {
+    if (!entity) return '&amp;';
+    if (!name || XML_ENTITIES.includes(name)) return match;
+    return HTML_ENTITIES[name] ? `&#${HTML_ENTITIES[name]};` : `&amp;${name};`;
+  })
+  .replace(VOID_ELEMENTS, (match, name, attributes) => `<${name.toLowerCase()}${attributes}/>`);
+
+// Helper function to get the anchor or file name of a lesson
+const getLessonKey = (index) => `lesson-${String(index + 1).padStart(3, '0')}`;
+
+// Helper function to get the author's display name
+const getAuthorName = (tutorial) => (tutorial.author && tutorial.author.username) || 'CodeCraft';
+
+// Helper function to render the heading and body of a lesson
+const renderLesson = (lesson) => `<h1>${escapeHtml(lesson.title)}</h1>
+<p class="lesson-meta">${escapeHtml(lesson.duration)} minutes</p>
+${generateHTMLFromBlocks(lesson.content, OFFLINE_OPTIONS)}`;
+
+// Generate a single print-ready HTML document of a tutorial and its lessons
+export const generatePrintHTMLFromTutorial = (tutorial, lessons) => {
+  const totalDuration = lessons.reduce((total, lesson) => total + (lesson.duration || 0), 0);
+
+  const contents = lessons.map((lesson, index) =>
+    `<li><a href="#${getLessonKey(index)}">${escapeHtml(lesson.title)}</a></li>`).join('');
+
+  const articles = lessons.map((lesson, index) =>
+    `<article class="lesson" id="${getLessonKey(index)}">\n${renderLesson(lesson)}\n</article>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(tutorial.title)}</title>
+    <style>${EXPORT_CSS}${PRINT_CSS}</style>
+</head>
+<body>
+    <header class="title-page">
+        <h1>${escapeHtml(tutorial.title)}</h1>
+        <p>${escapeHtml(tutorial.description)}</p>
+        <p class="lesson-meta">${escapeHtml(getAuthorName(tutorial))} &middot; ${lessons.length} lessons &middot; ${totalDuration} minutes</p>
+    </header>
+    <nav class="toc">
+        <h2>Contents</h2>
+        <ol>${contents}</ol>
+    </nav>
+${articles}
+</body>
+</html>`;
+};
+
+// Helper function to wrap a body in an EPUB content document
+const xhtmlDocument = (title, body) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="en" lang="en">
+<head>
+  <meta charset="UTF-8"/>
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+
+// Generate an EPUB 3 book of a tutorial and its lessons
+// modifiedAt is the last change to the content, so unchanged tutorials give identical files
+export const generateEpubFromTutorial = (tutorial, lessons, modifiedAt = new Date()) => {
+  const identifier = `urn:codecraft:tutorial:${tutorial._id}`;
+  const modified = modifiedAt.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const chapters = lessons.map((lesson, index) => ({
+    id: getLessonKey(index),
+    href: `${getLessonKey(index)}.xhtml`,
+    title: lesson.title,
+    body: `<section epub:type="chapter">\n${toXhtml(renderLesson(lesson))}\n</section>`
+  }));
+
+  const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>`;
+
+  const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="en">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${escapeHtml(identifier)}</dc:identifier>
+    <dc:title>${escapeHtml(tutorial.title)}</dc:title>
+    <dc:creator>${escapeHtml(getAuthorName(tutorial))}</dc:creator>
+    <dc:description>${escapeHtml(tutorial.description)}</dc:description>
+    <dc:language>en</dc:language>
+    <meta property="dcterms:modified">${modified}</meta>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+    <item id="style" href="style.css" media-type="text/css"/>
+    <item id="title-page" href="title.xhtml" media-type="application/xhtml+xml"/>
+${chapters.map(chapter => `    <item id="${chapter.id}" href="${chapter.href}" media-type="application/xhtml+xml"/>`).join('\n')}
+  </manifest>
+  <spine toc="ncx">
+    <itemref idref="title-page"/>
+    <itemref idref="nav"/>
+${chapters.map(chapter => `    <itemref idref="${chapter.id}"/>`).join('\n')}
+  </spine>
+</package>`;
+
+  const titlePage = xhtmlDocument(tutorial.title, `<section epub:type="titlepage">
+  <h1>${escapeHtml(tutorial.title)}</h1>
+  <p>${escapeHtml(tutorial.description)}</p>
+  <p class="lesson-meta">${escapeHtml(getAuthorName(tutorial))}</p>
+</section>`);
+
+  const nav = xhtmlDocument('Contents', `<nav epub:type="toc" id="toc">
+  <h1>Contents</h1>
+  <ol>
+${chapters.map(chapter => `    <li><a href="${chapter.href}">${escapeHtml(chapter.title)}</a></li>`).join('\n')}
+  </ol>
+</nav>`);
+
+  // EPUB 2 table of contents, for older readers
+  const ncx = `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <head>
+    <meta name="dtb:uid" content="${escapeHtml(identifier)}"/>
+  </head>
+  <docTitle><text>${escapeHtml(tutorial.title)}</text></docTitle>
+  <navMap>
+${chapters.map((chapter, index) => `    <navPoint id="nav-${chapter.id}" playOrder="${index + 1}">
+      <navLabel><text>${escapeHtml(chapter.title)}</text></navLabel>
+      <content src="${chapter.href}"/>
+    </navPoint>`).join('\n')}
+  </navMap>
+</ncx>`;
+
+  return createZip([
+    // The mimetype must come first and stay uncompressed
+    { name: 'mimetype', data: 'application/epub+zip', store: true },
+    { name: 'META-INF/container.xml', data: container },
+    { name: 'OEBPS/content.opf', data: opf },
+    { name: 'OEBPS/nav.xhtml', data: nav },
+    { name: 'OEBPS/toc.ncx', data: ncx },
+    { name: 'OEBPS/style.css', data: EPUB_CSS },
+    { name: 'OEBPS/title.xhtml', data: titlePage },
+    ...chapters.map(chapter => ({
+      name: `OEBPS/${chapter.href}`,
+      data: xhtmlDocument(chapter.title, chapter.body)
+    }))
+  ], modifiedAt);
+};
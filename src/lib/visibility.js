@@ -0,0 +1,54 @@
+// src/lib/visibility.js
+
+// Publish visibility for lessons and tutorials, honoring publishAt/unpublishAt
+// even when the scheduler has not flipped isPublished yet.
+
+// MongoDB condition matching documents that learners can currently see
+export const liveCondition = (now = new Date()) => ({
+  $and: [
+    { $or: [{ isPublished: true }, { publishAt: { $lte: now } }] },
+    { unpublishAt: { $not: { $lte: now } } }
+  ]
+});
+
+// Check whether a (plain or Mongoose) document is currently visible to learners
+export const isLive = (doc, now = new Date()) => {
+  if (!doc) return false;
+
+  const published = doc.isPublished || Boolean(doc.publishAt && doc.publishAt <= now);
+  const expired = Boolean(doc.unpublishAt && doc.unpublishAt <= now);
+
+  return published && !expired;
+};
+
+// Parse a { publishAt, unpublishAt } request body against a document's current
+// schedule. Undefined keeps the current value, null or '' clears it.
+// Returns { publishAt, unpublishAt } or { error }.
+export const parseSchedule = (body, doc, now = new Date()) => {
+  const schedule = {};
+
+  for (const field of ['publishAt', 'unpublishAt']) {
+    const value = body[field];
+
+    if (value === undefined) {
+      schedule[field] = doc[field] || null;
+    } else if (value === null || value === '') {
+      schedule[field] = null;
+    } else {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        return { error: `${field} must be a valid date` };
+      }
+      if (date <= now) {
+        return { error: `${field} must be in the future` };
+      }
+      schedule[field] = date;
+    }
+  }
+
+  if (schedule.publishAt && schedule.unpublishAt && schedule.unpublishAt <= schedule.publishAt) {
+    return { error: 'unpublishAt must be later than publishAt' };
+  }
+
+  return schedule;
+};
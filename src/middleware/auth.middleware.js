@@ -1,6 +1,8 @@
 // src/middleware/auth.middleware.js - Simple JWT with Headers
 import jwt from 'jsonwebtoken';
 import User from '../models/user.model.js';
+import Session from '../models/session.model.js';
+import { getPermissionScope } from '../lib/permissions.js';
 
 // @desc    Protect routes - Authentication middleware
 // @access  Private routes
@@ -27,6 +29,17 @@ export const protect = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     console.log('🔓 Token decoded successfully for user:', decoded.id);
 
+    // Make sure the session behind the token has not been revoked
+    const session = await Session.findActive(decoded.sid, decoded.id);
+
+    if (!session) {
+      console.log('❌ Session revoked or expired for user:', decoded.id);
+      return res.status(401).json({ 
+        success: false,
+        message: 'Not authorized, session revoked or expired' 
+      });
+    }
+
     // Find user by id from token (excluding password)
     const user = await User.findById(decoded.id).select('-password');
     
@@ -41,8 +54,18 @@ export const protect = async (req, res, next) => {
       });
     }
 
-    // Add user to request object
+    // Check if user has been disabled by an admin
+    if (user.isDisabled) {
+      console.log('❌ Disabled user attempted access:', decoded.id);
+      return res.status(403).json({ 
+        success: false,
+        message: 'Account has been disabled' 
+      });
+    }
+
+    // Add user and session to request object
     req.user = user;
+    req.sessionId = session._id;
     console.log('✅ User authenticated:', user.username || user.email);
     next();
 
@@ -82,6 +105,24 @@ export const admin = (req, res, next) => {
   }
 };
 
+// @desc    Permission middleware - Check if user holds a permission
+// @access  Private routes (role based)
+// Sets req.permissionScope to 'any' or 'own'; with 'own' the controller must
+// check that the user authored the content being changed.
+export const requirePermission = (permission) => (req, res, next) => {
+  const scope = getPermissionScope(req.user, permission);
+
+  if (!scope) {
+    return res.status(403).json({ 
+      success: false,
+      message: `Not authorized, missing permission ${permission}` 
+    });
+  }
+
+  req.permissionScope = scope;
+  next();
+};
+
 // @desc    Optional auth middleware - Don't fail if no token
 // @access  Public routes that benefit from user context
 export const optionalAuth = async (req, res, next) => {
@@ -101,12 +142,20 @@ export const optionalAuth = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Ignore tokens whose session has been revoked
+    const session = await Session.findActive(decoded.sid, decoded.id);
+
+    if (!session) {
+      return next();
+    }
+
     // Find user by id (excluding password)
     const user = await User.findById(decoded.id).select('-password');
 
-    // If user exists, add to request
-    if (user) {
+    // If user exists and is enabled, add to request
+    if (user && !user.isDisabled) {
       req.user = user;
+      req.sessionId = session._id;
     }
 
     next();
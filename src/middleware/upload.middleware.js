@@ -0,0 +1,43 @@
+// src/middleware/upload.middleware.js - Multipart uploads for lesson media
+import multer from 'multer';
+import { getMediaLimits } from '../lib/media.js';
+
+// Field names used by the EditorJS image and attaches tools
+export const UPLOAD_FIELDS = { image: 'image', file: 'attachment' };
+
+// @desc    Read one uploaded file into memory, from the "image" or "file" field
+//          Exact size and type limits per kind are checked in the controller
+// @access  Routes that accept media uploads
+export const receiveUpload = (req, res, next) => {
+  const limits = getMediaLimits();
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: Math.max(limits.image, limits.attachment),
+      files: 1,
+      fields: 10
+    }
+  }).fields(Object.keys(UPLOAD_FIELDS).map(name => ({ name, maxCount: 1 })));
+
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      const message = error.code === 'LIMIT_UNEXPECTED_FILE'
+        ? `Upload one file in the ${Object.keys(UPLOAD_FIELDS).map(name => `"${name}"`).join(' or ')} field`
+        : error.message;
+
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        message
+      });
+    }
+
+    console.error('Error in receiveUpload:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Could not read the uploaded file'
+    });
+  });
+};
@@ -0,0 +1,98 @@
+// src/models/asset.model.js
+import mongoose from 'mongoose';
+
+export const ASSET_KINDS = ['image', 'video', 'embed', 'attachment'];
+
+// Where an asset is used: one entry per lesson, separately for the live
+// content and the draft of a published lesson
+const assetUsageSchema = new mongoose.Schema({
+  lesson: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lesson',
+    required: true
+  },
+  tutorial: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tutorial'
+  },
+  draft: {
+    type: Boolean,
+    default: false
+  },
+  blockIds: [String]
+}, { _id: false });
+
+// Media in the library: files uploaded through the media endpoints and
+// outside URLs referenced by lesson blocks (see lib/assets.js)
+const assetSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    unique: true,
+    trim: true
+  },
+  kind: {
+    type: String,
+    enum: ASSET_KINDS,
+    required: true,
+    index: true
+  },
+  // Uploaded files can be deleted from storage, referenced URLs only from the library
+  source: {
+    type: String,
+    enum: ['upload', 'reference'],
+    default: 'reference'
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  // Alt text filled into image blocks that are saved without one
+  defaultAlt: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [300, 'Alt text cannot exceed 300 characters']
+  },
+  // Video and embed provider
+  service: String,
+  contentType: String,
+  size: Number,
+  width: Number,
+  height: Number,
+  // Storage driver and key of uploaded files (see lib/mediaStorage.js)
+  storage: String,
+  storageKey: String,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  usages: {
+    type: [assetUsageSchema],
+    default: []
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+assetSchema.index({ 'usages.lesson': 1 });
+assetSchema.index({ createdAt: -1 });
+
+// Virtual for the number of lessons using the asset
+assetSchema.virtual('usageCount').get(function() {
+  return new Set((this.usages || []).map(usage => usage.lesson.toString())).size;
+});
+
+// Static method to forget the usages of deleted lessons
+assetSchema.statics.removeLessonUsages = function(lessonIds) {
+  return this.updateMany(
+    { 'usages.lesson': { $in: lessonIds } },
+    { $pull: { usages: { lesson: { $in: lessonIds } } } }
+  );
+};
+
+const Asset = mongoose.model('Asset', assetSchema);
+
+export default Asset;
@@ -0,0 +1,113 @@
+// src/models/embed.provider.model.js
+import mongoose from 'mongoose';
+import { isSafeRegex } from '../lib/safeRegex.js';
+
+// Helper function to check that a URL pattern compiles as a regular expression
+// the linear-time matcher supports, it runs against every embed URL authors save
+const isValidPattern = (pattern) => {
+  try {
+    new RegExp(pattern);
+    return pattern.length <= 500 && isSafeRegex(pattern);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Helper function to check that a template produces an https URL
+// "{url}" on its own embeds the pasted URL itself
+const isHttpsTemplate = (template) => !template || template === '{url}' || template.startsWith('https://');
+
+// A service whose URLs can be embedded in video and embed blocks (see
+// lib/embedProviders.js). URL patterns are regular expressions matched
+// against the pasted URL; their named groups fill the {placeholders} of the
+// embed and thumbnail templates.
+const embedProviderSchema = new mongoose.Schema({
+  // Stored as the service of embed blocks
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Name cannot exceed 50 characters'],
+    match: [/^[a-z0-9][a-z0-9-]*$/, 'Name can only contain lowercase letters, numbers and dashes']
+  },
+  label: {
+    type: String,
+    required: [true, 'Label is required'],
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  urlPatterns: {
+    type: [String],
+    validate: [
+      {
+        validator: (patterns) => patterns.length > 0,
+        message: 'At least one URL pattern is required'
+      },
+      {
+        validator: (patterns) => patterns.every(isValidPattern),
+        message: 'URL patterns must be valid regular expressions of at most 500 characters, without backreferences or lookbehinds'
+      }
+    ]
+  },
+  embedUrlTemplate: {
+    type: String,
+    required: [true, 'Embed URL template is required'],
+    trim: true,
+    validate: {
+      validator: isHttpsTemplate,
+      message: 'Embed URL template must start with https:// or be {url}'
+    }
+  },
+  thumbnailUrlTemplate: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: isHttpsTemplate,
+      message: 'Thumbnail URL template must start with https:// or be {url}'
+    }
+  },
+  width: {
+    type: Number,
+    default: 800,
+    min: [100, 'Width must be at least 100'],
+    max: [4000, 'Width cannot exceed 4000']
+  },
+  height: {
+    type: Number,
+    default: 600,
+    min: [100, 'Height must be at least 100'],
+    max: [4000, 'Height cannot exceed 4000']
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Providers are tried from the lowest priority number up
+  priority: {
+    type: Number,
+    default: 100
+  },
+  // Created from the defaults shipped with the API
+  builtIn: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+embedProviderSchema.index({ enabled: 1, priority: 1 });
+
+const EmbedProvider = mongoose.model('EmbedProvider', embedProviderSchema);
+
+export default EmbedProvider;
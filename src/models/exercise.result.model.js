@@ -0,0 +1,84 @@
+// src/models/exercise.result.model.js
+import mongoose from 'mongoose';
+
+// A learner's best result on one exercise block of a lesson
+const exerciseResultSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lesson: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lesson',
+    required: true,
+    index: true
+  },
+  blockId: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  bestPassed: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  // Code of the best submission, so learners can pick up where they left off
+  bestCode: String,
+  bestAt: Date,
+  solved: {
+    type: Boolean,
+    default: false
+  },
+  lastSubmittedAt: Date
+}, {
+  timestamps: true
+});
+
+exerciseResultSchema.index({ user: 1, lesson: 1, blockId: 1 }, { unique: true });
+
+// Static method to record a submission, keeping the best result
+// Runs as one upsert with an update pipeline, so submissions sent at the same
+// time are all counted and compared against each other's best result
+exerciseResultSchema.statics.recordSubmission = function(userId, lessonId, blockId, { passed, total, code }) {
+  const now = new Date();
+
+  // A change to the test cases resets what counts as best
+  const isBest = {
+    $or: [
+      { $gt: [passed, { $ifNull: ['$bestPassed', 0] }] },
+      { $ne: [total, { $ifNull: ['$total', 0] }] },
+      { $eq: [{ $ifNull: ['$bestAt', null] }, null] }
+    ]
+  };
+  const ifBest = (value, field) => ({ $cond: [isBest, { $literal: value }, `$${field}`] });
+
+  return this.findOneAndUpdate(
+    { user: userId, lesson: lessonId, blockId },
+    [{
+      $set: {
+        attempts: { $add: [{ $ifNull: ['$attempts', 0] }, 1] },
+        lastSubmittedAt: now,
+        bestPassed: ifBest(passed, 'bestPassed'),
+        total: ifBest(total, 'total'),
+        bestCode: ifBest(code, 'bestCode'),
+        bestAt: ifBest(now, 'bestAt'),
+        solved: { $or: [{ $ifNull: ['$solved', false] }, total > 0 && passed === total] },
+        // Pipeline updates do not get createdAt from the timestamps option
+        createdAt: { $ifNull: ['$createdAt', now] }
+      }
+    }],
+    { new: true, upsert: true }
+  );
+};
+
+const ExerciseResult = mongoose.model('ExerciseResult', exerciseResultSchema);
+
+export default ExerciseResult;
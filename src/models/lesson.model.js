@@ -1,6 +1,9 @@
 // src/models/lesson.model.js
 import mongoose from 'mongoose';
 import slugify from 'slugify';
+import { liveCondition, isLive } from '../lib/visibility.js';
+import { REVIEW_STATUSES, syncReviewStatus } from '../lib/review.js';
+import { applyDefaultAltText, syncLessonAssets } from '../lib/assets.js';
 
 // Enhanced content block schema with better media support for EditorJS
 const contentBlockSchema = new mongoose.Schema({
@@ -10,7 +13,7 @@ const contentBlockSchema = new mongoose.Schema({
     enum: [
       'paragraph', 'text', 'header', 'list', 'checklist', 'code', 'quote', 
       'warning', 'delimiter', 'table', 'image', 'video', 'quiz', 'embed',
-      'raw', 'attaches', 'linkTool', 'marker', 'inlineCode'
+      'raw', 'attaches', 'linkTool', 'marker', 'inlineCode', 'exercise'
     ],
     required: true,
     default: 'paragraph'
@@ -79,9 +82,9 @@ const contentBlockSchema = new mongoose.Schema({
     },
     
     // Enhanced Video/Embed block
+    // Name of an embed provider (see lib/embedProviders.js)
     service: {
       type: String,
-      enum: ['youtube', 'vimeo', 'codepen', 'iframe', 'custom'],
       default: 'youtube'
     },
     embed: String, // Processed embed URL
@@ -96,12 +99,28 @@ const contentBlockSchema = new mongoose.Schema({
     videoId: String, // For YouTube/Vimeo
     thumbnail: String, // Thumbnail URL
     
-    // Quiz block
+    // Quiz block (see lib/quizGrading.js for the quiz types)
+    quizType: {
+      type: String,
+      enum: ['single', 'multiple', 'short-answer', 'ordering', 'code-output']
+    },
     question: String,
     options: [String],
     correctAnswer: Number,
+    correctAnswers: [Number],
+    acceptedAnswers: [String],
+    acceptedPatterns: [String],
+    caseSensitive: Boolean,
+    orderItems: [String],
+    expectedOutput: String,
     explanation: String,
     
+    // Exercise block (see lib/exercise.js)
+    entryPoint: String,
+    starterCode: String,
+    solution: String,
+    testCases: [mongoose.Schema.Types.Mixed],
+    
     // Raw HTML block
     html: String,
     
@@ -126,6 +145,34 @@ const contentBlockSchema = new mongoose.Schema({
   strict: false // Allow additional properties that EditorJS might add
 });
 
+// Working copy of a published lesson, kept apart so learners keep seeing the
+// published content until the draft is published
+const lessonDraftSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  duration: {
+    type: Number,
+    min: [1, 'Duration must be at least 1 minute'],
+    max: [300, 'Duration cannot exceed 300 minutes']
+  },
+  content: {
+    time: Number,
+    blocks: [contentBlockSchema],
+    version: String
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
 const lessonSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -174,6 +221,45 @@ const lessonSchema = new mongoose.Schema({
   publishedAt: {
     type: Date
   },
+  // Scheduled publish/unpublish times, applied by the scheduler
+  publishAt: {
+    type: Date,
+    index: true
+  },
+  unpublishAt: {
+    type: Date,
+    index: true
+  },
+  // Unpublished changes to a published lesson (only loaded on request)
+  draft: {
+    type: lessonDraftSchema,
+    select: false
+  },
+  hasDraft: {
+    type: Boolean,
+    default: false
+  },
+  // Editorial review workflow (see lib/review.js)
+  reviewStatus: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    index: true
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  reviewRequestedAt: {
+    type: Date
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
   // SEO and metadata
   metaDescription: {
     type: String,
@@ -183,6 +269,12 @@ const lessonSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  // Plain text extracted from content blocks, used by full-text search
+  searchText: {
+    type: String,
+    default: '',
+    select: false
+  },
   // Analytics and engagement
   views: {
     type: Number,
@@ -192,6 +284,27 @@ const lessonSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Grading settings for the lesson's quiz blocks
+  quizSettings: {
+    passingScore: {
+      type: Number,
+      min: [0, 'Passing score must be between 0 and 100'],
+      max: [100, 'Passing score must be between 0 and 100'],
+      default: 70
+    },
+    // Learners must pass the quiz before marking the lesson complete
+    requiredForCompletion: {
+      type: Boolean,
+      default: false
+    },
+    // Attempts a learner gets, null for no limit
+    // The answers are shown after a pass or after the last attempt
+    maxAttempts: {
+      type: Number,
+      min: [1, 'Learners need at least one quiz attempt'],
+      default: 3
+    }
+  },
   // Enhanced content flags
   difficulty: {
     type: String,
@@ -255,6 +368,10 @@ lessonSchema.index({ tutorial: 1, isPublished: 1, order: 1 });
 lessonSchema.index({ isPublished: 1, publishedAt: -1 });
 lessonSchema.index({ createdAt: -1 });
 lessonSchema.index({ hasVideo: 1, hasImage: 1, hasEmbed: 1 }); // Media-based queries
+lessonSchema.index(
+  { title: 'text', keywords: 'text', searchText: 'text' },
+  { weights: { title: 10, keywords: 5, searchText: 1 }, name: 'lesson_text_search' }
+);
 
 // Helper function to safely process blocks
 const safelyProcessBlocks = function(callback) {
@@ -273,6 +390,66 @@ const safelyProcessBlocks = function(callback) {
   return callback(validBlocks);
 };
 
+// Helper function to strip inline HTML (EditorJS bold, links, marks...) from text
+const stripInlineHtml = (text) => {
+  if (typeof text !== 'string') return '';
+  return text
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Helper function to flatten (possibly nested) EditorJS list items into strings
+const flattenListItems = (items) => {
+  if (!Array.isArray(items)) return [];
+  return items.flatMap(item => {
+    if (typeof item === 'string') return [item];
+    if (!item || typeof item !== 'object') return [];
+    const own = item.content || item.text || '';
+    return [own, ...flattenListItems(item.items)];
+  });
+};
+
+// Extract the searchable plain text of a single content block
+const extractBlockText = (block) => {
+  if (!block || !block.data) return '';
+  const data = block.data;
+
+  switch (block.type) {
+    case 'paragraph':
+    case 'text':
+    case 'header':
+      return stripInlineHtml(data.text);
+    case 'list':
+    case 'checklist':
+      return flattenListItems(data.items).map(stripInlineHtml).join(' ');
+    case 'code':
+      return data.code || '';
+    case 'quote':
+      return [stripInlineHtml(data.text), stripInlineHtml(data.caption)].join(' ');
+    case 'warning':
+      return [stripInlineHtml(data.title), stripInlineHtml(data.message)].join(' ');
+    case 'table':
+      return Array.isArray(data.content)
+        ? data.content.flat().map(stripInlineHtml).join(' ')
+        : '';
+    case 'quiz':
+      // Only the question, options and explanations would show answers in snippets
+      return stripInlineHtml(data.question);
+    case 'image':
+    case 'video':
+    case 'embed':
+      return stripInlineHtml(data.caption);
+    default:
+      return '';
+  }
+};
+
 // Enhanced virtual for estimated reading time based on content
 lessonSchema.virtual('estimatedReadingTime').get(function() {
   if (!this.content || !this.content.blocks) return this.duration;
@@ -468,8 +645,8 @@ lessonSchema.virtual('isMediaRich').get(function() {
 // Pre-save middleware to handle slug generation and content analysis
 lessonSchema.pre('save', function(next) {
   try {
-    // Generate slug from title if title is modified
-    if (this.isModified('title')) {
+    // Generate slug from title if title is modified (slugs set explicitly, e.g. by bundle imports, are kept)
+    if (this.isModified('title') && !this.isModified('slug')) {
       this.slug = slugify(this.title, { 
         lower: true, 
         strict: true,
@@ -492,6 +669,9 @@ lessonSchema.pre('save', function(next) {
         // Update media summary
         this.mediaSummary = summary.mediaSummary;
         
+        // Update full-text search content
+        this.searchText = this.buildSearchText();
+        
       } catch (error) {
         console.warn('Error updating content flags:', error);
         // Set defaults if analysis fails
@@ -520,6 +700,9 @@ lessonSchema.pre('save', function(next) {
       this.publishedAt = undefined;
     }
     
+    // Keep the review status in step with publishing and content edits
+    syncReviewStatus(this, ['title', 'content', 'draft']);
+    
     next();
   } catch (error) {
     console.error('Error in lesson pre-save middleware:', error);
@@ -527,6 +710,41 @@ lessonSchema.pre('save', function(next) {
   }
 });
 
+// Pre-save middleware to fill in alt text from the media library and note
+// which content the library has to be synced with after saving
+lessonSchema.pre('save', async function() {
+  const draftLoaded = this.isSelected('draft');
+  
+  this.$locals.assetScopes = {
+    live: this.isNew || this.isModified('content'),
+    draft: draftLoaded && (this.isNew || this.isModified('draft'))
+  };
+  
+  try {
+    if (this.$locals.assetScopes.live && this.content) {
+      await applyDefaultAltText(this.content.blocks);
+    }
+    if (this.$locals.assetScopes.draft && this.draft && this.draft.content) {
+      await applyDefaultAltText(this.draft.content.blocks);
+    }
+  } catch (error) {
+    console.warn('Error applying default alt text:', error);
+  }
+});
+
+// Post-save middleware to record the media the lesson uses in the library
+lessonSchema.post('save', async function(doc) {
+  const scopes = doc.$locals.assetScopes;
+  doc.$locals.assetScopes = undefined;
+  if (!scopes || (!scopes.live && !scopes.draft)) return;
+  
+  try {
+    await syncLessonAssets(doc, scopes);
+  } catch (error) {
+    console.error('Error syncing lesson assets:', error);
+  }
+});
+
 // Post-save middleware to clean up corrupted content
 lessonSchema.post('save', function(doc, next) {
   try {
@@ -569,9 +787,18 @@ lessonSchema.methods.incrementViews = function() {
 };
 
 // Instance method to increment completion count
+// Updated in place, so concurrent completions are all counted
 lessonSchema.methods.incrementCompletions = function() {
-  this.completions += 1;
-  return this.save();
+  return this.constructor.updateOne({ _id: this._id }, { $inc: { completions: 1 } }, { timestamps: false });
+};
+
+// Instance method to decrement completion count (never below zero)
+lessonSchema.methods.decrementCompletions = function() {
+  return this.constructor.updateOne(
+    { _id: this._id, completions: { $gt: 0 } },
+    { $inc: { completions: -1 } },
+    { timestamps: false }
+  );
 };
 
 // Instance method to clean corrupted content
@@ -628,6 +855,70 @@ lessonSchema.methods.cleanContent = function() {
   return this;
 };
 
+// Fields that are edited in the draft while a lesson is published
+const DRAFT_FIELDS = ['title', 'duration', 'content'];
+
+// Instance method to get the working copy (draft if any, otherwise live values)
+// Requires the document to be loaded with +draft
+lessonSchema.methods.getWorkingCopy = function() {
+  const live = this.toObject();
+  const draft = this.hasDraft && this.draft ? this.draft.toObject() : {};
+  
+  return DRAFT_FIELDS.reduce((copy, field) => {
+    copy[field] = draft[field] !== undefined ? draft[field] : live[field];
+    return copy;
+  }, {});
+};
+
+// Instance method to apply changes to the draft, starting it from the live values
+lessonSchema.methods.updateDraft = function(changes, userId) {
+  const base = this.getWorkingCopy();
+  
+  this.draft = {
+    ...base,
+    ...changes,
+    updatedAt: new Date(),
+    updatedBy: userId
+  };
+  this.hasDraft = true;
+  return this;
+};
+
+// Instance method to copy the draft over the live values
+lessonSchema.methods.publishDraft = function() {
+  if (!this.hasDraft || !this.draft) return this;
+  
+  const draft = this.draft.toObject();
+  DRAFT_FIELDS.forEach(field => {
+    if (draft[field] !== undefined) {
+      this[field] = draft[field];
+    }
+  });
+  
+  return this.discardDraft();
+};
+
+// Instance method to throw away the draft
+lessonSchema.methods.discardDraft = function() {
+  this.draft = undefined;
+  this.hasDraft = false;
+  // Without pending changes a published item has nothing left to review
+  if (this.isPublished) {
+    this.reviewStatus = 'published';
+  }
+  return this;
+};
+
+// Instance method to build the plain text used by full-text search
+lessonSchema.methods.buildSearchText = function() {
+  return safelyProcessBlocks.call(this, (validBlocks) =>
+    validBlocks
+      .map(block => extractBlockText(block))
+      .filter(Boolean)
+      .join('\n')
+  );
+};
+
 // Instance method to extract all media URLs
 lessonSchema.methods.getMediaUrls = function() {
   const mediaUrls = {
@@ -666,11 +957,46 @@ lessonSchema.methods.getMediaUrls = function() {
   return mediaUrls;
 };
 
+// Instance method to check if learners can currently see the lesson
+lessonSchema.methods.isLive = function(now = new Date()) {
+  return isLive(this, now);
+};
+
+// Static method to get the query condition for lessons learners can currently see
+lessonSchema.statics.liveQuery = function(now = new Date()) {
+  return liveCondition(now);
+};
+
+// Instance method to publish the lesson, applying any pending draft
+lessonSchema.methods.publishNow = function(publishedAt = new Date()) {
+  this.publishDraft();
+  this.isPublished = true;
+  this.publishedAt = publishedAt;
+  this.publishAt = undefined;
+  this.reviewStatus = 'published';
+  return this;
+};
+
+// Instance method to unpublish the lesson
+// A pending draft is merged into the live fields first: edits made while
+// unpublished go there, so publishing again must not bring back the older draft
+lessonSchema.methods.unpublishNow = function() {
+  this.publishDraft();
+  this.isPublished = false;
+  this.publishedAt = undefined;
+  this.unpublishAt = undefined;
+  this.reviewStatus = 'draft';
+  return this;
+};
+
 // Static method to find lessons by tutorial with optional filters
 lessonSchema.statics.findByTutorial = function(tutorialId, options = {}) {
   const query = { tutorial: tutorialId };
   
-  if (options.published !== undefined) {
+  // Published lessons honor the publish schedule
+  if (options.published === true) {
+    Object.assign(query, liveCondition());
+  } else if (options.published !== undefined) {
     query.isPublished = options.published;
   }
   
@@ -775,6 +1101,24 @@ lessonSchema.statics.cleanAllCorruptedContent = async function() {
   }
 };
 
+// Static method to rebuild search text for every lesson (e.g. after upgrading)
+// onlyMissing limits it to lessons saved before search text was stored
+lessonSchema.statics.rebuildSearchIndex = async function({ onlyMissing = false } = {}) {
+  const filter = onlyMissing ? { $or: [{ searchText: { $exists: false } }, { searchText: '' }] } : {};
+  const lessons = await this.find(filter).select('+searchText content');
+  let updatedCount = 0;
+  
+  for (const lesson of lessons) {
+    const searchText = lesson.buildSearchText();
+    if (searchText !== lesson.searchText) {
+      await this.updateOne({ _id: lesson._id }, { searchText });
+      updatedCount++;
+    }
+  }
+  
+  return { updatedCount, totalLessons: lessons.length };
+};
+
 // Static method to get media statistics
 lessonSchema.statics.getMediaStatistics = async function() {
   try {
@@ -0,0 +1,120 @@
+// src/models/lesson.revision.model.js
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Times a revision is retried when concurrent saves take the same number
+const MAX_RECORD_ATTEMPTS = 5;
+
+// Snapshot of a lesson's content blocks taken on every content save
+const lessonRevisionSchema = new mongoose.Schema({
+  lesson: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lesson',
+    required: true,
+    index: true
+  },
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // What caused the revision: create, update, content, restore, duplicate, publish, import, replace-media
+  source: {
+    type: String,
+    default: 'update'
+  },
+  restoredFrom: {
+    type: Number
+  },
+  // Whether the snapshot was taken from the draft of a published lesson
+  isDraft: {
+    type: Boolean,
+    default: false
+  },
+  title: String,
+  blocks: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  editorTime: Number,
+  editorVersion: String,
+  contentHash: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+lessonRevisionSchema.index({ lesson: 1, revision: -1 }, { unique: true });
+
+// Static method to hash a block list so unchanged saves are not stored twice
+lessonRevisionSchema.statics.hashBlocks = function(blocks) {
+  return crypto.createHash('sha256').update(JSON.stringify(blocks || [])).digest('hex');
+};
+
+// Static method to record the current content of a lesson as a new revision.
+// Returns the new revision, or the latest one if the content did not change.
+// With fromDraft, the lesson's draft content is recorded instead of the live content.
+lessonRevisionSchema.statics.record = async function(lesson, authorId, { source = 'update', restoredFrom, fromDraft = false } = {}) {
+  const lessonObj = typeof lesson.toObject === 'function' ? lesson.toObject() : lesson;
+  const content = (fromDraft && lessonObj.draft ? lessonObj.draft.content : lessonObj.content) || {};
+
+  // Store plain blocks without Mongoose subdocument ids
+  const blocks = (content.blocks || []).map(({ _id, ...block }) => block);
+  const contentHash = this.hashBlocks(blocks);
+
+  // Concurrent saves can pick the same revision number, the unique index
+  // refuses all but one and the others try again with the next number
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.findOne({ lesson: lesson._id }).sort({ revision: -1 }).select('revision contentHash');
+
+    if (latest && latest.contentHash === contentHash && source !== 'restore') {
+      return latest;
+    }
+
+    try {
+      const revision = await this.create({
+        lesson: lesson._id,
+        revision: latest ? latest.revision + 1 : 1,
+        author: authorId,
+        source,
+        restoredFrom,
+        isDraft: fromDraft,
+        title: fromDraft && lessonObj.draft ? lessonObj.draft.title : lesson.title,
+        blocks,
+        editorTime: content.time,
+        editorVersion: content.version,
+        contentHash
+      });
+
+      await this.applyRetention(lesson._id);
+
+      return revision;
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_RECORD_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// Static method to drop the oldest revisions beyond the retention limit
+lessonRevisionSchema.statics.applyRetention = async function(lessonId) {
+  const limit = parseInt(process.env.LESSON_REVISION_LIMIT, 10) || 50;
+
+  const cutoff = await this.findOne({ lesson: lessonId })
+    .sort({ revision: -1 })
+    .skip(limit - 1)
+    .select('revision');
+
+  if (cutoff) {
+    await this.deleteMany({ lesson: lessonId, revision: { $lt: cutoff.revision } });
+  }
+};
+
+const LessonRevision = mongoose.model('LessonRevision', lessonRevisionSchema);
+
+export default LessonRevision;
@@ -0,0 +1,93 @@
+// src/models/quiz.attempt.model.js
+import mongoose from 'mongoose';
+
+// A learner's graded submission of a lesson's quiz blocks
+const quizAttemptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lesson: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lesson',
+    required: true,
+    index: true
+  },
+  // 1 for the learner's first attempt at the lesson's quiz
+  attemptNumber: {
+    type: Number,
+    min: 1
+  },
+  answers: [{
+    _id: false,
+    blockId: String,
+    answer: mongoose.Schema.Types.Mixed,
+    correct: Boolean
+  }],
+  score: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  percentage: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  passed: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+quizAttemptSchema.index({ user: 1, lesson: 1, createdAt: -1 });
+// Two concurrent submissions cannot both take the last attempt
+// (attempts saved before attempts were numbered are left out)
+quizAttemptSchema.index(
+  { user: 1, lesson: 1, attemptNumber: 1 },
+  { unique: true, partialFilterExpression: { attemptNumber: { $exists: true } } }
+);
+
+// Static method to get the lessons whose quiz answers a user may see: those
+// with a passed attempt or without attempts left
+// lessons need _id and quizSettings; returns a Set of lesson ids
+quizAttemptSchema.statics.getRevealedLessons = async function(userId, lessons) {
+  const revealed = new Set();
+  if (!userId || lessons.length === 0) return revealed;
+
+  const attempts = await this.find({ user: userId, lesson: { $in: lessons.map(lesson => lesson._id) } })
+    .select('lesson passed');
+
+  const counts = new Map();
+  attempts.forEach(attempt => {
+    const key = attempt.lesson.toString();
+    counts.set(key, (counts.get(key) || 0) + 1);
+    if (attempt.passed) revealed.add(key);
+  });
+
+  lessons.forEach(lesson => {
+    const maxAttempts = lesson.quizSettings && lesson.quizSettings.maxAttempts;
+    const key = lesson._id.toString();
+    if (maxAttempts && (counts.get(key) || 0) >= maxAttempts) revealed.add(key);
+  });
+
+  return revealed;
+};
+
+// Static method to check if a user has passed a lesson's quiz
+quizAttemptSchema.statics.hasPassed = async function(userId, lessonId) {
+  return Boolean(await this.exists({ user: userId, lesson: lessonId, passed: true }));
+};
+
+const QuizAttempt = mongoose.model('QuizAttempt', quizAttemptSchema);
+
+export default QuizAttempt;
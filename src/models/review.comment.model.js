@@ -0,0 +1,66 @@
+// src/models/review.comment.model.js
+import mongoose from 'mongoose';
+
+// Reviewer feedback on a lesson or tutorial, optionally attached to a single
+// content block by its EditorJS id
+const reviewCommentSchema = new mongoose.Schema({
+  targetModel: {
+    type: String,
+    enum: ['Lesson', 'Tutorial'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetModel',
+    required: true
+  },
+  blockId: {
+    type: String,
+    trim: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Comment text is required'],
+    trim: true,
+    maxlength: [5000, 'Comment cannot exceed 5000 characters']
+  },
+  // Comments written when requesting changes
+  isChangeRequest: {
+    type: Boolean,
+    default: false
+  },
+  resolved: {
+    type: Boolean,
+    default: false
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+reviewCommentSchema.index({ targetModel: 1, target: 1, createdAt: 1 });
+
+// Static method to count unresolved comments per target
+reviewCommentSchema.statics.countOpen = async function(targetModel, targetIds) {
+  const counts = await this.aggregate([
+    { $match: { targetModel, target: { $in: targetIds }, resolved: false } },
+    { $group: { _id: '$target', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+const ReviewComment = mongoose.model('ReviewComment', reviewCommentSchema);
+
+export default ReviewComment;
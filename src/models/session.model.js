@@ -0,0 +1,141 @@
+// src/models/session.model.js
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// A session is created on login and identified in every access token by its id.
+// The refresh token itself is never stored, only its SHA-256 hash.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Hash of the token replaced by the last rotation, used to detect reuse
+  previousRefreshTokenHash: {
+    type: String,
+    index: true
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB remove sessions once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to hash a refresh token
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to generate a new random refresh token
+sessionSchema.statics.generateRefreshToken = function() {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+// Static method to start a new session, returns the session and its plain refresh token
+sessionSchema.statics.issue = async function(userId, { userAgent = '', ip = '' } = {}) {
+  const refreshToken = this.generateRefreshToken();
+  const ttlDays = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+
+  const session = await this.create({
+    user: userId,
+    refreshTokenHash: this.hashToken(refreshToken),
+    userAgent,
+    ip,
+    expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000)
+  });
+
+  return { session, refreshToken };
+};
+
+// Static method to find an active session for a user
+sessionSchema.statics.findActive = function(sessionId, userId) {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to revoke every active session of a user
+// except keeps one session, e.g. the one a password was changed from
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'logout-all', { except } = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Instance method to replace the refresh token, returns the new plain token
+// The update only applies while the session still holds the token it was
+// loaded with, so of concurrent refreshes with one token only one succeeds;
+// the others get null and must treat the token as reused
+sessionSchema.methods.rotate = async function({ userAgent, ip } = {}) {
+  const refreshToken = this.constructor.generateRefreshToken();
+  const changes = {
+    previousRefreshTokenHash: this.refreshTokenHash,
+    refreshTokenHash: this.constructor.hashToken(refreshToken),
+    lastUsedAt: new Date()
+  };
+  if (userAgent) changes.userAgent = userAgent;
+  if (ip) changes.ip = ip;
+
+  const rotated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, refreshTokenHash: this.refreshTokenHash, revokedAt: null },
+    { $set: changes },
+    { new: true }
+  );
+  if (!rotated) return null;
+
+  this.set(changes);
+  return refreshToken;
+};
+
+// Instance method to revoke the session
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
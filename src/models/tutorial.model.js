@@ -1,5 +1,10 @@
 import mongoose from 'mongoose';
 import slugify from 'slugify';
+import { liveCondition, isLive } from '../lib/visibility.js';
+import { REVIEW_STATUSES, syncReviewStatus } from '../lib/review.js';
+
+// Fields that are edited in the draft while a tutorial is published
+const DRAFT_FIELDS = ['title', 'description', 'image', 'domain', 'technology', 'difficulty', 'estimatedTime', 'tags'];
 
 const tutorialSchema = new mongoose.Schema({
   title: {
@@ -52,6 +57,48 @@ const tutorialSchema = new mongoose.Schema({
   },
   publishedAt: {
     type: Date
+  },
+  // Scheduled publish/unpublish times, applied by the scheduler
+  publishAt: {
+    type: Date,
+    index: true
+  },
+  unpublishAt: {
+    type: Date,
+    index: true
+  },
+  // Unpublished changes to a published tutorial (only loaded on request)
+  draft: {
+    type: mongoose.Schema.Types.Mixed,
+    select: false
+  },
+  draftUpdatedAt: {
+    type: Date
+  },
+  hasDraft: {
+    type: Boolean,
+    default: false
+  },
+  // Editorial review workflow (see lib/review.js)
+  reviewStatus: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    index: true
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  reviewRequestedAt: {
+    type: Date
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
   }
 }, {
   timestamps: true,
@@ -59,6 +106,12 @@ const tutorialSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Full-text search index
+tutorialSchema.index(
+  { title: 'text', tags: 'text', description: 'text' },
+  { weights: { title: 10, tags: 5, description: 2 }, name: 'tutorial_text_search' }
+);
+
 // Virtual for lessons
 tutorialSchema.virtual('lessons', {
   ref: 'Lesson',
@@ -74,11 +127,91 @@ tutorialSchema.virtual('totalDuration').get(function() {
   return this.estimatedTime;
 });
 
-// Create slug before saving
+// Method to get the working copy (draft if any, otherwise live values)
+// Requires the document to be loaded with +draft
+tutorialSchema.methods.getWorkingCopy = function() {
+  const live = this.toObject({ virtuals: false });
+  const draft = this.hasDraft && this.draft ? this.draft : {};
+
+  return DRAFT_FIELDS.reduce((copy, field) => {
+    copy[field] = draft[field] !== undefined ? draft[field] : live[field];
+    return copy;
+  }, {});
+};
+
+// Method to apply changes to the draft, starting it from the live values
+tutorialSchema.methods.updateDraft = function(changes) {
+  this.draft = { ...this.getWorkingCopy(), ...changes };
+  this.draftUpdatedAt = new Date();
+  this.hasDraft = true;
+  this.markModified('draft');
+  return this;
+};
+
+// Method to copy the draft over the live values
+tutorialSchema.methods.publishDraft = function() {
+  if (!this.hasDraft || !this.draft) return this;
+
+  DRAFT_FIELDS.forEach(field => {
+    if (this.draft[field] !== undefined) {
+      this[field] = this.draft[field];
+    }
+  });
+
+  return this.discardDraft();
+};
+
+// Method to throw away the draft
+tutorialSchema.methods.discardDraft = function() {
+  this.draft = undefined;
+  this.draftUpdatedAt = undefined;
+  this.hasDraft = false;
+  // Without pending changes a published item has nothing left to review
+  if (this.isPublished) {
+    this.reviewStatus = 'published';
+  }
+  return this;
+};
+
+// Method to check if learners can currently see the tutorial
+tutorialSchema.methods.isLive = function(now = new Date()) {
+  return isLive(this, now);
+};
+
+// Static method to get the query condition for tutorials learners can currently see
+tutorialSchema.statics.liveQuery = function(now = new Date()) {
+  return liveCondition(now);
+};
+
+// Method to publish the tutorial, applying any pending draft
+tutorialSchema.methods.publishNow = function(publishedAt = new Date()) {
+  this.publishDraft();
+  this.isPublished = true;
+  this.publishedAt = publishedAt;
+  this.publishAt = undefined;
+  this.reviewStatus = 'published';
+  return this;
+};
+
+// Method to unpublish the tutorial
+// A pending draft is merged into the live fields first: edits made while
+// unpublished go there, so publishing again must not bring back the older draft
+tutorialSchema.methods.unpublishNow = function() {
+  this.publishDraft();
+  this.isPublished = false;
+  this.unpublishAt = undefined;
+  this.reviewStatus = 'draft';
+  return this;
+};
+
+// Create slug before saving (slugs set explicitly, e.g. by bundle imports, are kept)
 tutorialSchema.pre('save', function(next) {
-  if (this.isModified('title')) {
+  if (this.isModified('title') && !this.isModified('slug')) {
     this.slug = slugify(this.title, { lower: true, strict: true });
   }
+  
+  // Keep the review status in step with publishing and edits
+  syncReviewStatus(this, [...DRAFT_FIELDS, 'draft']);
   next();
 });
 
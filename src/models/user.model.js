@@ -1,6 +1,7 @@
 // src/models/user.model.js
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -25,9 +26,48 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ['user', 'author', 'editor', 'admin'],
     default: 'user'
   },
+  isDisabled: {
+    type: Boolean,
+    default: false
+  },
+  disabledAt: {
+    type: Date
+  },
+  disabledReason: {
+    type: String
+  },
+  // Set by an admin to force a password reset before the next login
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // Single-use tokens are stored hashed, the plain token only goes out by email
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
   bio: {
     type: String,
     default: ''
@@ -45,6 +85,11 @@ const userSchema = new mongoose.Schema({
     ref: 'Tutorial',
     default: []
   },
+  lessonBookmarks: {
+    type: [mongoose.Schema.Types.ObjectId],
+    ref: 'Lesson',
+    default: []
+  },
   progress: {
     type: [{
       tutorial: {
@@ -57,6 +102,11 @@ const userSchema = new mongoose.Schema({
         min: 0,
         max: 100
       },
+      completedLessons: {
+        type: [mongoose.Schema.Types.ObjectId],
+        ref: 'Lesson',
+        default: []
+      },
       lastAccessed: {
         type: Date,
         default: Date.now
@@ -92,6 +142,27 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Static method to hash a single-use token
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Method to create a password reset token (valid for 1 hour)
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = this.constructor.hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000);
+  return token;
+};
+
+// Method to create an email verification token (valid for 24 hours)
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  return token;
+};
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
\ No newline at end of file
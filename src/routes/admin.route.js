@@ -0,0 +1,39 @@
+import express from 'express';
+import {
+  getUsers,
+  getUserById,
+  updateUserRole,
+  disableUser,
+  enableUser,
+  forcePasswordReset,
+  deleteUser,
+  getUserLockStatus,
+  unlockUser,
+  getBrokenLinks,
+  scanBrokenLinks
+} from '../controllers/admin.controller.js';
+import { protect, admin } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// All routes are admin only
+router.use(protect, admin);
+
+// User management routes
+router.get('/users', getUsers);
+router.get('/users/:id', getUserById);
+router.put('/users/:id/role', updateUserRole);
+router.put('/users/:id/disable', disableUser);
+router.put('/users/:id/enable', enableUser);
+router.post('/users/:id/force-password-reset', forcePasswordReset);
+router.delete('/users/:id', deleteUser);
+
+// User lockout routes
+router.get('/users/:id/lockout', getUserLockStatus);
+router.post('/users/:id/unlock', unlockUser);
+
+// Content health routes
+router.get('/content/broken-links', getBrokenLinks);
+router.post('/content/broken-links/scan', scanBrokenLinks);
+
+export default router;
@@ -4,6 +4,14 @@ import {
   loginUser,
   logoutUser,
   getUserProfile,
+  refreshAccessToken,
+  logoutAllSessions,
+  getSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
 } from '../controllers/auth.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
 
@@ -12,9 +20,18 @@ const router = express.Router();
 // Public routes
 router.post('/register', registerUser);
 router.post('/login', loginUser);
+router.post('/refresh', refreshAccessToken);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password/:token', resetPassword);
+router.get('/verify-email/:token', verifyEmail);
 
 // Protected routes
 router.get('/logout', protect, logoutUser);
+router.post('/logout', protect, logoutUser);
+router.post('/logout-all', protect, logoutAllSessions);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, revokeSession);
 router.get('/me', protect, getUserProfile);
+router.post('/resend-verification', protect, resendVerificationEmail);
 
 export default router;
\ No newline at end of file
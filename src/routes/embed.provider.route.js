@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+  getEmbedProviderList,
+  getEmbedProviderById,
+  createEmbedProvider,
+  updateEmbedProvider,
+  deleteEmbedProvider
+} from '../controllers/embed.provider.controller.js';
+import { protect, admin, optionalAuth } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// Public routes (the editor reads the enabled providers, admins see all)
+router.get('/', optionalAuth, getEmbedProviderList);
+
+// Admin routes
+router.get('/:id', protect, admin, getEmbedProviderById);
+router.post('/', protect, admin, createEmbedProvider);
+router.put('/:id', protect, admin, updateEmbedProvider);
+router.delete('/:id', protect, admin, deleteEmbedProvider);
+
+export default router;
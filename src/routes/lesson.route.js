@@ -11,10 +11,26 @@ import {
   duplicateLesson,
   reorderLessons,
   togglePublishStatus,
+  scheduleLesson,
   exportLesson,
-  validateMediaUrl
+  validateMediaUrl,
+  markLessonComplete,
+  markLessonIncomplete,
+  submitQuizAttempt,
+  getQuizAttempts,
+  submitExercise,
+  getExerciseResults,
+  getLessonDraft,
+  publishLessonDraft,
+  discardLessonDraft
 } from '../controllers/lesson.controller.js';
-import { protect, admin } from '../middleware/auth.middleware.js';
+import {
+  getLessonRevisions,
+  getLessonRevision,
+  diffLessonRevisions,
+  restoreLessonRevision
+} from '../controllers/lesson.revision.controller.js';
+import { protect, admin, requirePermission } from '../middleware/auth.middleware.js';
 
 const router = express.Router();
 
@@ -22,16 +38,35 @@ const router = express.Router();
 router.get('/', protect, getAllLessons); // GET /api/v1/lessons (default route for getting all lessons)
 router.get('/all', protect, getAllLessons); // GET /api/v1/lessons/all (alternative route)
 
-// Media validation route (admin only)
-router.post('/validate-media', protect, admin, validateMediaUrl); // POST /api/v1/lessons/validate-media
+// Media validation route (authors and up)
+router.post('/validate-media', protect, requirePermission('lesson:update'), validateMediaUrl); // POST /api/v1/lessons/validate-media
+
+// Progress, quiz and exercise routes (any authenticated user)
+router.post('/:id/complete', protect, markLessonComplete); // POST /api/v1/lessons/:id/complete
+router.delete('/:id/complete', protect, markLessonIncomplete); // DELETE /api/v1/lessons/:id/complete
+router.post('/:id/quiz/attempts', protect, submitQuizAttempt); // POST /api/v1/lessons/:id/quiz/attempts
+router.get('/:id/quiz/attempts', protect, getQuizAttempts); // GET /api/v1/lessons/:id/quiz/attempts
+router.post('/:id/exercises/:blockId/submit', protect, submitExercise); // POST /api/v1/lessons/:id/exercises/:blockId/submit
+router.get('/:id/exercises/results', protect, getExerciseResults); // GET /api/v1/lessons/:id/exercises/results
+
+// Authoring routes (must come before /:id to avoid conflicts)
+// Authors are limited to their own tutorials by the controllers
+router.get('/:id/export', protect, requirePermission('lesson:update'), exportLesson); // GET /api/v1/lessons/:id/export
+router.put('/:id/content', protect, requirePermission('lesson:update'), updateLessonContent); // PUT /api/v1/lessons/:id/content
+router.post('/:id/duplicate', protect, requirePermission('lesson:create'), duplicateLesson); // POST /api/v1/lessons/:id/duplicate
+router.put('/:id/schedule', protect, requirePermission('lesson:publish'), scheduleLesson); // PUT /api/v1/lessons/:id/schedule
+router.get('/:id/draft', protect, requirePermission('lesson:update'), getLessonDraft); // GET /api/v1/lessons/:id/draft
+router.post('/:id/draft/publish', protect, requirePermission('lesson:publish'), publishLessonDraft); // POST /api/v1/lessons/:id/draft/publish
+router.delete('/:id/draft', protect, requirePermission('lesson:update'), discardLessonDraft); // DELETE /api/v1/lessons/:id/draft
+router.get('/:id/revisions', protect, requirePermission('lesson:update'), getLessonRevisions); // GET /api/v1/lessons/:id/revisions
+router.get('/:id/revisions/diff', protect, requirePermission('lesson:update'), diffLessonRevisions); // GET /api/v1/lessons/:id/revisions/diff?from=&to=
+router.get('/:id/revisions/:rev', protect, requirePermission('lesson:update'), getLessonRevision); // GET /api/v1/lessons/:id/revisions/:rev
+router.post('/:id/revisions/:rev/restore', protect, requirePermission('lesson:update'), restoreLessonRevision); // POST /api/v1/lessons/:id/revisions/:rev/restore
+router.put('/:id', protect, requirePermission('lesson:update'), updateLesson); // PUT /api/v1/lessons/:id
+router.delete('/:id', protect, requirePermission('lesson:delete'), deleteLesson); // DELETE /api/v1/lessons/:id
 
-// Admin-only routes (must come before /:id to avoid conflicts)
-router.get('/:id/export', protect, admin, exportLesson); // GET /api/v1/lessons/:id/export
-router.put('/:id/content', protect, admin, updateLessonContent); // PUT /api/v1/lessons/:id/content
-router.post('/:id/duplicate', protect, admin, duplicateLesson); // POST /api/v1/lessons/:id/duplicate
+// Publishing without review (editors and authors use /api/v1/reviews)
 router.put('/:id/toggle-publish', protect, admin, togglePublishStatus); // PUT /api/v1/lessons/:id/toggle-publish
-router.put('/:id', protect, admin, updateLesson); // PUT /api/v1/lessons/:id
-router.delete('/:id', protect, admin, deleteLesson); // DELETE /api/v1/lessons/:id
 
 // This must come last to avoid conflicts with other routes
 router.get('/:id', protect, getLessonById); // GET /api/v1/lessons/:id
@@ -0,0 +1,33 @@
+// src/routes/media.route.js
+import express from 'express';
+import {
+  uploadMedia,
+  getAssets,
+  getAsset,
+  updateAsset,
+  replaceAsset,
+  getOrphanedAssets,
+  deleteAsset,
+  rescanAssets
+} from '../controllers/media.controller.js';
+import { protect, requirePermission } from '../middleware/auth.middleware.js';
+import { receiveUpload } from '../middleware/upload.middleware.js';
+
+const router = express.Router();
+
+// All media routes require login
+router.use(protect);
+
+// Uploads for image and attaches blocks
+router.post('/upload', requirePermission('media:upload'), receiveUpload, uploadMedia);
+
+// Media library
+router.get('/', requirePermission('media:view'), getAssets);
+router.get('/orphans', requirePermission('media:manage'), getOrphanedAssets);
+router.post('/rescan', requirePermission('media:manage'), rescanAssets);
+router.get('/:id', requirePermission('media:view'), getAsset);
+router.patch('/:id', requirePermission('media:manage'), updateAsset);
+router.post('/:id/replace', requirePermission('media:manage'), replaceAsset);
+router.delete('/:id', requirePermission('media:manage'), deleteAsset);
+
+export default router;
@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+  getReviewQueue,
+  getMyReviewItems,
+  getReview,
+  performReviewAction,
+  assignReviewer,
+  addReviewComment,
+  updateReviewComment
+} from '../controllers/review.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// All review routes require login, permissions are checked per item in the controller
+router.use(protect);
+
+// Review lists
+router.get('/', getReviewQueue);
+router.get('/mine', getMyReviewItems);
+
+// Review of a single lesson or tutorial (:type is "lessons" or "tutorials")
+router.get('/:type/:id', getReview);
+router.put('/:type/:id/reviewer', assignReviewer);
+router.post('/:type/:id/comments', addReviewComment);
+router.patch('/:type/:id/comments/:commentId', updateReviewComment);
+router.post('/:type/:id/:action', performReviewAction);
+
+export default router;
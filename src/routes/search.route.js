@@ -0,0 +1,16 @@
+import express from 'express';
+import {
+  search,
+  rebuildSearchIndex
+} from '../controllers/search.controller.js';
+import { protect, admin, optionalAuth } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// Public route with optional auth - editors and authors also find drafts
+router.get('/', optionalAuth, search);
+
+// Admin routes
+router.post('/reindex', protect, admin, rebuildSearchIndex);
+
+export default router;
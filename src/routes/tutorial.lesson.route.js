@@ -3,17 +3,19 @@ import express from 'express';
 import {
   createLesson,
   getLessonsByTutorial,
+  importLesson,
   reorderLessons
 } from '../controllers/lesson.controller.js';
-import { protect, admin } from '../middleware/auth.middleware.js';
+import { protect, requirePermission } from '../middleware/auth.middleware.js';
 
 const router = express.Router({ mergeParams: true });
 
 // Public routes (with authentication check for access control)
 router.get('/', protect, getLessonsByTutorial);
 
-// Admin-only routes
-router.post('/', protect, admin, createLesson);
-router.put('/reorder', protect, admin, reorderLessons);
+// Authoring routes (ownership checked in controller)
+router.post('/', protect, requirePermission('lesson:create'), createLesson);
+router.post('/import', protect, requirePermission('lesson:create'), express.text({ type: ['text/markdown', 'text/x-markdown'], limit: '1mb' }), importLesson);
+router.put('/reorder', protect, requirePermission('lesson:update'), reorderLessons);
 
 export default router;
\ No newline at end of file
@@ -4,20 +4,37 @@ import {
   getTutorials,
   getTutorialById,
   updateTutorial,
-  deleteTutorial
+  deleteTutorial,
+  getTutorialDraft,
+  publishTutorialDraft,
+  discardTutorialDraft,
+  scheduleTutorial,
+  exportTutorial,
+  importTutorial
 } from '../controllers/tutorial.controller.js';
-import { protect, admin, optionalAuth } from '../middleware/auth.middleware.js';
+import { protect, admin, optionalAuth, requirePermission } from '../middleware/auth.middleware.js';
 
 const router = express.Router();
 
 // PUBLIC routes with optional auth - allows browsing without login
-// Admin users will still see unpublished content due to controller logic
+// Editors and authors will still see unpublished content due to controller logic
 router.get('/', optionalAuth, getTutorials);
 router.get('/:id', optionalAuth, getTutorialById);
 
+// Bundles for moving tutorials between environments (ownership checked in controller)
+// and offline copies (EPUB, print HTML) of live tutorials
+router.post('/import', protect, requirePermission('tutorial:create'), importTutorial);
+router.get('/:id/export', optionalAuth, exportTutorial);
+
+// Author/editor routes (ownership checked in controller)
+router.post('/', protect, requirePermission('tutorial:create'), createTutorial);
+router.put('/:id', protect, requirePermission('tutorial:update'), updateTutorial);
+router.get('/:id/draft', protect, requirePermission('tutorial:update'), getTutorialDraft);
+router.post('/:id/draft/publish', protect, requirePermission('tutorial:publish'), publishTutorialDraft);
+router.delete('/:id/draft', protect, requirePermission('tutorial:update'), discardTutorialDraft);
+router.put('/:id/schedule', protect, requirePermission('tutorial:publish'), scheduleTutorial);
+
 // Admin-only routes
-router.post('/', protect, admin, createTutorial);
-router.put('/:id', protect, admin, updateTutorial);
 router.delete('/:id', protect, admin, deleteTutorial);
 
 export default router;
\ No newline at end of file
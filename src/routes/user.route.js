@@ -3,7 +3,12 @@ import {
   getUserProfile,
   updateUserProfile,
   getUserProgress,
-  getUserBookmarks
+  getUserBookmarks,
+  getLessonBookmarks,
+  addTutorialBookmark,
+  removeTutorialBookmark,
+  addLessonBookmark,
+  removeLessonBookmark
 } from '../controllers/user.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
 
@@ -19,5 +24,10 @@ router.put('/profile', updateUserProfile);
 // Progress and bookmarks routes
 router.get('/progress', getUserProgress);
 router.get('/bookmarks', getUserBookmarks);
+router.get('/bookmarks/lessons', getLessonBookmarks);
+router.post('/bookmarks/lessons/:lessonId', addLessonBookmark);
+router.delete('/bookmarks/lessons/:lessonId', removeLessonBookmark);
+router.post('/bookmarks/:tutorialId', addTutorialBookmark);
+router.delete('/bookmarks/:tutorialId', removeTutorialBookmark);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,49 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../src/models/user.model.js';
+import { getUsers } from '../src/controllers/admin.controller.js';
+
+// Helper function to build a response that records what the handler sent
+const createResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+describe('admin user list', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('clamps page and limit', async () => {
+    const cases = [
+      [{ limit: '0' }, { page: 1, limit: 20, skip: 0 }],
+      [{ limit: 'abc', page: 'abc' }, { page: 1, limit: 20, skip: 0 }],
+      [{ limit: '5000', page: '3' }, { page: 3, limit: 100, skip: 200 }],
+      [{ limit: '10', page: '-2' }, { page: 1, limit: 10, skip: 0 }]
+    ];
+
+    mock.method(User, 'countDocuments', async () => 250);
+
+    for (const [query, expected] of cases) {
+      const applied = {};
+      mock.method(User, 'find', () => {
+        const chain = {
+          select: () => chain,
+          sort: () => chain,
+          limit: (value) => { applied.limit = value; return chain; },
+          skip: async (value) => { applied.skip = value; return []; }
+        };
+        return chain;
+      });
+
+      const res = createResponse();
+      await getUsers({ query }, res);
+
+      assert.equal(res.statusCode, 200);
+      assert.deepEqual({ page: res.body.pagination.page, ...applied }, expected, JSON.stringify(query));
+      assert.equal(res.body.pagination.pages, Math.ceil(250 / expected.limit));
+    }
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Asset from '../src/models/asset.model.js';
+import Tutorial from '../src/models/tutorial.model.js';
+import LessonRevision from '../src/models/lesson.revision.model.js';
+import { rebuildAssetUsages } from '../src/lib/assets.js';
+import { deleteAsset } from '../src/controllers/media.controller.js';
+
+// Helper function to build a response that records what the handler sent
+const createResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+describe('rebuilding asset usages', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('swaps in the new usages per asset without clearing every asset first', async () => {
+    const tutorial = new mongoose.Types.ObjectId();
+    const lessons = [{
+      _id: new mongoose.Types.ObjectId(),
+      tutorial,
+      content: { blocks: [{ id: 'i1', type: 'image', data: { url: 'https://cdn.example.com/a.png' } }] },
+      hasDraft: true,
+      draft: { content: { blocks: [{ id: 'f1', type: 'attaches', data: { file: { url: 'https://cdn.example.com/b.pdf' } } }] } }
+    }];
+    const bulkWrite = mock.method(Asset, 'bulkWrite', async () => ({}));
+    const updateMany = mock.method(Asset, 'updateMany', async () => ({}));
+
+    assert.equal(await rebuildAssetUsages(lessons), 1);
+
+    assert.equal(updateMany.mock.callCount(), 0);
+    const [clearUnused, ...swaps] = bulkWrite.mock.calls[0].arguments[0];
+    assert.deepEqual(clearUnused.updateMany.filter.url, { $nin: ['https://cdn.example.com/a.png', 'https://cdn.example.com/b.pdf'] });
+    assert.deepEqual(swaps.map(({ updateOne }) => [updateOne.filter.url, updateOne.update.$set.usages[0].draft]), [
+      ['https://cdn.example.com/a.png', false],
+      ['https://cdn.example.com/b.pdf', true]
+    ]);
+  });
+});
+
+describe('deleting an asset', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+  const url = 'https://cdn.example.com/a.png';
+
+  // Helper function to delete an unused asset, with the tutorials and revisions referencing its URL
+  const remove = async ({ tutorialImages = [], revisionUrls = [] } = {}) => {
+    const asset = Asset.hydrate({ _id: new mongoose.Types.ObjectId(), url, kind: 'image', source: 'external', usages: [] });
+    mock.method(Asset, 'findById', async () => asset);
+    mock.method(Tutorial, 'distinct', async () => tutorialImages);
+    mock.method(LessonRevision, 'distinct', async (field) => (field === 'blocks.data.url' ? revisionUrls : []));
+    const deleteOne = mock.method(Asset, 'deleteOne', async () => ({ deletedCount: 1 }));
+
+    const res = createResponse();
+    await deleteAsset({ params: { id: asset._id.toString() }, user }, res);
+    return { res, deleteOne };
+  };
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('refuses assets used as a tutorial image or by a revision', async () => {
+    for (const references of [{ tutorialImages: [url] }, { revisionUrls: [url] }]) {
+      const { res, deleteOne } = await remove(references);
+      assert.equal(res.statusCode, 409);
+      assert.equal(deleteOne.mock.callCount(), 0);
+      mock.restoreAll();
+    }
+  });
+
+  it('deletes assets that are safe to delete', async () => {
+    const { res, deleteOne } = await remove();
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(deleteOne.mock.calls[0].arguments[0].usages, { $size: 0 });
+  });
+});
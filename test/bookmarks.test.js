@@ -0,0 +1,37 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import {
+  addTutorialBookmark,
+  removeTutorialBookmark,
+  addLessonBookmark,
+  removeLessonBookmark
+} from '../src/controllers/user.controller.js';
+
+// Helper function to build a response that records what the handler sent
+const createResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+describe('bookmarks', () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+
+  it('rejects invalid ids with 400 when adding and removing', async () => {
+    const handlers = [
+      [addTutorialBookmark, { tutorialId: 'nope' }, 'Invalid tutorial id'],
+      [removeTutorialBookmark, { tutorialId: 'nope' }, 'Invalid tutorial id'],
+      [addLessonBookmark, { lessonId: 'nope' }, 'Invalid lesson id'],
+      [removeLessonBookmark, { lessonId: 'nope' }, 'Invalid lesson id']
+    ];
+
+    for (const [handler, params, message] of handlers) {
+      const res = createResponse();
+      await handler({ params, user }, res);
+      assert.equal(res.statusCode, 400, handler.name);
+      assert.equal(res.body.message, message);
+    }
+  });
+});
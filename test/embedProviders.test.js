@@ -0,0 +1,61 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import EmbedProvider from '../src/models/embed.provider.model.js';
+import { DEFAULT_EMBED_PROVIDERS, loadEmbedProviders, matchEmbedUrl } from '../src/lib/embedProviders.js';
+
+// Helper function to load providers into the registry without a database
+const useProviders = async (docs) => {
+  mock.method(EmbedProvider, 'find', () => ({ lean: async () => docs }));
+  await loadEmbedProviders();
+};
+
+describe('matchEmbedUrl', () => {
+  afterEach(async () => {
+    await useProviders(DEFAULT_EMBED_PROVIDERS);
+    mock.restoreAll();
+  });
+
+  it('fills templates from the named groups of the default providers', async () => {
+    await useProviders(DEFAULT_EMBED_PROVIDERS);
+
+    const youtube = matchEmbedUrl('https://www.youtube.com/watch?list=x&v=dQw4w9WgXcQ&t=1');
+    assert.equal(youtube.service, 'youtube');
+    assert.equal(youtube.videoId, 'dQw4w9WgXcQ');
+    assert.equal(youtube.embedUrl, 'https://www.youtube.com/embed/dQw4w9WgXcQ');
+
+    assert.equal(matchEmbedUrl('https://codesandbox.io/s/demo').service, 'iframe');
+    assert.equal(matchEmbedUrl('https://evil.com/codesandbox.io'), null);
+  });
+
+  it('runs provider patterns that backtrack catastrophically in linear time', async () => {
+    await useProviders([{
+      name: 'slow',
+      label: 'Slow',
+      urlPatterns: ['^https://a*a*a*a*a*a*b'],
+      embedUrlTemplate: '{url}'
+    }]);
+
+    const started = Date.now();
+    assert.equal(matchEmbedUrl(`https://${'a'.repeat(5000)}`), null);
+    assert.ok(Date.now() - started < 1000, 'matching took longer than a second');
+    assert.equal(matchEmbedUrl('https://aab').service, 'slow');
+  });
+});
+
+describe('embed provider URL patterns', () => {
+  const provider = (urlPatterns) => new EmbedProvider({
+    name: 'test',
+    label: 'Test',
+    urlPatterns,
+    embedUrlTemplate: '{url}'
+  });
+
+  it('accepts patterns the linear-time matcher supports', () => {
+    assert.equal(provider(['(a+)+b', 'example\\.com/(?<id>\\d+)(?=$|\\?)']).validateSync(), undefined);
+  });
+
+  it('refuses backreferences and lookbehinds', () => {
+    assert.ok(provider(['(a)\\1']).validateSync().errors.urlPatterns);
+    assert.ok(provider(['(?<=a)b']).validateSync().errors.urlPatterns);
+  });
+});
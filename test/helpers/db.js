@@ -0,0 +1,25 @@
+import { mock } from 'node:test';
+import mongoose from 'mongoose';
+
+// Tests run without a MongoDB server. Writes of the models a test stubs
+// resolve as acknowledged, every other operation fails at once instead of
+// waiting for a connection.
+mongoose.set('bufferCommands', false);
+
+const WRITE_METHODS = ['insertOne', 'updateOne', 'updateMany', 'deleteOne', 'deleteMany', 'bulkWrite'];
+
+// Stub the collection writes of models (undone by mock.restoreAll())
+export const stubWrites = (...models) => {
+  models.forEach(Model => WRITE_METHODS.forEach(method => {
+    mock.method(Model.collection, method, async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }));
+  }));
+};
+
+// Stub Model.find(filter).select() over documents kept in memory
+// Only the { field: { $lte: date } } filters of the scheduler are supported
+export const stubFind = (Model, docs) => {
+  mock.method(Model, 'find', (filter) => ({
+    select: async () => docs.filter(doc => Object.entries(filter)
+      .every(([field, condition]) => doc[field] && doc[field] <= condition.$lte))
+  }));
+};
@@ -0,0 +1,49 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Lesson from '../src/models/lesson.model.js';
+import LessonRevision from '../src/models/lesson.revision.model.js';
+import { restoreLessonRevision } from '../src/controllers/lesson.revision.controller.js';
+
+// Helper function to build a response that records what the handler sent
+const createResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+describe('restoring a lesson revision', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('sanitizes the restored blocks', async () => {
+    const lesson = {
+      _id: new mongoose.Types.ObjectId(),
+      isPublished: false,
+      tutorial: { _id: new mongoose.Types.ObjectId() },
+      content: { version: '2.28.2', blocks: [] },
+      save: async function() { return this; }
+    };
+    const revision = LessonRevision.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      lesson: lesson._id,
+      revision: 2,
+      blocks: [
+        { id: 'p1', type: 'paragraph', data: { text: 'Hello <img src=x onerror="alert(1)">' } }
+      ]
+    });
+
+    mock.method(Lesson, 'findById', () => ({ select: () => ({ populate: async () => lesson }) }));
+    mock.method(LessonRevision, 'findOne', async () => revision);
+    mock.method(LessonRevision, 'record', async () => ({ revision: 3 }));
+
+    const res = createResponse();
+    await restoreLessonRevision({ params: { id: lesson._id.toString(), rev: '2' }, user: { _id: new mongoose.Types.ObjectId(), role: 'admin' } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(lesson.content.blocks[0].data.text, 'Hello ');
+    assert.ok(res.body.sanitized.length > 0);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import dns from 'dns';
+import http from 'http';
+import { checkLink } from '../src/lib/linkChecker.js';
+
+describe('link checks of private hosts', () => {
+  let server;
+  let port;
+  let hits = 0;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      hits++;
+      res.end('internal');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    ({ port } = server.address());
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('refuses private addresses in the URL', async () => {
+    const result = await checkLink(`http://127.0.0.1:${port}/`);
+
+    assert.equal(result.skipped, true);
+    assert.equal(hits, 0);
+  });
+
+  it('checks the addresses of the lookup the connection uses', async () => {
+    // A public name pointed at the internal server
+    const lookup = mock.method(dns, 'lookup', (hostname, options, callback) => (
+      callback(null, [{ address: '127.0.0.1', family: 4 }])
+    ));
+
+    const result = await checkLink(`http://rebind.example:${port}/`);
+
+    assert.equal(result.skipped, true);
+    assert.equal(hits, 0);
+    // No separate lookup for a check, which could answer differently
+    assert.equal(lookup.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createMemoryStore,
+  setLoginAttemptStore,
+  reserveLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  releaseLoginAttempt,
+  getAccountLockStatus
+} from '../src/lib/loginThrottle.js';
+
+const EMAIL = 'learner@example.com';
+
+// Helper function to fail one login attempt, waiting out any backoff first
+const failLogin = async (ip = '198.51.100.1') => {
+  let attempt = await reserveLoginAttempt(EMAIL, ip);
+  if (!attempt.allowed && attempt.reason === 'backoff') {
+    mock.timers.tick(attempt.retryAfter * 1000);
+    attempt = await reserveLoginAttempt(EMAIL, ip);
+  }
+  assert.equal(attempt.allowed, true);
+  return recordLoginFailure(EMAIL, ip);
+};
+
+describe('login throttling', () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: Date.UTC(2026, 0, 1) });
+    setLoginAttemptStore(createMemoryStore());
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('lets only the free attempts through when guesses arrive in parallel', async () => {
+    const attempts = await Promise.all(
+      Array.from({ length: 20 }, (_, i) => reserveLoginAttempt(EMAIL, `198.51.100.${i}`))
+    );
+    const allowed = attempts.filter(attempt => attempt.allowed);
+
+    assert.equal(allowed.length, 3);
+    assert.ok(attempts.filter(attempt => !attempt.allowed).every(attempt => attempt.reason === 'backoff'));
+  });
+
+  it('takes one attempt at a time once the free attempts are used', async () => {
+    for (let i = 0; i < 3; i++) await failLogin();
+
+    const attempts = await Promise.all(Array.from({ length: 5 }, () => reserveLoginAttempt(EMAIL, '198.51.100.1')));
+    assert.equal(attempts.filter(attempt => attempt.allowed).length, 1);
+  });
+
+  it('locks the account after too many failures', async () => {
+    let result;
+    for (let i = 0; i < 5; i++) result = await failLogin();
+
+    assert.equal(result.locked, true);
+    const attempt = await reserveLoginAttempt(EMAIL, '198.51.100.1');
+    assert.equal(attempt.allowed, false);
+    assert.equal(attempt.reason, 'locked');
+    assert.equal((await getAccountLockStatus(EMAIL)).locked, true);
+  });
+
+  it('clears the account counter and releases the attempt on success', async () => {
+    for (let i = 0; i < 2; i++) await failLogin();
+
+    assert.equal((await reserveLoginAttempt(EMAIL, '198.51.100.1')).allowed, true);
+    await recordLoginSuccess(EMAIL, '198.51.100.1');
+
+    assert.equal((await getAccountLockStatus(EMAIL)).failures, 0);
+    const attempts = await Promise.all(Array.from({ length: 3 }, () => reserveLoginAttempt(EMAIL, '198.51.100.1')));
+    assert.ok(attempts.every(attempt => attempt.allowed));
+  });
+
+  it('gives released attempts back', async () => {
+    for (let i = 0; i < 3; i++) await failLogin();
+
+    assert.equal((await reserveLoginAttempt(EMAIL, '198.51.100.1')).allowed, true);
+    assert.equal((await reserveLoginAttempt(EMAIL, '198.51.100.1')).allowed, false);
+
+    await releaseLoginAttempt(EMAIL, '198.51.100.1');
+    assert.equal((await reserveLoginAttempt(EMAIL, '198.51.100.1')).allowed, true);
+    assert.equal((await getAccountLockStatus(EMAIL)).failures, 3);
+  });
+});
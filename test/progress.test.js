@@ -0,0 +1,86 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Lesson from '../src/models/lesson.model.js';
+import User from '../src/models/user.model.js';
+import { markLessonComplete, markLessonIncomplete } from '../src/controllers/lesson.controller.js';
+
+// Helper function to build a response that records what the handler sent
+const createResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+describe('lesson completion', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+  let lesson;
+  let progress;
+
+  beforeEach(() => {
+    const tutorialId = new mongoose.Types.ObjectId();
+    lesson = {
+      _id: new mongoose.Types.ObjectId(),
+      tutorial: { _id: tutorialId },
+      quizSettings: { requiredForCompletion: false },
+      content: { blocks: [] },
+      incrementCompletions: mock.fn(async () => {}),
+      decrementCompletions: mock.fn(async () => {})
+    };
+    progress = null;
+
+    mock.method(Lesson, 'findById', () => ({ populate: async () => lesson }));
+    mock.method(Lesson, 'findByTutorial', () => ({ select: async () => [{ _id: lesson._id }] }));
+    // The user's progress entry for the tutorial, updated like the conditional updates would
+    mock.method(User, 'updateOne', async (filter, update) => {
+      if (update.$push) {
+        if (progress) return { modifiedCount: 0 };
+        progress = { ...update.$push.progress, completedLessons: [] };
+        return { modifiedCount: 1 };
+      }
+      const completed = Boolean(progress && progress.completedLessons.includes(lesson._id));
+      if (update.$addToSet && progress && !completed) {
+        progress.completedLessons.push(lesson._id);
+        return { modifiedCount: 1 };
+      }
+      if (update.$pull && completed) {
+        progress.completedLessons = progress.completedLessons.filter(id => id !== lesson._id);
+        return { modifiedCount: 1 };
+      }
+      return { modifiedCount: 0 };
+    });
+    mock.method(User, 'findOne', async () => ({ progress: progress ? [{ ...progress }] : [] }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('counts a lesson completed by concurrent requests once', async () => {
+    const responses = [createResponse(), createResponse()];
+    await Promise.all(responses.map(res => markLessonComplete({ params: { id: lesson._id.toString() }, user }, res)));
+
+    assert.deepEqual(responses.map(res => res.statusCode), [200, 200]);
+    assert.ok(responses.every(res => res.body.data.completion === 100));
+    assert.equal(lesson.incrementCompletions.mock.callCount(), 1);
+  });
+
+  it('only uncounts a lesson that was completed', async () => {
+    await markLessonComplete({ params: { id: lesson._id.toString() }, user }, createResponse());
+
+    const responses = [createResponse(), createResponse()];
+    await Promise.all(responses.map(res => markLessonIncomplete({ params: { id: lesson._id.toString() }, user }, res)));
+
+    assert.ok(responses.every(res => res.body.data.completion === 0));
+    assert.equal(lesson.decrementCompletions.mock.callCount(), 1);
+  });
+
+  it('rejects invalid lesson ids', async () => {
+    for (const handler of [markLessonComplete, markLessonIncomplete]) {
+      const res = createResponse();
+      await handler({ params: { id: 'not-an-id' }, user }, res);
+      assert.equal(res.statusCode, 400);
+    }
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Lesson from '../src/models/lesson.model.js';
+import QuizAttempt from '../src/models/quiz.attempt.model.js';
+import { submitQuizAttempt } from '../src/controllers/lesson.controller.js';
+
+// Helper function to build a response that records what the handler sent
+const createResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+describe('quiz attempts', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+  const content = {
+    blocks: [{
+      id: 'q1',
+      type: 'quiz',
+      data: { quizType: 'single', question: 'Q', options: ['a', 'b'], correctAnswer: 1, explanation: 'Because b' }
+    }]
+  };
+  let attempts;
+
+  // Helper function to submit one answer to the quiz
+  const submit = async (answer) => {
+    const res = createResponse();
+    await submitQuizAttempt({ params: { id: new mongoose.Types.ObjectId().toString() }, user, body: { answers: [{ blockId: 'q1', answer }] } }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    attempts = [];
+    const lesson = {
+      _id: new mongoose.Types.ObjectId(),
+      tutorial: { _id: new mongoose.Types.ObjectId() },
+      quizSettings: { passingScore: 70, requiredForCompletion: false, maxAttempts: 3 },
+      toObject: () => ({ content })
+    };
+
+    mock.method(Lesson, 'findById', () => ({ populate: async () => lesson }));
+    mock.method(QuizAttempt, 'countDocuments', async () => attempts.length);
+    mock.method(QuizAttempt, 'hasPassed', async () => attempts.some(attempt => attempt.passed));
+    mock.method(QuizAttempt, 'create', async (attempt) => {
+      attempts.push(attempt);
+      return { _id: new mongoose.Types.ObjectId(), ...attempt };
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('keeps the answers hidden after a failed attempt with attempts left', async () => {
+    const res = await submit(0);
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.data.answersRevealed, false);
+    assert.equal(res.body.data.attemptsLeft, 2);
+    assert.deepEqual(Object.keys(res.body.data.results[0]).sort(), ['answer', 'blockId', 'correct']);
+  });
+
+  it('reveals the answers after a pass', async () => {
+    const res = await submit(1);
+
+    assert.equal(res.body.data.answersRevealed, true);
+    assert.equal(res.body.data.results[0].correctAnswer, 1);
+    assert.equal(res.body.data.results[0].explanation, 'Because b');
+  });
+
+  it('reveals the answers after the last attempt and refuses further attempts', async () => {
+    await submit(0);
+    await submit(0);
+    const last = await submit(0);
+
+    assert.equal(last.body.data.answersRevealed, true);
+    assert.equal(last.body.data.results[0].correctAnswer, 1);
+    assert.equal((await submit(1)).statusCode, 403);
+  });
+});
+
+describe('revealed quiz answers', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('reveals lessons with a pass or without attempts left', async () => {
+    const [passed, usedUp, attemptsLeft, unlimited] = Array.from({ length: 4 }, () => new mongoose.Types.ObjectId());
+    const lessons = [
+      { _id: passed, quizSettings: { maxAttempts: 3 } },
+      { _id: usedUp, quizSettings: { maxAttempts: 2 } },
+      { _id: attemptsLeft, quizSettings: { maxAttempts: 3 } },
+      { _id: unlimited, quizSettings: { maxAttempts: null } }
+    ];
+    const stored = [
+      { lesson: passed, passed: true },
+      { lesson: usedUp, passed: false },
+      { lesson: usedUp, passed: false },
+      { lesson: attemptsLeft, passed: false },
+      ...Array.from({ length: 5 }, () => ({ lesson: unlimited, passed: false }))
+    ];
+    mock.method(QuizAttempt, 'find', () => ({ select: async () => stored }));
+
+    const revealed = await QuizAttempt.getRevealedLessons(new mongoose.Types.ObjectId(), lessons);
+
+    assert.deepEqual([...revealed].sort(), [passed.toString(), usedUp.toString()].sort());
+  });
+});
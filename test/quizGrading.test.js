@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeQuizData, gradeQuizAnswer } from '../src/lib/quizGrading.js';
+
+describe('short-answer quizzes', () => {
+  it('accepts exact answers and whole-answer patterns', () => {
+    const { data } = normalizeQuizData({
+      quizType: 'short-answer',
+      question: 'Which keyword declares a constant?',
+      acceptedAnswers: ['const'],
+      acceptedPatterns: ['const(ant)?s?']
+    });
+
+    assert.equal(gradeQuizAnswer(data, ' CONST ').correct, true);
+    assert.equal(gradeQuizAnswer(data, 'constants').correct, true);
+    assert.equal(gradeQuizAnswer(data, 'a const').correct, false);
+  });
+
+  it('refuses patterns with backreferences or lookbehinds', () => {
+    const backreference = normalizeQuizData({ quizType: 'short-answer', question: 'Q', acceptedPatterns: ['(a)\\1'] });
+    const lookbehind = normalizeQuizData({ quizType: 'short-answer', question: 'Q', acceptedPatterns: ['(?<=a)b'] });
+
+    assert.match(backreference.error, /backreference/);
+    assert.match(lookbehind.error, /lookbehind/);
+  });
+
+  it('grades answers against patterns that backtrack catastrophically without blocking', () => {
+    const { data, error } = normalizeQuizData({
+      quizType: 'short-answer',
+      question: 'Q',
+      acceptedPatterns: ['a*a*a*a*a*a*b']
+    });
+    assert.equal(error, undefined);
+
+    const started = Date.now();
+    const graded = gradeQuizAnswer(data, 'a'.repeat(120));
+
+    assert.equal(graded.correct, false);
+    assert.ok(Date.now() - started < 1000, 'grading took longer than a second');
+    assert.equal(gradeQuizAnswer(data, 'aaab').correct, true);
+  });
+});
+
+describe('other quiz types', () => {
+  it('grades multiple choice answers regardless of order', () => {
+    const { data } = normalizeQuizData({
+      quizType: 'multiple',
+      question: 'Q',
+      options: ['a', 'b', 'c'],
+      correctAnswers: [2, 0]
+    });
+
+    assert.equal(gradeQuizAnswer(data, [0, 2]).correct, true);
+    assert.equal(gradeQuizAnswer(data, [0]).correct, false);
+    assert.ok(gradeQuizAnswer(data, 'x').error);
+  });
+
+  it('grades ordering answers', () => {
+    const { data } = normalizeQuizData({ quizType: 'ordering', question: 'Q', orderItems: ['one', 'two', 'three'] });
+
+    assert.equal(gradeQuizAnswer(data, ['one', 'two', 'three']).correct, true);
+    assert.equal(gradeQuizAnswer(data, ['two', 'one', 'three']).correct, false);
+  });
+});
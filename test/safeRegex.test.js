@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileSafeRegex, isSafeRegex } from '../src/lib/safeRegex.js';
+
+// Helper function to compare a match with the built-in engine's
+const sameAsBuiltIn = (pattern, flags, input) => {
+  const expected = new RegExp(pattern, flags).exec(input);
+  const actual = compileSafeRegex(pattern, flags).exec(input);
+
+  if (expected === null) {
+    assert.equal(actual, null);
+    return;
+  }
+  assert.deepEqual([...actual], [...expected]);
+  assert.equal(actual.index, expected.index);
+  assert.deepEqual(actual.groups && { ...actual.groups }, expected.groups && { ...expected.groups });
+};
+
+describe('compileSafeRegex', () => {
+  it('matches like the built-in engine', () => {
+    const cases = [
+      ['(\\d+)\\.(\\d*)', '', 'x 12.5 y'],
+      ['(?<year>\\d{4})-(?<month>\\d{2})', '', 'on 2024-05-01'],
+      ['colou?r', 'i', 'COLOR'],
+      ['(a|ab)(c|bcd)(d*)', '', 'abcd'],
+      ['a+?', '', 'aaa'],
+      ['(a)|b', '', 'b'],
+      ['((a)|b)+', '', 'ab'],
+      ['\\bfoo\\b', '', 'a foo b'],
+      ['^$', 'm', 'a\n\nb'],
+      ['x(?=y)', '', 'xz xy'],
+      ['x(?!y)\\w', '', 'xy xz'],
+      ['[^]', '', '\n'],
+      ['[]', '', 'a'],
+      ['\\u{1F600}.', 'u', '😀😀'],
+      ['a{2,3}', '', 'aaaa'],
+      ['(z)((a+)?(b+)?(c))*', '', 'zaacbbbcac'],
+      ['[a-z]+@[a-z]+\\.com', '', 'mail me at dev@example.com']
+    ];
+
+    cases.forEach(([pattern, flags, input]) => sameAsBuiltIn(pattern, flags, input));
+  });
+
+  it('runs patterns that backtrack catastrophically in linear time', () => {
+    const started = Date.now();
+
+    assert.equal(compileSafeRegex('^(?:a*a*a*a*a*a*b)$', 'i').test('a'.repeat(120)), false);
+    assert.equal(compileSafeRegex('(a+)+$').test(`${'a'.repeat(5000)}!`), false);
+    assert.equal(compileSafeRegex('(x|x)*y').test('x'.repeat(5000)), false);
+
+    assert.ok(Date.now() - started < 1000, 'matching took longer than a second');
+  });
+
+  it('refuses backreferences and lookbehinds', () => {
+    assert.throws(() => compileSafeRegex('(a)\\1'), SyntaxError);
+    assert.throws(() => compileSafeRegex('(?<x>a)\\k<x>'), SyntaxError);
+    assert.throws(() => compileSafeRegex('(?<=a)b'), SyntaxError);
+    assert.throws(() => compileSafeRegex('(?<!a)b'), SyntaxError);
+  });
+
+  it('refuses invalid and oversized patterns', () => {
+    assert.equal(isSafeRegex('(a'), false);
+    assert.equal(isSafeRegex('a{20000}'), false);
+    assert.equal(isSafeRegex(42), false);
+    assert.equal(isSafeRegex('[a-z]+\\d*'), true);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeBlockData } from '../src/lib/sanitize.js';
+import { validateImageUrl, validateEmbedUrl, validateAndCleanLessonContent } from '../src/lib/lessonContent.js';
+
+const SCRIPT = '<img src=x onerror="alert(1)">';
+
+// Helper function to clean one block like a lesson save does
+const cleanBlock = (type, data) => {
+  const { cleanContent, sanitized } = validateAndCleanLessonContent({ blocks: [{ id: 'b1', type, data }] });
+  return { data: cleanContent.blocks[0].data, removed: sanitized.length > 0 ? sanitized[0].removed : [] };
+};
+
+describe('sanitizing block text', () => {
+  it('cleans the inline markup of every text block type', () => {
+    const cases = [
+      ['paragraph', { text: `Hi ${SCRIPT}` }, data => data.text],
+      ['text', { text: `Hi ${SCRIPT}` }, data => data.text],
+      ['header', { text: `Hi ${SCRIPT}`, level: 2 }, data => data.text],
+      ['quote', { text: `Hi ${SCRIPT}`, caption: SCRIPT }, data => data.text + data.caption],
+      ['warning', { title: SCRIPT, message: `Hi ${SCRIPT}` }, data => data.title + data.message],
+      ['list', { style: 'unordered', items: [`Hi ${SCRIPT}`] }, data => data.items.join('')],
+      ['table', { content: [[`Hi ${SCRIPT}`]] }, data => data.content.flat().join('')],
+      ['attaches', { title: `Hi ${SCRIPT}`, file: { url: 'https://cdn.example.com/a.pdf' } }, data => data.title]
+    ];
+
+    cases.forEach(([type, data, read]) => {
+      const clean = sanitizeBlockData(type, data);
+      assert.doesNotMatch(read(clean.data), /onerror/, type);
+      assert.ok(clean.removed.length > 0, type);
+    });
+  });
+
+  it('cleans quiz options and ordering items', () => {
+    const choice = cleanBlock('quiz', {
+      quizType: 'single',
+      question: 'Pick one',
+      options: [`a ${SCRIPT}`, 'b'],
+      correctAnswer: 0
+    });
+    const ordering = cleanBlock('quiz', {
+      quizType: 'ordering',
+      question: 'Sort',
+      orderItems: [`one ${SCRIPT}`, 'two']
+    });
+
+    assert.deepEqual(choice.data.options, ['a ', 'b']);
+    assert.deepEqual(ordering.data.orderItems, ['one ', 'two']);
+  });
+});
+
+describe('sanitizing block URLs', () => {
+  it('refuses image URLs that are not http(s)', () => {
+    assert.equal(validateImageUrl('javascript:alert(1)//x.png').isValid, false);
+    assert.equal(validateImageUrl('data:image/svg+xml;base64,PHN2Zz4=').isValid, false);
+    assert.equal(validateImageUrl('https://cdn.example.com/x.png').isValid, true);
+    assert.equal(validateImageUrl('data:image/png;base64,iVBORw0K').isValid, true);
+
+    const image = cleanBlock('image', { url: 'javascript:alert(1)//x.png' });
+    assert.equal(image.data.url, '');
+    assert.equal(image.data.invalid, true);
+  });
+
+  it('refuses embed URLs that are not http(s)', () => {
+    assert.equal(validateEmbedUrl('javascript:alert(1)//youtube.com/watch?v=dQw4w9WgXcQ').isValid, false);
+
+    const embed = sanitizeBlockData('embed', { url: 'https://example.com', embed: 'javascript:alert(1)', thumbnail: 'data:text/html,x' });
+    assert.equal(embed.data.url, 'https://example.com');
+    assert.equal(embed.data.embed, '');
+    assert.equal(embed.data.thumbnail, '');
+  });
+
+  it('empties link and file URLs that are not http(s)', () => {
+    const link = cleanBlock('linkTool', {
+      link: 'javascript:alert(1)',
+      meta: { title: 'T', image: { url: 'java\tscript:alert(1)' } }
+    });
+    const file = cleanBlock('attaches', { title: 'Notes', file: { url: 'data:text/html,<script>alert(1)</script>', name: 'notes.html' } });
+
+    assert.equal(link.data.link, '');
+    assert.equal(link.data.meta.image.url, '');
+    assert.deepEqual(link.removed, ['unsafe URL in link', 'unsafe URL in meta.image.url']);
+    assert.equal(file.data.file.url, '');
+    assert.equal(file.data.file.name, 'notes.html');
+  });
+
+  it('keeps http(s) and relative URLs', () => {
+    const file = sanitizeBlockData('attaches', { file: { url: '/uploads/files/2026/10/a.pdf' } });
+    const link = sanitizeBlockData('linkTool', { link: 'https://example.com/docs' });
+
+    assert.equal(file.data.file.url, '/uploads/files/2026/10/a.pdf');
+    assert.equal(link.data.link, 'https://example.com/docs');
+    assert.deepEqual([...file.removed, ...link.removed], []);
+  });
+});
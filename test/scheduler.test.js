@@ -0,0 +1,96 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { stubWrites, stubFind } from './helpers/db.js';
+import Lesson from '../src/models/lesson.model.js';
+import Tutorial from '../src/models/tutorial.model.js';
+import Asset from '../src/models/asset.model.js';
+import { runDueSchedules } from '../src/lib/scheduler.js';
+import { isLive } from '../src/lib/visibility.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Helper function to build an approved, unpublished lesson
+const approvedLesson = async () => {
+  const lesson = new Lesson({
+    title: 'Variables',
+    tutorial: new mongoose.Types.ObjectId(),
+    order: 1,
+    content: { blocks: [{ id: 'p1', type: 'paragraph', data: { text: 'Approved text' } }] }
+  });
+  await lesson.save();
+
+  lesson.reviewStatus = 'approved';
+  await lesson.save();
+  return lesson;
+};
+
+describe('scheduled publishing', () => {
+  beforeEach(() => {
+    stubWrites(Lesson, Tutorial, Asset);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('publishes approved content when publishAt passes', async () => {
+    const lesson = await approvedLesson();
+    lesson.publishAt = new Date(Date.now() + HOUR);
+    await lesson.save();
+
+    stubFind(Lesson, [lesson]);
+    stubFind(Tutorial, []);
+    const result = await runDueSchedules(new Date(Date.now() + 2 * HOUR));
+
+    assert.equal(result.Lesson.published, 1);
+    assert.equal(lesson.isPublished, true);
+    assert.equal(lesson.reviewStatus, 'published');
+  });
+
+  it('does not publish content edited after it was scheduled', async () => {
+    const lesson = await approvedLesson();
+    lesson.publishAt = new Date(Date.now() + HOUR);
+    await lesson.save();
+
+    lesson.content = { blocks: [{ id: 'p1', type: 'paragraph', data: { text: 'Unreviewed text' } }] };
+    await lesson.save();
+
+    assert.equal(lesson.publishAt, undefined);
+    assert.equal(lesson.reviewStatus, 'in_review');
+
+    const later = new Date(Date.now() + 2 * HOUR);
+    stubFind(Lesson, [lesson]);
+    stubFind(Tutorial, []);
+    const result = await runDueSchedules(later);
+
+    assert.equal(result.Lesson.published, 0);
+    assert.equal(lesson.isPublished, false);
+    assert.equal(isLive(lesson, later), false);
+  });
+
+  it('does not publish a tutorial edited after it was scheduled', async () => {
+    const tutorial = new Tutorial({
+      title: 'JavaScript basics',
+      description: 'Start here',
+      domain: new mongoose.Types.ObjectId(),
+      technology: new mongoose.Types.ObjectId(),
+      author: new mongoose.Types.ObjectId()
+    });
+    await tutorial.save();
+    tutorial.reviewStatus = 'approved';
+    tutorial.publishAt = new Date(Date.now() + HOUR);
+    await tutorial.save();
+
+    tutorial.description = 'Unreviewed description';
+    await tutorial.save();
+
+    const later = new Date(Date.now() + 2 * HOUR);
+    stubFind(Lesson, []);
+    stubFind(Tutorial, [tutorial]);
+    const result = await runDueSchedules(later);
+
+    assert.equal(result.Tutorial.published, 0);
+    assert.equal(isLive(tutorial, later), false);
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Lesson from '../src/models/lesson.model.js';
+import { search } from '../src/controllers/search.controller.js';
+
+// Helper function to build a response that records what the handler sent
+const createResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+describe('search', () => {
+  it('rejects invalid domain and technology ids', async () => {
+    for (const filter of [{ domain: 'nope' }, { technology: '123' }, { domain: ['a', 'b'] }]) {
+      const res = createResponse();
+      await search({ query: { q: 'routing', ...filter } }, res);
+      assert.equal(res.statusCode, 400, JSON.stringify(filter));
+    }
+  });
+});
+
+describe('search text backfill', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('only rebuilds lessons without search text', async () => {
+    const lesson = Lesson.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      content: { blocks: [{ id: 'a', type: 'paragraph', data: { text: 'Express routing' } }] }
+    });
+    const find = mock.method(Lesson, 'find', () => ({ select: async () => [lesson] }));
+    const updateOne = mock.method(Lesson, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const result = await Lesson.rebuildSearchIndex({ onlyMissing: true });
+
+    assert.deepEqual(find.mock.calls[0].arguments[0], { $or: [{ searchText: { $exists: false } }, { searchText: '' }] });
+    assert.equal(result.updatedCount, 1);
+    assert.match(updateOne.mock.calls[0].arguments[1].searchText, /Express routing/);
+  });
+});
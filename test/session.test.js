@@ -0,0 +1,105 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { stubWrites } from './helpers/db.js';
+import Session from '../src/models/session.model.js';
+import User from '../src/models/user.model.js';
+import { refreshAccessToken } from '../src/controllers/auth.controller.js';
+import { updateUserProfile } from '../src/controllers/user.controller.js';
+
+// Helper function to build a response that records what the handler sent
+const createResponse = () => {
+  const res = { statusCode: 200, body: null, headers: {} };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  res.set = (name, value) => { res.headers[name] = value; return res; };
+  return res;
+};
+
+describe('refresh token rotation', () => {
+  let stored;
+  let refreshToken;
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    refreshToken = Session.generateRefreshToken();
+    stored = {
+      _id: new mongoose.Types.ObjectId(),
+      user: new mongoose.Types.ObjectId(),
+      refreshTokenHash: Session.hashToken(refreshToken),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      revokedAt: null
+    };
+
+    stubWrites(Session);
+    // One session document: reads get a copy, the conditional update applies atomically
+    mock.method(Session, 'findOne', async (filter) => (
+      filter.refreshTokenHash === stored.refreshTokenHash ? Session.hydrate({ ...stored }) : null
+    ));
+    mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+      if (filter.refreshTokenHash !== stored.refreshTokenHash || stored.revokedAt) return null;
+      Object.assign(stored, update.$set);
+      return Session.hydrate({ ...stored });
+    });
+    mock.method(User, 'findById', () => ({
+      select: async () => ({ _id: stored.user, isDisabled: false })
+    }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('rotates the refresh token', async () => {
+    const res = createResponse();
+    await refreshAccessToken({ body: { refreshToken }, headers: {} }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.notEqual(res.body.refreshToken, refreshToken);
+    assert.equal(stored.refreshTokenHash, Session.hashToken(res.body.refreshToken));
+    assert.equal(stored.previousRefreshTokenHash, Session.hashToken(refreshToken));
+  });
+
+  it('lets only one of two concurrent refreshes with the same token succeed', async () => {
+    const responses = [createResponse(), createResponse()];
+    await Promise.all(responses.map(res => refreshAccessToken({ body: { refreshToken }, headers: {} }, res)));
+
+    const statuses = responses.map(res => res.statusCode).sort();
+    assert.deepEqual(statuses, [200, 401]);
+
+    // The loser revokes the session, the token was used twice
+    const revocations = Session.collection.updateOne.mock.calls
+      .filter(call => JSON.stringify(call.arguments[1]).includes('refresh-token-reuse'));
+    assert.equal(revocations.length, 1);
+  });
+
+  it('returns null from rotate() when the token was already rotated', async () => {
+    const first = Session.hydrate({ ...stored });
+    const second = Session.hydrate({ ...stored });
+
+    assert.equal(typeof await first.rotate(), 'string');
+    assert.equal(await second.rotate(), null);
+  });
+});
+
+describe('password change', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('revokes the other sessions of the user', async () => {
+    const user = new User({ username: 'learner', email: 'learner@example.com', password: 'old-password' });
+    const currentSession = new mongoose.Types.ObjectId();
+
+    stubWrites(User);
+    mock.method(User, 'findById', async () => user);
+    const revokeAll = mock.method(Session, 'revokeAllForUser', async () => ({ modifiedCount: 2 }));
+
+    const res = createResponse();
+    await updateUserProfile({ user: { _id: user._id }, sessionId: currentSession, body: { password: 'new-password' } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(revokeAll.mock.callCount(), 1);
+    assert.deepEqual(revokeAll.mock.calls[0].arguments, [user._id, 'password-change', { except: currentSession }]);
+  });
+});